@@ -46,13 +46,15 @@ After ES6:
 - Easier to maintain
 */
 
-// Old style
-var nameOld = "Yash";
-console.log("Hello " + nameOld);
+function demoOldVsNew() {
+  // Old style
+  var nameOld = "Yash";
+  console.log("Hello " + nameOld);
 
-// ES6 style
-const userName = "Rohan";
-console.log(`Hello ${userName}`);
+  // ES6 style
+  const userName = "Rohan";
+  console.log(`Hello ${userName}`);
+}
 
 /*
 Same result,
@@ -89,6 +91,20 @@ New version (ES6):
 - Better features
 */
 
-console.log("ES6 Introduction Loaded");
+function demoLoaded() {
+  console.log("ES6 Introduction Loaded");
+  // Output: ES6 Introduction Loaded
+}
 
-// Output: ES6 Introduction Loaded
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file does not print anything.
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoOldVsNew();
+  demoLoaded();
+}
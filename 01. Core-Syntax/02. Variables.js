@@ -31,22 +31,24 @@ Rule of thumb:
 // VAR (OLD WAY - NOT RECOMMENDED)
 // var is FUNCTION scoped, NOT block scoped
 
-if (true) {
-  var city = "Dhaka";
-}
+function demoVar() {
+  if (true) {
+    var city = "Dhaka";
+  }
 
-// Even though city was created inside the block, it is still accessible here
+  // Even though city was created inside the block, it is still accessible here
 
-console.log(city);
-// Output: Dhaka (var leaks outside the block)
-// Reason: var ignores block scope
+  console.log(city);
+  // Output: Dhaka (var leaks outside the block)
+  // Reason: var ignores block scope
 
-// Another problem with var: Redeclaration is allowed
-var score = 10;
-var score = 20; // No error (dangerous)
+  // Another problem with var: Redeclaration is allowed
+  var score = 10;
+  var score = 20; // No error (dangerous)
 
-console.log(score);
-// Output: 20
+  console.log(score);
+  // Output: 20
+}
 
 /*
 This can silently overwrite variables.
@@ -58,33 +60,37 @@ let and const DO NOT allow redeclaration in same scope.
 // let is BLOCK scoped and value can be reassigned
 // But it does NOT allow access outside the block.
 
-let age = 20;
-age = 21;
-console.log(age); // Output: 21
+function demoLet() {
+  let age = 20;
+  age = 21;
+  console.log(age); // Output: 21
 
-// let allows reassignment
-// But it does NOT allow redeclaration in the same scope
+  // let allows reassignment
+  // But it does NOT allow redeclaration in the same scope
 
-// let age = 30; ❌ SyntaxError
+  // let age = 30; ❌ SyntaxError
 
-if (true) {
-  let insideBlock = "I am inside block";
-  console.log(insideBlock);
-}
+  if (true) {
+    let insideBlock = "I am inside block";
+    console.log(insideBlock);
+  }
 
-// ❌ ERROR if uncommented
-// console.log(insideBlock); // ReferenceError (block-scoped)
-// Reason: let exists only inside { }
+  // ❌ ERROR if uncommented
+  // console.log(insideBlock); // ReferenceError (block-scoped)
+  // Reason: let exists only inside { }
+}
 
 // ------------------------------------------------------------------------------
 // CONST (BEST PRACTICE)
 // const is also BLOCK scoped and value can't be reassigned
 
-const userName = "Yash";
+function demoConst() {
+  const userName = "Yash";
 
-// userName = "Rahul"; ❌ NOT allowed
+  // userName = "Rahul"; ❌ NOT allowed
 
-console.log(userName); // Output: Yash
+  console.log(userName); // Output: Yash
+}
 
 // ------------------------------------------------------------------------------
 // CONST WITH ARRAY
@@ -103,13 +109,15 @@ Think like this:
 - But you can still change what is inside the box
 */
 
-const skills = ["HTML", "CSS"];
+function demoConstArray() {
+  const skills = ["HTML", "CSS"];
 
-// Allowed: changing array content
-skills.push("JavaScript");
+  // Allowed: changing array content
+  skills.push("JavaScript");
 
-console.log(skills);
-// Output: ["HTML", "CSS", "JavaScript"]
+  console.log(skills);
+  // Output: ["HTML", "CSS", "JavaScript"]
+}
 
 /*
 skills = [];
@@ -128,16 +136,18 @@ Same rule for objects:
 - You cannot make the variable point to a completely new object.
 */
 
-const user = {
-  userName: "Yash",
-  age: 21,
-};
+function demoConstObject() {
+  const user = {
+    userName: "Yash",
+    age: 21,
+  };
 
-// Allowed: changing object properties
-user.age = 22;
+  // Allowed: changing object properties
+  user.age = 22;
 
-console.log(user);
-// Output: { userName: "Yash", age: 22 }
+  console.log(user);
+  // Output: { userName: "Yash", age: 22 }
+}
 
 /*
 user = {};
@@ -151,15 +161,17 @@ Only the inside values can change.
 
 // React prefers block-scoped variables
 // This keeps components safe and predictable
-const isLoggedIn = true;
+function demoReactStyle() {
+  const isLoggedIn = true;
 
-if (isLoggedIn) {
-  const message = "Welcome back!";
-  console.log(message);
-}
+  if (isLoggedIn) {
+    const message = "Welcome back!";
+    console.log(message);
+  }
 
-// ❌ ERROR if uncommented
-// console.log(message);
+  // ❌ ERROR if uncommented
+  // console.log(message);
+}
 
 /*
 React prefers const because:
@@ -200,8 +212,10 @@ var:
 - So you can read it before the line, but you only get undefined.
 */
 
-console.log(testVar); // Output: undefined
-var testVar = 5;
+function demoVarHoisting() {
+  console.log(testVar); // Output: undefined
+  var testVar = 5;
+}
 
 /*
 let and const:
@@ -210,8 +224,10 @@ let and const:
 - If you use them before the line, you get a ReferenceError.
 */
 
-// console.log(testLet); // ❌ ReferenceError
-let testLet = 10;
+function demoLetHoisting() {
+  // console.log(testLet); // ❌ ReferenceError
+  let testLet = 10;
+}
 
 /*
 Summary:
@@ -220,3 +236,29 @@ Hoisting only moves the declarations, not the value assignments. The line where
 - let / const: created early but not ready → can't be used before their line (Temporal Dead Zone).
 
 */
+
+/*
+To see these rules instead of reading about them, run:
+node tools/scope.js "01. Core-Syntax/02. Variables.js"
+It prints every variable with its scope, how it is hoisted and its TDZ lines,
+and points at the var leak (city), the redeclaration (score) and the early read (testVar).
+*/
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file does not print anything.
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoVar();
+  demoLet();
+  demoConst();
+  demoConstArray();
+  demoConstObject();
+  demoReactStyle();
+  demoVarHoisting();
+  demoLetHoisting();
+}
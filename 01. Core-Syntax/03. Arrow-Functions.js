@@ -18,24 +18,37 @@ Rule of thumb:
 - Be careful with `this` (arrow functions do NOT create their own `this`).
 */
 
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { from } from "../lib/query.js";
+import { sortBy, desc } from "../lib/sort.js";
+import { createTodoStore } from "../lib/todo-store.js";
+import { createClock, debounce, throttle } from "../lib/scheduler.js";
+
 // ------------------------------------------------------------------------------
 // NORMAL FUNCTION vs ARROW FUNCTION
 
 // OLD WAY: normal function
-function add(a, b) {
+export function add(a, b) {
   return a + b;
 }
 
-console.log(add(2, 3));
-// Output: 5
+function demoAdd() {
+  console.log(add(2, 3));
+  // Output: 5
+}
 
 // NEW WAY: arrow function (same logic, shorter)
-const addArrow = (a, b) => {
+export const addArrow = (a, b) => {
   return a + b;
 };
 
-console.log(addArrow(2, 3));
-// Output: 5
+function demoAddArrow() {
+  console.log(addArrow(2, 3));
+  // Output: 5
+}
 
 // ------------------------------------------------------------------------------
 // SHORT VERSION (Implicit Return)
@@ -43,20 +56,24 @@ console.log(addArrow(2, 3));
 // If the function body has ONLY ONE expression and you do NOT use { },
 // The expression is automatically returned, This is called "implicit return".
 
-const addShort = (a, b) => a + b;
+export const addShort = (a, b) => a + b;
 
-console.log(addShort(2, 3));
-// Output: 5
+function demoAddShort() {
+  console.log(addShort(2, 3));
+  // Output: 5
+}
 
 // IMPORTANT BEGINNER MISTAKE:
 // If you use { }, you MUST write return manually.
 
-const wrongExample = (a, b) => {
+export const wrongExample = (a, b) => {
   a + b;
 };
 
-console.log(wrongExample(2, 3));
-// Output: undefined
+function demoWrongExample() {
+  console.log(wrongExample(2, 3));
+  // Output: undefined
+}
 
 /*
 Why?
@@ -70,12 +87,14 @@ nothing is returned.
 
 // Common mistake: trying to return an object without parentheses
 
-const createUserWrong = (name) => {
+export const createUserWrong = (name) => {
   userName: name;
 };
 
-console.log(createUserWrong("Yash"));
-// Output: undefined
+function demoCreateUserWrong() {
+  console.log(createUserWrong("Yash"));
+  // Output: undefined
+}
 
 /*
 Why is it undefined?
@@ -87,10 +106,12 @@ So nothing is returned.
 
 // Correct way: Wrap the object in parentheses.
 
-const createUser = (name) => ({ userName: name });
+export const createUser = (name) => ({ userName: name });
 
-console.log(createUser("Yash"));
-// Output: { userName: "Yash" }
+function demoCreateUser() {
+  console.log(createUser("Yash"));
+  // Output: { userName: "Yash" }
+}
 
 /*
 Rule:
@@ -105,34 +126,40 @@ you MUST wrap the object inside ( ).
 // Parentheses are optional for a single parameter.
 // But using parentheses is better for consistency.
 
-const square = (x) => x * x;
+export const square = (x) => x * x;
 
-console.log(square(4));
-// Output: 16
+function demoSquare() {
+  console.log(square(4));
+  // Output: 16
+}
 
 // NO PARAMETER
 // You MUST use empty parentheses.
 
-const sayHello = () => {
+export const sayHello = () => {
   console.log("Hello!");
 };
 
-sayHello();
-// Output in console:
-// Hello!
+function demoSayHello() {
+  sayHello();
+  // Output in console:
+  // Hello!
+}
 
 // MULTIPLE LINES
 // When you use { }, you MUST write return manually.
 
-const multiplyAndLog = (a, b) => {
+export const multiplyAndLog = (a, b) => {
   const result = a * b;
   console.log("Result is", result);
   return result;
 };
 
-multiplyAndLog(3, 4);
-// Output in console:
-// Result is 12
+function demoMultiplyAndLog() {
+  multiplyAndLog(3, 4);
+  // Output in console:
+  // Result is 12
+}
 
 // ------------------------------------------------------------------------------
 // ARROW FUNCTIONS WITH ARRAYS
@@ -146,25 +173,27 @@ reduce() → combines all values into a single value
 forEach()→ runs a function for each element (no return array)
 */
 
-const numbers = [1, 2, 3, 4];
+export const numbers = [1, 2, 3, 4];
 
-// map() example
-const doubled = numbers.map((num) => num * 2);
+function demoArrayMethods() {
+  // map() example
+  const doubled = numbers.map((num) => num * 2);
 
-console.log(doubled);
-// Output: [2, 4, 6, 8]
+  console.log(doubled);
+  // Output: [2, 4, 6, 8]
 
-// filter() example
-const evenNumbers = numbers.filter((num) => num % 2 === 0);
+  // filter() example
+  const evenNumbers = numbers.filter((num) => num % 2 === 0);
 
-console.log(evenNumbers);
-// Output: [2, 4]
+  console.log(evenNumbers);
+  // Output: [2, 4]
 
-// reduce() example
-const sum = numbers.reduce((acc, num) => acc + num, 0);
+  // reduce() example
+  const sum = numbers.reduce((acc, num) => acc + num, 0);
 
-console.log(sum);
-// Output: 10
+  console.log(sum);
+  // Output: 10
+}
 
 // ------------------------------------------------------------------------------
 // ARROW FUNCTIONS AND `arguments`
@@ -182,20 +211,24 @@ which create a real array.
 */
 
 // Normal function with arguments
-function logAll() {
+export function logAll() {
   console.log("arguments in normal function:", arguments);
 }
 
-logAll("a", "b", "c");
-// Output: arguments object with values
+function demoLogAll() {
+  logAll("a", "b", "c");
+  // Output: arguments in normal function: [Arguments] { "0": "a", "1": "b", "2": "c" }
+}
 
 // Arrow function with rest
-const logAllArrow = (...args) => {
+export const logAllArrow = (...args) => {
   console.log("args in arrow function:", args);
 };
 
-logAllArrow("a", "b", "c");
-// Output: ["a", "b", "c"]
+function demoLogAllArrow() {
+  logAllArrow("a", "b", "c");
+  // Output: args in arrow function: ["a", "b", "c"]
+}
 
 // ------------------------------------------------------------------------------
 // ARROW FUNCTIONS AND `this`
@@ -212,23 +245,30 @@ Arrow function:
 This behavior is called "lexical this".
 */
 
-const user = {
-  userName: "Yash",
-
-  normalFunction: function () {
-    console.log(this.userName);
-  },
-
-  arrowFunction: () => {
-    console.log(this.userName);
-  },
-};
-
-user.normalFunction();
-// Output: Yash
-
-user.arrowFunction();
-// Output: undefined (or depends on outer scope)
+function demoThis() {
+  const user = {
+    userName: "Yash",
+
+    normalFunction: function () {
+      console.log(this.userName);
+    },
+
+    arrowFunction: () => {
+      console.log(this.userName);
+    },
+  };
+
+  user.normalFunction();
+  // Output: Yash
+
+  // In an ES module the outer `this` is undefined,
+  // so reading this.userName throws instead of printing undefined.
+  try {
+    user.arrowFunction();
+  } catch (error) {
+    console.log(error.name); // Output: TypeError
+  }
+}
 
 /*
 Why?
@@ -243,44 +283,51 @@ Important Rule:
 */
 
 // Example: object with methods
-const person = {
-  name: "Yash",
-
-  // Good: method shorthand (recommended)
-  greet() {
-    console.log(`Hello, I am ${this.name}`);
-  },
-
-  // Bad: arrow function as method when you need `this`
-  greetWrong: () => {
-    console.log(`Hello, I am ${this.name}`);
-  },
-};
-
-person.greet();
-// Output: Hello, I am Yash
-
-person.greetWrong();
-// Output: Hello, I am undefined (because `this` is not the person object)
+function demoMethods() {
+  const person = {
+    name: "Yash",
+
+    // Good: method shorthand (recommended)
+    greet() {
+      console.log(`Hello, I am ${this.name}`);
+    },
+
+    // Bad: arrow function as method when you need `this`
+    greetWrong: () => {
+      console.log(`Hello, I am ${this.name}`);
+    },
+  };
+
+  person.greet();
+  // Output: Hello, I am Yash
+
+  try {
+    person.greetWrong();
+  } catch (error) {
+    console.log(error.name); // Output: TypeError (because `this` is not the person object)
+  }
+}
 
 // ------------------------------------------------------------------------------
 // Arrow functions and lexical `this`
 
-const team = {
-  name: "Dev Team",
-  members: ["Yash", "Ayesha"],
-
-  printMembers() {
-    this.members.forEach((member) => {
-      console.log(`${member} is in ${this.name}`);
-    });
-  },
-};
-
-team.printMembers();
-// Output:
-// Yash is in Dev Team
-// Ayesha is in Dev Team
+function demoLexicalThis() {
+  const team = {
+    name: "Dev Team",
+    members: ["Yash", "Ayesha"],
+
+    printMembers() {
+      this.members.forEach((member) => {
+        console.log(`${member} is in ${this.name}`);
+      });
+    },
+  };
+
+  team.printMembers();
+  // Output:
+  // Yash is in Dev Team
+  // Ayesha is in Dev Team
+}
 
 /*
 Why does this work?
@@ -296,63 +343,102 @@ If we used a normal function inside forEach,
 // ------------------------------------------------------------------------------
 // REAL-LIFE STYLE EXAMPLES
 
-const ages = [12, 18, 22, 15, 30];
+export const ages = [12, 18, 22, 15, 30];
 
-// Get only adults
-const adults = ages.filter((age) => age >= 18);
+function demoAdults() {
+  // Get only adults
+  const adults = ages.filter((age) => age >= 18);
 
-console.log(adults);
-// Output: [18, 22, 30]
+  console.log(adults);
+  // Output: [18, 22, 30]
+}
 
-const pricesList = [100, 200, 300];
+export const pricesList = [100, 200, 300];
 
-// Calculate total price
-const total = pricesList.reduce((sum, price) => sum + price, 0);
+function demoTotalPrice() {
+  // Calculate total price
+  const total = pricesList.reduce((sum, price) => sum + price, 0);
 
-console.log(total);
-// Output: 600
+  console.log(total);
+  // Output: 600
+}
 
 // Example 2: simple API-like logic
-const users = [
+export const users = [
   { id: 1, name: "Yash", active: true },
   { id: 2, name: "Ayesha", active: false },
 ];
 
-// Get only active users
-const activeUsers = users.filter((user) => user.active);
-console.log(activeUsers);
-// Output: [{ id: 1, name: "Yash", active: true }]
+function demoActiveUsers() {
+  // Get only active users
+  const activeUsers = users.filter((user) => user.active);
+  console.log(activeUsers);
+  // Output: [{ id: 1, name: "Yash", active: true }]
 
-// Get just the names
-const userNames = users.map((user) => user.name);
-console.log(userNames);
-// Output: ["Yash", "Ayesha"]
+  // Get just the names
+  const userNames = users.map((user) => user.name);
+  console.log(userNames);
+  // Output: ["Yash", "Ayesha"]
+}
 
 // Example 3: sorting with arrow function
-const prices = [400, 100, 250];
+export const prices = [400, 100, 250];
 
-// IMPORTANT: sort() mutates the original array.
-// Safer approach: copy first
-const sortedPrices = [...prices].sort((a, b) => a - b);
+function demoSorting() {
+  // IMPORTANT: sort() mutates the original array.
+  // Safer approach: copy first
+  const sortedPrices = [...prices].sort((a, b) => a - b);
 
-console.log(sortedPrices);
-// Output: [100, 250, 400]
+  console.log(sortedPrices);
+  // Output: [100, 250, 400]
 
-console.log(prices);
-// Original remains unchanged: [400, 100, 250]
+  console.log(prices);
+  // Original remains unchanged: [400, 100, 250]
+}
 
-// Example 4: Arrow functions and setTimeout
-const student = {
-  name: "Yash",
-
-  delayedHello() {
-    setTimeout(() => {
-      console.log(`Hello, ${this.name}`);
-    }, 1000);
-  },
-};
+// sortBy (lib/sort.js) always copies, and can sort by several keys.
+// Strings are compared with Intl.Collator, so "item 2" comes before "item 10".
+function demoSortBy() {
+  console.log(sortBy(prices));
+  // Output: [100, 250, 400]
+
+  const team = [
+    { name: "Rohan", city: "Dhaka", age: 21 },
+    { name: "ayesha", city: null, age: 30 },
+    { name: "Yash", city: "Dhaka", age: 25 },
+    { name: "Emon", city: "Khulna", age: 21 },
+  ];
+
+  // By city (missing city last), then by name
+  const byCity = sortBy(team, "city", "name").map((member) => member.name);
+  console.log(byCity);
+  // Output: ["Rohan", "Yash", "Emon", "ayesha"]
+
+  // Oldest first, same age → by name ("ayesha" is not pushed after "Yash")
+  const byAge = sortBy(team, desc("age"), "name").map((member) => member.name);
+  console.log(byAge);
+  // Output: ["ayesha", "Yash", "Emon", "Rohan"]
+
+  console.log(sortBy(["item 10", "item 2", "item 1"]));
+  // Output: ["item 1", "item 2", "item 10"]
+
+  console.log(team[0].name); // Output: Rohan (the original order is kept)
+}
 
-student.delayedHello();
+// Example 4: Arrow functions and setTimeout
+function demoSetTimeout() {
+  const student = {
+    name: "Yash",
+
+    delayedHello() {
+      setTimeout(() => {
+        console.log(`Hello, ${this.name}`); // Output: Hello, Yash (one second later)
+      }, 1000);
+    },
+  };
+
+  student.delayedHello();
+}
 
 /*
 Why does this work?
@@ -363,6 +449,48 @@ It uses the `this` from delayedHello().
 This is called lexical `this`.
 */
 
+/*
+With real timers you have to wait a second to see "Hello, Yash".
+A virtual clock (lib/scheduler.js) has the same setTimeout,
+but time only moves when you call clock.tick(ms).
+*/
+function demoVirtualClock() {
+  const clock = createClock();
+
+  const student = {
+    name: "Yash",
+
+    delayedHello() {
+      clock.setTimeout(() => {
+        console.log(`Hello, ${this.name} at ${clock.now()}ms`);
+      }, 1000);
+    },
+  };
+
+  student.delayedHello();
+  clock.tick(999); // nothing yet
+  clock.tick(1); // Output: Hello, Yash at 1000ms
+
+  // debounce: run once, after the calls stop (a search box)
+  const search = debounce((text) => console.log(`Searching "${text}"`), 300, {
+    timers: clock,
+  });
+  search("J");
+  search("Ja");
+  search("Java");
+  clock.runAll(); // Output: Searching "Java"
+
+  // throttle: at most once per 100ms (saving the scroll position)
+  const positions = [];
+  const save = throttle((y) => positions.push(y), 100, { timers: clock });
+  for (let y = 0; y <= 250; y += 50) {
+    save(y);
+    clock.tick(50);
+  }
+  clock.runAll();
+  console.log(positions); // Output: [0, 50, 150, 250]
+}
+
 // ------------------------------------------------------------------------------
 // REACT-STYLE EXAMPLES (LOGIC ONLY, NO JSX)
 
@@ -374,29 +502,130 @@ In React, arrow functions are common for:
 */
 
 // Example: simple handler (as if inside a React component)
-const handleClick = () => {
+export const handleClick = () => {
   console.log("Button clicked");
 };
 
-handleClick();
-// Output: Button clicked
+function demoHandleClick() {
+  handleClick();
+  // Output: Button clicked
+}
 
-const handleLogin = () => {
+export const handleLogin = () => {
   console.log("User logged in");
 };
 
-handleLogin();
-// Output: User logged in
+function demoHandleLogin() {
+  handleLogin();
+  // Output: User logged in
+}
 
 // Example: mapping data to "UI" (here just logs)
-const todoItems = [
+export const todoItems = [
   { id: 1, title: "Learn ES6" },
   { id: 2, title: "Practice React" },
 ];
 
-todoItems.forEach((item) => {
-  console.log(`Todo #${item.id}: ${item.title}`);
-});
+function demoTodoItems() {
+  todoItems.forEach((item) => {
+    console.log(`Todo #${item.id}: ${item.title}`);
+  });
+}
+
+/*
+todoItems never changes. A real todo list is a store (lib/todo-store.js):
+every change is an arrow-function-friendly action that returns a NEW state,
+so undo is just "go back to the previous state".
+*/
+function demoTodoStore() {
+  const file = path.join(os.tmpdir(), "es6-lesson-todos.json");
+  fs.rmSync(file, { force: true });
+
+  const store = createTodoStore({ initialTodos: todoItems, file });
+  const unsubscribe = store.subscribe((state, action) =>
+    console.log(`${action.type} → ${state.todos.length} todos`),
+  );
+
+  const { id } = store.addTodo("Build a todo app"); // Output: add → 3 todos
+  store.toggleTodo(1); // Output: toggle → 3 todos
+
+  const active = store.getTodos("active").map((todo) => todo.title);
+  console.log(active);
+  // Output: ["Practice React", "Build a todo app"]
+
+  store.removeTodo(id); // Output: remove → 2 todos
+  store.undo(); // Output: undo → 3 todos
+  unsubscribe();
+
+  // The list was saved to the file on every change, a new store reads it back
+  const reloaded = createTodoStore({ file });
+  const done = reloaded.getTodos("completed").map((todo) => todo.title);
+  console.log(done); // Output: ["Learn ES6"]
+
+  console.log(todoItems[0].completed); // Output: undefined (todoItems itself never changed)
+  fs.rmSync(file, { force: true });
+}
+
+// ------------------------------------------------------------------------------
+// THE SAME FILTERS AS ONE QUERY (lib/query.js)
+
+/*
+users.filter(...).map(...) builds a new array at every step.
+from() chains the same arrow functions, but nothing runs until you ask for
+the result, and then items go through every step one at a time.
+*/
+
+function demoQuery() {
+  const activeNames = from(users).where({ active: true }).select("name");
+  console.log(activeNames.toArray());
+  // Output: ["Yash"]
+
+  const adults = from(ages)
+    .where((age) => age >= 18)
+    .orderBy((age) => age, "desc")
+    .take(2);
+  console.log(adults.toArray());
+  // Output: [30, 22]
+
+  console.log(from(users).countBy("active"));
+  // Output: { true: 1, false: 1 } (Node shows it as [Object: null prototype], like Object.groupBy)
+
+  // join: who works on which todo item
+  const owners = [
+    { todoId: 1, userId: 2 },
+    { todoId: 2, userId: 1 },
+  ];
+  const assigned = from(todoItems)
+    .join(owners, "id", "todoId")
+    .join(
+      users,
+      "userId",
+      "id",
+      (todo, user) => `${todo.title} → ${user.name}`,
+    );
+  console.log(assigned.toArray());
+  // Output: ["Learn ES6 → Ayesha", "Practice React → Yash"]
+}
+
+// Lazy means take() can stop early, even on an endless list
+function* countUp() {
+  for (let n = 1; ; n++) yield n;
+}
+
+function demoLazyQuery() {
+  let checked = 0;
+
+  const firstThree = from(countUp())
+    .where((n) => {
+      checked++;
+      return n % 5 === 0;
+    })
+    .take(3)
+    .toArray();
+
+  console.log(firstThree, checked);
+  // Output: [5, 10, 15] 15
+}
 
 // ------------------------------------------------------------------------------
 // WHEN TO USE ARROW FUNCTIONS?
@@ -429,12 +658,14 @@ Arrow functions:
 */
 
 // Normal constructor
-function Person(name) {
+export function Person(name) {
   this.name = name;
 }
-const p = new Person("Yash");
-console.log(p.name);
-// Output: Yash
+function demoConstructor() {
+  const p = new Person("Yash");
+  console.log(p.name);
+  // Output: Yash
+}
 
 // ------------------------------------------------------------------------------
 // FINAL SUMMARY
@@ -452,3 +683,43 @@ Arrow Function:
 - Cannot be used with `new`
 - Does NOT have prototype
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoAdd();
+  demoAddArrow();
+  demoAddShort();
+  demoWrongExample();
+  demoCreateUserWrong();
+  demoCreateUser();
+  demoSquare();
+  demoSayHello();
+  demoMultiplyAndLog();
+  demoArrayMethods();
+  demoLogAll();
+  demoLogAllArrow();
+  demoThis();
+  demoMethods();
+  demoLexicalThis();
+  demoAdults();
+  demoTotalPrice();
+  demoActiveUsers();
+  demoSorting();
+  demoSortBy();
+  demoSetTimeout();
+  demoVirtualClock();
+  demoHandleClick();
+  demoHandleLogin();
+  demoTodoItems();
+  demoTodoStore();
+  demoQuery();
+  demoLazyQuery();
+  demoConstructor();
+}
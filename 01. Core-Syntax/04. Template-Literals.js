@@ -16,17 +16,23 @@ Rule of thumb:
 - Use template literals whenever variables or expressions are involved
 */
 
+import { html, cx, url, dedent } from "../lib/template-tags.js";
+import { createI18n } from "../lib/i18n.js";
+import { messages } from "../locales/index.js";
+
 // ------------------------------------------------------------------------------
 // OLD WAY (STRING CONCATENATION)
 
 const name = "Yash";
 const age = 21;
 
-// Using + to join strings and variables
-const messageOld = "My name is " + name + " and I am " + age + " years old.";
+function demoOldWay() {
+  // Using + to join strings and variables
+  const messageOld = "My name is " + name + " and I am " + age + " years old.";
 
-console.log(messageOld);
-// Output: My name is Yash and I am 21 years old.
+  console.log(messageOld);
+  // Output: My name is Yash and I am 21 years old.
+}
 
 // ------------------------------------------------------------------------------
 // TEMPLATE LITERALS (MODERN WAY)
@@ -34,23 +40,27 @@ console.log(messageOld);
 // Use backticks ` `
 // Use ${ } to insert variables
 
-const messageNew = `My name is ${name} and I am ${age} years old.`;
+function demoTemplateLiteral() {
+  const messageNew = `My name is ${name} and I am ${age} years old.`;
 
-console.log(messageNew);
-// Output: My name is Yash and I am 21 years old.
+  console.log(messageNew);
+  // Output: My name is Yash and I am 21 years old.
+}
 
 // ------------------------------------------------------------------------------
 // EXPRESSIONS INSIDE TEMPLATE LITERALS
 
-const a = 5;
-const b = 3;
+function demoExpressions() {
+  const a = 5;
+  const b = 3;
 
-// You can run JavaScript inside ${ }
+  // You can run JavaScript inside ${ }
 
-const result = `The sum of ${a} and ${b} is ${a + b}.`;
+  const result = `The sum of ${a} and ${b} is ${a + b}.`;
 
-console.log(result);
-// Output: The sum of 5 and 3 is 8.
+  console.log(result);
+  // Output: The sum of 5 and 3 is 8.
+}
 
 /*
 Inside ${ } you can write:
@@ -63,32 +73,36 @@ Inside ${ } you can write:
 // ------------------------------------------------------------------------------
 // MULTI-LINE STRINGS
 
-// OLD WAY (ugly and hard to manage)
-const oldText = "Hello\n" + "Welcome to ES6\n" + "This is hard to read";
+function demoMultiLine() {
+  // OLD WAY (ugly and hard to manage)
+  const oldText = "Hello\n" + "Welcome to ES6\n" + "This is hard to read";
 
-console.log(oldText);
+  console.log(oldText);
 
-// MODERN WAY (clean and natural)
-const newText = `
+  // MODERN WAY (clean and natural)
+  const newText = `
 Hello
 Welcome to ES6
 This is easy to read
 `;
 
-console.log(newText);
+  console.log(newText);
+}
 
 // Template literals automatically support multiple lines. No need for \n
 
 // ------------------------------------------------------------------------------
 // REAL-LIFE EXAMPLE
 
-const userName = "Yash";
-const notifications = 3;
+function demoRealLife() {
+  const userName = "Yash";
+  const notifications = 3;
 
-const userMessage = `Hello ${userName}, you have ${notifications} new messages.`;
+  const userMessage = `Hello ${userName}, you have ${notifications} new messages.`;
 
-console.log(userMessage);
-// Output: Hello Yash, you have 3 new messages.
+  console.log(userMessage);
+  // Output: Hello Yash, you have 3 new messages.
+}
 
 /*
 This is very common in:
@@ -98,24 +112,62 @@ This is very common in:
 - API responses
 */
 
+// ------------------------------------------------------------------------------
+// THE SAME MESSAGE IN ENGLISH AND BANGLA (lib/i18n.js)
+
+/*
+userMessage above only works in English, and "messages" is always plural.
+With a message catalog (locales/en.json, locales/bn.json),
+the sentence is looked up by key and the plural form follows the language:
+
+"notifications": "Hello {userName}, you have {count, plural, =0 {no new messages} one {# new message} other {# new messages}}."
+*/
+
+function demoTranslatedMessage() {
+  const i18n = createI18n({ messages, locale: "en", timeZone: "UTC" });
+
+  console.log(i18n.t("notifications", { userName: "Yash", count: 1 }));
+  // Output: Hello Yash, you have 1 new message.
+
+  console.log(i18n.t("notifications", { userName: "Yash", count: 0 }));
+  // Output: Hello Yash, you have no new messages.
+
+  // Switch language, the code stays the same
+  i18n.setLocale("bn");
+
+  console.log(i18n.t("notifications", { userName: "Yash", count: 3 }));
+  // Output: হ্যালো Yash, আপনার ৩ টি নতুন বার্তা আছে।
+
+  console.log(i18n.t("orderTotal", { total: 1200 }));
+  // Output: মোট: ১,২০০.০০৳
+
+  // "lastLogin" is not translated yet, so English is used
+  console.log(i18n.t("lastLogin", { date: "2026-01-15" }));
+  // Output: Last login: January 15, 2026
+}
+
 // Another common one
 // CONDITIONAL (TERNARY) WITH TEMPLATE LITERALS
 
-const isLoggedIn = true;
-const statusMessage = isLoggedIn ? `User is logged in` : `User is logged out`;
+function demoTernary() {
+  const isLoggedIn = true;
+  const statusMessage = isLoggedIn ? `User is logged in` : `User is logged out`;
 
-console.log(statusMessage);
-// Output: User is logged in
+  console.log(statusMessage);
+  // Output: User is logged in
+}
 
 // ------------------------------------------------------------------------------
 // TEMPLATE LITERALS WITH FUNCTIONS
 
-const getGreeting = (user) => {
+export const getGreeting = (user) => {
   return `Welcome back, ${user}!`;
 };
 
-console.log(getGreeting("Yash"));
-// Output: Welcome back, Yash!
+function demoGetGreeting() {
+  console.log(getGreeting("Yash"));
+  // Output: Welcome back, Yash!
+}
 
 /*
 You can use template literals inside:
@@ -127,15 +179,19 @@ You can use template literals inside:
 // ------------------------------------------------------------------------------
 // COMMON MISTAKES
 
-const wrong1 = "Hello ${firstName}"; // ← WRONG (normal quotes)
-console.log(wrong1); // Prints: Hello ${firstName}
+function demoCommonMistakes() {
+  const firstName = "Yash";
+
+  const wrong1 = "Hello ${firstName}"; // ← WRONG (normal quotes)
+  console.log(wrong1); // Output: Hello ${firstName}
 
-// Correct
-const correct1 = `Hello ${firstName}`;
-console.log(correct1); // Hello Yash
+  // Correct
+  const correct1 = `Hello ${firstName}`;
+  console.log(correct1); // Output: Hello Yash
 
-const wrong2 = `Hello {firstName}`; // ← forgot the $
-console.log(wrong2); // Hello {firstName}
+  const wrong2 = `Hello {firstName}`; // ← forgot the $
+  console.log(wrong2); // Output: Hello {firstName}
+}
 
 // ------------------------------------------------------------------------------
 // WHY TEMPLATE LITERALS ARE IMPORTANT IN REACT?
@@ -153,6 +209,75 @@ They:
 - Improve readability
 */
 
+// ------------------------------------------------------------------------------
+// TAGGED TEMPLATES (lib/template-tags.js)
+
+/*
+A tag is a function written right before the backticks: html`...`
+It gets the text parts and the ${ } values separately,
+so it can clean every value before putting the string together.
+*/
+
+// html`` escapes values, so user input cannot add tags or scripts
+function demoHtmlTag() {
+  const comment = `<img src=x onerror="alert('hacked')">`;
+
+  // String() turns the SafeHtml result into text
+  const safe = html`<p class="comment">${comment}</p>`;
+  console.log(String(safe));
+  // Output: <p class="comment">&lt;img src=x onerror=&quot;alert(&#39;hacked&#39;)&quot;&gt;</p>
+
+  // Nested html`` is NOT escaped twice
+  const skills = ["HTML", "CSS & JS"];
+  const items = skills.map((skill) => html`<li>${skill}</li>`);
+  const list = html`<ul>${items}</ul>`;
+
+  console.log(String(list));
+  // Output: <ul><li>HTML</li><li>CSS &amp; JS</li></ul>
+}
+
+// cx`` builds class names (false, null and "" disappear)
+function demoClassNames() {
+  const isActive = true;
+  const isDisabled = false;
+
+  console.log(
+    cx`btn ${isActive && "btn-active"} ${isDisabled && "btn-disabled"}`,
+  );
+  // Output: btn btn-active
+
+  console.log(cx("card", { selected: isActive, hidden: isDisabled }));
+  // Output: card selected
+}
+
+// url`` encodes values and turns an object into a query string
+function demoUrlTag() {
+  const city = "Cox's Bazar";
+  const filters = { page: 2, tags: ["beach", "sea"], sort: undefined };
+
+  console.log(url`https://api.example.com/cities/${city}/hotels?${filters}`);
+  // Output: https://api.example.com/cities/Cox's%20Bazar/hotels?page=2&tags=beach&tags=sea
+
+  // A value can never add extra path parts
+  const userId = "../admin";
+  console.log(url`/users/${userId}/profile`); // Output: /users/..%2Fadmin/profile
+}
+
+// dedent`` removes the indentation that multi-line templates pick up
+function demoDedent() {
+  const newText = dedent`
+    Hello
+    Welcome to ES6
+    This is easy to read
+  `;
+
+  console.log(newText);
+  // Output:
+  // Hello
+  // Welcome to ES6
+  // This is easy to read
+}
+
 // ------------------------------------------------------------------------------
 // FINAL SUMMARY
 
@@ -174,3 +299,27 @@ QUICK CHEAT SHEET:
 
 Always prefer template literals over string concatenation.
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoOldWay();
+  demoTemplateLiteral();
+  demoExpressions();
+  demoMultiLine();
+  demoRealLife();
+  demoTranslatedMessage();
+  demoTernary();
+  demoGetGreeting();
+  demoCommonMistakes();
+  demoHtmlTag();
+  demoClassNames();
+  demoUrlTag();
+  demoDedent();
+}
@@ -17,41 +17,52 @@ Rule of thumb:
 
 */
 
+import { h, renderToString } from "../lib/element.js";
+import { createI18n } from "../lib/i18n.js";
+import { messages } from "../locales/index.js";
+import { createCoffeeShop } from "../lib/coffee-order.js";
+
 // ------------------------------------------------------------------------------
 // OLD WAY (messy)
-function introduce(name, age) {
+export function introduce(name, age) {
   if (name === undefined) name = "Guest";
   if (age === undefined) age = 18;
 
   console.log(`Hi, I'm ${name} and I'm ${age} years old.`);
 }
 
-introduce(); // Hi, I'm Guest and I'm 18 years old.
-introduce("Yash"); // Hi, I'm Yash and I'm 18 years old.
-introduce("Yash", 21); // Hi, I'm Yash and I'm 21 years old.
+function demoIntroduce() {
+  introduce(); // Hi, I'm Guest and I'm 18 years old.
+  introduce("Yash"); // Hi, I'm Yash and I'm 18 years old.
+  introduce("Yash", 21); // Hi, I'm Yash and I'm 21 years old.
+}
 
 // ------------------------------------------------------------------------------
 // MODERN WAY → DEFAULT PARAMETERS
-function introduceModern(name = "Guest", age = 18) {
+export function introduceModern(name = "Guest", age = 18) {
   console.log(`Hi, I'm ${name} and I'm ${age} years old.`);
 }
 
-introduceModern(); // Hi, I'm Guest and I'm 18 years old.
-introduceModern("Yash"); // Hi, I'm Yash and I'm 18 years old.
-introduceModern("Yash", 21); // Hi, I'm Yash and I'm 21 years old.
+function demoIntroduceModern() {
+  introduceModern(); // Hi, I'm Guest and I'm 18 years old.
+  introduceModern("Yash"); // Hi, I'm Yash and I'm 18 years old.
+  introduceModern("Yash", 21); // Hi, I'm Yash and I'm 21 years old.
+}
 
 // ------------------------------------------------------------------------------
 // ❌ Wrong thinking: Default value runs every time
 // IMPORTANT: Default parameters only work when value is UNDEFINED
-function test(a = "default") {
+export function test(a = "default") {
   console.log(a);
 }
 
-test(); // default
-test(undefined); // default
-test(null); // null          ← default NOT used. null is treated as an actual value
-test(""); // "" (empty)    ← default NOT used
-test(0); // 0             ← default NOT used
+function demoTest() {
+  test(); // default
+  test(undefined); // default
+  test(null); // null          ← default NOT used. null is treated as an actual value
+  test(""); // "" (empty)    ← default NOT used
+  test(0); // 0             ← default NOT used
+}
 
 // This is different from the old || method.
 // The || operator treats 0, "", and false as "no value" (false values).
@@ -62,62 +73,78 @@ test(0); // 0             ← default NOT used
 // Default parameters are evaluated at call time, not definition time.
 let count = 0;
 
-function testCallTime(value = count++) {
+export function testCallTime(value = count++) {
   console.log(value);
 }
 
-test(); // 0
-test(); // 1
-test(); // 2
+function demoCallTime() {
+  test(); // 0
+  test(); // 1
+  test(); // 2
+}
 
 // Because default expressions run every time the function is called.
 
 // ------------------------------------------------------------------------------
 // MULTIPLE DEFAULT PARAMETERS
 
-function calculateTotal(price, tax = 5) {
+export function calculateTotal(price, tax = 5) {
   const total = price + (price * tax) / 100;
   console.log(total);
 }
 
-calculateTotal(100); // 105 (default tax 5%)
-calculateTotal(100, 10); // 110 (custom tax)
+function demoCalculateTotal() {
+  calculateTotal(100); // 105 (default tax 5%)
+  calculateTotal(100, 10); // 110 (custom tax)
+}
 
 // If you do not pass the second value,JavaScript automatically uses the default.
 
+/*
+calculateTotal only handles one price.
+For several items, discounts and rounding to whole poisha, see createOrder() in lib/order.js:
+createOrder({ taxRate: 5 }).addItem({ name: "Tea", price: 100 }).getTotals().total → 105
+*/
+
 // ------------------------------------------------------------------------------
 // DEFAULT PARAMETERS WITH ARROW FUNCTION
 
-const multiply = (a, b = 1) => {
+export const multiply = (a, b = 1) => {
   return a * b;
 };
 
-console.log(multiply(5)); // 5
-console.log(multiply(5, 3)); // 15
+function demoMultiply() {
+  console.log(multiply(5)); // 5
+  console.log(multiply(5, 3)); // 15
+}
 
 // If b is not provided, it automatically becomes 1.
 
 // Another example
-const greet = (name = "friend", time = "day") => {
+export const greet = (name = "friend", time = "day") => {
   return `Good ${time}, ${name}!`;
 };
 
-console.log(greet()); // Good day, friend!
-console.log(greet("Yash")); // Good day, Yash!
-console.log(greet("Yash", "morning")); // Good morning, Yash!
+function demoGreet() {
+  console.log(greet()); // Good day, friend!
+  console.log(greet("Yash")); // Good day, Yash!
+  console.log(greet("Yash", "morning")); // Good morning, Yash!
+}
 
 // ------------------------------------------------------------------------------
 // DEFAULT VALUE USING ANOTHER PARAMETER
 
-function welcome(name, greeting = `Hello ${name}`) {
+export function welcome(name, greeting = `Hello ${name}`) {
   console.log(greeting);
 }
 
-welcome("Yash", "Good Morning");
-// Output: Good Morning
+function demoWelcome() {
+  welcome("Yash", "Good Morning");
+  // Output: Good Morning
 
-welcome("Yash");
-// Output: Hello Yash
+  welcome("Yash");
+  // Output: Hello Yash
+}
 
 /*
 Default values can depend on earlier parameters. 
@@ -128,40 +155,119 @@ Since name already exists → "Hello Yash"
 
 // ------------------------------------------------------------------------------
 // REAL LIFE EXAMPLES
-function makeCoffee(type = "Black", sugar = 1) {
+export function makeCoffee(type = "Black", sugar = 1) {
   console.log(
     `Making ${type} coffee with ${sugar} spoon${sugar === 1 ? "" : "s"} of sugar`,
   );
 }
 
-makeCoffee(); // Making Black coffee with 1 spoon of sugar
-makeCoffee("Latte"); // Making Latte coffee with 1 spoon of sugar
-makeCoffee("Cappuccino", 2); // Making Cappuccino coffee with 2 spoons of sugar
+function demoMakeCoffee() {
+  makeCoffee(); // Making Black coffee with 1 spoon of sugar
+  makeCoffee("Latte"); // Making Latte coffee with 1 spoon of sugar
+  makeCoffee("Cappuccino", 2); // Making Cappuccino coffee with 2 spoons of sugar
+}
+
+// spoon${sugar === 1 ? "" : "s"} only works in English.
+// lib/i18n.js keeps one sentence per language ("coffee.making" in locales/*.json)
+// and picks the plural form of that language.
+function demoMakeCoffeeTranslated() {
+  const i18n = createI18n({ messages, locale: "en" });
+
+  console.log(i18n.t("coffee.making", { type: "Black", sugar: 1 }));
+  // Output: Making Black coffee with 1 spoon of sugar
+
+  i18n.setLocale("bn");
+  console.log(i18n.t("coffee.making", { type: "Latte", sugar: 2 }));
+  // Output: Latte কফি বানানো হচ্ছে, ২ চামচ চিনি দিয়ে
+}
+
+// makeCoffee(type, sugar) has no room for a size, milk or extras.
+// lib/coffee-order.js takes ONE options object instead, with a default for every field:
+// order({ type = "Black", size = "Medium", milk, sugar = 1, extras = [] } = {})
+function demoCoffeeShop() {
+  const shop = createCoffeeShop({
+    clock: () => new Date("2026-01-15T09:00:00Z"),
+  });
+
+  const black = shop.order(); // every default is used
+  console.log(shop.describe(black)); // Output: Medium Black with 1 spoon of sugar
+
+  const latteOptions = {
+    type: "Latte",
+    size: "Large",
+    milk: "Oat",
+    extras: ["Extra shot"],
+  };
+  const latte = shop.order(latteOptions);
+  console.log(shop.describe(latte)); // Output: Large Latte with Oat milk, 1 spoon of sugar and Extra shot
+  console.log(latte.price); // Output: 330
+
+  // Combinations the menu does not allow are rejected, with every reason listed
+  try {
+    shop.order({ type: "Black", milk: "Oat", sugar: 9 });
+  } catch (error) {
+    console.log(error.message);
+    // Output:
+    // Invalid coffee order:
+    // - Black is served without milk (try a Latte)
+    // - Sugar must be a whole number from 0 to 5, got 9
+  }
+
+  // queued → brewing → ready
+  console.log(shop.startNext().status); // Output: brewing
+  shop.markReady(black.id);
+
+  const queue = shop.getQueue().map(({ type, status }) => `${type}: ${status}`);
+  console.log(queue); // Output: ["Latte: queued"]
+
+  console.log(shop.receipt([black.id, latte.id], { orderId: 7001 }));
+  // Output:
+  // INVOICE #7001
+  // Date: 2026-01-15
+  // --------------------------------------------
+  // Medium Black x1 @ 150.00              150.00
+  // Large Latte x1 @ 240.00               240.00
+  // + Oat milk x1 @ 40.00                  40.00
+  // + Extra shot x1 @ 50.00                50.00
+  // --------------------------------------------
+  // Subtotal                              480.00
+  // Tax (0%)                                0.00
+  // --------------------------------------------
+  // TOTAL                             480.00 BDT
+  // Payment: Cash
+}
 
 // Another example
-function createUser(name = "Guest", role = "User") {
+export function createUser(name = "Guest", role = "User") {
   return {
     name,
     role,
   };
 }
 
-console.log(createUser());
-// { name: "Guest", role: "User" }
+function demoCreateUser() {
+  console.log(createUser());
+  // { name: "Guest", role: "User" }
 
-console.log(createUser("Yash", "Admin"));
-// { name: "Yash", role: "Admin" }
+  console.log(createUser("Yash", "Admin"));
+  // { name: "Yash", role: "Admin" }
+}
 
 // ------------------------------------------------------------------------------
 // REACT-STYLE EXAMPLE
 
 // In React components, default parameters help prevent crashes.
-const Button = ({ text = "Click Me" }) => {
-  console.log(text);
-};
+// h() and renderToString() come from lib/element.js (a tiny stand-in for React).
+export const Button = ({ text = "Click Me", type = "button" }) =>
+  h("button", { type }, text);
 
-Button({}); // Click Me
-Button({ text: "Submit" }); // Submit
+function demoButton() {
+  console.log(renderToString(h(Button, {})));
+  // Output: <button type="button">Click Me</button>
+
+  console.log(renderToString(h(Button, { text: "Submit", type: "submit" })));
+  // Output: <button type="submit">Submit</button>
+}
 
 // ------------------------------------------------------------------------------
 // FINAL SUMMARY
@@ -185,3 +291,27 @@ function good(a, b = 10) {}  ← clear & safe
 
 Always prefer ES6 default parameters over manual checks.
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoIntroduce();
+  demoIntroduceModern();
+  demoTest();
+  demoCallTime();
+  demoCalculateTotal();
+  demoMultiply();
+  demoGreet();
+  demoWelcome();
+  demoMakeCoffee();
+  demoMakeCoffeeTranslated();
+  demoCoffeeShop();
+  demoCreateUser();
+  demoButton();
+}
@@ -0,0 +1,41 @@
+/*
+
+CORE SYNTAX (CHAPTER INDEX)
+
+Every lesson in this chapter is an ES module.
+This file gathers them so the whole chapter can be imported at once:
+
+import { arrowFunctions } from "./01. Core-Syntax/index.js";
+arrowFunctions.addShort(2, 3); // 5
+
+Why namespaces?
+Several lessons use the same example names (createUser, greet, runDemo).
+Exporting each lesson as its own object keeps those names from clashing.
+*/
+
+import * as intro from "./01. Intro.js";
+import * as variables from "./02. Variables.js";
+import * as arrowFunctions from "./03. Arrow-Functions.js";
+import * as templateLiterals from "./04. Template-Literals.js";
+import * as defaultParameters from "./05. Default-Parameters.js";
+
+export {
+  intro,
+  variables,
+  arrowFunctions,
+  templateLiterals,
+  defaultParameters,
+};
+
+// Runs the demo of every lesson in this chapter, in order (async demos are awaited)
+export async function runDemo() {
+  for (const lesson of [
+    intro,
+    variables,
+    arrowFunctions,
+    templateLiterals,
+    defaultParameters,
+  ]) {
+    await lesson.runDemo();
+  }
+}
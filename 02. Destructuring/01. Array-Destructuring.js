@@ -19,6 +19,20 @@ Use array destructuring when you need multiple values from an array.
 In arrays, the order matters (first variable gets the first value, second gets the second value).
 */
 
+import { createRoot, useState, useEffect } from "../lib/hooks.js";
+import { createWallet as createLedger, transfer } from "../lib/wallet.js";
+import {
+  tryCatch,
+  to,
+  mapResult,
+  combineResults,
+  unwrapOr,
+  NotFoundError,
+  TimeoutError,
+} from "../lib/result.js";
+import { summarize, median, max, percentile } from "../lib/stats.js";
+import { ages, users } from "../01. Core-Syntax/03. Arrow-Functions.js";
+
 // -----------------------------------------------------------------------------
 // BEFORE ES6 (OLD WAY)
 
@@ -27,7 +41,7 @@ You must write array indexing many times: arr[0], arr[1], arr[2].
 If you need many values, the code becomes longer and harder to scan quickly.
 */
 
-{
+function demoBeforeES6() {
   const colorsOld = ["red", "green", "blue"];
 
   const firstOld = colorsOld[0];
@@ -45,7 +59,7 @@ What happens here:
 first gets index 0, second gets index 1.
 */
 
-{
+function demoES6Way() {
   const colors = ["red", "green", "blue"];
 
   const [first, second] = colors;
@@ -57,7 +71,7 @@ first gets index 0, second gets index 1.
 // -----------------------------------------------------------------------------
 // TAKE ALL VALUES
 
-{
+function demoTakeAllValues() {
   const rgb = ["R", "G", "B"];
   const [r, g, b] = rgb;
 
@@ -67,7 +81,7 @@ first gets index 0, second gets index 1.
 // -----------------------------------------------------------------------------
 // SKIPPING VALUES
 
-{
+function demoSkippingValues() {
   // If you want only the 3rd value, you can skip positions using commas.
   const colors = ["red", "green", "blue"];
   const [, , thirdColor] = colors;
@@ -86,7 +100,7 @@ Default value is used ONLY when the value is:
 Default value is NOT used when the value is: → null
 */
 
-{
+function demoDefaultValues() {
   const [value = "DEFAULT"] = [undefined];
   console.log(value); // Output: DEFAULT
 
@@ -100,11 +114,11 @@ Default value is NOT used when the value is: → null
 // -----------------------------------------------------------------------------
 // Real-life example (user input)
 
-{
-  function greet([name = "Guest"]) {
-    console.log(`Hello ${name}`);
-  }
+export function greet([name = "Guest"]) {
+  console.log(`Hello ${name}`);
+}
 
+function demoUserInput() {
   greet([]); // Output: Hello Guest  (missing => default)
   greet([undefined]); // Output: Hello Guest  (undefined => default)
   greet([null]); // Output: Hello null   (null is an actual value)
@@ -116,7 +130,7 @@ Default value is NOT used when the value is: → null
 
 // ...restScores collects the remaining values into an array.
 
-{
+function demoRestElement() {
   const scores = [80, 90, 75, 60];
 
   const [firstScore, secondScore, ...restScores] = scores;
@@ -142,25 +156,51 @@ Simple idea:
 // Arrays are used when order matters: [min, max]
 // Objects are used when names matter: { min, max }
 
-{
-  function getMinMax(arr) {
-    let min = arr[0];
-    let max = arr[0];
+export function getMinMax(arr) {
+  let min = arr[0];
+  let max = arr[0];
 
-    for (const n of arr) {
-      if (n < min) min = n;
-      if (n > max) max = n;
-    }
-
-    return [min, max];
+  for (const n of arr) {
+    if (n < min) min = n;
+    if (n > max) max = n;
   }
 
+  return [min, max];
+}
+
+function demoReturnMultipleValues() {
   const [minValue, maxValue] = getMinMax([3, 10, 1, 8]);
 
   console.log(minValue); // Output: 1
   console.log(maxValue); // Output: 10
 }
 
+/*
+getMinMax([]) returns [undefined, undefined] without any warning.
+lib/stats.js throws an EmptyInputError instead, and summarize() returns
+a tuple that ALSO has named values, so both kinds of destructuring work.
+*/
+function demoStats() {
+  // ages = [12, 18, 22, 15, 30] from 01. Core-Syntax/03. Arrow-Functions.js
+  const [youngest, oldest] = summarize(ages);
+  console.log(youngest, oldest); // Output: 12 30
+
+  const { count, mean, median: middleAge } = summarize(ages);
+  console.log(count, mean, middleAge); // Output: 5 19.4 18
+
+  console.log(percentile(ages, 90)); // Output: 26.8
+
+  // Arrays of objects: pass a key selector (a property name or a function)
+  console.log(max(users, "id")); // Output: 2
+  console.log(median(users, (user) => user.name.length)); // Output: 5
+
+  try {
+    summarize([]);
+  } catch (error) {
+    console.log(error.message); // Output: summarize() needs at least one value, got an empty list
+  }
+}
+
 // -----------------------------------------------------------------------------
 // SWAPPING VARIABLES
 
@@ -168,7 +208,7 @@ Simple idea:
 // NOTE: Starting a line with [ ... ] can be misread by JS as continuing the previous statement.
 // Safer: start with a semicolon.
 
-{
+function demoSwapping() {
   let left = "Tea";
   let right = "Coffee";
 
@@ -186,6 +226,7 @@ Destructuring makes the code short and clear.
 */
 
 // NOTE: This is not real React state. React re-renders UI; this example only shows destructuring + closure idea.
+// (The next section shows the real re-render idea.)
 
 /*
 Think like this:
@@ -194,23 +235,23 @@ Think like this:
 - Both are returned in an array
 */
 
-{
-  function createBox(initialValue) {
-    // Store the value inside the box
-    let value = initialValue;
-
-    // Button to change the value
-    function updateValue(newValue) {
-      value = newValue;
-      console.log("Box value updated to:", value);
-    }
-
-    // Return:
-    // index 0 → current value
-    // index 1 → function to update value
-    return [value, updateValue];
+export function createBox(initialValue) {
+  // Store the value inside the box
+  let value = initialValue;
+
+  // Button to change the value
+  function updateValue(newValue) {
+    value = newValue;
+    console.log("Box value updated to:", value);
   }
 
+  // Return:
+  // index 0 → current value
+  // index 1 → function to update value
+  return [value, updateValue];
+}
+
+function demoReactStyle() {
   // Destructure the returned array
   const [boxValue, updateBox] = createBox(50);
 
@@ -221,6 +262,75 @@ Think like this:
   // Output: Box value updated to: 75
 }
 
+// -----------------------------------------------------------------------------
+// THE SAME IDEA WITH REAL RE-RENDERS (useState)
+
+/*
+Problem with createBox:
+boxValue was copied ONCE, when createBox ran.
+After updateBox(75), boxValue is still 50 (a stale snapshot).
+
+How React solves it:
+After every update, React calls your component function AGAIN.
+Each call destructures a fresh [value, setValue] pair from useState.
+
+lib/hooks.js is a tiny version of that idea that runs in plain Node:
+- createRoot(Counter) → a place where Counter is rendered
+- root.render()       → calls Counter for the first time
+- root.act(callback)  → runs callback, then re-renders ONCE for all its updates
+*/
+
+function Counter() {
+  const [count, setCount] = useState(0);
+
+  console.log("Rendering Counter with count:", count);
+
+  useEffect(() => {
+    console.log("Effect: count is", count);
+
+    // Cleanup runs before the next effect (and when the root unmounts)
+    return () => console.log("Cleanup: count was", count);
+  }, [count]);
+
+  // Functional update: always starts from the LATEST state
+  const addTwo = () => {
+    setCount((prev) => prev + 1);
+    setCount((prev) => prev + 1);
+  };
+
+  return { count, addTwo };
+}
+
+function demoRealReRender() {
+  const root = createRoot(Counter);
+
+  root.render();
+  // Output:
+  // Rendering Counter with count: 0
+  // Effect: count is 0
+
+  // Two updates inside one act() → only ONE re-render
+  root.act(root.current.addTwo);
+  // Output:
+  // Rendering Counter with count: 2
+  // Cleanup: count was 0
+  // Effect: count is 2
+
+  // root.current is the result of the latest render (not a stale copy)
+  const { count } = root.current;
+  console.log(count); // Output: 2
+
+  root.unmount();
+  // Output: Cleanup: count was 2
+}
+
+/*
+Why (prev) => prev + 1?
+Both updates run in the same batch.
+setCount(count + 1) twice would use the same old count and give 1, not 2.
+A function always receives the latest value.
+*/
+
 // -----------------------------------------------------------------------------
 // REAL-LIFE EXAMPLE: WALLET
 
@@ -230,19 +340,19 @@ Imagine:
 - You also get a function to add money to it
 */
 
-{
-  function createWallet(startAmount) {
-    let balance = startAmount;
-
-    function addMoney(amount) {
-      balance += amount;
-      console.log("New balance:", balance);
-    }
+export function createWallet(startAmount) {
+  let balance = startAmount;
 
-    // Return both balance and the function
-    return [balance, addMoney];
+  function addMoney(amount) {
+    balance += amount;
+    console.log("New balance:", balance);
   }
 
+  // Return both balance and the function
+  return [balance, addMoney];
+}
+
+function demoWallet() {
   // Destructure returned array
   const [balance, addMoney] = createWallet(100);
 
@@ -253,21 +363,124 @@ Imagine:
   // Output: New balance: 150
 }
 
+// -----------------------------------------------------------------------------
+// THE SAME WALLET AS A REAL LEDGER (lib/wallet.js)
+
+/*
+Problem with createWallet above:
+`balance` was copied when the array was returned.
+After addMoney(50) the variable still says 100.
+
+lib/wallet.js keeps the balance in one place and records every change.
+Amounts are stored as integers (poisha), so there is no float drift.
+*/
+
+function demoLedger() {
+  // A fixed clock keeps the timestamps the same on every run
+  const clock = () => new Date("2026-01-15T10:00:00Z");
+
+  const yash = createLedger({ owner: "Yash", startAmount: 100, clock });
+  const rohan = createLedger({ owner: "Rohan", clock });
+
+  rohan.deposit(0.1);
+  rohan.deposit(0.2);
+  console.log(rohan.getBalance());
+  // Output: 0.3 (not 0.30000000000000004)
+
+  transfer(yash, rohan, 50);
+  console.log(yash.getBalance(), rohan.getBalance());
+  // Output: 50 50.3
+
+  try {
+    rohan.withdraw(80);
+  } catch (error) {
+    console.log(error.name);
+    // Output: InsufficientFundsError
+  }
+
+  // Destructure only what you need from the statement
+  const { totalIn, totalOut, closingBalance } = yash.getStatement({
+    from: "2026-01-01",
+  });
+  console.log(totalIn, totalOut, closingBalance);
+  // Output: 100 50 50
+}
+
 // -----------------------------------------------------------------------------
 // REAL-WORLD API TUPLE EXAMPLE: [data, error]
 // Very common pattern in Node/React: return result + error together
 
-{
-  function fetchResult() {
-    return [{ id: 1, name: "Rohan" }, null];
-  }
+export function fetchResult() {
+  return [{ id: 1, name: "Rohan" }, null];
+}
 
+function demoApiTuple() {
   const [data, error] = fetchResult();
 
   console.log(data); // Output: { id: 1, name: "Rohan" }
   console.log(error); // Output: null
 }
 
+// -----------------------------------------------------------------------------
+// THE ERROR SIDE OF [data, error] (lib/result.js)
+
+/*
+fetchResult() only ever returns [data, null].
+lib/result.js turns any function (or promise) into a [data, error] tuple:
+- success → [data, null]
+- failure → [undefined, error]
+*/
+
+export function findUser(id) {
+  const user = [{ id: 1, name: "Rohan" }].find((user) => user.id === id);
+
+  if (!user) throw new NotFoundError(`No user with id ${id}`);
+  return user;
+}
+
+function demoResultTuples() {
+  const [user, error] = tryCatch(findUser, 1);
+  console.log(user, error); // Output: { id: 1, name: "Rohan" } null
+
+  const [missing, notFound] = tryCatch(findUser, 7);
+  console.log(missing, notFound.code); // Output: undefined NOT_FOUND
+
+  // data is undefined on failure, so a destructuring default works
+  const [guest = { name: "Guest" }] = tryCatch(findUser, 7);
+  console.log(guest.name); // Output: Guest
+
+  // unwrapOr follows the same rule as the default above
+  console.log(unwrapOr(tryCatch(findUser, 7), { name: "Guest" }).name);
+  // Output: Guest
+
+  const [upperName] = mapResult(tryCatch(findUser, 1), (user) =>
+    user.name.toUpperCase(),
+  );
+  console.log(upperName); // Output: ROHAN
+
+  // The first error wins
+  const [both, firstError] = combineResults([
+    tryCatch(findUser, 1),
+    tryCatch(findUser, 7),
+  ]);
+  console.log(both, firstError.message); // Output: undefined No user with id 7
+}
+
+async function demoAsyncResults() {
+  const [user] = await to(Promise.resolve({ id: 2, name: "Yash" }));
+  console.log(user.name); // Output: Yash
+
+  // A rejected promise does not throw, the error comes back in the tuple
+  const [, error] = await to(
+    Promise.reject(new TimeoutError("Server took too long")),
+  );
+  console.log(error.code); // Output: TIMEOUT
+
+  // An async function inside tryCatch gives a promise of the tuple
+  const [data, parseError] = await tryCatch(async () => JSON.parse("{ oops"));
+  console.log(data, parseError.name); // Output: undefined SyntaxError
+}
+
 // -----------------------------------------------------------------------------
 // COMMON MISTAKES
 
@@ -278,7 +491,7 @@ Order matters in array destructuring:
 First variable gets first value, second gets second value.
 */
 
-{
+function demoOrderMatters() {
   // ❌ Wrong
   // const [wrongSecond, wrongFirst] = ["first", "second"];
   // console.log(wrongFirst);  // Output would be: second (not what you wanted)
@@ -300,7 +513,7 @@ If the value is undefined, JavaScript will CRASH.
 So always make sure the array exists OR give a safe fallback.
 */
 
-{
+function demoUndefinedFallback() {
   // ❌ WRONG (do not do this)
   // const maybeArray = undefined;
   // const [value] = maybeArray;
@@ -326,3 +539,34 @@ Array destructuring helps you write cleaner code by avoiding repeated arr[0], ar
 It makes real apps easier to maintain because your variables clearly show what you are taking from the array.
 Professionals use it because it reduces small mistakes, keeps code short, and is used a lot in modern JavaScript and React patterns.
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+It returns a promise: demoAsyncResults is awaited before the next demo starts.
+*/
+
+export async function runDemo() {
+  demoBeforeES6();
+  demoES6Way();
+  demoTakeAllValues();
+  demoSkippingValues();
+  demoDefaultValues();
+  demoUserInput();
+  demoRestElement();
+  demoReturnMultipleValues();
+  demoStats();
+  demoSwapping();
+  demoReactStyle();
+  demoRealReRender();
+  demoWallet();
+  demoLedger();
+  demoApiTuple();
+  demoResultTuples();
+  await demoAsyncResults();
+  demoOrderMatters();
+  demoUndefinedFallback();
+}
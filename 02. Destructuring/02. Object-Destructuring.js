@@ -27,6 +27,18 @@ Rule of thumb:
 - Property names must match exactly
 */
 
+import { h, renderToString } from "../lib/element.js";
+import { defineComponent } from "../lib/component.js";
+import {
+  object,
+  string,
+  number,
+  boolean,
+  enumOf,
+  optional,
+  validate,
+} from "../lib/schema.js";
+
 // -----------------------------------------------------------------------------
 // BEFORE ES6 (OLD WAY)
 
@@ -35,7 +47,7 @@ Repeating user.name, user.age makes code longer.
 You can also make mistakes by typing the wrong property name many times.
 */
 
-{
+function demoBeforeES6() {
   const userOld = {
     name: "Yash",
     age: 21,
@@ -60,7 +72,7 @@ const name = user.name;
 const age = user.age;
 */
 
-{
+function demoES6Way() {
   const user = {
     name: "Yash",
     age: 21,
@@ -76,7 +88,7 @@ const age = user.age;
 // -----------------------------------------------------------------------------
 // ORDER DOES NOT MATTER (ONLY PROPERTY NAMES MATTER)
 
-{
+function demoOrderDoesNotMatter() {
   // Order does NOT matter in object destructuring (only property names matter)
   const user = { name: "Yash", age: 21 };
 
@@ -91,7 +103,7 @@ const age = user.age;
 // New variables → rename without parentheses
 // Existing variables → reassign with parentheses
 
-{
+function demoRenaming() {
   const user = {
     name: "Rohan",
     country: "Bangladesh",
@@ -134,7 +146,7 @@ Default value is used ONLY when property is:
 Default value is NOT used when property is null
 */
 
-{
+function demoDefaultValues() {
   const settings = {
     theme: "dark",
     language: undefined,
@@ -151,7 +163,7 @@ Default value is NOT used when property is null
 // -----------------------------------------------------------------------------
 // REAL-LIFE EXAMPLE: USER PROFILE
 
-{
+function demoUserProfile() {
   const profile = {
     fullName: "Rohan",
     city: "Dhaka",
@@ -169,7 +181,7 @@ Default value is NOT used when property is null
 
 // Rest (...) collects remaining properties into a new object.
 
-{
+function demoRestProperties() {
   const employee = {
     id: 101,
     name: "Ayesha",
@@ -187,15 +199,15 @@ Default value is NOT used when property is null
 // -----------------------------------------------------------------------------
 // FUNCTION EXAMPLE (DESTRUCTURE INSIDE FUNCTION BODY)
 
-{
-  function printProductInfo(product) {
-    const { title, price } = product;
+export function printProductInfoInBody(product) {
+  const { title, price } = product;
 
-    console.log(title); // Output: Laptop
-    console.log(price); // Output: 65000
-  }
+  console.log(title); // Output: Laptop
+  console.log(price); // Output: 65000
+}
 
-  printProductInfo({
+function demoDestructureInBody() {
+  printProductInfoInBody({
     title: "Laptop",
     price: 65000,
     brand: "Acer",
@@ -207,12 +219,12 @@ Default value is NOT used when property is null
 
 // This is preferred in modern JS & React.
 
-{
-  function printProductInfo({ title, price }) {
-    console.log(title); // Output: Phone
-    console.log(price); // Output: 30000
-  }
+export function printProductInfo({ title, price }) {
+  console.log(title); // Output: Phone
+  console.log(price); // Output: 30000
+}
 
+function demoParamDestructuring() {
   printProductInfo({
     title: "Phone",
     price: 30000,
@@ -229,11 +241,11 @@ If function is called without argument → undefined
 Destructuring undefined crashes
 */
 
-{
-  function greetUser({ name = "Guest" } = {}) {
-    console.log(`Hello ${name}`);
-  }
+export function greetUser({ name = "Guest" } = {}) {
+  console.log(`Hello ${name}`);
+}
 
+function demoSafeParams() {
   greetUser({ name: "Rohan" }); // Output: Hello Rohan
   greetUser({}); // Output: Hello Guest
   greetUser(); // Output: Hello Guest
@@ -248,27 +260,67 @@ Why React loves this:
 - Destructuring makes needed props obvious
 */
 
-// NOTE: This is NOT real React rendering.
-// This only demonstrates destructuring logic.
-
-{
-  function ProfileCard({ username, isOnline, city = "Unknown" }) {
-    console.log(username); // Output: Yash
-    console.log(isOnline); // Output: true
-    console.log(city); // Output: Khulna
-  }
+// NOTE: This is NOT real React.
+// h() and renderToString() come from lib/element.js, a tiny stand-in
+// that turns the element tree a component returns into HTML.
+
+export function ProfileCard({ username, isOnline, city = "Unknown" }) {
+  return h(
+    "div",
+    { className: "profile-card" },
+    h("h2", null, username),
+    h("p", null, isOnline ? "Online" : "Offline"),
+    h("p", null, `City: ${city}`),
+  );
+}
 
-  ProfileCard({
+function demoReactStyle() {
+  const card = h(ProfileCard, {
     username: "Yash",
     isOnline: true,
     city: "Khulna",
   });
+
+  console.log(renderToString(card));
+  // Output: <div class="profile-card"><h2>Yash</h2><p>Online</p><p>City: Khulna</p></div>
+
+  // city is missing → the destructuring default "Unknown" is used
+  console.log(
+    renderToString(h(ProfileCard, { username: "Ayesha", isOnline: false })),
+  );
+  // Output: <div class="profile-card"><h2>Ayesha</h2><p>Offline</p><p>City: Unknown</p></div>
+}
+
+/*
+The destructuring default only helps when a prop is MISSING.
+It does not warn about a wrong type or a typo.
+defineComponent (lib/component.js) adds default props and prop types,
+and prints a warning that names the component and the prop.
+*/
+
+export const CheckedProfileCard = defineComponent(ProfileCard, {
+  defaultProps: { city: "Unknown" },
+  propTypes: {
+    username: string(),
+    isOnline: boolean(),
+    city: string(),
+  },
+});
+
+function demoPropTypes() {
+  renderToString(h(CheckedProfileCard, { username: "Yash", isOnline: "yes" }));
+  // Output: Warning: ProfileCard: prop "isOnline" expected boolean, got "yes"
+
+  renderToString(h(CheckedProfileCard, { userName: "Yash", isOnline: true }));
+  // Output:
+  // Warning: ProfileCard: missing required prop "username"
+  // Warning: ProfileCard: unknown prop "userName" (known props: username, isOnline, city)
 }
 
 // -----------------------------------------------------------------------------
 // REAL-WORLD API RESPONSE EXAMPLE
 
-{
+function demoApiResponse() {
   const apiResponse = {
     status: "ok",
     data: {
@@ -292,12 +344,71 @@ Why React loves this:
   console.log(role); // Output: Admin
 }
 
+// -----------------------------------------------------------------------------
+// CHECK THE RESPONSE BEFORE DESTRUCTURING (lib/schema.js)
+
+/*
+The example above trusts the API.
+If `data` or `user` is missing, destructuring crashes with:
+TypeError: Cannot destructure property 'user' of undefined
+
+A schema describes the shape we expect.
+validate() returns [checkedResponse, error] and lists EVERY problem with its path.
+*/
+
+export const userResponseSchema = object({
+  status: enumOf(["ok", "error"]),
+  data: object({
+    user: object({
+      id: number({ integer: true }),
+      name: string(),
+      role: optional(string(), "Member"), // default when missing
+    }),
+  }),
+});
+
+function demoValidateResponse() {
+  const goodResponse = {
+    status: "ok",
+    data: { user: { id: 7, name: "Rohan" } },
+  };
+
+  const [response] = validate(userResponseSchema, goodResponse);
+  const {
+    data: {
+      user: { name, role },
+    },
+  } = response;
+
+  console.log(name, role); // Output: Rohan Member
+
+  const badResponse = { status: "fail", data: { user: { id: "7" } } };
+
+  const [, error] = validate(userResponseSchema, badResponse);
+
+  error.details.forEach(({ path, message }) =>
+    console.log(`${path}: ${message}`),
+  );
+  // Output:
+  // status: expected one of "ok", "error", got "fail"
+  // data.user.id: expected number, got "7"
+  // data.user.name: expected string, got undefined
+
+  // coerce: true turns "7" into 7 (handy for query strings and form data)
+  const [coerced] = validate(
+    userResponseSchema,
+    { status: "ok", data: { user: { id: "7", name: "Rohan" } } },
+    { coerce: true },
+  );
+  console.log(coerced.data.user.id); // Output: 7
+}
+
 // -----------------------------------------------------------------------------
 // COMMON MISTAKES
 
 // Mistake 1: Using wrong property name
 
-{
+function demoWrongPropertyName() {
   const user = { name: "Yash" };
 
   const { country } = user;
@@ -308,7 +419,7 @@ Why React loves this:
 // Mistake 2: Destructuring undefined object (crashes)
 // Fix: use safe fallback object (obj || {})
 
-{
+function demoUndefinedObject() {
   // ❌ WRONG
   // const obj = undefined;
   // const { a } = obj; // crash
@@ -327,7 +438,7 @@ If you are assigning to already-declared variables using object destructuring:
 You need parentheses around it.
 */
 
-{
+function demoReassignWithParentheses() {
   const user = {
     name: "Yash",
     country: "Bangladesh",
@@ -355,3 +466,31 @@ Object destructuring:
 Professionals use it everywhere because it improves readability
 and reduces small but dangerous mistakes.
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoBeforeES6();
+  demoES6Way();
+  demoOrderDoesNotMatter();
+  demoRenaming();
+  demoDefaultValues();
+  demoUserProfile();
+  demoRestProperties();
+  demoDestructureInBody();
+  demoParamDestructuring();
+  demoSafeParams();
+  demoReactStyle();
+  demoPropTypes();
+  demoApiResponse();
+  demoValidateResponse();
+  demoWrongPropertyName();
+  demoUndefinedObject();
+  demoReassignWithParentheses();
+}
@@ -23,6 +23,11 @@ Rule of thumb:
 - Extremely common in React props and API handlers
 */
 
+import { h, renderToTerminal } from "../lib/element.js";
+import { defineComponent } from "../lib/component.js";
+import { number, string, enumOf } from "../lib/schema.js";
+import { createOrder } from "../lib/order.js";
+
 // -----------------------------------------------------------------------------
 // BEFORE ES6
 
@@ -30,12 +35,12 @@ Rule of thumb:
 You pass the object, then inside you keep writing user.name, user.age.
 That becomes annoying and noisy in real apps.
 */
-{
-  function printUserOld(user) {
-    console.log(user.name); // Output: Yash
-    console.log(user.age); // Output: 21
-  }
+export function printUserOld(user) {
+  console.log(user.name); // Output: Yash
+  console.log(user.age); // Output: 21
+}
 
+function demoBeforeES6() {
   printUserOld({ name: "Yash", age: 21 });
 }
 
@@ -47,34 +52,34 @@ What happens here:
 The function immediately unpacks { name, age } from the passed object.
 So inside the function you can use name and age directly.
 */
-{
-  function printUser({ name, age }) {
-    console.log(name); // Output: Yash
-    console.log(age); // Output: 21
-  }
+export function printUser({ name, age }) {
+  console.log(name); // Output: Yash
+  console.log(age); // Output: 21
+}
 
+function demoES6Way() {
   printUser({ name: "Yash", age: 21 });
 }
 
 // -----------------------------------------------------------------------------
 // ONLY TAKE WHAT YOU NEED
-{
-  function showTitle({ title }) {
-    console.log(title); // Output: ES6 Course
-  }
+export function showTitle({ title }) {
+  console.log(title); // Output: ES6 Course
+}
 
+function demoOnlyWhatYouNeed() {
   showTitle({ title: "ES6 Course", level: "Beginner" });
 }
 
 // -----------------------------------------------------------------------------
 // REAL-LIFE EXAMPLE: ORDER SUMMARY
-{
-  function printOrderSummary({ orderId, total, paymentMethod }) {
-    console.log(`Order ID: ${orderId}`);
-    console.log(`Total: ${total} BDT`);
-    console.log(`Payment: ${paymentMethod}`);
-  }
+export function printOrderSummary({ orderId, total, paymentMethod }) {
+  console.log(`Order ID: ${orderId}`);
+  console.log(`Total: ${total} BDT`);
+  console.log(`Payment: ${paymentMethod}`);
+}
 
+function demoOrderSummary() {
   printOrderSummary({
     orderId: 5001,
     total: 1200,
@@ -83,15 +88,92 @@ So inside the function you can use name and age directly.
   });
 }
 
+/*
+`discount` above is silently ignored: destructuring just skips it.
+With propTypes, defineComponent (lib/component.js) warns about it instead.
+*/
+
+export const checkedOrderSummary = defineComponent(printOrderSummary, {
+  propTypes: {
+    orderId: number({ integer: true }),
+    total: number({ min: 0 }),
+    paymentMethod: enumOf(["Cash", "Card", "bKash"]),
+  },
+});
+
+function demoUnknownProp() {
+  const order = {
+    orderId: 5002,
+    total: 800,
+    paymentMethod: "Card",
+    discount: 100,
+  };
+
+  checkedOrderSummary(order);
+  // Output:
+  // Warning: printOrderSummary: unknown prop "discount" (known props: orderId, total, paymentMethod)
+  // Order ID: 5002
+  // Total: 800 BDT
+  // Payment: Card
+}
+
+// -----------------------------------------------------------------------------
+// A REAL ORDER BEHIND THE SUMMARY (lib/order.js)
+
+/*
+Above, `total` is typed in by hand and `discount` goes nowhere.
+createOrder() works the total out from the items, the discounts and the tax
+(in whole poisha, so no 0.30000000000000004),
+and getSummary() returns exactly the { orderId, total, paymentMethod } we destructure.
+*/
+
+function demoOrderInvoice() {
+  const order = createOrder({
+    orderId: 5003,
+    paymentMethod: "bKash",
+    issuedAt: "2026-01-15",
+  })
+    .addItem({ name: "Coffee", price: 150, quantity: 2 })
+    .addItem({ name: "Cake", price: 220, discount: { percent: 10 } })
+    .applyDiscount({ amount: 50 });
+
+  printOrderSummary(order.getSummary());
+  // Output:
+  // Order ID: 5003
+  // Total: 470.4 BDT
+  // Payment: bKash
+
+  console.log(order.toInvoice());
+  // Output:
+  // INVOICE #5003
+  // Date: 2026-01-15
+  // --------------------------------------------
+  // Coffee x2 @ 150.00                    300.00
+  // Cake x1 @ 220.00                      220.00
+  //   discount 10%                        -22.00
+  // --------------------------------------------
+  // Subtotal                              520.00
+  // Item discounts                        -22.00
+  // Order discount                        -50.00
+  // Tax (5%)                               22.40
+  // --------------------------------------------
+  // TOTAL                             470.40 BDT
+  // Payment: bKash
+
+  // The same invoice as data, e.g. for an API response
+  const { items, total } = order.toJSON();
+  console.log(items.length, total); // Output: 2 470.4
+}
+
 // -----------------------------------------------------------------------------
 // DEFAULT VALUES IN PARAMS
 
 // Defaults are used ONLY when value is undefined or missing.
-{
-  function greetUser({ name = "Guest" }) {
-    console.log(`Hello ${name}`);
-  }
+export function greetUser({ name = "Guest" }) {
+  console.log(`Hello ${name}`);
+}
 
+function demoDefaultValues() {
   greetUser({ name: "Rohan" }); // Hello Rohan
   greetUser({}); // Hello Guest
 }
@@ -105,11 +187,11 @@ If function is called without an argument,
 parameter becomes undefined and destructuring crashes.
 */
 
-{
-  function safeGreet({ name = "Guest" } = {}) {
-    console.log(`Hello ${name}`);
-  }
+export function safeGreet({ name = "Guest" } = {}) {
+  console.log(`Hello ${name}`);
+}
 
+function demoSafeFallback() {
   safeGreet({ name: "Rohan" }); // Hello Rohan
   safeGreet({}); // Hello Guest
   safeGreet(); // Hello Guest (safe)
@@ -117,12 +199,15 @@ parameter becomes undefined and destructuring crashes.
 
 // -----------------------------------------------------------------------------
 // RENAMING + DEFAULT TOGETHER
-{
-  function showProfile({ name: fullName = "Unknown", role = "Student" } = {}) {
-    console.log(fullName); // Output: Ayesha
-    console.log(role); // Output: Student
-  }
+export function showProfile({
+  name: fullName = "Unknown",
+  role = "Student",
+} = {}) {
+  console.log(fullName); // Output: Ayesha
+  console.log(role); // Output: Student
+}
 
+function demoRenameAndDefault() {
   showProfile({ name: "Ayesha" });
 }
 
@@ -130,12 +215,12 @@ parameter becomes undefined and destructuring crashes.
 // ARRAY DESTRUCTURING IN PARAMS
 
 // Sometimes functions receive tuples like [lat, lng].
-{
-  function printLocation([lat, lng]) {
-    console.log(lat); // 22.82
-    console.log(lng); // 89.55
-  }
+export function printLocation([lat, lng]) {
+  console.log(lat); // 22.82
+  console.log(lng); // 89.55
+}
 
+function demoArrayParams() {
   printLocation([22.82, 89.55]);
 }
 
@@ -143,13 +228,13 @@ parameter becomes undefined and destructuring crashes.
 // REAL-WORLD API HANDLER STYLE
 
 // Very common in Node / Express / NestJS
-{
-  function createUser({ name, email, role = "User" } = {}) {
-    console.log("Name:", name);
-    console.log("Email:", email);
-    console.log("Role:", role);
-  }
+export function createUser({ name, email, role = "User" } = {}) {
+  console.log("Name:", name);
+  console.log("Email:", email);
+  console.log("Role:", role);
+}
 
+function demoApiHandler() {
   createUser({
     name: "Rohan",
     email: "rohan@gmail.com",
@@ -165,21 +250,35 @@ Why React prefers this:
 - Destructuring shows exactly what the component needs
 */
 
-// NOTE: This is NOT real React rendering.
-// This only demonstrates destructuring logic.
-
-{
-  const Profile = ({ username, isOnline, city = "Unknown" }) => {
-    console.log(username); // Yash
-    console.log(isOnline); // true
-    console.log(city); // Khulna
-  };
-
-  Profile({
-    username: "Yash",
-    isOnline: true,
-    city: "Khulna",
-  });
+// NOTE: This is NOT real React.
+// h() and renderToTerminal() come from lib/element.js, a tiny stand-in
+// that turns the element tree a component returns into indented HTML.
+
+export const Profile = ({ username, isOnline, city = "Unknown", children }) =>
+  h(
+    "article",
+    { className: "profile" },
+    h("h3", null, username),
+    h("span", { className: isOnline ? "dot online" : "dot" }),
+    h("p", null, city),
+    children, // whatever is nested inside <Profile>...</Profile>
+  );
+
+function demoReactStyle() {
+  const profile = h(
+    Profile,
+    { username: "Yash", isOnline: true, city: "Khulna" },
+    h("button", { type: "button" }, "Follow"),
+  );
+
+  console.log(renderToTerminal(profile));
+  // Output:
+  // <article class="profile">
+  //   <h3>Yash</h3>
+  //   <span class="dot online"></span>
+  //   <p>Khulna</p>
+  //   <button type="button">Follow</button>
+  // </article>
 }
 
 // -----------------------------------------------------------------------------
@@ -199,12 +298,13 @@ So we use a fallback: ({ ... } = {}).
 //   console.log(name);
 // }
 // badGreet(); // would crash
-{
-  // ✅ Correct (safe fallback)
-  function safeGreet2({ name } = {}) {
-    console.log(name); // Output: undefined
-  }
 
+// ✅ Correct (safe fallback)
+export function safeGreet2({ name } = {}) {
+  console.log(name); // Output: undefined
+}
+
+function demoMissingFallback() {
   safeGreet2();
 }
 
@@ -217,12 +317,12 @@ So we use a fallback: ({ ... } = {}).
 // }
 // greet2(); // would crash because argument is undefined
 
-{
-  // ✅ Correct (default + fallback)
-  function greet2({ name = "Guest" } = {}) {
-    console.log(name); // Output: Guest
-  }
+// ✅ Correct (default + fallback)
+export function greet2({ name = "Guest" } = {}) {
+  console.log(name); // Output: Guest
+}
 
+function demoDefaultsWithFallback() {
   greet2();
 }
 
@@ -231,15 +331,15 @@ So we use a fallback: ({ ... } = {}).
 
 // If destructuring gets too complex, destructure step by step instead.
 
-{
-  function processUser(user) {
-    const { profile } = user;
-    const { name, city } = profile;
+export function processUser(user) {
+  const { profile } = user;
+  const { name, city } = profile;
 
-    console.log(name);
-    console.log(city);
-  }
+  console.log(name);
+  console.log(city);
+}
 
+function demoOverDestructuring() {
   processUser({
     profile: { name: "Rohan", city: "Dhaka" },
   });
@@ -256,3 +356,29 @@ Destructuring in function parameters:
 
 Mastering this means your functions become cleaner, safer, and easier to maintain.
 */
+
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoBeforeES6();
+  demoES6Way();
+  demoOnlyWhatYouNeed();
+  demoOrderSummary();
+  demoUnknownProp();
+  demoOrderInvoice();
+  demoDefaultValues();
+  demoSafeFallback();
+  demoRenameAndDefault();
+  demoArrayParams();
+  demoApiHandler();
+  demoReactStyle();
+  demoMissingFallback();
+  demoDefaultsWithFallback();
+  demoOverDestructuring();
+}
@@ -30,11 +30,15 @@ Rule of thumb:
 - If it becomes hard to read, destructure step by step
 */
 
+import { pick, field } from "../lib/pick.js";
+import { loadConfig } from "../lib/config.js";
+import { h, renderToString } from "../lib/element.js";
+
 // -----------------------------------------------------------------------------
 // BEFORE ES6
 // Deep access using dot notation again and again
 
-{
+function demoBeforeES6() {
   const userOld = {
     name: "Yash",
     address: {
@@ -54,7 +58,7 @@ Rule of thumb:
 // ES6 WAY (NESTED DESTRUCTURING)
 // Match the structure: address → { city, zip }
 
-{
+function demoES6Way() {
   const user = {
     name: "Yash",
     address: {
@@ -74,7 +78,7 @@ Rule of thumb:
 // -----------------------------------------------------------------------------
 // BASIC OBJECT INSIDE OBJECT
 
-{
+function demoObjectInsideObject() {
   const company = {
     companyName: "TechSoft",
     owner: {
@@ -95,7 +99,7 @@ Rule of thumb:
 // REAL-WORLD API RESPONSE EXAMPLE
 // API responses are usually deeply nested.
 
-{
+function demoApiResponse() {
   const apiResponse = {
     status: "ok",
     data: {
@@ -126,7 +130,7 @@ Rule of thumb:
 // -----------------------------------------------------------------------------
 // RENAMING DURING NESTED DESTRUCTURING
 
-{
+function demoRenaming() {
   const apiResponse = {
     data: {
       user: {
@@ -152,7 +156,7 @@ Rule of thumb:
 // ARRAY + OBJECT NESTED DESTRUCTURING
 // Common pattern: array of objects
 
-{
+function demoArrayOfObjects() {
   const posts = [
     { id: 1, title: "Learn ES6", author: { name: "Yash" } },
     { id: 2, title: "Learn React", author: { name: "Ayesha" } },
@@ -173,7 +177,7 @@ Rule of thumb:
 // DEFAULT VALUES IN NESTED DESTRUCTURING
 // Defaults are used when value is missing or undefined
 
-{
+function demoNestedDefaults() {
   const profileData = {
     user: {
       name: "Yash",
@@ -193,14 +197,10 @@ Rule of thumb:
 // SAFETY: AVOID CRASH WHEN PARENT OBJECT IS MISSING
 // Without fallback (= {}), this would crash.
 
-{
+function demoMissingParent() {
   const data = {};
 
-  const { 
-    user: { 
-      profile: { name = "Unknown" } = {} 
-    } = {} 
-  } = data;
+  const { user: { profile: { name = "Unknown" } = {} } = {} } = data;
 
   console.log(name); // "Unknown"
 }
@@ -214,45 +214,128 @@ No crash, clean output
 Key takeaway:
 Each = {} guards one level of nesting.
 Each default (= "Unknown") guards one value.
+
+To get this explanation (and the ES5 code) for any pattern:
+node tools/explain-destructuring.js "02. Destructuring/04. Nested-Destructuring.js" --line 203
+*/
+
+// -----------------------------------------------------------------------------
+// THE SAME SAFETY WITHOUT GUARD CHAINS (lib/pick.js)
+
+/*
+pick(source, shape) takes a shape that mirrors the destructuring pattern.
+Missing levels never crash, so no `= {}` is needed.
+It also tells you WHICH paths were missing.
 */
 
+function demoPick() {
+  const apiResponse = {
+    status: "ok",
+    data: {
+      user: {
+        id: 7,
+        profile: { fullName: "Giash Uddin" },
+        skills: ["JavaScript", "React"],
+      },
+    },
+  };
+
+  const { values, missing } = pick(apiResponse, {
+    status: true,
+    data: {
+      user: {
+        id: true,
+        profile: {
+          fullName: "name", // rename, like fullName: name
+          city: field({ as: "userCity", default: "Unknown" }),
+          phone: true,
+        },
+        skills: ["firstSkill"], // array position 0
+      },
+    },
+  });
+
+  console.log(values);
+  // Output: { status: "ok", id: 7, name: "Giash Uddin", userCity: "Unknown", phone: undefined, firstSkill: "JavaScript" }
+
+  console.log(missing); // Output: ["data.user.profile.phone"]
+
+  // Even an empty response is safe
+  const { values: empty } = pick({}, { data: { user: { id: true } } });
+  console.log(empty); // Output: { id: undefined }
+}
+
 // -----------------------------------------------------------------------------
 // FUNCTION PARAM WITH NESTED DESTRUCTURING
 // Very common in config objects
 
-{
-  function connectDatabase({ db: { host, port = 5432 } = {} } = {}) {
-    console.log(host); // Output: localhost
-    console.log(port); // Output: 5432
-  }
+export function connectDatabase({ db: { host, port = 5432 } = {} } = {}) {
+  console.log(host); // Output: localhost
+  console.log(port); // Output: 5432
+}
 
+function demoFunctionParams() {
   connectDatabase({ db: { host: "localhost" } });
 }
 
+/*
+Where does that config object come from in a real app?
+lib/config.js builds it from layers: defaults → .env / JSON file → environment → overrides.
+DB_HOST and DB_PORT are mapped to db.host and db.port,
+and "5432" (text) becomes 5432 (a number) because the default is a number.
+*/
+
+function demoLoadConfig() {
+  const config = loadConfig({
+    defaults: { db: { host: "127.0.0.1", port: 3306 } },
+    env: { DB_HOST: "localhost", DB_PORT: "5432" }, // normally process.env
+    required: ["db.host"],
+  });
+
+  // The same shape connectDatabase destructures
+  const {
+    db: { host, port },
+  } = config;
+
+  console.log(host, port); // Output: localhost 5432
+  console.log(typeof port); // Output: number
+  console.log(Object.isFrozen(config.db)); // Output: true
+}
+
 // -----------------------------------------------------------------------------
 // REACT-STYLE EXAMPLE (LOGIC ONLY, NO JSX)
 // Props are often nested: props.user.profile
 
-// NOTE: This is NOT real React rendering.
-// This only demonstrates destructuring logic.
-
-{
-  function UserCard(props) {
-    const {
-      user: {
-        profile: { name, city },
-      },
-    } = props;
-
-    console.log(name); // Output: Yash
-    console.log(city); // Output: Khulna
-  }
+// NOTE: This is NOT real React.
+// h() and renderToString() come from lib/element.js, a tiny stand-in
+// that turns the element tree a component returns into HTML.
 
-  UserCard({
+export function UserCard(props) {
+  const {
     user: {
-      profile: { name: "Yash", city: "Khulna" },
+      profile: { name, city },
     },
-  });
+  } = props;
+
+  return h("li", { className: "user-card" }, `${name} (${city})`);
+}
+
+// Components can be nested inside other elements
+export const UserList = ({ users }) =>
+  h(
+    "ul",
+    null,
+    users.map((user) => h(UserCard, { user })),
+  );
+
+function demoReactStyle() {
+  const users = [
+    { profile: { name: "Yash", city: "Khulna" } },
+    { profile: { name: "Ayesha", city: "Dhaka" } },
+  ];
+
+  console.log(renderToString(h(UserList, { users })));
+  // Output: <ul><li class="user-card">Yash (Khulna)</li><li class="user-card">Ayesha (Dhaka)</li></ul>
 }
 
 // -----------------------------------------------------------------------------
@@ -260,7 +343,7 @@ Each default (= "Unknown") guards one value.
 
 // Mistake 1: Destructuring deep values without safety
 
-{
+function demoUnsafeDeepValues() {
   // ❌ WRONG (would crash)
   // const badData = {};
   // const { user: { profile: { name } } } = badData;
@@ -277,7 +360,7 @@ Each default (= "Unknown") guards one value.
 // Mistake 2: Making destructuring unreadable
 // If destructuring becomes hard to understand, break it into steps.
 
-{
+function demoStepByStep() {
   const bigData = {
     user: {
       profile: { name: "Ayesha", city: "Dhaka" },
@@ -306,3 +389,27 @@ Professionals use nested destructuring daily,
 especially when handling API responses and React props.
 */
 
+// -----------------------------------------------------------------------------
+// RUN THE DEMO
+
+/*
+Importing this file only gives you the exported functions (no console output).
+Call runDemo() to run every example above in order and see the output.
+*/
+
+export function runDemo() {
+  demoBeforeES6();
+  demoES6Way();
+  demoObjectInsideObject();
+  demoApiResponse();
+  demoRenaming();
+  demoArrayOfObjects();
+  demoNestedDefaults();
+  demoMissingParent();
+  demoPick();
+  demoFunctionParams();
+  demoLoadConfig();
+  demoReactStyle();
+  demoUnsafeDeepValues();
+  demoStepByStep();
+}
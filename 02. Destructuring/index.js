@@ -0,0 +1,38 @@
+/*
+
+DESTRUCTURING (CHAPTER INDEX)
+
+Every lesson in this chapter is an ES module.
+This file gathers them so the whole chapter can be imported at once:
+
+import { arrayDestructuring } from "./02. Destructuring/index.js";
+const [min, max] = arrayDestructuring.getMinMax([3, 10, 1, 8]);
+
+Why namespaces?
+Several lessons use the same example names (greetUser, createUser, runDemo).
+Exporting each lesson as its own object keeps those names from clashing.
+*/
+
+import * as arrayDestructuring from "./01. Array-Destructuring.js";
+import * as objectDestructuring from "./02. Object-Destructuring.js";
+import * as functionParams from "./03. Function-Params.js";
+import * as nestedDestructuring from "./04. Nested-Destructuring.js";
+
+export {
+  arrayDestructuring,
+  objectDestructuring,
+  functionParams,
+  nestedDestructuring,
+};
+
+// Runs the demo of every lesson in this chapter, in order (async demos are awaited)
+export async function runDemo() {
+  for (const lesson of [
+    arrayDestructuring,
+    objectDestructuring,
+    functionParams,
+    nestedDestructuring,
+  ]) {
+    await lesson.runDemo();
+  }
+}
@@ -0,0 +1,69 @@
+/*
+
+EXERCISES: ARROW FUNCTIONS
+
+Lesson: 01. Core-Syntax/03. Arrow-Functions.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/01. Core-Syntax/03. Arrow-Functions.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: IMPLICIT RETURN
+
+// Write `double` as a ONE-LINE arrow function (no { }, no return keyword).
+// double(4) → 8
+
+export const double = (number) => {
+  // Your code here
+};
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: RETURNING AN OBJECT
+
+// Write `createUser` so it returns { userName: name } using implicit return.
+// createUser("Yash") → { userName: "Yash" }
+// Careful: this is the "COMMON MISTAKE" from the lesson.
+
+export const createUser = (name) => {
+  // Your code here
+};
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: filter()
+
+// Return only the ages that are 18 or more.
+// getAdults([12, 18, 22, 15, 30]) → [18, 22, 30]
+// The original array must NOT change.
+
+export const getAdults = (ages) => {
+  // Your code here
+};
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: REST PARAMETERS
+
+// Add up every number passed in, however many there are.
+// sumAll(1, 2, 3, 4) → 10
+// sumAll() → 0
+// Arrow functions have no `arguments`, so use ...numbers.
+
+export const sumAll = () => {
+  // Your code here
+};
+
+// -----------------------------------------------------------------------------
+// EXERCISE 5: filter() + map()
+
+// Return the names of the active users only.
+// getActiveNames([
+//   { id: 1, name: "Yash", active: true },
+//   { id: 2, name: "Ayesha", active: false },
+// ]) → ["Yash"]
+
+export const getActiveNames = (users) => {
+  // Your code here
+};
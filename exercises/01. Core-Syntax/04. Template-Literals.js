@@ -0,0 +1,53 @@
+/*
+
+EXERCISES: TEMPLATE LITERALS
+
+Lesson: 01. Core-Syntax/04. Template-Literals.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/01. Core-Syntax/04. Template-Literals.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: VARIABLES INSIDE ${ }
+
+// introduce("Yash", 21) → "My name is Yash and I am 21 years old."
+// Use a template literal, not + concatenation.
+
+export function introduce(name, age) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: EXPRESSIONS INSIDE ${ }
+
+// sumSentence(5, 3) → "The sum of 5 and 3 is 8."
+
+export function sumSentence(a, b) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: TERNARY INSIDE A TEMPLATE LITERAL
+
+// notificationText("Yash", 3) → "Hello Yash, you have 3 new messages."
+// notificationText("Yash", 1) → "Hello Yash, you have 1 new message."
+
+export function notificationText(userName, count) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: MULTI-LINE STRINGS
+
+// Return these three lines joined by line breaks (no \n allowed!):
+// Hello
+// Welcome to ES6
+// This is easy to read
+
+export function welcomeCard() {
+  // Your code here
+}
@@ -0,0 +1,55 @@
+/*
+
+EXERCISES: DEFAULT PARAMETERS
+
+Lesson: 01. Core-Syntax/05. Default-Parameters.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/01. Core-Syntax/05. Default-Parameters.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: ONE DEFAULT
+
+// Return the price with tax added. Tax is 5 (%) when it is not given.
+// calculateTotal(100) → 105
+// calculateTotal(100, 10) → 110
+
+export function calculateTotal(price, tax) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: TWO DEFAULTS
+
+// makeCoffee() → "Making Black coffee with 1 spoon of sugar"
+// makeCoffee("Latte") → "Making Latte coffee with 1 spoon of sugar"
+// makeCoffee("Cappuccino", 2) → "Making Cappuccino coffee with 2 spoons of sugar"
+
+export function makeCoffee(type, sugar) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: DEFAULTS ONLY REPLACE undefined
+
+// createUser() → { name: "Guest", role: "User" }
+// createUser("Yash", "Admin") → { name: "Yash", role: "Admin" }
+// createUser("", null) → { name: "", role: null }   ← "" and null are real values
+
+export function createUser(name, role) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: A DEFAULT THAT USES AN EARLIER PARAMETER
+
+// welcome("Yash") → "Hello Yash"
+// welcome("Yash", "Good Morning") → "Good Morning"
+
+export function welcome(name, greeting) {
+  // Your code here
+}
@@ -0,0 +1,56 @@
+/*
+
+EXERCISES: ARRAY DESTRUCTURING
+
+Lesson: 02. Destructuring/01. Array-Destructuring.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/02. Destructuring/01. Array-Destructuring.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: RETURN MULTIPLE VALUES
+
+// Write getMinMax that returns [min, max].
+// getMinMax([3, 10, 1, 8]) → [1, 10]
+// getMinMax([-5]) → [-5, -5]
+
+export function getMinMax(numbers) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: SWAPPING
+
+// Return the two values in the opposite order, using destructuring.
+// swap(["Tea", "Coffee"]) → ["Coffee", "Tea"]
+
+export function swap(pair) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: REST ELEMENT
+
+// Split the scores with const [first, second, ...rest] = scores.
+// splitScores([80, 90, 75, 60]) → { firstScore: 80, secondScore: 90, restScores: [75, 60] }
+
+export function splitScores(scores) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: DEFAULT VALUE + SAFE FALLBACK
+
+// Return the first item, or `fallback` when there is none.
+// firstOrDefault(["red"], "none") → "red"
+// firstOrDefault([], "none") → "none"
+// firstOrDefault(undefined, "none") → "none"   ← must not crash
+// firstOrDefault([null], "none") → null        ← null is a real value
+
+export function firstOrDefault(list, fallback) {
+  // Your code here
+}
@@ -0,0 +1,56 @@
+/*
+
+EXERCISES: OBJECT DESTRUCTURING
+
+Lesson: 02. Destructuring/02. Object-Destructuring.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/02. Destructuring/02. Object-Destructuring.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: PICK PROPERTIES
+
+// describeProfile({ fullName: "Rohan", city: "Dhaka", phone: "01700000000" })
+// → "Rohan lives in Dhaka."
+
+export function describeProfile(profile) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: DEFAULT VALUES
+
+// Read theme, language and layout with defaults "light", "en" and "grid".
+// readSettings({ theme: "dark", language: undefined, layout: null })
+// → { theme: "dark", language: "en", layout: null }
+
+export function readSettings(settings) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: REST PROPERTIES
+
+// Return a copy of the employee WITHOUT its id.
+// getPublicProfile({ id: 101, name: "Ayesha", role: "Developer" })
+// → { name: "Ayesha", role: "Developer" }
+// The original object must NOT change.
+
+export function getPublicProfile(employee) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: RENAMING
+
+// The API calls it `name`, but our code wants `userName`.
+// Destructure with renaming and return the greeting.
+// greetFromApi({ name: "Rohan" }) → "Welcome, Rohan"
+
+export function greetFromApi(apiUser) {
+  // Your code here
+}
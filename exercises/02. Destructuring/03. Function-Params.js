@@ -0,0 +1,54 @@
+/*
+
+EXERCISES: DESTRUCTURING IN FUNCTION PARAMETERS
+
+Lesson: 02. Destructuring/03. Function-Params.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/02. Destructuring/03. Function-Params.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: THE = {} FALLBACK
+
+// safeGreet({ name: "Rohan" }) → "Hello Rohan"
+// safeGreet({}) → "Hello Guest"
+// safeGreet() → "Hello Guest"   ← must survive being called with no argument
+
+export function safeGreet(options) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: ONLY TAKE WHAT YOU NEED
+
+// Destructure orderId, total and paymentMethod right in the parameter list.
+// orderSummary({ orderId: 5001, total: 1200, paymentMethod: "Cash", discount: 100 })
+// → "Order 5001: 1200 BDT (Cash)"
+
+export function orderSummary(order) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: RENAMING + DEFAULT TOGETHER
+
+// showProfile({ name: "Ayesha" }) → "Ayesha (Student)"
+// showProfile({ name: "Yash", role: "Mentor" }) → "Yash (Mentor)"
+// showProfile() → "Unknown (Student)"
+
+export function showProfile(profile) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: ARRAY DESTRUCTURING IN PARAMS
+
+// formatLocation([22.82, 89.55]) → "lat: 22.82, lng: 89.55"
+
+export function formatLocation(location) {
+  // Your code here
+}
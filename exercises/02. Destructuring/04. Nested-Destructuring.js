@@ -0,0 +1,62 @@
+/*
+
+EXERCISES: NESTED DESTRUCTURING
+
+Lesson: 02. Destructuring/04. Nested-Destructuring.js
+
+How to work:
+- Replace every "Your code here" with your solution
+- Keep the function names and the `export` keyword (the grader imports them)
+- Check yourself with:
+  node tools/grade.js "exercises/02. Destructuring/04. Nested-Destructuring.js"
+*/
+
+// -----------------------------------------------------------------------------
+// EXERCISE 1: NESTED CONFIG WITH DEFAULTS
+
+// Return { host, port } from config.db.
+// port defaults to 5432, host defaults to "localhost".
+// connectDatabase({ db: { host: "db.local" } }) → { host: "db.local", port: 5432 }
+// connectDatabase({}) → { host: "localhost", port: 5432 }
+// connectDatabase() → { host: "localhost", port: 5432 }   ← must not crash
+
+export function connectDatabase(config) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 2: DEEP API RESPONSE
+
+// Return apiResponse.data.user.profile.city, or "Unknown" when any level is missing.
+// getUserCity({ data: { user: { profile: { city: "Dhaka" } } } }) → "Dhaka"
+// getUserCity({ data: {} }) → "Unknown"
+// getUserCity({}) → "Unknown"
+
+export function getUserCity(apiResponse) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 3: ARRAY + OBJECT
+
+// Return the title and author name of the FIRST post.
+// getFirstPost([
+//   { id: 1, title: "Learn ES6", author: { name: "Yash" } },
+//   { id: 2, title: "Learn React", author: { name: "Ayesha" } },
+// ]) → { title: "Learn ES6", author: "Yash" }
+
+export function getFirstPost(posts) {
+  // Your code here
+}
+
+// -----------------------------------------------------------------------------
+// EXERCISE 4: NESTED RENAMING
+
+// React-style props: { user: { profile: { name, city } } }
+// Rename name → displayName while destructuring.
+// userCardTitle({ user: { profile: { name: "Yash", city: "Khulna" } } })
+// → "Yash from Khulna"
+
+export function userCardTitle(props) {
+  // Your code here
+}
@@ -0,0 +1,262 @@
+/*
+
+COFFEE ORDERS (MENU, QUEUE AND RECEIPT)
+
+What this is:
+`makeCoffee(type = "Black", sugar = 1)` from 01. Core-Syntax/05. Default-Parameters.js
+only prints a sentence, and with two positional parameters
+there is no room for a size, milk or extras.
+Here one options object is destructured with a default for every field:
+
+order({ type = "Black", size = "Medium", milk, sugar = 1, extras = [] } = {})
+
+so order() and order({ type: "Latte", milk: "Oat" }) both work.
+
+Features:
+- a menu with drinks, sizes, milk options and extras (all with prices)
+- invalid combinations are rejected (Black coffee with milk, an extra shot in tea)
+- a queue where every order goes queued → brewing → ready
+- a receipt for one or more orders (built with lib/order.js)
+
+How to use:
+import { createCoffeeShop } from "./lib/coffee-order.js";
+
+const shop = createCoffeeShop();
+const latte = shop.order({ type: "Latte", size: "Large", milk: "Oat" });
+
+shop.describe(latte);   → "Large Latte with Oat milk and 1 spoon of sugar"
+shop.startNext();       → the oldest queued order is now "brewing"
+shop.markReady(latte.id);
+console.log(shop.receipt([latte.id]));
+*/
+
+import { ValidationError } from "./result.js";
+import { createOrder } from "./order.js";
+
+// -----------------------------------------------------------------------------
+// THE MENU
+
+/*
+Prices are in BDT.
+milk: "always"   → the drink is made with milk (Regular unless you pick another)
+      "optional" → no milk unless you ask for it
+      "never"    → asking for milk is an error
+notFor: drinks an extra cannot be added to
+*/
+export const MENU = Object.freeze({
+  drinks: {
+    Black: { price: 120, milk: "never" },
+    Latte: { price: 180, milk: "always" },
+    Cappuccino: { price: 190, milk: "always" },
+    Mocha: { price: 210, milk: "always" },
+    Tea: { price: 80, milk: "optional" },
+  },
+  sizes: { Small: 0, Medium: 30, Large: 60 },
+  milk: { Regular: 0, Oat: 40, Almond: 50 },
+  extras: {
+    "Extra shot": { price: 50, notFor: ["Tea"] },
+    "Vanilla syrup": { price: 30 },
+    "Whipped cream": { price: 25, notFor: ["Black", "Tea"] },
+  },
+  maxSugar: 5,
+});
+
+// Every status and the ONE status it may move to
+const NEXT_STATUS = { queued: "brewing", brewing: "ready", ready: null };
+
+const list = (object) => Object.keys(object).join(", ");
+
+// Collects every problem instead of stopping at the first one
+function checkDrink({ type, size, milk, sugar, extras }, menu) {
+  const problems = [];
+  const drink = Object.hasOwn(menu.drinks, type) ? menu.drinks[type] : null;
+
+  if (!drink) {
+    problems.push(`Unknown drink "${type}" (menu: ${list(menu.drinks)})`);
+  }
+  if (!Object.hasOwn(menu.sizes, size)) {
+    problems.push(`Unknown size "${size}" (sizes: ${list(menu.sizes)})`);
+  }
+
+  if (milk !== null && !Object.hasOwn(menu.milk, milk)) {
+    problems.push(`Unknown milk "${milk}" (milk: ${list(menu.milk)})`);
+  } else if (milk !== null && drink?.milk === "never") {
+    problems.push(`${type} is served without milk (try a Latte)`);
+  }
+
+  if (!Number.isInteger(sugar) || sugar < 0 || sugar > menu.maxSugar) {
+    problems.push(
+      `Sugar must be a whole number from 0 to ${menu.maxSugar}, got ${sugar}`,
+    );
+  }
+
+  if (!Array.isArray(extras)) {
+    problems.push(`Extras must be an array, got ${typeof extras}`);
+  } else {
+    for (const extra of extras) {
+      if (!Object.hasOwn(menu.extras, extra)) {
+        problems.push(
+          `Unknown extra "${extra}" (extras: ${list(menu.extras)})`,
+        );
+      } else if (menu.extras[extra].notFor?.includes(type)) {
+        problems.push(`"${extra}" cannot be added to ${type}`);
+      }
+    }
+
+    if (new Set(extras).size !== extras.length) {
+      problems.push("Each extra can be added only once");
+    }
+  }
+
+  return problems;
+}
+
+// -----------------------------------------------------------------------------
+// THE SHOP
+
+let drinkCount = 0;
+
+export function createCoffeeShop({
+  menu = MENU,
+  clock = () => new Date(),
+} = {}) {
+  // Orders in the order they were placed (a Map keeps insertion order)
+  const orders = new Map();
+
+  const priceOf = ({ type, size, milk, extras }) =>
+    menu.drinks[type].price +
+    menu.sizes[size] +
+    (milk ? menu.milk[milk] : 0) +
+    extras.reduce((total, extra) => total + menu.extras[extra].price, 0);
+
+  const find = (id) => {
+    const found = orders.get(id);
+    if (!found) throw new ValidationError(`No coffee order with id "${id}"`);
+    return found;
+  };
+
+  // Orders are frozen, a status change stores a new copy
+  function moveTo(id, status) {
+    const current = find(id);
+
+    if (NEXT_STATUS[current.status] !== status) {
+      throw new ValidationError(
+        `Order ${id} is ${current.status}, it cannot become ${status}`,
+      );
+    }
+
+    const updated = Object.freeze({
+      ...current,
+      status,
+      updatedAt: clock().toISOString(),
+    });
+    orders.set(id, updated);
+    return updated;
+  }
+
+  return Object.freeze({
+    menu,
+
+    // The options-object version of makeCoffee(type = "Black", sugar = 1)
+    order({
+      type = "Black",
+      size = "Medium",
+      milk,
+      sugar = 1,
+      extras = [],
+      customer = "Guest",
+    } = {}) {
+      // No milk given → Regular for milk drinks, none for the rest
+      const chosenMilk =
+        milk ?? (menu.drinks[type]?.milk === "always" ? "Regular" : null);
+      const drink = { type, size, milk: chosenMilk, sugar, extras };
+      const problems = checkDrink(drink, menu);
+
+      if (problems.length > 0) {
+        throw new ValidationError(
+          `Invalid coffee order:\n- ${problems.join("\n- ")}`,
+          { details: problems },
+        );
+      }
+
+      const placed = Object.freeze({
+        id: `drink-${++drinkCount}`,
+        customer,
+        ...drink,
+        extras: Object.freeze([...extras]),
+        price: priceOf(drink),
+        status: "queued",
+        updatedAt: clock().toISOString(),
+      });
+
+      orders.set(placed.id, placed);
+      return placed;
+    },
+
+    describe({ type, size, milk, sugar, extras }) {
+      const parts = [
+        milk ? `${milk} milk` : null,
+        `${sugar} spoon${sugar === 1 ? "" : "s"} of sugar`,
+        ...extras,
+      ].filter(Boolean);
+
+      const last = parts.pop();
+      const rest = parts.length > 0 ? `${parts.join(", ")} and ` : "";
+      return `${size} ${type} with ${rest}${last}`;
+    },
+
+    // Starts brewing the order that has waited the longest
+    startNext() {
+      for (const placed of orders.values()) {
+        if (placed.status === "queued") return moveTo(placed.id, "brewing");
+      }
+      return null;
+    },
+
+    markReady: (id) => moveTo(id, "ready"),
+
+    getOrder: find,
+
+    // Everything that is not ready yet, oldest first
+    getQueue() {
+      return [...orders.values()].filter((placed) => placed.status !== "ready");
+    },
+
+    // One line for the drink, one for every add-on that costs extra
+    receipt(
+      ids,
+      { orderId, paymentMethod = "Cash", taxRate = 0, issuedAt } = {},
+    ) {
+      const receiptOrder = createOrder({
+        orderId,
+        taxRate,
+        paymentMethod,
+        issuedAt: issuedAt ?? clock(),
+      });
+
+      for (const id of ids) {
+        const { type, size, milk, extras } = find(id);
+
+        receiptOrder.addItem({
+          name: `${size} ${type}`,
+          price: menu.drinks[type].price + menu.sizes[size],
+        });
+
+        if (milk && menu.milk[milk] > 0) {
+          receiptOrder.addItem({
+            name: `+ ${milk} milk`,
+            price: menu.milk[milk],
+          });
+        }
+        for (const extra of extras) {
+          receiptOrder.addItem({
+            name: `+ ${extra}`,
+            price: menu.extras[extra].price,
+          });
+        }
+      }
+
+      return receiptOrder.toInvoice();
+    },
+  });
+}
@@ -0,0 +1,126 @@
+/*
+
+COMPONENTS WITH DEFAULT PROPS AND PROP TYPES
+
+What this is:
+`Button = ({ text = "Click Me" })` and
+`ProfileCard({ username, isOnline, city = "Unknown" })` only use destructuring defaults.
+Nothing tells you when a prop is missing, has the wrong type,
+or is not used at all (like `discount` passed to printOrderSummary).
+
+defineComponent(fn, { defaultProps, propTypes }) wraps a component and:
+- fills in defaultProps (for missing or undefined props, like React)
+- checks props against propTypes (schemas from lib/schema.js) in development
+- warns about unknown props
+Warnings name the component and the prop, and each one is shown only once.
+
+How to use:
+import { defineComponent } from "./lib/component.js";
+import { string, boolean, optional } from "./lib/schema.js";
+
+const ProfileCard = defineComponent(
+  function ProfileCard({ username, isOnline, city }) { ... },
+  {
+    defaultProps: { city: "Unknown" },
+    propTypes: {
+      username: string(),               // required
+      isOnline: optional(boolean()),    // may be left out
+      city: string(),
+    },
+  },
+);
+
+ProfileCard({ username: 7, discount: 10 });
+→ Warning: ProfileCard: prop "username" expected string, got number
+→ Warning: ProfileCard: unknown prop "discount" (known props: username, isOnline, city)
+
+Development vs production:
+Checks run unless NODE_ENV is "production" (then only defaults are applied).
+Warnings go to console.warn, or to the `onWarning` function you pass.
+*/
+
+const isDevelopment = () => globalThis.process?.env?.NODE_ENV !== "production";
+
+// Props every component may receive without listing them
+const BUILT_IN_PROPS = new Set(["children", "key"]);
+
+// -----------------------------------------------------------------------------
+// CHECKING PROPS
+
+function checkProps(name, props, propTypes) {
+  const warnings = [];
+
+  for (const [prop, schema] of Object.entries(propTypes)) {
+    const value = props[prop];
+
+    if (value === undefined) {
+      if (!schema.optional) {
+        warnings.push(`${name}: missing required prop "${prop}"`);
+      }
+      continue;
+    }
+
+    // A schema reports its problems into context.issues (see lib/schema.js)
+    const context = { coerce: false, defaults: false, issues: [] };
+    schema.check(value, prop, context);
+
+    for (const { path, message } of context.issues) {
+      warnings.push(`${name}: prop "${path}" ${message}`);
+    }
+  }
+
+  const known = Object.keys(propTypes);
+
+  for (const prop of Object.keys(props)) {
+    if (!BUILT_IN_PROPS.has(prop) && !Object.hasOwn(propTypes, prop)) {
+      warnings.push(
+        `${name}: unknown prop "${prop}" (known props: ${known.join(", ")})`,
+      );
+    }
+  }
+
+  return warnings;
+}
+
+// -----------------------------------------------------------------------------
+// DEFINING A COMPONENT
+
+export function defineComponent(
+  component,
+  {
+    name = component.name || "Component",
+    defaultProps = {},
+    propTypes,
+    onWarning = (message) => console.warn(`Warning: ${message}`),
+  } = {},
+) {
+  // The same warning is shown once per component (renders happen often)
+  const shown = new Set();
+
+  function Component(props = {}) {
+    const merged = { ...defaultProps };
+
+    for (const [prop, value] of Object.entries(props)) {
+      if (value !== undefined) merged[prop] = value;
+    }
+
+    if (propTypes && isDevelopment()) {
+      for (const message of checkProps(name, merged, propTypes)) {
+        if (shown.has(message)) continue;
+
+        shown.add(message);
+        onWarning(message);
+      }
+    }
+
+    return component(merged);
+  }
+
+  // Makes the wrapper show up with the real name in stack traces and errors
+  Object.defineProperty(Component, "name", { value: name });
+
+  Component.defaultProps = Object.freeze({ ...defaultProps });
+  Component.propTypes = propTypes && Object.freeze({ ...propTypes });
+
+  return Component;
+}
@@ -0,0 +1,258 @@
+/*
+
+CONFIG LOADER
+
+What this is:
+`connectDatabase({ db: { host, port = 5432 } = {} } = {})` in
+02. Destructuring/04. Nested-Destructuring.js expects a nested config object.
+loadConfig() builds that object from several layers, later layers win:
+
+1. defaults      → the object you pass in code
+2. file          → a .json file, or a .env style file (KEY=value lines)
+3. environment   → DB_HOST, DB_PORT... (process.env by default)
+4. overrides     → the object you pass in code (tests, command line flags)
+
+How to use:
+import { loadConfig } from "./lib/config.js";
+
+const config = loadConfig({
+  defaults: { db: { host: "localhost", port: 5432, ssl: false } },
+  file: ".env",
+  required: ["db.host"],
+});
+
+connectDatabase(config);  → the result is frozen and ready to destructure
+
+How environment variables are matched:
+Every key path in `defaults` (and in `required`) gets an environment name:
+db.host → DB_HOST,  db.maxConnections → DB_MAX_CONNECTIONS
+With envPrefix: "APP_", db.host → APP_DB_HOST.
+Only those names are read, so PATH or HOME never leak into the config.
+
+Type coercion:
+Environment variables and .env files only contain text.
+A value is converted to the type of its default:
+"5432" → 5432 when the default is a number,
+"true" / "false" / "1" / "0" / "yes" / "no" / "on" / "off" → a boolean when the default is a boolean.
+A value that cannot be converted throws a ConfigError.
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { AppError } from "./result.js";
+import { isPlainObject, parseBoolean } from "./values.js";
+
+export class ConfigError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "CONFIG", ...options });
+    this.name = "ConfigError";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// HELPERS
+
+// Objects are merged key by key, everything else (arrays too) is replaced
+export function deepMerge(target, source) {
+  const result = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value;
+  }
+
+  return result;
+}
+
+function deepFreeze(value) {
+  if (value !== null && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// { db: { host, port } } → ["db.host", "db.port"]
+const leafPaths = (object, parent = "") =>
+  Object.entries(object).flatMap(([key, value]) => {
+    const keyPath = parent ? `${parent}.${key}` : key;
+    return isPlainObject(value) ? leafPaths(value, keyPath) : [keyPath];
+  });
+
+const getPath = (object, keyPath) =>
+  keyPath
+    .split(".")
+    .reduce(
+      (value, key) => (isPlainObject(value) ? value[key] : undefined),
+      object,
+    );
+
+// setPath({}, "db.host", "x") → { db: { host: "x" } } (a new object)
+const setPath = (object, keyPath, value) =>
+  deepMerge(
+    object,
+    keyPath.split(".").reduceRight((inner, key) => ({ [key]: inner }), value),
+  );
+
+// db.maxConnections → DB_MAX_CONNECTIONS
+export const envNameFor = (keyPath, prefix = "") =>
+  prefix +
+  keyPath
+    .split(".")
+    .map((key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2"))
+    .join("_")
+    .toUpperCase();
+
+// -----------------------------------------------------------------------------
+// .env FILES
+
+/*
+KEY=value lines. Also understands:
+# comments, empty lines, `export KEY=value`, and "quoted" or 'quoted' values.
+*/
+export function parseEnvFile(text) {
+  const values = {};
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const match = line.match(
+      /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/,
+    );
+
+    if (!match) {
+      throw new ConfigError(
+        `Line ${index + 1} of the .env file is not KEY=value: ${line}`,
+      );
+    }
+
+    const [, key, rawValue] = match;
+    const quoted = rawValue.match(/^(["'])(.*)\1$/);
+
+    // Unquoted values may have a trailing comment: PORT=5432 # default port
+    values[key] = quoted ? quoted[2] : rawValue.replace(/\s+#.*$/, "");
+  });
+
+  return values;
+}
+
+// A missing file is skipped (like dotenv), so the same code runs with or without one
+function readFileLayer(file) {
+  if (!file || !fs.existsSync(file)) return { values: {}, envStyle: false };
+
+  const text = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file) === ".json") {
+    try {
+      return { values: JSON.parse(text), envStyle: false };
+    } catch (error) {
+      throw new ConfigError(`${file} is not valid JSON: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  return { values: parseEnvFile(text), envStyle: true };
+}
+
+// -----------------------------------------------------------------------------
+// COERCION
+
+function coerce(text, defaultValue, keyPath, source) {
+  const fail = (type) => {
+    throw new ConfigError(
+      `${keyPath}: expected ${type} from ${source}, got "${text}"`,
+    );
+  };
+
+  if (typeof defaultValue === "number") {
+    const number = Number(text);
+    return text.trim() !== "" && Number.isFinite(number)
+      ? number
+      : fail("a number");
+  }
+
+  if (typeof defaultValue === "boolean") {
+    return parseBoolean(text) ?? fail("a boolean");
+  }
+
+  return text;
+}
+
+// Reads DB_HOST-style variables for every known key path
+function textLayer(variables, keyPaths, defaults, prefix, sourceName) {
+  let layer = {};
+
+  for (const keyPath of keyPaths) {
+    const name = envNameFor(keyPath, prefix);
+    const text = variables[name];
+
+    if (text === undefined) continue;
+
+    const value = coerce(
+      text,
+      getPath(defaults, keyPath),
+      keyPath,
+      sourceName(name),
+    );
+    layer = setPath(layer, keyPath, value);
+  }
+
+  return layer;
+}
+
+// -----------------------------------------------------------------------------
+// LOADING
+
+export function loadConfig({
+  defaults = {},
+  file,
+  env = process.env,
+  envPrefix = "",
+  overrides = {},
+  required = [],
+} = {}) {
+  const keyPaths = [...new Set([...leafPaths(defaults), ...required])];
+  const fileLayer = readFileLayer(file);
+
+  const layers = [
+    defaults,
+    fileLayer.envStyle
+      ? textLayer(
+          fileLayer.values,
+          keyPaths,
+          defaults,
+          envPrefix,
+          (name) => `${name} in ${file}`,
+        )
+      : fileLayer.values,
+    textLayer(env, keyPaths, defaults, envPrefix, (name) => name),
+    overrides,
+  ];
+
+  const config = layers.reduce(deepMerge, {});
+
+  // Every missing key is reported at once, with the variable that would fix it
+  const missing = required.filter((keyPath) => {
+    const value = getPath(config, keyPath);
+    return value === undefined || value === null || value === "";
+  });
+
+  if (missing.length) {
+    const lines = missing.map(
+      (keyPath) => `- ${keyPath} (set ${envNameFor(keyPath, envPrefix)})`,
+    );
+
+    throw new ConfigError(`Missing required config:\n${lines.join("\n")}`, {
+      details: missing,
+    });
+  }
+
+  // A copy is frozen, so objects passed in as defaults or overrides stay editable
+  return deepFreeze(structuredClone(config));
+}
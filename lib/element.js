@@ -0,0 +1,216 @@
+/*
+
+ELEMENTS AND RENDERING (h + renderToString)
+
+What this is:
+The "REACT-STYLE EXAMPLE" components in the lessons only console.log their props.
+Real components RETURN a description of the UI (an element tree).
+This module is a tiny stand-in for React.createElement + renderToString,
+so the same components can return elements and render to HTML in plain Node.
+
+How to use:
+import { h, renderToString, renderToTerminal } from "./lib/element.js";
+
+const Button = ({ text = "Click Me" }) => h("button", { type: "button" }, text);
+
+const Card = ({ title, children }) =>
+  h("section", { className: "card" }, h("h2", null, title), children);
+
+const page = h(Card, { title: "Hello" }, h(Button, { text: "Save" }));
+
+renderToString(page);
+→ <section class="card"><h2>Hello</h2><button type="button">Save</button></section>
+
+renderToTerminal(page);   → the same HTML, indented, one tag per line
+
+h(type, props, ...children):
+- type is a tag name ("div") or a component function (Button)
+- props can be null
+- children can be text, numbers, elements, arrays, or null / false / undefined (skipped)
+
+Components receive props.children, like in React.
+*/
+
+// Tags that never have a closing tag
+const VOID_TAGS = new Set([
+  "area",
+  "br",
+  "col",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+]);
+
+// Groups children without adding a wrapper tag: h(Fragment, null, a, b)
+export const Fragment = Symbol("Fragment");
+
+// Marks objects made by h(), so a plain object is never mistaken for an element
+const ELEMENT = Symbol("element");
+
+// -----------------------------------------------------------------------------
+// CREATING ELEMENTS
+
+export function h(type, props, ...children) {
+  if (
+    typeof type !== "string" &&
+    typeof type !== "function" &&
+    type !== Fragment
+  ) {
+    throw new TypeError(
+      `h() expects a tag name or a component function, got ${String(type)}`,
+    );
+  }
+
+  // Children passed as arguments win over props.children (same as React)
+  const allProps = { ...props };
+  if (children.length) {
+    allProps.children = children.length === 1 ? children[0] : children;
+  }
+
+  return Object.freeze({
+    [ELEMENT]: true,
+    type,
+    props: Object.freeze(allProps),
+  });
+}
+
+export const isElement = (value) => value?.[ELEMENT] === true;
+
+// -----------------------------------------------------------------------------
+// ESCAPING
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Text from props is ALWAYS escaped, so "<script>" shows up as text
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+// -----------------------------------------------------------------------------
+// ATTRIBUTES
+
+// { fontSize: 14, color: "red" } → "font-size:14px;color:red"
+const styleToString = (style) =>
+  Object.entries(style)
+    .filter(
+      ([, value]) => value !== null && value !== undefined && value !== false,
+    )
+    .map(([key, value]) => {
+      const property = key.replace(
+        /[A-Z]/g,
+        (char) => `-${char.toLowerCase()}`,
+      );
+      const unit = typeof value === "number" && value !== 0 ? "px" : "";
+      return `${property}:${value}${unit}`;
+    })
+    .join(";");
+
+/*
+className → class, htmlFor → for
+true → attribute without a value (disabled), false / null / undefined → left out
+onClick and other event handlers are left out (there is no browser to call them)
+*/
+function attributesToString(props) {
+  return Object.entries(props)
+    .filter(
+      ([key, value]) =>
+        key !== "children" &&
+        key !== "key" &&
+        !/^on[A-Z]/.test(key) &&
+        value !== false &&
+        value !== null &&
+        value !== undefined,
+    )
+    .map(([key, value]) => {
+      const name =
+        key === "className" ? "class" : key === "htmlFor" ? "for" : key;
+
+      if (value === true) return ` ${name}`;
+      if (key === "style" && typeof value === "object") {
+        return ` style="${escapeHtml(styleToString(value))}"`;
+      }
+      return ` ${name}="${escapeHtml(value)}"`;
+    })
+    .join("");
+}
+
+// -----------------------------------------------------------------------------
+// RENDERING
+
+/*
+Both renderers first turn the tree into "HTML nodes":
+components are called until only tags and text are left.
+*/
+function resolve(node) {
+  if (node === null || node === undefined || typeof node === "boolean") {
+    return [];
+  }
+  if (Array.isArray(node)) return node.flatMap(resolve);
+  if (typeof node === "string" || typeof node === "number") {
+    return [{ text: String(node) }];
+  }
+
+  if (!isElement(node)) {
+    throw new TypeError(
+      `Cannot render ${typeof node === "object" ? JSON.stringify(node) : String(node)}. ` +
+        "Did you forget to wrap it with h()?",
+    );
+  }
+
+  const { type, props } = node;
+
+  if (type === Fragment) return resolve(props.children);
+  if (typeof type === "function") return resolve(type(props));
+
+  return [{ tag: type, props, children: resolve(props.children) }];
+}
+
+function nodeToString({ text, tag, props, children }) {
+  if (text !== undefined) return escapeHtml(text);
+
+  const open = `<${tag}${attributesToString(props)}>`;
+  if (VOID_TAGS.has(tag)) return open;
+
+  return `${open}${children.map(nodeToString).join("")}</${tag}>`;
+}
+
+export function renderToString(node) {
+  return resolve(node).map(nodeToString).join("");
+}
+
+/*
+renderToTerminal → indented HTML, easier to read in console output.
+A tag that only holds text stays on one line: <h2>Yash</h2>
+*/
+export function renderToTerminal(node, { indent = "  " } = {}) {
+  const lines = [];
+
+  const visit = (htmlNode, depth) => {
+    const padding = indent.repeat(depth);
+    const { text, tag, props, children } = htmlNode;
+
+    if (text !== undefined) {
+      lines.push(padding + escapeHtml(text));
+    } else if (
+      VOID_TAGS.has(tag) ||
+      children.every((child) => child.text !== undefined)
+    ) {
+      lines.push(padding + nodeToString(htmlNode));
+    } else {
+      lines.push(`${padding}<${tag}${attributesToString(props)}>`);
+      children.forEach((child) => visit(child, depth + 1));
+      lines.push(`${padding}</${tag}>`);
+    }
+  };
+
+  resolve(node).forEach((htmlNode) => visit(htmlNode, 0));
+  return lines.join("\n");
+}
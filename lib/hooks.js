@@ -0,0 +1,293 @@
+/*
+
+HOOKS RUNTIME (useState, useReducer, useEffect)
+
+What this is:
+A tiny React-like runtime that runs in plain Node (no React, no JSX).
+It exists to show what `createBox` in 02. Destructuring/01. Array-Destructuring.js
+cannot: after an update, the component function runs AGAIN,
+so every render gets a fresh value instead of a stale snapshot.
+
+How to use:
+import { createRoot, useState, useEffect } from "./lib/hooks.js";
+
+function Counter() {
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    console.log(`count is ${count}`);
+    return () => console.log(`cleaning up ${count}`);
+  }, [count]);
+
+  return { count, increment: () => setCount((prev) => prev + 1) };
+}
+
+const root = createRoot(Counter);
+root.render();                             → first render, effects run
+root.act(() => root.current.increment());  → update + ONE re-render
+root.unmount();                            → effect cleanups run
+
+Rules (the same as React):
+- Hooks can only be called while a component is rendering
+- Hooks must be called in the same order on every render
+  (no hooks inside if / loops), because each call owns a numbered "slot"
+
+Batching:
+- Updates made inside root.act(() => { ... }) cause one re-render at the end
+- Updates made anywhere else are batched until the current task finishes
+  (a microtask), like React 18's automatic batching
+*/
+
+// After this many renders in a row, an effect is probably updating state forever
+const RENDER_LIMIT = 50;
+
+// The render that is running right now (hooks read their slot from it)
+let currentRender = null;
+
+// -----------------------------------------------------------------------------
+// HOOK SLOTS
+
+/*
+Every hook call gets the next slot in the root's `slots` array.
+The first render creates the slots, later renders reuse them in the same order.
+*/
+function nextSlot(kind, createSlot) {
+  if (!currentRender) {
+    throw new Error(
+      `${kind === "state" ? "useState/useReducer" : "useEffect"} can only be called while a component is rendering`,
+    );
+  }
+
+  const { slots, isFirstRender } = currentRender;
+  const index = currentRender.index++;
+
+  if (index === slots.length) {
+    if (!isFirstRender) {
+      throw new Error("Rendered more hooks than during the previous render");
+    }
+    slots.push({ kind, ...createSlot() });
+  }
+
+  const slot = slots[index];
+
+  if (slot.kind !== kind) {
+    throw new Error(
+      `Hook order changed: slot ${index} was ${slot.kind}, now ${kind}. ` +
+        "Do not call hooks inside if statements or loops.",
+    );
+  }
+
+  return slot;
+}
+
+// -----------------------------------------------------------------------------
+// useReducer / useState
+
+export function useReducer(reducer, initialArg, init) {
+  const slot = nextSlot("state", () => ({
+    value: init ? init(initialArg) : initialArg,
+    queue: [],
+    dispatch: null,
+  }));
+
+  // Always use the newest reducer (it may close over new props)
+  slot.reducer = reducer;
+
+  // dispatch keeps the same identity on every render, like in React
+  if (!slot.dispatch) {
+    const { schedule } = currentRender;
+
+    slot.dispatch = (action) => {
+      slot.queue.push(action);
+      schedule();
+    };
+  }
+
+  return [slot.value, slot.dispatch];
+}
+
+// setX(5) replaces the state, setX((prev) => prev + 1) computes it from the latest state
+const basicStateReducer = (state, action) =>
+  typeof action === "function" ? action(state) : action;
+
+// useState(() => expensive()) runs the initializer on the first render only
+export function useState(initialState) {
+  return useReducer(basicStateReducer, initialState, (initial) =>
+    typeof initial === "function" ? initial() : initial,
+  );
+}
+
+// -----------------------------------------------------------------------------
+// useEffect
+
+const depsChanged = (previous, next) =>
+  !previous ||
+  !next ||
+  previous.length !== next.length ||
+  next.some((dep, i) => !Object.is(dep, previous[i]));
+
+/*
+useEffect(effect)        → runs after every render
+useEffect(effect, [])    → runs after the first render only
+useEffect(effect, [a])   → runs when `a` changed since the last render
+
+If the effect returns a function, that cleanup runs
+before the effect runs again, and when the root unmounts.
+*/
+export function useEffect(effect, deps) {
+  const slot = nextSlot("effect", () => ({ deps: undefined, cleanup: null }));
+
+  if (depsChanged(slot.deps, deps)) {
+    slot.deps = deps;
+    slot.effect = effect;
+    currentRender.effects.push(slot);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// ROOT (THE RENDER LOOP)
+
+export function createRoot(component) {
+  const slots = [];
+  let props = {};
+  let rendering = false;
+  let batchDepth = 0;
+  let scheduled = false;
+  let unmounted = false;
+
+  const root = {
+    current: undefined,
+    renderCount: 0,
+    render,
+    act,
+    flush,
+    unmount,
+  };
+
+  function schedule() {
+    // Updates after unmount are ignored (there is nothing left to render)
+    if (unmounted || rendering || batchDepth > 0 || scheduled) return;
+
+    scheduled = true;
+    queueMicrotask(() => {
+      scheduled = false;
+      flush();
+    });
+  }
+
+  // Applies every queued update in order. Returns true if any state really changed.
+  function applyUpdates() {
+    let changed = false;
+
+    for (const slot of slots) {
+      if (slot.kind !== "state" || slot.queue.length === 0) continue;
+
+      const next = slot.queue.reduce(slot.reducer, slot.value);
+      slot.queue = [];
+
+      if (!Object.is(next, slot.value)) {
+        slot.value = next;
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  function renderOnce() {
+    const previousRender = currentRender;
+    const isFirstRender = root.renderCount === 0;
+
+    currentRender = { slots, index: 0, isFirstRender, effects: [], schedule };
+
+    try {
+      root.current = component(props);
+
+      if (currentRender.index < slots.length) {
+        throw new Error("Rendered fewer hooks than during the previous render");
+      }
+
+      root.renderCount++;
+      return currentRender.effects;
+    } finally {
+      currentRender = previousRender;
+    }
+  }
+
+  // Cleanups of the changed effects run first, then the effects themselves
+  function commit(effects) {
+    for (const slot of effects) {
+      if (slot.cleanup) slot.cleanup();
+      slot.cleanup = null;
+    }
+
+    for (const slot of effects) {
+      const cleanup = slot.effect();
+      if (typeof cleanup === "function") slot.cleanup = cleanup;
+    }
+  }
+
+  // Renders until no more state changes are waiting (effects may set state)
+  function work(force) {
+    rendering = true;
+
+    try {
+      let passes = 0;
+
+      while (applyUpdates() || force) {
+        force = false;
+
+        if (++passes > RENDER_LIMIT) {
+          throw new Error(
+            "Too many re-renders. An effect probably updates state on every render.",
+          );
+        }
+
+        commit(renderOnce());
+      }
+    } finally {
+      rendering = false;
+    }
+  }
+
+  // Renders with new props (or the same props again)
+  function render(nextProps = props) {
+    if (unmounted) throw new Error("Cannot render a root after unmount()");
+
+    props = nextProps;
+    work(true);
+    return root.current;
+  }
+
+  // Re-renders right away if updates are waiting
+  function flush() {
+    if (unmounted || root.renderCount === 0) return root.current;
+
+    work(false);
+    return root.current;
+  }
+
+  // Runs `callback`, then re-renders ONCE for all the updates it made
+  function act(callback) {
+    batchDepth++;
+
+    try {
+      callback();
+    } finally {
+      batchDepth--;
+    }
+
+    return batchDepth === 0 ? flush() : root.current;
+  }
+
+  function unmount() {
+    if (unmounted) return;
+    unmounted = true;
+
+    for (const slot of slots) {
+      if (slot.kind === "effect" && slot.cleanup) slot.cleanup();
+    }
+  }
+
+  return root;
+}
@@ -0,0 +1,361 @@
+/*
+
+I18N (TRANSLATED MESSAGES WITH PLURALS)
+
+What this is:
+`makeCoffee` builds plurals by hand: `spoon${sugar === 1 ? "" : "s"}`,
+and `userMessage` is English only: `you have ${notifications} new messages`.
+Those rules change from language to language.
+Here every sentence lives in a catalog (one file per language),
+and t("key", values) picks the right sentence, plural form and number format.
+
+How to use:
+import { createI18n, loadMessages } from "./lib/i18n.js";
+
+const i18n = createI18n({
+  messages: loadMessages("locales"),   // locales/en.json, locales/bn.json
+  locale: "bn",
+  fallbackLocale: "en",
+});
+
+i18n.t("notifications", { userName: "Yash", count: 3 });
+i18n.setLocale("en");
+
+Message syntax (a small part of ICU MessageFormat):
+{userName}                                   → the value
+{count, plural, =0 {none} one {# item} other {# items}}
+                                             → plural rules of the locale, # is the number
+{gender, select, female {She} male {He} other {They}}
+{price, number}  {price, number, currency}  {ratio, number, percent}
+{when, date}     {when, date, long}         {when, time, short}
+
+To write a literal { or }, quote it: '{' ... '}'  (two quotes '' make one quote).
+
+Fallbacks:
+A key missing in "bn-BD" is looked up in "bn", then in fallbackLocale.
+A key missing everywhere returns the key itself and calls onMissing.
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+
+// -----------------------------------------------------------------------------
+// PARSING MESSAGES
+
+/*
+"Hi {name}, {count, plural, one {# item} other {# items}}"
+→ ["Hi ", { name: "name" }, ", ", { name: "count", type: "plural", options: {...} }]
+*/
+function parseMessage(source, key) {
+  let index = 0;
+
+  const fail = (reason) => {
+    throw new SyntaxError(`Message "${key}": ${reason} at position ${index}`);
+  };
+
+  const skipSpaces = () => {
+    while (/\s/.test(source[index] ?? "")) index++;
+  };
+
+  const readWord = () => {
+    skipSpaces();
+    const match = source.slice(index).match(/^[^\s,{}]+/);
+    if (!match) fail("expected a name");
+    index += match[0].length;
+    skipSpaces();
+    return match[0];
+  };
+
+  // Reads text and {placeholders} until a "}" that closes the current level
+  function parseParts(insidePlural) {
+    const parts = [];
+    let text = "";
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (char === "'") {
+        // '' → ' and '{...}' → literal text, a lone ' is just an apostrophe
+        if (source[index + 1] === "'") {
+          text += "'";
+          index += 2;
+          continue;
+        }
+        if (/[{}#]/.test(source[index + 1] ?? "")) {
+          const end = source.indexOf("'", index + 1);
+          text += source.slice(index + 1, end === -1 ? undefined : end);
+          index = end === -1 ? source.length : end + 1;
+          continue;
+        }
+      }
+
+      if (char === "}") break;
+
+      if (char === "{") {
+        if (text) parts.push(text);
+        text = "";
+        index++;
+        parts.push(parsePlaceholder());
+        continue;
+      }
+
+      if (char === "#" && insidePlural) {
+        if (text) parts.push(text);
+        text = "";
+        parts.push({ pound: true });
+        index++;
+        continue;
+      }
+
+      text += char;
+      index++;
+    }
+
+    if (text) parts.push(text);
+    return parts;
+  }
+
+  function parsePlaceholder() {
+    const name = readWord();
+
+    if (source[index] === "}") {
+      index++;
+      return { name };
+    }
+
+    if (source[index] !== ",") fail(`expected "," or "}" after ${name}`);
+    index++;
+    const type = readWord();
+
+    if (type === "plural" || type === "select" || type === "selectordinal") {
+      if (source[index] !== ",") fail(`expected "," after ${type}`);
+      index++;
+
+      // No prototype: a value like "constructor" or "toString" falls back to "other"
+      const options = Object.create(null);
+
+      for (skipSpaces(); source[index] !== "}"; skipSpaces()) {
+        if (index >= source.length) fail(`unclosed {${name}, ${type}, ...}`);
+
+        const selector = readWord();
+        if (source[index] !== "{") fail(`expected "{" after ${selector}`);
+        index++;
+        options[selector] = parseParts(type !== "select");
+        if (source[index] !== "}") fail(`unclosed option ${selector}`);
+        index++;
+      }
+
+      index++;
+      if (!options.other) fail(`{${name}, ${type}} needs an "other" option`);
+      return { name, type, options };
+    }
+
+    let style;
+    if (source[index] === ",") {
+      index++;
+      style = readWord();
+    }
+
+    if (source[index] !== "}") fail(`unclosed {${name}, ${type}}`);
+    index++;
+    return { name, type, style };
+  }
+
+  const parts = parseParts(false);
+  if (index < source.length) fail('unexpected "}"');
+  return parts;
+}
+
+// -----------------------------------------------------------------------------
+// FORMATTING
+
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+function createFormatter(locale, { currency, timeZone }) {
+  const pluralRules = new Intl.PluralRules(locale);
+  const ordinalRules = new Intl.PluralRules(locale, { type: "ordinal" });
+
+  const formatNumber = (value, style, values) => {
+    const options =
+      style === "currency"
+        ? { style: "currency", currency: values.currency ?? currency }
+        : style === "percent"
+          ? { style: "percent" }
+          : style === "integer"
+            ? { maximumFractionDigits: 0 }
+            : {};
+    return new Intl.NumberFormat(locale, options).format(value);
+  };
+
+  const formatDate = (value, type, style = "medium") => {
+    if (!DATE_STYLES.includes(style)) {
+      throw new RangeError(`Unknown ${type} style "${style}"`);
+    }
+
+    const option = type === "time" ? "timeStyle" : "dateStyle";
+    return new Intl.DateTimeFormat(locale, {
+      [option]: style,
+      timeZone,
+    }).format(new Date(value));
+  };
+
+  function render(parts, values, pluralValue) {
+    return parts
+      .map((part) => {
+        if (typeof part === "string") return part;
+        if (part.pound) return formatNumber(pluralValue, undefined, values);
+
+        const value = values[part.name];
+
+        if (value === undefined) {
+          throw new ReferenceError(`Missing value for {${part.name}}`);
+        }
+
+        switch (part.type) {
+          case undefined:
+            return typeof value === "number"
+              ? formatNumber(value, undefined, values)
+              : String(value);
+          case "number":
+            return formatNumber(value, part.style, values);
+          case "date":
+          case "time":
+            return formatDate(value, part.type, part.style);
+          case "select":
+            return render(
+              part.options[value] ?? part.options.other,
+              values,
+              pluralValue,
+            );
+          case "plural":
+          case "selectordinal": {
+            const rules = part.type === "plural" ? pluralRules : ordinalRules;
+            const option =
+              part.options[`=${value}`] ??
+              part.options[rules.select(value)] ??
+              part.options.other;
+            return render(option, values, value);
+          }
+          default:
+            throw new SyntaxError(`Unknown placeholder type "${part.type}"`);
+        }
+      })
+      .join("");
+  }
+
+  return { render, formatNumber, formatDate };
+}
+
+// -----------------------------------------------------------------------------
+// CATALOGS AND FALLBACKS
+
+// locales/en.json + locales/bn.json → { en: {...}, bn: {...} }
+export function loadMessages(directory) {
+  return Object.fromEntries(
+    fs
+      .readdirSync(directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => [
+        path.basename(file, ".json"),
+        JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")),
+      ]),
+  );
+}
+
+// "bn-BD" → ["bn-BD", "bn", "en"]
+const localeChain = (locale, fallbackLocale) => {
+  const chain = [];
+
+  for (const candidate of [locale, fallbackLocale]) {
+    const subtags = candidate ? candidate.split("-") : [];
+
+    for (let i = subtags.length; i > 0; i--) {
+      const tag = subtags.slice(0, i).join("-");
+      if (!chain.includes(tag)) chain.push(tag);
+    }
+  }
+
+  return chain;
+};
+
+// Keys can be nested in the catalog: t("coffee.order") reads { coffee: { order } }
+const lookup = (catalog, key) =>
+  key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      catalog,
+    );
+
+export function createI18n({
+  messages,
+  locale = "en",
+  fallbackLocale = "en",
+  currency = "BDT",
+  timeZone,
+  onMissing = (key, chain) =>
+    console.warn(`Missing message "${key}" (looked in ${chain.join(", ")})`),
+} = {}) {
+  let currentLocale = locale;
+
+  // Parsed messages and Intl formatters are reused, parsing happens once per message
+  const parsed = new Map();
+  const formatters = new Map();
+
+  const formatterFor = (tag) => {
+    if (!formatters.has(tag)) {
+      formatters.set(tag, createFormatter(tag, { currency, timeZone }));
+    }
+    return formatters.get(tag);
+  };
+
+  function t(key, values = {}) {
+    const chain = localeChain(currentLocale, fallbackLocale);
+
+    for (const tag of chain) {
+      const source = lookup(messages[tag], key);
+      if (typeof source !== "string") continue;
+
+      const cacheKey = `${tag}:${key}`;
+      if (!parsed.has(cacheKey))
+        parsed.set(cacheKey, parseMessage(source, key));
+
+      // Numbers and dates follow the language the message was found in
+      try {
+        return formatterFor(tag).render(parsed.get(cacheKey), values);
+      } catch (error) {
+        error.message = `Message "${key}" (${tag}): ${error.message}`;
+        throw error;
+      }
+    }
+
+    onMissing(key, chain);
+    return key;
+  }
+
+  return {
+    t,
+
+    get locale() {
+      return currentLocale;
+    },
+
+    setLocale(nextLocale) {
+      currentLocale = nextLocale;
+    },
+
+    // Is there a translation in the current language (without fallbacks)?
+    has(key) {
+      return localeChain(currentLocale).some(
+        (tag) => typeof lookup(messages[tag], key) === "string",
+      );
+    },
+
+    formatNumber: (value, style) =>
+      formatterFor(currentLocale).formatNumber(value, style, {}),
+
+    formatDate: (value, style) =>
+      formatterFor(currentLocale).formatDate(value, "date", style),
+  };
+}
@@ -0,0 +1,123 @@
+/*
+
+MONEY IN MINOR UNITS
+
+What this is:
+0.1 + 0.2 === 0.30000000000000004 in JavaScript.
+That is fine for a score, but not for a wallet or an invoice.
+So money is stored as an integer number of MINOR units (1 BDT = 100 poisha):
+150.75 BDT → 15075. Adding integers never drifts.
+
+Used by lib/wallet.js and lib/order.js.
+
+How to use:
+import { toMinor, fromMinor, formatMoney, percentOf } from "./lib/money.js";
+
+toMinor(150.75)                  → 15075
+fromMinor(15075)                 → 150.75
+formatMoney(15075)               → "150.75 BDT"
+percentOf(1999, 5)               → 100 (5% of 19.99, rounded half-up to a whole poisha)
+percentOf(1999, 5, "half-even")  → 100
+*/
+
+// Digits after the decimal point for each currency (default: 2)
+const MINOR_DIGITS = { BDT: 2, USD: 2, EUR: 2, INR: 2, JPY: 0 };
+
+export const digitsOf = (currency) => MINOR_DIGITS[currency] ?? 2;
+
+/*
+Amounts come in as normal numbers (150.75) and are stored as integers (15075).
+Only positive amounts with at most the currency's decimals are allowed,
+unless { allowZero: true } is passed (a free item, a 0% discount).
+*/
+export function toMinor(amount, currency = "BDT", { allowZero = false } = {}) {
+  const factor = 10 ** digitsOf(currency);
+  const minor = Math.round(amount * factor);
+
+  if (
+    typeof amount !== "number" ||
+    !Number.isFinite(amount) ||
+    minor < 0 ||
+    (minor === 0 && !allowZero) ||
+    Math.abs(amount * factor - minor) > 1e-6
+  ) {
+    throw new RangeError(
+      `Amount must be a ${allowZero ? "non-negative" : "positive"} number with at most ${digitsOf(currency)} decimals, got ${amount}`,
+    );
+  }
+
+  return minor;
+}
+
+export const fromMinor = (minor, currency = "BDT") =>
+  minor / 10 ** digitsOf(currency);
+
+// formatMoney(15075, "BDT") → "150.75 BDT"
+export const formatMoney = (minor, currency = "BDT") =>
+  `${fromMinor(minor, currency).toFixed(digitsOf(currency))} ${currency}`;
+
+// -----------------------------------------------------------------------------
+// ROUNDING
+
+/*
+A percentage of an integer is usually not an integer (5% of 1999 = 99.95).
+The rounding mode decides which whole minor unit it becomes:
+- "half-up"   → 0.5 goes away from zero (what most shops do)
+- "half-even" → 0.5 goes to the even neighbour (banker's rounding, less bias)
+- "up" / "down" → always away from / towards zero
+*/
+export const ROUNDING_MODES = ["half-up", "half-even", "up", "down"];
+
+export function roundMinor(value, mode = "half-up") {
+  const sign = Math.sign(value);
+  const size = Math.abs(value);
+  const whole = Math.floor(size);
+  // Keeps 99.95 from being treated as 99.94999999
+  const fraction = Math.round((size - whole) * 1e9) / 1e9;
+
+  const roundUp = {
+    up: fraction > 0,
+    down: false,
+    "half-up": fraction >= 0.5,
+    "half-even": fraction > 0.5 || (fraction === 0.5 && whole % 2 === 1),
+  }[mode];
+
+  if (roundUp === undefined) {
+    throw new RangeError(
+      `Unknown rounding mode "${mode}" (use ${ROUNDING_MODES.join(", ")})`,
+    );
+  }
+
+  const rounded = roundUp ? whole + 1 : whole;
+  return sign * rounded || 0;
+}
+
+export const percentOf = (minor, percent, mode) =>
+  roundMinor((minor * percent) / 100, mode);
+
+/*
+Splits `total` over several parts in proportion to `weights`,
+so the pieces ALWAYS add up to exactly `total` (no poisha lost to rounding).
+allocate(100, [1, 1, 1]) → [34, 33, 33]
+*/
+export function allocate(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  if (sum === 0) return weights.map(() => 0);
+
+  const exact = weights.map((weight) => (total * weight) / sum);
+  const shares = exact.map(Math.floor);
+  let left = total - shares.reduce((a, b) => a + b, 0);
+
+  // The biggest remainders get the leftover units first
+  exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left > 0) {
+        shares[index]++;
+        left--;
+      }
+    });
+
+  return shares;
+}
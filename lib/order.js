@@ -0,0 +1,357 @@
+/*
+
+ORDERS AND INVOICES
+
+What this is:
+`calculateTotal(price, tax = 5)` from 01. Core-Syntax/05. Default-Parameters.js
+handles one price, and `printOrderSummary({ orderId, total, paymentMethod })`
+from 02. Destructuring/03. Function-Params.js silently ignores `discount`.
+Here an order has line items, discounts, tax and a payment method,
+and the total is worked out for you (in integer minor units, see lib/money.js).
+
+Features:
+- line items with a quantity and an optional discount per line
+- an order-level discount, spread over the lines so tax stays correct
+- discounts as { percent: 10 } or as a fixed { amount: 50 }
+- a tax rate for the order (default 5%), or a different rate per line
+- a rounding mode for tax and percent discounts ("half-up", "half-even", "up", "down")
+- a text invoice (toInvoice) and a JSON one (toJSON)
+
+How to use:
+import { createOrder } from "./lib/order.js";
+
+const order = createOrder({ orderId: 5001, paymentMethod: "bKash" })
+  .addItem({ name: "Coffee", price: 150, quantity: 2 })
+  .addItem({ name: "Cake", price: 220, discount: { percent: 10 } })
+  .applyDiscount({ amount: 50 });
+
+order.getTotals();   → { subtotal: 520, discount: 72, tax: 22.4, total: 470.4, ... }
+order.getSummary();  → { orderId: 5001, total: 470.4, paymentMethod: "bKash" }
+console.log(order.toInvoice());
+
+The order is worked out like this, line by line:
+price × quantity → minus the line discount → minus its share of the order discount
+→ plus tax on what is left. Every step is rounded to a whole poisha.
+*/
+
+import { ValidationError } from "./result.js";
+import {
+  toMinor,
+  fromMinor,
+  formatMoney,
+  digitsOf,
+  percentOf,
+  allocate,
+  ROUNDING_MODES,
+} from "./money.js";
+
+export const PAYMENT_METHODS = ["Cash", "Card", "bKash", "Nagad"];
+
+// -----------------------------------------------------------------------------
+// CHECKING INPUT
+
+// toMinor throws a RangeError, orders report a ValidationError with the field name
+function amountOf(value, currency, label) {
+  try {
+    return toMinor(value, currency, { allowZero: true });
+  } catch (error) {
+    throw new ValidationError(`${label}: ${error.message}`, { cause: error });
+  }
+}
+
+function checkRate(value, label) {
+  if (typeof value !== "number" || !(value >= 0 && value <= 100)) {
+    throw new ValidationError(
+      `${label} must be a number from 0 to 100, got ${value}`,
+    );
+  }
+  return value;
+}
+
+// { percent: 10 } or { amount: 50 } → { percent } / { amountMinor }
+function readDiscount(discount, currency, label) {
+  if (discount === undefined || discount === null) return null;
+
+  const { percent, amount } = discount;
+
+  if ((percent === undefined) === (amount === undefined)) {
+    throw new ValidationError(
+      `${label} needs either { percent } or { amount }, got ${JSON.stringify(discount)}`,
+    );
+  }
+
+  return percent !== undefined
+    ? { percent: checkRate(percent, `${label} percent`) }
+    : { amountMinor: amountOf(amount, currency, `${label} amount`) };
+}
+
+// A percent discount is rounded, a fixed one can never be more than the price
+const discountOn = (minor, discount, rounding) => {
+  if (!discount) return 0;
+  if (discount.percent !== undefined) {
+    return percentOf(minor, discount.percent, rounding);
+  }
+  return Math.min(discount.amountMinor, minor);
+};
+
+// -----------------------------------------------------------------------------
+// CREATING AN ORDER
+
+let orderCount = 5000;
+
+export function createOrder({
+  orderId = ++orderCount,
+  currency = "BDT",
+  taxRate = 5,
+  rounding = "half-up",
+  paymentMethod = "Cash",
+  issuedAt = new Date(),
+} = {}) {
+  checkRate(taxRate, "Tax rate");
+
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw new ValidationError(
+      `Unknown rounding "${rounding}" (use ${ROUNDING_MODES.join(", ")})`,
+    );
+  }
+
+  const items = [];
+  let orderDiscount = null;
+  let payment = checkPayment(paymentMethod);
+
+  function checkPayment(method) {
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new ValidationError(
+        `Unknown payment method "${method}" (use ${PAYMENT_METHODS.join(", ")})`,
+      );
+    }
+    return method;
+  }
+
+  // Works out every line in minor units, the order discount is shared by line value
+  function calculate() {
+    const lines = items.map((item) => {
+      const grossMinor = item.priceMinor * item.quantity;
+      const discountMinor = discountOn(grossMinor, item.discount, rounding);
+      return { ...item, grossMinor, discountMinor };
+    });
+
+    const netMinors = lines.map((line) => line.grossMinor - line.discountMinor);
+    const netTotal = netMinors.reduce((a, b) => a + b, 0);
+    const orderDiscountMinor = discountOn(netTotal, orderDiscount, rounding);
+    const shares = allocate(orderDiscountMinor, netMinors);
+
+    const calculated = lines.map((line, i) => {
+      const taxableMinor = netMinors[i] - shares[i];
+      const taxMinor = percentOf(taxableMinor, line.taxRate, rounding);
+      return {
+        ...line,
+        orderDiscountMinor: shares[i],
+        taxableMinor,
+        taxMinor,
+        totalMinor: taxableMinor + taxMinor,
+      };
+    });
+
+    const sum = (key) =>
+      calculated.reduce((total, line) => total + line[key], 0);
+
+    return {
+      lines: calculated,
+      subtotalMinor: sum("grossMinor"),
+      lineDiscountMinor: sum("discountMinor"),
+      orderDiscountMinor,
+      taxMinor: sum("taxMinor"),
+      totalMinor: sum("totalMinor"),
+    };
+  }
+
+  const major = (minor) => fromMinor(minor, currency);
+
+  const order = Object.freeze({
+    orderId,
+    currency,
+
+    // Returns the order, so calls can be chained
+    addItem({
+      name,
+      price,
+      quantity = 1,
+      discount,
+      taxRate: lineTaxRate,
+    } = {}) {
+      if (typeof name !== "string" || name.trim() === "") {
+        throw new ValidationError(`Item name must be a non-empty string`);
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(
+          `Item "${name}": quantity must be a whole number of at least 1, got ${quantity}`,
+        );
+      }
+
+      items.push({
+        name,
+        priceMinor: amountOf(price, currency, `Item "${name}" price`),
+        quantity,
+        discount: readDiscount(discount, currency, `Item "${name}" discount`),
+        taxRate:
+          lineTaxRate === undefined
+            ? taxRate
+            : checkRate(lineTaxRate, `Item "${name}" tax rate`),
+      });
+      return order;
+    },
+
+    // One discount for the whole order, calling it again replaces it
+    applyDiscount(discount) {
+      orderDiscount = readDiscount(discount, currency, "Order discount");
+      return order;
+    },
+
+    setPayment(method) {
+      payment = checkPayment(method);
+      return order;
+    },
+
+    getTotals() {
+      const totals = calculate();
+      return {
+        subtotal: major(totals.subtotalMinor),
+        discount: major(totals.lineDiscountMinor + totals.orderDiscountMinor),
+        tax: major(totals.taxMinor),
+        total: major(totals.totalMinor),
+        totalMinor: totals.totalMinor,
+        currency,
+      };
+    },
+
+    // The exact props printOrderSummary() destructures
+    getSummary() {
+      return {
+        orderId,
+        total: major(calculate().totalMinor),
+        paymentMethod: payment,
+      };
+    },
+
+    toJSON() {
+      const totals = calculate();
+      return {
+        orderId,
+        issuedAt: new Date(issuedAt).toISOString(),
+        currency,
+        paymentMethod: payment,
+        rounding,
+        items: totals.lines.map((line) => ({
+          name: line.name,
+          quantity: line.quantity,
+          price: major(line.priceMinor),
+          discount: major(line.discountMinor + line.orderDiscountMinor),
+          taxRate: line.taxRate,
+          tax: major(line.taxMinor),
+          total: major(line.totalMinor),
+        })),
+        subtotal: major(totals.subtotalMinor),
+        lineDiscounts: major(totals.lineDiscountMinor),
+        orderDiscount: major(totals.orderDiscountMinor),
+        tax: major(totals.taxMinor),
+        total: major(totals.totalMinor),
+      };
+    },
+
+    toInvoice() {
+      return formatInvoice({
+        orderId,
+        issuedAt,
+        currency,
+        taxRate,
+        paymentMethod: payment,
+        orderDiscount,
+        ...calculate(),
+      });
+    },
+  });
+
+  return order;
+}
+
+// -----------------------------------------------------------------------------
+// TEXT INVOICE
+
+const WIDTH = 44;
+
+function formatInvoice({
+  orderId,
+  issuedAt,
+  currency,
+  taxRate,
+  paymentMethod,
+  orderDiscount,
+  lines,
+  subtotalMinor,
+  lineDiscountMinor,
+  orderDiscountMinor,
+  taxMinor,
+  totalMinor,
+}) {
+  const amount = (minor) =>
+    fromMinor(minor, currency).toFixed(digitsOf(currency));
+
+  // "Coffee x2" on the left, "300.00" on the right
+  const row = (left, right) =>
+    left.length + right.length < WIDTH
+      ? left.padEnd(WIDTH - right.length) + right
+      : `${left}\n${right.padStart(WIDTH)}`;
+
+  const rule = "-".repeat(WIDTH);
+  // Only the rates that were applied (every line may override the order's rate)
+  const taxRates =
+    lines.length > 0
+      ? [...new Set(lines.map((line) => line.taxRate))]
+      : [taxRate];
+  const orderDiscountLabel =
+    orderDiscount?.percent !== undefined
+      ? `Order discount (${orderDiscount.percent}%)`
+      : "Order discount";
+
+  const output = [
+    `INVOICE #${orderId}`,
+    `Date: ${new Date(issuedAt).toISOString().slice(0, 10)}`,
+    rule,
+  ];
+
+  for (const line of lines) {
+    output.push(
+      row(
+        `${line.name} x${line.quantity} @ ${amount(line.priceMinor)}`,
+        amount(line.grossMinor),
+      ),
+    );
+
+    if (line.discountMinor > 0) {
+      const label =
+        line.discount.percent !== undefined
+          ? `  discount ${line.discount.percent}%`
+          : "  discount";
+      output.push(row(label, `-${amount(line.discountMinor)}`));
+    }
+  }
+
+  output.push(rule, row("Subtotal", amount(subtotalMinor)));
+
+  if (lineDiscountMinor > 0) {
+    output.push(row("Item discounts", `-${amount(lineDiscountMinor)}`));
+  }
+  if (orderDiscountMinor > 0) {
+    output.push(row(orderDiscountLabel, `-${amount(orderDiscountMinor)}`));
+  }
+
+  output.push(
+    row(`Tax (${taxRates.join("% / ")}%)`, amount(taxMinor)),
+    rule,
+    row("TOTAL", formatMoney(totalMinor, currency)),
+    `Payment: ${paymentMethod}`,
+  );
+
+  return output.join("\n");
+}
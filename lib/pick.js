@@ -0,0 +1,147 @@
+/*
+
+PICK (SAFE DEEP DESTRUCTURING)
+
+What this is:
+02. Destructuring/04. Nested-Destructuring.js guards every level with `= {}`:
+const { user: { profile: { name = "Unknown" } = {} } = {} } = data;
+
+pick(source, shape) does the same job without the guard chain.
+The shape object mirrors the destructuring pattern,
+and a missing level never crashes (null and undefined are both fine).
+
+How to use:
+import { pick, field } from "./lib/pick.js";
+
+const { values, missing } = pick(apiResponse, {
+  status: true,                                // keep the name
+  data: {
+    user: {
+      id: true,
+      profile: {
+        fullName: "name",                      // rename (like fullName: name)
+        city: field({ as: "userCity", default: "Unknown" }),
+      },
+      skills: ["firstSkill", , "thirdSkill"],  // array positions (holes skip)
+    },
+  },
+});
+
+values  → { status, id, name, userCity, firstSkill, thirdSkill } (one flat object)
+missing → paths that were not found and had no default, e.g. ["data.user.skills[2]"]
+defaulted → paths that were not found and got their default
+
+What a shape value can be:
+- true                          → take the value under the same name
+- "newName"                     → take it under another name
+- field({ as, default })        → rename and/or default (used when the value is undefined)
+- { ... }                       → go one level deeper into an object
+- ["a", "b", "...rest"]         → go into an array by position ("...rest" collects the rest)
+*/
+
+import { joinPath } from "./values.js";
+
+// -----------------------------------------------------------------------------
+// FIELDS (RENAME + DEFAULT)
+
+class Field {
+  constructor({ as, default: defaultValue } = {}, hasDefault) {
+    this.as = as;
+    this.defaultValue = defaultValue;
+    this.hasDefault = hasDefault;
+  }
+}
+
+// field({ default: "light" }), field({ as: "userCity" }), field({ as: "userCity", default: "Dhaka" })
+export const field = (options = {}) => new Field(options, "default" in options);
+
+// -----------------------------------------------------------------------------
+// WALKING THE SHAPE
+
+const isObjectLike = (value) => value !== null && typeof value === "object";
+
+export function pick(source, shape) {
+  const values = {};
+  const missing = [];
+  const defaulted = [];
+
+  // Two fields with the same name would overwrite each other (like a duplicate const)
+  function claimName(name, path) {
+    if (Object.hasOwn(values, name)) {
+      throw new SyntaxError(
+        `pick(): "${name}" is used twice (at ${path}), rename one of them`,
+      );
+    }
+  }
+
+  function take(value, rule, key, path) {
+    const name = typeof rule === "string" ? rule : (rule.as ?? key);
+
+    if (typeof name !== "string") {
+      throw new SyntaxError(`pick(): array position ${path} needs a name`);
+    }
+
+    claimName(name, path);
+
+    if (value !== undefined) {
+      values[name] = value;
+    } else if (rule instanceof Field && rule.hasDefault) {
+      values[name] = rule.defaultValue;
+      defaulted.push(path);
+    } else {
+      values[name] = undefined;
+      missing.push(path);
+    }
+  }
+
+  function walk(value, rule, key, path) {
+    if (rule === true || typeof rule === "string" || rule instanceof Field) {
+      take(value, rule, key, path);
+    } else if (Array.isArray(rule)) {
+      walkArray(value, rule, path);
+    } else if (isObjectLike(rule)) {
+      walkObject(value, rule, path);
+    } else {
+      throw new TypeError(
+        `pick(): unknown shape at ${path || "(root)"}: ${String(rule)}`,
+      );
+    }
+  }
+
+  // A missing parent is treated like `= {}`: every child is simply missing
+  function walkObject(value, shape, path) {
+    const object = isObjectLike(value) ? value : {};
+
+    for (const [key, rule] of Object.entries(shape)) {
+      walk(object[key], rule, key, joinPath(path, key));
+    }
+  }
+
+  function walkArray(value, shape, path) {
+    const array = Array.isArray(value) ? value : [];
+
+    shape.forEach((rule, index) => {
+      if (rule === undefined) return; // a hole: [, "second"]
+
+      if (typeof rule === "string" && rule.startsWith("...")) {
+        if (index !== shape.length - 1) {
+          throw new SyntaxError(`pick(): ${rule} must be the last position`);
+        }
+
+        const name = rule.slice(3);
+        claimName(name, path);
+        values[name] = array.slice(index);
+        return;
+      }
+
+      walk(array[index], rule, undefined, joinPath(path, index));
+    });
+  }
+
+  if (!isObjectLike(shape)) {
+    throw new TypeError("pick(): the shape must be an object or an array");
+  }
+
+  walk(source, shape, undefined, "");
+  return { values, missing, defaulted };
+}
@@ -0,0 +1,255 @@
+/*
+
+LAZY COLLECTION QUERIES
+
+What this is:
+01. Core-Syntax/03. Arrow-Functions.js filters and maps arrays step by step:
+users.filter((user) => user.active).map((user) => user.name)
+Every step builds a whole new array, even if you only need the first few results.
+
+from(array) wraps any array (or other iterable) in a query.
+Each step returns a NEW query and does no work yet.
+Items are pulled through all steps one at a time, only when you ask for results
+(toArray, first, count, for...of), so take(10) stops after 10 matches.
+
+How to use:
+import { from } from "./lib/query.js";
+
+from(users)
+  .where({ active: true })          // or .where((user) => user.age >= 18)
+  .select("name")                   // or .select(["id", "name"]) / .select((user) => ...)
+  .orderBy("id", "desc")            // "id" is read from the users, before select (see orderBy)
+  .take(10)
+  .toArray();
+
+from(users).groupBy("city");        → { Dhaka: [...], Khulna: [...] }
+from(users).countBy("active");      → { true: 1, false: 1 }
+from(todoItems).join(users, "userId", "id").toArray();
+
+Keys can always be a property name ("city") or a function ((user) => user.city).
+orderBy and distinct need to remember items they have seen,
+but every other step passes items straight through.
+*/
+
+import { sortBy } from "./sort.js";
+
+const keyFn = (key) =>
+  typeof key === "function" ? key : (item) => item?.[key];
+
+// { active: true, role: (role) => role !== "Guest" } → every key must match
+const matches = (conditions) => (item) =>
+  Object.entries(conditions).every(([key, expected]) =>
+    typeof expected === "function"
+      ? expected(item?.[key])
+      : Object.is(item?.[key], expected),
+  );
+
+// -----------------------------------------------------------------------------
+// BUILDING A QUERY
+
+/*
+`iterate` is a generator function: calling it starts a fresh pass over the data.
+A select() step also passes `projection` ({ iterate, project }: the items before select
+and how they were changed), so orderBy can still sort by a key that select dropped.
+*/
+function makeQuery(iterate, projection) {
+  return Object.freeze({
+    [Symbol.iterator]: iterate,
+
+    where(condition) {
+      const test =
+        typeof condition === "function" ? condition : matches(condition);
+
+      return makeQuery(function* () {
+        let index = 0;
+        for (const item of iterate()) {
+          if (test(item, index++)) yield item;
+        }
+      });
+    },
+
+    // "name" → the value, ["id", "name"] → a smaller object, a function → anything
+    select(selection) {
+      const project = Array.isArray(selection)
+        ? (item) =>
+            Object.fromEntries(selection.map((key) => [key, item?.[key]]))
+        : keyFn(selection);
+
+      return makeQuery(
+        function* () {
+          let index = 0;
+          for (const item of iterate()) yield project(item, index++);
+        },
+        { iterate, project },
+      );
+    },
+
+    /*
+    Sorting needs every item first, so this step collects them (then streams again).
+    Missing values go last and strings compare like lib/sort.js sortBy().
+
+    A property name that no item has is a mistake, not "every value is missing":
+    - right after select("name"), the items are names, so "id" is read from the items
+      BEFORE select and the sorted items are selected again
+    - otherwise it throws, instead of silently leaving the order as it was
+    */
+    orderBy(key, direction = "asc") {
+      const criterion = { by: key, order: direction };
+
+      if (typeof key !== "string") {
+        return makeQuery(function* () {
+          yield* sortBy([...iterate()], criterion);
+        });
+      }
+
+      const hasKey = (item) =>
+        item !== null && item !== undefined && key in Object(item);
+
+      return makeQuery(function* () {
+        if (!projection) {
+          const items = [...iterate()];
+          if (items.length > 0 && !items.some(hasKey)) {
+            throw new TypeError(`orderBy: no item has a "${key}" property`);
+          }
+          yield* sortBy(items, criterion);
+          return;
+        }
+
+        // Every item next to the one select() made from it
+        let index = 0;
+        const pairs = [];
+        for (const source of projection.iterate()) {
+          pairs.push({ source, item: projection.project(source, index++) });
+        }
+
+        const side = pairs.some(({ item }) => hasKey(item))
+          ? "item"
+          : pairs.some(({ source }) => hasKey(source))
+            ? "source"
+            : null;
+        if (pairs.length > 0 && side === null) {
+          throw new TypeError(`orderBy: no item has a "${key}" property`);
+        }
+
+        const sorted = sortBy(pairs, {
+          by: (pair) => pair[side ?? "item"][key],
+          order: direction,
+        });
+        for (const { item } of sorted) yield item;
+      });
+    },
+
+    take(count) {
+      return makeQuery(function* () {
+        if (count <= 0) return;
+        let taken = 0;
+        for (const item of iterate()) {
+          yield item;
+          if (++taken >= count) return;
+        }
+      });
+    },
+
+    skip(count) {
+      return makeQuery(function* () {
+        let skipped = 0;
+        for (const item of iterate()) {
+          if (skipped++ >= count) yield item;
+        }
+      });
+    },
+
+    // Keeps the first item for every key (or every value, without a key)
+    distinct(key = (item) => item) {
+      const read = keyFn(key);
+
+      return makeQuery(function* () {
+        const seen = new Set();
+        for (const item of iterate()) {
+          const value = read(item);
+          if (seen.has(value)) continue;
+          seen.add(value);
+          yield item;
+        }
+      });
+    },
+
+    /*
+    Inner join: every item paired with the items of `other` that have the same key.
+    `other` is indexed once per pass, so this is not a loop inside a loop.
+    */
+    join(
+      other,
+      ownKey,
+      otherKey,
+      combine = (item, match) => ({ ...match, ...item }),
+    ) {
+      const readOwn = keyFn(ownKey);
+      const readOther = keyFn(otherKey);
+
+      return makeQuery(function* () {
+        const index = new Map();
+        for (const match of other) {
+          const value = readOther(match);
+          if (!index.has(value)) index.set(value, []);
+          index.get(value).push(match);
+        }
+
+        for (const item of iterate()) {
+          for (const match of index.get(readOwn(item)) ?? []) {
+            yield combine(item, match);
+          }
+        }
+      });
+    },
+
+    // The methods below run the query and return plain values
+
+    toArray: () => [...iterate()],
+
+    first() {
+      for (const item of iterate()) return item;
+      return undefined;
+    },
+
+    count() {
+      const iterator = iterate();
+      let total = 0;
+      while (!iterator.next().done) total++;
+      return total;
+    },
+
+    // { [key]: [items] }, like Object.groupBy (no prototype, so a key like "constructor" is safe)
+    groupBy(key) {
+      const read = keyFn(key);
+      const groups = Object.create(null);
+      for (const item of iterate()) {
+        (groups[read(item)] ??= []).push(item);
+      }
+      return groups;
+    },
+
+    // { [key]: number of items }
+    countBy(key) {
+      const read = keyFn(key);
+      const counts = Object.create(null);
+      for (const item of iterate()) {
+        const value = read(item);
+        counts[value] = (counts[value] ?? 0) + 1;
+      }
+      return counts;
+    },
+  });
+}
+
+export function from(source) {
+  if (source == null || typeof source[Symbol.iterator] !== "function") {
+    throw new TypeError(
+      `from() needs an array or another iterable, got ${source === null ? "null" : typeof source}`,
+    );
+  }
+
+  return makeQuery(function* () {
+    yield* source;
+  });
+}
@@ -0,0 +1,196 @@
+/*
+
+RESULT TUPLES ([data, error])
+
+What this is:
+`fetchResult()` in 02. Destructuring/01. Array-Destructuring.js returns [data, null].
+This module gives you the rest of that pattern:
+the error side, wrapping code that throws (sync or async), and chaining results.
+
+Every helper returns the same shape:
+- success → [data, null]
+- failure → [undefined, error]
+
+`data` is undefined (not null) on failure,
+so array destructuring defaults work: const [user = guest, error] = result;
+
+How to use:
+import { tryCatch, to, unwrapOr } from "./lib/result.js";
+
+const [config, error] = tryCatch(() => JSON.parse(text));
+const [user, fetchError] = await to(fetch("/api/user").then((r) => r.json()));
+const users = unwrapOr(await to(loadUsers()), []);
+*/
+
+// -----------------------------------------------------------------------------
+// ERROR CLASSES
+
+/*
+Every error has a `code`, so callers can check it without instanceof:
+if (error?.code === "NOT_FOUND") ...
+*/
+export class AppError extends Error {
+  constructor(message, { code = "UNKNOWN", cause, details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "AppError";
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "NOT_FOUND", ...options });
+    this.name = "NotFoundError";
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "VALIDATION", ...options });
+    this.name = "ValidationError";
+  }
+}
+
+export class NetworkError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "NETWORK", ...options });
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "TIMEOUT", ...options });
+    this.name = "TimeoutError";
+  }
+}
+
+// Thrown by unwrap() when the result holds something that is not an error
+export class UnwrapError extends AppError {
+  constructor(message, options) {
+    super(message, { code: "UNWRAP", ...options });
+    this.name = "UnwrapError";
+  }
+}
+
+/*
+`throw "oops"` is legal JavaScript, but a string has no stack or name.
+Anything that is not an Error is wrapped, and the original value is kept as `cause`.
+(The toString check also works for errors from other realms, like vm contexts.)
+*/
+export function toError(value) {
+  if (Object.prototype.toString.call(value) === "[object Error]") return value;
+
+  return new AppError(`Non-error value thrown: ${String(value)}`, {
+    code: "NON_ERROR_THROWN",
+    cause: value,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// MAKING RESULTS
+
+export const ok = (data) => [data, null];
+
+export const err = (error) => [undefined, toError(error)];
+
+export const isOk = ([, error]) => error === null;
+
+export const isErr = (result) => !isOk(result);
+
+const isThenable = (value) => typeof value?.then === "function";
+
+// -----------------------------------------------------------------------------
+// WRAPPING CODE THAT THROWS
+
+/*
+to(promise) → a promise that never rejects, it resolves to [data, error]
+
+const [user, error] = await to(fetchUser(1));
+*/
+export function to(promise) {
+  return Promise.resolve(promise).then(ok, err);
+}
+
+/*
+tryCatch(fn, ...args) → calls fn(...args) and catches what it throws
+
+const [data, error] = tryCatch(JSON.parse, text);
+
+If fn returns a promise (an async function), you get a promise of the tuple:
+const [data, error] = await tryCatch(async () => loadData());
+*/
+export function tryCatch(fn, ...args) {
+  try {
+    const value = fn(...args);
+    return isThenable(value) ? to(value) : ok(value);
+  } catch (error) {
+    return err(error);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// CHAINING RESULTS
+
+/*
+mapResult(result, fn) → changes the data, errors pass straight through.
+If fn throws, the new result holds that error.
+
+const [name] = mapResult(tryCatch(findUser, 1), (user) => user.name);
+*/
+export function mapResult(result, fn) {
+  const [data, error] = result;
+  return error === null ? tryCatch(fn, data) : result;
+}
+
+// mapError(result, fn) → changes the error (for example to add context), data passes through
+export function mapError(result, fn) {
+  const [, error] = result;
+  return error === null ? result : err(fn(error));
+}
+
+/*
+combineResults → one result for many.
+The first error wins, otherwise all the data comes back in the same shape.
+
+combineResults([r1, r2])          → [[data1, data2], null]
+combineResults({ user, posts })   → [{ user: data1, posts: data2 }, null]
+*/
+export function combineResults(results) {
+  const entries = Object.entries(results);
+  const failed = entries.find(([, [, error]]) => error !== null);
+
+  if (failed) return [undefined, failed[1][1]];
+
+  const data = entries.map(([, [value]]) => value);
+
+  return Array.isArray(results)
+    ? ok(data)
+    : ok(Object.fromEntries(entries.map(([key], i) => [key, data[i]])));
+}
+
+// -----------------------------------------------------------------------------
+// GETTING THE DATA OUT
+
+/*
+unwrapOr(result, fallback) → the data, or `fallback` when it is undefined.
+It follows the same rule as a destructuring default, so these two are the same:
+
+const [users = []] = result;
+const users = unwrapOr(result, []);
+*/
+export function unwrapOr(result, fallback) {
+  const [data] = result;
+  return data === undefined ? fallback : data;
+}
+
+// unwrap(result) → the data, or throws the error (back to normal try/catch)
+export function unwrap(result) {
+  const [data, error] = result;
+
+  if (error === null) return data;
+  if (error !== undefined) throw error;
+
+  throw new UnwrapError("unwrap() expects a [data, error] tuple");
+}
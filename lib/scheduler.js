@@ -0,0 +1,251 @@
+/*
+
+TIMERS WITH A VIRTUAL CLOCK
+
+What this is:
+`student.delayedHello()` in 01. Core-Syntax/03. Arrow-Functions.js uses a real
+setTimeout(..., 1000), so its output arrives a second later, after everything else.
+A virtual clock has the same setTimeout / setInterval, but time only moves
+when you say so: clock.tick(1000) runs every timer due in the next second,
+instantly and in order. Tests and the lesson runner use it to check timed output.
+
+debounce and throttle accept `{ timers }`, so the same code runs on real timers
+in the app and on a virtual clock in a test.
+
+How to use:
+import { createClock, debounce } from "./lib/scheduler.js";
+
+const clock = createClock();
+clock.setTimeout(() => console.log("one second later"), 1000);
+clock.tick(999);    → nothing yet
+clock.tick(1);      → "one second later"
+
+const save = debounce(() => console.log("saved"), 300, { timers: clock });
+save(); save(); save();
+clock.runAll();     → "saved" (once)
+
+Timers due at the same time run in the order they were created (like Node).
+*/
+
+// The real timers, with the same shape as a virtual clock
+export const realTimers = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (...args) => globalThis.setTimeout(...args),
+  clearTimeout: (timer) => globalThis.clearTimeout(timer),
+  setInterval: (...args) => globalThis.setInterval(...args),
+  clearInterval: (timer) => globalThis.clearInterval(timer),
+});
+
+// -----------------------------------------------------------------------------
+// VIRTUAL CLOCK
+
+// runAll() gives up after this many timers (probably a setInterval never cleared)
+const RUN_ALL_LIMIT = 10_000;
+
+export function createClock({ now: start = 0 } = {}) {
+  let now = start;
+  let nextId = 1;
+  // id → { id, time, order, callback, args, interval }
+  const timers = new Map();
+
+  const schedule = (callback, delay, args, interval) => {
+    if (typeof callback !== "function") {
+      throw new TypeError(
+        `Timer callback must be a function, got ${typeof callback}`,
+      );
+    }
+
+    const id = nextId++;
+    // Like Node, a missing or negative delay means "as soon as possible"
+    const wait = Math.max(0, Number(delay) || 0);
+    timers.set(id, {
+      id,
+      time: now + wait,
+      order: id,
+      callback,
+      args,
+      interval: interval ? Math.max(1, wait) : null,
+    });
+    return id;
+  };
+
+  // The timer that should run first: earliest time, then the oldest one
+  const nextTimer = (until = Infinity) => {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.time > until) continue;
+      if (
+        !next ||
+        timer.time < next.time ||
+        (timer.time === next.time && timer.order < next.order)
+      ) {
+        next = timer;
+      }
+    }
+    return next;
+  };
+
+  function run(timer) {
+    now = timer.time;
+
+    if (timer.interval) {
+      // Rescheduled BEFORE the callback, so the callback can still clear it
+      timer.time += timer.interval;
+      timer.order = nextId++;
+    } else {
+      timers.delete(timer.id);
+    }
+
+    timer.callback(...timer.args);
+  }
+
+  const clock = Object.freeze({
+    now: () => now,
+
+    get pending() {
+      return timers.size;
+    },
+
+    setTimeout: (callback, delay, ...args) =>
+      schedule(callback, delay, args, false),
+    setInterval: (callback, delay, ...args) =>
+      schedule(callback, delay, args, true),
+    clearTimeout: (id) => void timers.delete(id),
+    clearInterval: (id) => void timers.delete(id),
+
+    // Moves time forward by `ms`, running every timer that becomes due on the way
+    tick(ms = 0) {
+      const target = now + ms;
+
+      for (let timer = nextTimer(target); timer; timer = nextTimer(target)) {
+        run(timer);
+      }
+
+      now = target;
+      return clock;
+    },
+
+    // Runs only the next timer (and jumps to its time), false if there is none
+    runNext() {
+      const timer = nextTimer();
+      if (!timer) return false;
+      run(timer);
+      return true;
+    },
+
+    // Runs timers until none are left, including timers started by timers
+    runAll({ limit = RUN_ALL_LIMIT } = {}) {
+      for (let count = 0; timers.size > 0; count++) {
+        if (count >= limit) {
+          throw new Error(
+            `runAll: still ${timers.size} timer(s) after ${limit} runs. Is a setInterval never cleared?`,
+          );
+        }
+        run(nextTimer());
+      }
+      return clock;
+    },
+  });
+
+  return clock;
+}
+
+// -----------------------------------------------------------------------------
+// DEBOUNCE AND THROTTLE
+
+/*
+debounce: wait until the calls STOP for `wait` ms, then run once
+(a search box that searches after you stop typing).
+The last call's arguments are used.
+{ leading: true } also runs on the first call of a burst.
+*/
+export function debounce(
+  fn,
+  wait,
+  { timers = realTimers, leading = false, trailing = true } = {},
+) {
+  let timer = null;
+  let lastArgs = null;
+
+  const finish = () => {
+    timer = null;
+    if (trailing && lastArgs) {
+      const args = lastArgs;
+      lastArgs = null;
+      fn(...args);
+    }
+  };
+
+  function debounced(...args) {
+    const isFirst = timer === null;
+
+    if (!isFirst) timers.clearTimeout(timer);
+    timer = timers.setTimeout(finish, wait);
+
+    if (isFirst && leading) {
+      lastArgs = null;
+      fn(...args);
+    } else {
+      lastArgs = args;
+    }
+  }
+
+  debounced.cancel = () => {
+    if (timer !== null) timers.clearTimeout(timer);
+    timer = null;
+    lastArgs = null;
+  };
+
+  // Runs a waiting call right now
+  debounced.flush = () => {
+    if (timer === null) return;
+    timers.clearTimeout(timer);
+    finish();
+  };
+
+  return debounced;
+}
+
+/*
+throttle: run at most once every `wait` ms
+(saving the scroll position while the user keeps scrolling).
+The first call runs right away; the last call in a window runs when it ends.
+*/
+export function throttle(
+  fn,
+  wait,
+  { timers = realTimers, leading = true, trailing = true } = {},
+) {
+  let timer = null;
+  let lastArgs = null;
+
+  const endWindow = () => {
+    if (trailing && lastArgs) {
+      const args = lastArgs;
+      lastArgs = null;
+      fn(...args);
+      // The trailing call starts a new window
+      timer = timers.setTimeout(endWindow, wait);
+    } else {
+      timer = null;
+    }
+  };
+
+  function throttled(...args) {
+    if (timer === null) {
+      timer = timers.setTimeout(endWindow, wait);
+      if (leading) fn(...args);
+      else lastArgs = args;
+    } else {
+      lastArgs = args;
+    }
+  }
+
+  throttled.cancel = () => {
+    if (timer !== null) timers.clearTimeout(timer);
+    timer = null;
+    lastArgs = null;
+  };
+
+  return throttled;
+}
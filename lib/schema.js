@@ -0,0 +1,279 @@
+/*
+
+SCHEMA VALIDATOR
+
+What this is:
+The lessons destructure `apiResponse.data.user` and simply trust that it exists.
+When it does not, you get "Cannot destructure property 'user' of undefined".
+A schema describes the shape you expect, so you can check a payload
+BEFORE destructuring it, and get every problem with its path.
+
+How to use:
+import { object, string, number, enumOf, optional, validate } from "./lib/schema.js";
+
+const responseSchema = object({
+  status: enumOf(["ok", "error"]),
+  data: object({
+    user: object({
+      id: number({ integer: true }),
+      name: string(),
+      role: optional(string(), "Member"),   // default when missing
+    }),
+  }),
+});
+
+const [response, error] = validate(responseSchema, apiResponse);
+
+if (error) {
+  console.log(error.message);
+  // Invalid value:
+  // - data.user.name: expected string, got undefined
+} else {
+  const { data: { user: { id, name, role } } } = response;  // safe now
+}
+
+Building blocks:
+string()  number({ min, max, integer })  boolean()
+enumOf(["a", "b"])  array(itemSchema)  object({ key: schema })
+optional(schema)  optional(schema, defaultValue)
+
+Options for validate(schema, value, options):
+- coerce: true     → "42" becomes 42, "true" becomes true, 7 becomes "7"
+- defaults: false  → do not fill in optional() defaults
+
+validate() never changes the value you pass in, it returns a checked copy.
+It returns a [data, error] tuple (see lib/result.js), and parse() throws instead.
+*/
+
+import { ValidationError } from "./result.js";
+import { isPlainObject, joinPath, parseBoolean } from "./values.js";
+
+// -----------------------------------------------------------------------------
+// HELPERS
+
+const typeName = (value) =>
+  value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+
+// Every schema is a frozen { type, check(value, path, context) } object
+const makeSchema = (type, check, extra = {}) =>
+  Object.freeze({ type, check, ...extra });
+
+// Records a problem and returns the value unchanged
+function report(context, path, message, value) {
+  context.issues.push({ path: path || "(root)", message });
+  return value;
+}
+
+// Strings are quoted in messages, so "7" and 7 look different
+const formatReceived = (value) =>
+  typeof value === "string"
+    ? `"${value}"`
+    : Number.isNaN(value)
+      ? "NaN"
+      : typeName(value);
+
+const expected = (context, path, type, value) =>
+  report(
+    context,
+    path,
+    `expected ${type}, got ${formatReceived(value)}`,
+    value,
+  );
+
+// -----------------------------------------------------------------------------
+// PRIMITIVES
+
+export function string() {
+  return makeSchema("string", (value, path, context) => {
+    if (typeof value === "string") return value;
+
+    if (
+      context.coerce &&
+      (typeof value === "number" || typeof value === "boolean")
+    ) {
+      return String(value);
+    }
+
+    return expected(context, path, "string", value);
+  });
+}
+
+export function number({ min, max, integer = false } = {}) {
+  return makeSchema("number", (value, path, context) => {
+    let result = value;
+
+    // "42" → 42, but "" and "abc" stay invalid
+    if (
+      context.coerce &&
+      typeof value === "string" &&
+      value.trim() !== "" &&
+      Number.isFinite(Number(value))
+    ) {
+      result = Number(value);
+    }
+
+    if (typeof result !== "number" || Number.isNaN(result)) {
+      return expected(context, path, "number", value);
+    }
+
+    if (integer && !Number.isInteger(result)) {
+      return report(context, path, `expected an integer, got ${result}`, value);
+    }
+    if (min !== undefined && result < min) {
+      return report(
+        context,
+        path,
+        `expected at least ${min}, got ${result}`,
+        value,
+      );
+    }
+    if (max !== undefined && result > max) {
+      return report(
+        context,
+        path,
+        `expected at most ${max}, got ${result}`,
+        value,
+      );
+    }
+
+    return result;
+  });
+}
+
+export function boolean() {
+  return makeSchema("boolean", (value, path, context) => {
+    if (typeof value === "boolean") return value;
+
+    if (context.coerce) {
+      const parsed = parseBoolean(value);
+      if (parsed !== undefined) return parsed;
+    }
+
+    return expected(context, path, "boolean", value);
+  });
+}
+
+// enumOf(["ok", "error"]) → the value must be one of these (enum is a reserved word)
+export function enumOf(values) {
+  const list = values.map((value) => JSON.stringify(value)).join(", ");
+
+  return makeSchema(
+    "enum",
+    (value, path, context) =>
+      values.includes(value)
+        ? value
+        : report(
+            context,
+            path,
+            `expected one of ${list}, got ${formatReceived(value)}`,
+            value,
+          ),
+    { values: Object.freeze([...values]) },
+  );
+}
+
+// -----------------------------------------------------------------------------
+// OBJECTS AND ARRAYS
+
+/*
+object({ ... }) checks every listed key.
+Keys that are not in the schema are kept as they are.
+If the value is not an object at all, ONE problem is reported (not one per key).
+*/
+export function object(shape) {
+  return makeSchema(
+    "object",
+    (value, path, context) => {
+      if (!isPlainObject(value)) {
+        return expected(context, path, "object", value);
+      }
+
+      const result = { ...value };
+
+      for (const [key, schema] of Object.entries(shape)) {
+        const checked = schema.check(value[key], joinPath(path, key), context);
+
+        // Leave missing optional keys missing, instead of adding key: undefined
+        if (checked !== undefined || key in value) result[key] = checked;
+      }
+
+      return result;
+    },
+    { shape },
+  );
+}
+
+export function array(itemSchema) {
+  return makeSchema(
+    "array",
+    (value, path, context) => {
+      if (!Array.isArray(value)) return expected(context, path, "array", value);
+
+      return value.map((item, index) =>
+        itemSchema.check(item, joinPath(path, index), context),
+      );
+    },
+    { items: itemSchema },
+  );
+}
+
+/*
+optional(schema)          → undefined is allowed
+optional(schema, "light") → undefined becomes "light"
+
+Just like a destructuring default, only undefined counts as missing (null does not).
+*/
+export function optional(schema, ...defaultValue) {
+  const hasDefault = defaultValue.length > 0;
+
+  return makeSchema(
+    schema.type,
+    (value, path, context) => {
+      if (value !== undefined) return schema.check(value, path, context);
+
+      // structuredClone: two results never share the same default object
+      return hasDefault && context.defaults
+        ? structuredClone(defaultValue[0])
+        : undefined;
+    },
+    { optional: true, inner: schema },
+  );
+}
+
+// -----------------------------------------------------------------------------
+// VALIDATING
+
+/*
+validate(schema, value, options) → [checkedValue, null] or [undefined, ValidationError]
+
+error.details is the list of problems: [{ path, message }, ...]
+*/
+export function validate(
+  schema,
+  value,
+  { coerce = false, defaults = true } = {},
+) {
+  const context = { coerce, defaults, issues: [] };
+  const checked = schema.check(value, "", context);
+
+  if (context.issues.length === 0) return [checked, null];
+
+  const lines = context.issues.map(
+    ({ path, message }) => `- ${path}: ${message}`,
+  );
+
+  return [
+    undefined,
+    new ValidationError(`Invalid value:\n${lines.join("\n")}`, {
+      details: context.issues,
+    }),
+  ];
+}
+
+// parse() is validate() for code that prefers try/catch
+export function parse(schema, value, options) {
+  const [checked, error] = validate(schema, value, options);
+
+  if (error) throw error;
+  return checked;
+}
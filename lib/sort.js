@@ -0,0 +1,159 @@
+/*
+
+SORTING BY ONE OR MORE KEYS
+
+What this is:
+01. Core-Syntax/03. Arrow-Functions.js warns that sort() changes the original array,
+so it copies first: [...prices].sort((a, b) => a - b).
+That is easy for numbers, but sorting users by city, then by name,
+with missing values and words like "Émile" or "item 10" gets long quickly.
+
+sortBy(array, ...criteria) always returns a NEW array (the original is untouched)
+and compares key by key: the second key only decides when the first one is equal.
+
+How to use:
+import { sortBy, desc } from "./lib/sort.js";
+
+sortBy(prices);                              → [100, 250, 400]
+sortBy(users, "city", "name");               → by city, then by name
+sortBy(users, desc("age"), "name");          → oldest first, same age → by name
+sortBy(users, (user) => user.name.length);   → a function can be the key too
+
+A criterion can be:
+- a property name: "name"
+- a function that returns the key: (user) => user.address.city
+- asc(key, options) / desc(key, options), or the same as an object:
+  { by: "name", order: "desc", nulls: "first", locale: "bn", compare: (a, b) => ... }
+
+Rules:
+- null, undefined and NaN go LAST (in both directions) unless nulls: "first"
+- strings are compared with Intl.Collator, so "item 2" comes before "item 10"
+  and "é" sorts next to "e" (pass `locale` for other languages)
+- mixed types are grouped: numbers, dates, strings, booleans, then anything else
+- equal items keep their original order (the sort is stable)
+*/
+
+import { isDate } from "./values.js";
+
+const isMissing = (value) =>
+  value === null || value === undefined || Number.isNaN(value);
+
+// Collators are slow to create, so one is kept per locale
+const collators = new Map();
+
+const collatorFor = (locale = "default") => {
+  if (!collators.has(locale)) {
+    collators.set(
+      locale,
+      new Intl.Collator(locale === "default" ? undefined : locale, {
+        numeric: true,
+      }),
+    );
+  }
+  return collators.get(locale);
+};
+
+// Mixed types are grouped first: numbers, then dates, strings, booleans, everything else
+const typeRank = (value) => {
+  if (typeof value === "number" || typeof value === "bigint") return 0;
+  if (isDate(value)) return 1;
+  if (typeof value === "string") return 2;
+  if (typeof value === "boolean") return 3;
+  return 4;
+};
+
+// Dates by time, strings with the collator, everything else with < and >
+function compareValues(a, b, locale) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (isDate(a) && isDate(b)) return a - b;
+  if (typeof a === "string" && typeof b === "string") {
+    return collatorFor(locale).compare(a, b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// -----------------------------------------------------------------------------
+// CRITERIA
+
+export const asc = (by, options = {}) => ({ ...options, by, order: "asc" });
+export const desc = (by, options = {}) => ({ ...options, by, order: "desc" });
+
+// "name" / (user) => ... / { by, order, ... } → one comparator function
+function toComparator(criterion) {
+  const {
+    by = (value) => value,
+    order = "asc",
+    nulls = "last",
+    locale,
+    compare = (a, b) => compareValues(a, b, locale),
+  } = typeof criterion === "object" && criterion !== null
+    ? criterion
+    : { by: criterion };
+
+  if (order !== "asc" && order !== "desc") {
+    throw new RangeError(
+      `sortBy: order must be "asc" or "desc", got "${order}"`,
+    );
+  }
+  if (nulls !== "first" && nulls !== "last") {
+    throw new RangeError(
+      `sortBy: nulls must be "first" or "last", got "${nulls}"`,
+    );
+  }
+  if (typeof by !== "string" && typeof by !== "function") {
+    throw new TypeError(
+      `sortBy: a key must be a property name or a function, got ${typeof by}`,
+    );
+  }
+
+  const read = typeof by === "function" ? by : (item) => item?.[by];
+  const sign = order === "desc" ? -1 : 1;
+  const missingLast = nulls === "last" ? 1 : -1;
+
+  return (left, right) => {
+    const a = read(left);
+    const b = read(right);
+
+    // Missing values are placed before the direction is applied
+    if (isMissing(a) || isMissing(b)) {
+      return (isMissing(a) - isMissing(b)) * missingLast;
+    }
+    return sign * compare(a, b);
+  };
+}
+
+// One comparator for several criteria, usable with array.sort() directly
+export function compareBy(...criteria) {
+  const comparators = (criteria.length > 0 ? criteria : [{}]).map(toComparator);
+
+  return (a, b) => {
+    for (const comparator of comparators) {
+      const result = comparator(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+// -----------------------------------------------------------------------------
+// SORTING
+
+export function sortBy(array, ...criteria) {
+  if (!Array.isArray(array)) {
+    throw new TypeError(
+      `sortBy: expected an array, got ${array === null ? "null" : typeof array}`,
+    );
+  }
+
+  /*
+  array.sort() moves undefined to the end without asking the comparator,
+  so { nulls: "first" } would be ignored for it. Sorting wrapped entries avoids that
+  (and the copy keeps the original array as it is).
+  */
+  const compare = compareBy(...criteria);
+  return Array.from(array, (value) => ({ value }))
+    .sort((a, b) => compare(a.value, b.value))
+    .map(({ value }) => value);
+}
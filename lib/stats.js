@@ -0,0 +1,188 @@
+/*
+
+STATISTICS HELPERS
+
+What this is:
+`getMinMax(arr)` from 02. Destructuring/01. Array-Destructuring.js returns [min, max],
+but getMinMax([]) quietly returns [undefined, undefined].
+These helpers throw an EmptyInputError instead, check that every value is a number,
+and cover the rest of the usual numbers: sum, mean, median, mode, spread, percentiles.
+
+How to use:
+import { mean, median, percentile, summarize } from "./lib/stats.js";
+
+const ages = [12, 18, 22, 15, 30];
+mean(ages);               → 19.4
+median(ages);             → 18
+percentile(ages, 90);     → 26.8
+
+Objects work too: pass a key selector (a function or a property name)
+mean(users, (user) => user.age);
+mean(users, "age");
+
+summarize() gives a tuple AND named values, so both kinds of destructuring work:
+const [min, max] = summarize(ages);
+const { mean, median, stdDev } = summarize(ages);
+*/
+
+import { AppError, ValidationError } from "./result.js";
+
+export class EmptyInputError extends AppError {
+  constructor(fnName) {
+    super(`${fnName}() needs at least one value, got an empty list`, {
+      code: "EMPTY_INPUT",
+    });
+    this.name = "EmptyInputError";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// READING VALUES
+
+/*
+(users, "age") and (users, (user) => user.age) both give [21, 25, ...].
+Every value must be a finite number, so a typo like "agee" fails loudly
+instead of turning the result into NaN.
+*/
+function numbersOf(values, by, fnName) {
+  if (!Array.isArray(values)) {
+    throw new ValidationError(
+      `${fnName}() expects an array, got ${values === null ? "null" : typeof values}`,
+    );
+  }
+  if (values.length === 0) throw new EmptyInputError(fnName);
+
+  const select =
+    by === undefined
+      ? (value) => value
+      : typeof by === "function"
+        ? by
+        : (value) => value?.[by];
+
+  return values.map((value, index) => {
+    const number = select(value, index);
+
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      throw new ValidationError(
+        `${fnName}(): value ${index} is ${JSON.stringify(number) ?? String(number)}, expected a number`,
+      );
+    }
+    return number;
+  });
+}
+
+const sortedCopy = (numbers) => [...numbers].sort((a, b) => a - b);
+
+// -----------------------------------------------------------------------------
+// THE HELPERS
+
+// Math.min(...numbers) can overflow the call stack for very long arrays, reduce cannot
+export const min = (values, by) =>
+  numbersOf(values, by, "min").reduce((a, b) => (b < a ? b : a));
+
+export const max = (values, by) =>
+  numbersOf(values, by, "max").reduce((a, b) => (b > a ? b : a));
+
+export const sum = (values, by) =>
+  numbersOf(values, by, "sum").reduce((a, b) => a + b, 0);
+
+export function mean(values, by) {
+  const numbers = numbersOf(values, by, "mean");
+  return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+}
+
+// The middle value, or the average of the two middle values
+export function median(values, by) {
+  const sorted = sortedCopy(numbersOf(values, by, "median"));
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Always an array, because several values can share the top count: [2, 5]
+export function mode(values, by) {
+  const counts = new Map();
+
+  for (const number of numbersOf(values, by, "mode")) {
+    counts.set(number, (counts.get(number) ?? 0) + 1);
+  }
+
+  const top = [...counts.values()].reduce((a, b) => (b > a ? b : a));
+  return sortedCopy(
+    [...counts].filter(([, count]) => count === top).map(([number]) => number),
+  );
+}
+
+/*
+Population variance by default (divide by n).
+{ sample: true } divides by n - 1, for when the values are a sample of a bigger group.
+*/
+export function variance(values, by, { sample = false } = {}) {
+  const numbers = numbersOf(values, by, "variance");
+
+  if (sample && numbers.length < 2) {
+    throw new ValidationError("variance(): a sample needs at least two values");
+  }
+
+  const average = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+  const squares = numbers.reduce((total, n) => total + (n - average) ** 2, 0);
+  return squares / (numbers.length - (sample ? 1 : 0));
+}
+
+export const stdDev = (values, by, options) =>
+  Math.sqrt(variance(values, by, options));
+
+/*
+percentile(values, 90) → the value 90% of the way through the sorted list.
+Between two values it interpolates (the same as Excel's PERCENTILE.INC):
+percentile([10, 20], 50) → 15
+*/
+export function percentile(values, p, by) {
+  if (typeof p !== "number" || !(p >= 0 && p <= 100)) {
+    throw new ValidationError(
+      `percentile(): p must be a number from 0 to 100, got ${p}`,
+    );
+  }
+
+  const sorted = sortedCopy(numbersOf(values, by, "percentile"));
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// -----------------------------------------------------------------------------
+// EVERYTHING AT ONCE
+
+/*
+Returns [min, max, mean, median, stdDev] with every value ALSO as a named property
+(like the array a RegExp match returns, which also has .index and .groups):
+
+const [min, max] = summarize(ages);            // order matters
+const { count, mean, p90 } = summarize(ages);   // names matter
+*/
+export function summarize(values, by) {
+  const numbers = numbersOf(values, by, "summarize");
+
+  const named = {
+    count: numbers.length,
+    min: min(numbers),
+    max: max(numbers),
+    sum: sum(numbers),
+    mean: mean(numbers),
+    median: median(numbers),
+    mode: mode(numbers),
+    variance: variance(numbers),
+    stdDev: stdDev(numbers),
+    p25: percentile(numbers, 25),
+    p75: percentile(numbers, 75),
+    p90: percentile(numbers, 90),
+  };
+
+  const tuple = [named.min, named.max, named.mean, named.median, named.stdDev];
+
+  return Object.freeze(Object.assign(tuple, named));
+}
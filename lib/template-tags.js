@@ -0,0 +1,197 @@
+/*
+
+TAGGED TEMPLATES (html, cx, url, dedent)
+
+What this is:
+01. Core-Syntax/04. Template-Literals.js says React uses template literals for
+building class names and API URLs, but plain `${}` inserts values as they are.
+A TAG is a function placed before the backticks: html`<p>${name}</p>`.
+It receives the text parts and the values separately, so it can clean each value.
+
+How to use:
+import { html, cx, url, dedent } from "./lib/template-tags.js";
+
+html`<p>${comment}</p>`          → values are HTML-escaped (no script injection)
+cx`btn ${isActive && "active"}`  → "btn active" or "btn" (false / null / "" are dropped)
+url`/users/${id}/posts?${query}` → path values are percent-encoded, objects become ?a=1&b=2
+dedent`
+  Hello
+  Welcome to ES6
+`                                → "Hello\nWelcome to ES6" (common indentation removed)
+
+How a tag is called:
+tag`a ${x} b ${y} c`  is the same as  tag(["a ", " b ", " c"], x, y)
+There is always one more text part than there are values.
+*/
+
+import { escapeHtml } from "./element.js";
+import { isPlainObject } from "./values.js";
+
+// tag`...` passes a frozen strings array with a .raw property
+const isTemplateCall = (first) =>
+  Array.isArray(first) && Array.isArray(first.raw);
+
+// -----------------------------------------------------------------------------
+// html
+
+/*
+The result is a SafeHtml object, not a plain string.
+That way html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`
+does not escape the inner <li> tags a second time.
+Use String(result) or `${result}` to get the text.
+*/
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Marks HTML you trust (from your own code, NEVER from users) so it is not escaped
+export const unsafeHTML = (value) => new SafeHtml(String(value));
+
+function htmlValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(htmlValue).join("");
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  const text = strings.reduce(
+    (result, part, i) => result + htmlValue(values[i - 1]) + part,
+  );
+  return new SafeHtml(text);
+}
+
+// -----------------------------------------------------------------------------
+// cx (class names)
+
+/*
+Works as a tag or as a normal function:
+cx`btn ${size} ${isActive && "active"}`
+cx("btn", size, { active: isActive, disabled: !enabled }, ["extra"])
+
+Objects add every key whose value is truthy, arrays are flattened,
+false / null / undefined / "" are dropped, and duplicates are removed.
+*/
+function classNames(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(classNames);
+  if (typeof value === "object") {
+    return Object.keys(value).filter((key) => value[key]);
+  }
+  return String(value).split(/\s+/).filter(Boolean);
+}
+
+export function cx(first, ...rest) {
+  // As a tag, values are glued to the text around them, so cx`icon-${name}` works
+  const parts = isTemplateCall(first)
+    ? [
+        first.reduce(
+          (result, text, i) =>
+            result + classNames(rest[i - 1]).join(" ") + text,
+        ),
+      ]
+    : [first, ...rest];
+
+  return [...new Set(parts.flatMap(classNames))].join(" ");
+}
+
+// -----------------------------------------------------------------------------
+// url
+
+// "." and ".." are encoded too, so a value can never walk up the path
+const encodeSegment = (value) =>
+  value === "." || value === ".."
+    ? value.replace(/\./g, "%2E")
+    : encodeURIComponent(value);
+
+/*
+{ page: 2, tags: ["js", "es6"], empty: null } → "page=2&tags=js&tags=es6"
+null and undefined values are left out, arrays repeat the key.
+*/
+export function toQueryString(query) {
+  return Object.entries(query)
+    .flatMap(([key, value]) =>
+      (Array.isArray(value) ? value : [value])
+        .filter((item) => item !== null && item !== undefined)
+        .map(
+          (item) => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`,
+        ),
+    )
+    .join("&");
+}
+
+/*
+url`https://api.example.com/users/${id}/posts?${{ page: 2 }}`
+→ "https://api.example.com/users/7/posts?page=2"
+
+- a plain object becomes a query string (a "?" is added if there is none yet)
+- every other value is percent-encoded: "a b/c" → "a%20b%2Fc"
+- an empty query object also removes the "?" or "&" right before it
+*/
+export function url(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, i) => {
+    if (isPlainObject(value)) {
+      const query = toQueryString(value);
+
+      if (!query) {
+        result = result.replace(/[?&]$/, "");
+      } else if (/[?&]$/.test(result)) {
+        result += query;
+      } else {
+        result += (result.includes("?") ? "&" : "?") + query;
+      }
+    } else if (value === null || value === undefined) {
+      throw new TypeError(
+        `url: value ${i + 1} is ${value} (after "${result}"). Check the variable.`,
+      );
+    } else {
+      result += encodeSegment(String(value));
+    }
+
+    result += strings[i + 1];
+  });
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// dedent
+
+/*
+Removes the indentation that every line shares,
+plus the empty first line and the whitespace-only last line
+that appear when a template starts and ends on its own line.
+
+Interpolated values are inserted AFTER dedenting,
+so a multi-line value does not change the indentation.
+*/
+const PLACEHOLDER = "\u0000";
+
+function dedentText(text) {
+  const lines = text.split("\n");
+
+  if (lines.length > 1 && lines[0].trim() === "") lines.shift();
+  if (lines.length > 1 && lines.at(-1).trim() === "") lines.pop();
+
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => line.match(/^[ \t]*/)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+
+  return lines.map((line) => line.slice(common)).join("\n");
+}
+
+export function dedent(first, ...values) {
+  if (!isTemplateCall(first)) return dedentText(String(first));
+
+  const parts = dedentText(first.join(PLACEHOLDER)).split(PLACEHOLDER);
+  return parts.reduce((result, part, i) => result + values[i - 1] + part);
+}
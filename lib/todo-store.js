@@ -0,0 +1,221 @@
+/*
+
+TODO STORE (REDUCER, UNDO / REDO, SUBSCRIBE, JSON FILE)
+
+What this is:
+`todoItems` in 01. Core-Syntax/03. Arrow-Functions.js is a fixed array that is only logged.
+Here the list can change, the React way:
+- the state is never changed in place, every change makes a NEW frozen state
+- all changes go through one pure function: todoReducer(state, action)
+- old states are kept, so undo() and redo() are just "go back to that state"
+- subscribers are told about every change (like a component re-rendering)
+
+How to use:
+import { createTodoStore } from "./lib/todo-store.js";
+
+const store = createTodoStore({ file: "todos.json" });   // file is optional
+
+const unsubscribe = store.subscribe((state, action) => console.log(action.type));
+const { id } = store.addTodo("Learn ES6");
+store.toggleTodo(id);
+store.getTodos("completed");   → [{ id: 1, title: "Learn ES6", completed: true, ... }]
+store.undo();                  → back to "not completed"
+
+todoReducer also works with useReducer from lib/hooks.js:
+const [state, dispatch] = useReducer(todoReducer, { todos: [] });
+dispatch({ type: "add", title: "Practice React" });
+*/
+
+import fs from "node:fs";
+import { NotFoundError, ValidationError } from "./result.js";
+
+export const FILTERS = Object.freeze({
+  all: () => true,
+  active: (todo) => !todo.completed,
+  completed: (todo) => todo.completed,
+});
+
+// -----------------------------------------------------------------------------
+// THE REDUCER
+
+function checkTitle(title) {
+  if (typeof title !== "string" || title.trim() === "") {
+    throw new ValidationError(
+      `A todo needs a non-empty title, got ${JSON.stringify(title)}`,
+    );
+  }
+  return title.trim();
+}
+
+const makeTodo = ({ id, title, completed = false, createdAt = null }) =>
+  Object.freeze({ id, title: checkTitle(title), completed, createdAt });
+
+const makeState = (todos) => Object.freeze({ todos: Object.freeze(todos) });
+
+// Changes one todo and keeps every other todo (and its object) as it was
+function updateTodo(state, id, change) {
+  if (!state.todos.some((todo) => todo.id === id)) {
+    throw new NotFoundError(`No todo with id ${id}`);
+  }
+
+  return makeState(
+    state.todos.map((todo) =>
+      todo.id === id ? makeTodo({ ...todo, ...change(todo) }) : todo,
+    ),
+  );
+}
+
+/*
+A pure function: (old state, action) → new state. It never changes `state`.
+Actions:
+{ type: "add", title, createdAt }
+{ type: "toggle", id }
+{ type: "edit", id, title }
+{ type: "remove", id }
+{ type: "clearCompleted" }
+*/
+export function todoReducer(state, action) {
+  switch (action.type) {
+    case "add": {
+      const id =
+        state.todos.reduce((max, todo) => Math.max(max, todo.id), 0) + 1;
+      const todo = makeTodo({
+        id,
+        title: action.title,
+        createdAt: action.createdAt,
+      });
+      return makeState([...state.todos, todo]);
+    }
+    case "toggle":
+      return updateTodo(state, action.id, (todo) => ({
+        completed: !todo.completed,
+      }));
+    case "edit":
+      return updateTodo(state, action.id, () => ({ title: action.title }));
+    case "remove":
+      if (!state.todos.some((todo) => todo.id === action.id)) {
+        throw new NotFoundError(`No todo with id ${action.id}`);
+      }
+      return makeState(state.todos.filter((todo) => todo.id !== action.id));
+    case "clearCompleted":
+      return makeState(state.todos.filter((todo) => !todo.completed));
+    default:
+      throw new ValidationError(`Unknown todo action "${action.type}"`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// THE STORE
+
+// Writes to a temporary file first, so a crash never leaves half a JSON file
+function writeJson(file, data) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+}
+
+function readTodos(file) {
+  if (!fs.existsSync(file)) return null;
+
+  const { todos } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(todos)) {
+    throw new ValidationError(`${file} has no "todos" array`);
+  }
+  return todos;
+}
+
+export function createTodoStore({
+  initialTodos = [],
+  file,
+  historyLimit = 100,
+  clock = () => new Date(),
+} = {}) {
+  // A saved file wins over initialTodos, so the list survives a restart
+  const saved = file ? readTodos(file) : null;
+  let state = makeState((saved ?? initialTodos).map(makeTodo));
+
+  const past = [];
+  let future = [];
+  const listeners = new Set();
+
+  function commit(nextState, action) {
+    state = nextState;
+    if (file) writeJson(file, state);
+    for (const listener of [...listeners]) listener(state, action);
+  }
+
+  function dispatch(action) {
+    const nextState = todoReducer(state, action);
+
+    past.push(state);
+    if (past.length > historyLimit) past.shift();
+    future = [];
+
+    commit(nextState, action);
+    return nextState;
+  }
+
+  const findTodo = (id) => state.todos.find((todo) => todo.id === id);
+
+  return Object.freeze({
+    dispatch,
+
+    getState: () => state,
+
+    getTodos(filter = "all") {
+      if (!Object.hasOwn(FILTERS, filter)) {
+        throw new ValidationError(
+          `Unknown filter "${filter}" (use ${Object.keys(FILTERS).join(", ")})`,
+        );
+      }
+      return state.todos.filter(FILTERS[filter]);
+    },
+
+    // Each returns the todo it changed (the new version)
+    addTodo(title) {
+      dispatch({ type: "add", title, createdAt: clock().toISOString() });
+      return state.todos.at(-1);
+    },
+    toggleTodo(id) {
+      dispatch({ type: "toggle", id });
+      return findTodo(id);
+    },
+    editTodo(id, title) {
+      dispatch({ type: "edit", id, title });
+      return findTodo(id);
+    },
+    removeTodo(id) {
+      const removed = findTodo(id);
+      dispatch({ type: "remove", id });
+      return removed;
+    },
+    clearCompleted: () => dispatch({ type: "clearCompleted" }),
+
+    get canUndo() {
+      return past.length > 0;
+    },
+    get canRedo() {
+      return future.length > 0;
+    },
+
+    // Returns false when there is nothing to undo / redo
+    undo() {
+      if (past.length === 0) return false;
+      future.push(state);
+      commit(past.pop(), { type: "undo" });
+      return true;
+    },
+    redo() {
+      if (future.length === 0) return false;
+      past.push(state);
+      commit(future.pop(), { type: "redo" });
+      return true;
+    },
+
+    // listener(state, action) runs after every change, the return value unsubscribes
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  });
+}
@@ -0,0 +1,54 @@
+/*
+
+VALUE CHECKS SHARED BY THE LIB MODULES
+
+What this is:
+Small checks that several modules need (config, schema, pick, sort, template-tags).
+Keeping them in one place means "is this a boolean?" or "is this a plain object?"
+gets the same answer everywhere.
+
+How to use:
+import { isPlainObject, isDate, parseBoolean, joinPath } from "./values.js";
+
+isPlainObject({ a: 1 })      → true (arrays, dates and null are not)
+isDate(new Date())           → true
+parseBoolean(" Yes ")        → true
+parseBoolean("off")          → false
+parseBoolean("maybe")        → undefined
+joinPath("user.tags", 0)     → "user.tags[0]"
+*/
+
+// -----------------------------------------------------------------------------
+// TYPES
+
+/*
+These read the built-in type tag instead of using instanceof,
+so values made in another realm (a vm context, like the lesson runner's) pass too.
+*/
+const tagOf = (value) => Object.prototype.toString.call(value);
+
+export const isPlainObject = (value) => tagOf(value) === "[object Object]";
+
+export const isDate = (value) => tagOf(value) === "[object Date]";
+
+// -----------------------------------------------------------------------------
+// TEXT
+
+const TRUE_TEXT = ["true", "1", "yes", "on"];
+const FALSE_TEXT = ["false", "0", "no", "off"];
+
+// "true" / "1" / "yes" / "on" → true, their opposites → false, anything else → undefined
+export function parseBoolean(text) {
+  const lower = String(text).trim().toLowerCase();
+  if (TRUE_TEXT.includes(lower)) return true;
+  if (FALSE_TEXT.includes(lower)) return false;
+  return undefined;
+}
+
+// The path of a nested value in messages: data.user.tags[0]
+export const joinPath = (parent, key) =>
+  typeof key === "number"
+    ? `${parent}[${key}]`
+    : parent
+      ? `${parent}.${key}`
+      : key;
@@ -0,0 +1,256 @@
+/*
+
+WALLET LEDGER
+
+What this is:
+A full version of `createWallet` from 02. Destructuring/01. Array-Destructuring.js.
+That example returned [balance, addMoney], and `balance` was a stale copy.
+Here the balance is always read from the ledger, and every change is recorded.
+
+Features:
+- deposit / withdraw (withdrawing too much throws InsufficientFundsError)
+- transfer between two wallets of the same currency
+- an immutable transaction history (frozen objects with ids and timestamps)
+- money is stored in integer MINOR units (1 BDT = 100 poisha),
+  so 0.1 + 0.2 never turns into 0.30000000000000004
+- getStatement({ from, to }) for a date range
+
+How to use:
+import { createWallet, transfer } from "./lib/wallet.js";
+
+const yash = createWallet({ owner: "Yash", startAmount: 100 });
+const rohan = createWallet({ owner: "Rohan" });
+
+yash.deposit(50.25, { note: "Pocket money" });
+transfer(yash, rohan, 20);
+
+yash.getBalance();  → 130.25
+rohan.getBalance(); → 20
+yash.getStatement({ from: "2026-01-01" });
+*/
+
+import { toMinor, fromMinor, formatMoney } from "./money.js";
+
+// Re-exported, so wallet code can format amounts without a second import
+export { toMinor, fromMinor, formatMoney };
+
+let walletCount = 0;
+let transactionCount = 0;
+
+// Private ledger of each wallet (balance + history), hidden from the wallet object
+const ledgers = new WeakMap();
+
+// -----------------------------------------------------------------------------
+// ERRORS
+
+export class InsufficientFundsError extends Error {
+  constructor({ walletId, balanceMinor, requestedMinor, currency }) {
+    super(
+      `Insufficient funds in ${walletId}: balance is ${formatMoney(balanceMinor, currency)}, ` +
+        `tried to take ${formatMoney(requestedMinor, currency)}`,
+    );
+    this.name = "InsufficientFundsError";
+    this.walletId = walletId;
+    this.balance = fromMinor(balanceMinor, currency);
+    this.requested = fromMinor(requestedMinor, currency);
+    this.currency = currency;
+  }
+}
+
+export class CurrencyMismatchError extends Error {
+  constructor(fromCurrency, toCurrency) {
+    super(`Cannot transfer ${fromCurrency} into a ${toCurrency} wallet`);
+    this.name = "CurrencyMismatchError";
+    this.fromCurrency = fromCurrency;
+    this.toCurrency = toCurrency;
+  }
+}
+
+// Accepts Date objects, ISO strings and timestamps
+const toTime = (value) => new Date(value).getTime();
+
+// -----------------------------------------------------------------------------
+// CREATING A WALLET
+
+/*
+Options (all optional):
+- owner        → who the wallet belongs to
+- currency     → "BDT" by default
+- startAmount  → recorded as the first deposit
+- clock        → returns the current Date (handy for tests and demos)
+*/
+export function createWallet({
+  owner = "Unknown",
+  currency = "BDT",
+  startAmount = 0,
+  clock = () => new Date(),
+} = {}) {
+  const id = `wallet-${++walletCount}`;
+  const ledger = { balanceMinor: 0, history: [] };
+
+  // Every balance change goes through here, so history and balance never disagree
+  function record(type, amountMinor, { note = "", transferId } = {}) {
+    const signed =
+      type === "deposit" || type === "transfer-in" ? amountMinor : -amountMinor;
+
+    if (ledger.balanceMinor + signed < 0) {
+      throw new InsufficientFundsError({
+        walletId: id,
+        balanceMinor: ledger.balanceMinor,
+        requestedMinor: amountMinor,
+        currency,
+      });
+    }
+
+    ledger.balanceMinor += signed;
+
+    const transaction = Object.freeze({
+      id: `tx-${++transactionCount}`,
+      walletId: id,
+      type,
+      amount: fromMinor(signed, currency),
+      amountMinor: signed,
+      currency,
+      balanceAfter: fromMinor(ledger.balanceMinor, currency),
+      timestamp: clock().toISOString(),
+      note,
+      ...(transferId && { transferId }),
+    });
+
+    ledger.history.push(transaction);
+    return transaction;
+  }
+
+  ledger.record = record;
+  ledger.canPay = (amountMinor) => ledger.balanceMinor >= amountMinor;
+
+  const wallet = Object.freeze({
+    id,
+    owner,
+    currency,
+
+    deposit(amount, options) {
+      return record("deposit", toMinor(amount, currency), options);
+    },
+
+    withdraw(amount, options) {
+      return record("withdrawal", toMinor(amount, currency), options);
+    },
+
+    // Always the live balance (never a stale copy)
+    getBalance() {
+      return fromMinor(ledger.balanceMinor, currency);
+    },
+
+    getBalanceMinor() {
+      return ledger.balanceMinor;
+    },
+
+    // A frozen copy: nobody can push or edit history from outside
+    getHistory() {
+      return Object.freeze([...ledger.history]);
+    },
+
+    getStatement(options) {
+      return buildStatement(wallet, ledger.history, options);
+    },
+  });
+
+  ledgers.set(wallet, ledger);
+
+  if (startAmount > 0) {
+    wallet.deposit(startAmount, { note: "Opening balance" });
+  }
+
+  return wallet;
+}
+
+// -----------------------------------------------------------------------------
+// TRANSFERS
+
+/*
+Both sides are checked BEFORE anything is recorded,
+so a failed transfer never leaves half a transaction behind.
+*/
+export function transfer(fromWallet, toWallet, amount, { note = "" } = {}) {
+  const source = ledgers.get(fromWallet);
+  const target = ledgers.get(toWallet);
+
+  if (!source || !target) {
+    throw new TypeError("transfer() needs two wallets made by createWallet()");
+  }
+
+  if (fromWallet.currency !== toWallet.currency) {
+    throw new CurrencyMismatchError(fromWallet.currency, toWallet.currency);
+  }
+
+  const amountMinor = toMinor(amount, fromWallet.currency);
+
+  if (!source.canPay(amountMinor)) {
+    throw new InsufficientFundsError({
+      walletId: fromWallet.id,
+      balanceMinor: fromWallet.getBalanceMinor(),
+      requestedMinor: amountMinor,
+      currency: fromWallet.currency,
+    });
+  }
+
+  const transferId = `transfer-${transactionCount + 1}`;
+
+  const sent = source.record("transfer-out", amountMinor, {
+    note: note || `To ${toWallet.owner}`,
+    transferId,
+  });
+  const received = target.record("transfer-in", amountMinor, {
+    note: note || `From ${fromWallet.owner}`,
+    transferId,
+  });
+
+  return { transferId, sent, received };
+}
+
+// -----------------------------------------------------------------------------
+// STATEMENTS
+
+/*
+getStatement({ from, to }) → every transaction between the two dates (inclusive).
+Leave out `from` to start at the beginning, leave out `to` to go until now.
+*/
+function buildStatement(wallet, history, { from, to } = {}) {
+  const start = from === undefined ? -Infinity : toTime(from);
+  const end = to === undefined ? Infinity : toTime(to);
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new RangeError(`Invalid statement range: from ${from} to ${to}`);
+  }
+
+  const before = history.filter((tx) => toTime(tx.timestamp) < start);
+  const transactions = history.filter((tx) => {
+    const time = toTime(tx.timestamp);
+    return time >= start && time <= end;
+  });
+
+  const sumMinor = (list) =>
+    list.reduce((total, tx) => total + tx.amountMinor, 0);
+  const openingMinor = sumMinor(before);
+  const inMinor = sumMinor(transactions.filter((tx) => tx.amountMinor > 0));
+  const outMinor = transactions
+    .filter((tx) => tx.amountMinor < 0)
+    .reduce((total, tx) => total - tx.amountMinor, 0);
+
+  return Object.freeze({
+    walletId: wallet.id,
+    owner: wallet.owner,
+    currency: wallet.currency,
+    from: from === undefined ? null : new Date(start).toISOString(),
+    to: to === undefined ? null : new Date(end).toISOString(),
+    openingBalance: fromMinor(openingMinor, wallet.currency),
+    totalIn: fromMinor(inMinor, wallet.currency),
+    totalOut: fromMinor(outMinor, wallet.currency),
+    closingBalance: fromMinor(
+      openingMinor + inMinor - outMinor,
+      wallet.currency,
+    ),
+    transactions: Object.freeze(transactions),
+  });
+}
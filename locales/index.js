@@ -0,0 +1,21 @@
+/*
+
+MESSAGE CATALOGS
+
+One JSON file per language (en.json, bn.json), used by lib/i18n.js.
+A message that is missing in one language falls back to English.
+
+How to use:
+import { messages } from "./locales/index.js";
+import { createI18n } from "./lib/i18n.js";
+
+const i18n = createI18n({ messages, locale: "bn" });
+*/
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadMessages } from "../lib/i18n.js";
+
+export const messages = loadMessages(
+  path.dirname(fileURLToPath(import.meta.url)),
+);
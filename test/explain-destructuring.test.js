@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { explainDestructuring } from "../tools/explain-destructuring.js";
+
+const steps = (source, options) =>
+  explainDestructuring(source, options).map((found) => found.steps);
+
+test("for...of walks the iterator, so it works for any iterable", () => {
+  assert.deepEqual(steps("for (const { id } of users) {}"), [
+    [
+      "var _iterator = users[Symbol.iterator]();",
+      "for (var _step = _iterator.next(); !_step.done; _step = _iterator.next()) {",
+      "  var _item = _step.value;",
+      "  var id = _item.id;",
+      "  // ...the rest of the loop",
+      "}",
+    ],
+  ]);
+
+  const [loop] = steps("for (const [key, value] of new Map(pairs)) {}");
+  assert.equal(loop[0], "var _iterator = (new Map(pairs))[Symbol.iterator]();");
+  assert.equal(loop[3], "  var key = _item[0];");
+});
+
+test("{ name } picks a function by name or a pattern by a variable it declares", () => {
+  const source = [
+    "const { a } = one;",
+    "const { b: { c } } = two;",
+    "function connect({ host }) {}",
+  ].join("\n");
+
+  const lines = (name) =>
+    explainDestructuring(source, { name }).map((found) => found.line);
+  assert.deepEqual(lines("c"), [2]);
+  assert.deepEqual(lines("connect"), [3]);
+  assert.deepEqual(lines("host"), [3]);
+  assert.deepEqual(lines("b"), []);
+  assert.deepEqual(
+    explainDestructuring(source, { line: 1 }).map((found) => found.code),
+    ["const { a } = one;"],
+  );
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createI18n } from "../lib/i18n.js";
+
+const i18n = createI18n({
+  messages: {
+    en: {
+      joined:
+        "{userName} joined. {gender, select, female {She lives} male {He lives} other {They live}} in {city}.",
+      items: "{count, plural, =0 {no items} one {# item} other {# items}}",
+    },
+  },
+});
+
+test("select picks the matching option", () => {
+  assert.equal(
+    i18n.t("joined", { userName: "Ayesha", gender: "female", city: "Dhaka" }),
+    "Ayesha joined. She lives in Dhaka.",
+  );
+});
+
+test("select uses other for names inherited from Object.prototype", () => {
+  for (const gender of ["constructor", "toString", "__proto__"]) {
+    assert.equal(
+      i18n.t("joined", { userName: "Sam", gender, city: "Sylhet" }),
+      "Sam joined. They live in Sylhet.",
+    );
+  }
+});
+
+test("plural picks an exact match, then the plural rule", () => {
+  assert.equal(i18n.t("items", { count: 0 }), "no items");
+  assert.equal(i18n.t("items", { count: 1 }), "1 item");
+  assert.equal(i18n.t("items", { count: 5 }), "5 items");
+});
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse, tokenize, walk, ParseError } from "../tools/js-parser.js";
+
+// The types of every node in source order, for short assertions
+const typesIn = (source) => {
+  const types = [];
+  walk(parse(source), {
+    enter(node) {
+      types.push(node.type);
+    },
+  });
+  return types;
+};
+
+const regexes = (source) =>
+  tokenize(source)
+    .tokens.filter((token) => token.type === "regex")
+    .map((token) => token.value);
+
+// -----------------------------------------------------------------------------
+// REGEX OR DIVISION
+
+test("a / after the head of if, while and for starts a regex", () => {
+  assert.deepEqual(regexes("if (x) /re/.test(s);"), ["/re/"]);
+  assert.deepEqual(regexes("while (i--) /x/.exec(s);"), ["/x/"]);
+  assert.deepEqual(regexes("for (const a of b) /y/g.test(a);"), ["/y/g"]);
+  assert.deepEqual(regexes("for await (const a of b) /z/.test(a);"), ["/z/"]);
+  assert.deepEqual(regexes("if (f(a)) /re/.test(s);"), ["/re/"]);
+});
+
+test("a / after any other ) is a division", () => {
+  assert.deepEqual(regexes("const d = (a + b) / 2 / c;"), []);
+  assert.deepEqual(regexes("obj.if(1) / 2 / 3;"), []);
+  assert.deepEqual(regexes("f(x) / y / z;"), []);
+  assert.deepEqual(regexes("if (x) y = (a) / b / c;"), []);
+});
+
+test("a / after other tokens", () => {
+  assert.deepEqual(regexes("const r = /a/g; x = y / 2 / z;"), ["/a/g"]);
+  assert.deepEqual(regexes("return /a/;"), ["/a/"]);
+  assert.deepEqual(regexes("const t = `${a / 2}` + /b/;"), ["/b/"]);
+  assert.deepEqual(regexes("arr[0] / 2 / 1;"), []);
+});
+
+test("a / after a postfix ++ or -- is a division", () => {
+  assert.deepEqual(regexes("i++ / 2 / 3;"), []);
+  assert.deepEqual(regexes("x-- / 2 / 1;"), []);
+  // a line break makes the ++ prefix: a; ++/re/.lastIndex
+  assert.deepEqual(regexes("a\n++/re/.lastIndex;"), ["/re/"]);
+});
+
+test("a / after a keyword used as a property name is a division", () => {
+  assert.deepEqual(regexes("a.return / 2 / 1;"), []);
+  assert.deepEqual(regexes("obj.delete / 3 / 1;"), []);
+  assert.deepEqual(regexes("a.in / b / c;"), []);
+  assert.deepEqual(regexes("a?.new / 2 / 1;"), []);
+  assert.equal(parse("a.return / 2;").body[0].expression.operator, "/");
+});
+
+test("a / after a variable named of or a property named in is a division", () => {
+  assert.deepEqual(regexes("let of = 1; of / 2 / 1;"), []);
+  assert.deepEqual(regexes("for (const a of /x/g.exec(s)) {}"), ["/x/g"]);
+  assert.deepEqual(regexes("x = a.in / b; y = c in /d/;"), ["/d/"]);
+});
+
+test("regex statements parse to the same tree as acorn", () => {
+  const [statement] = parse("if (x) /re/.test(s);").body;
+  assert.equal(statement.consequent.expression.type, "CallExpression");
+  assert.equal(
+    statement.consequent.expression.callee.object.regex.pattern,
+    "re",
+  );
+});
+
+// -----------------------------------------------------------------------------
+// CLASSES
+
+test("#x in obj is a BinaryExpression with a PrivateIdentifier", () => {
+  const source = "class A { #x; static has(o) { return #x in o && true; } }";
+  const types = typesIn(source);
+  assert.ok(types.includes("PrivateIdentifier"));
+
+  let binary;
+  walk(parse(source), {
+    BinaryExpression(node) {
+      binary = node;
+    },
+  });
+  assert.equal(binary.operator, "in");
+  assert.equal(binary.left.type, "PrivateIdentifier");
+  assert.equal(binary.left.name, "x");
+});
+
+test("a private name is only allowed before in", () => {
+  assert.throws(() => parse("class A { #x; m() { return #x; } }"), ParseError);
+  assert.throws(
+    () => parse("class A { #x; m() { return #x + 1; } }"),
+    ParseError,
+  );
+});
+
+test("static blocks", () => {
+  const types = typesIn("class A { static { init(); } }");
+  assert.ok(types.includes("StaticBlock"));
+});
+
+// -----------------------------------------------------------------------------
+// POSITIONS AND ERRORS
+
+test("nodes carry start, end and loc", () => {
+  const [declaration] = parse("\nconst a = 1;").body;
+  assert.equal(declaration.start, 1);
+  assert.equal(declaration.end, 13);
+  assert.deepEqual(declaration.loc.start, { line: 2, column: 0 });
+});
+
+test("ParseError has the line and column of the problem", () => {
+  assert.throws(
+    () => parse("const a = 1;\nlet = ;"),
+    (error) => {
+      assert.ok(error instanceof ParseError);
+      assert.ok(error instanceof SyntaxError);
+      assert.equal(error.line, 2);
+      assert.equal(error.column, 6);
+      return true;
+    },
+  );
+});
+
+test("templates, destructuring and optional chaining", () => {
+  const types = typesIn(
+    "const { a = 1, ...rest } = obj?.b ?? {}; tag`x${[y] = z}`;",
+  );
+  for (const type of [
+    "ObjectPattern",
+    "AssignmentPattern",
+    "RestElement",
+    "ChainExpression",
+    "LogicalExpression",
+    "TaggedTemplateExpression",
+    "ArrayPattern",
+  ]) {
+    assert.ok(types.includes(type), type);
+  }
+});
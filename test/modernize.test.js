@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { modernize } from "../tools/modernize.js";
+
+const rewrite = (source, options) => modernize(source, options).code;
+
+test("functions become arrow functions", () => {
+  assert.equal(
+    rewrite("function add(a, b) { return a + b; }\nadd(1, 2);"),
+    "const add = (a, b) => a + b;\nadd(1, 2);",
+  );
+});
+
+test("constructors stay functions", () => {
+  const called = 'function Person(n) { return { name: n }; }\nnew Person("a");';
+  assert.equal(rewrite(called), called);
+
+  const prototype =
+    "function Animal() {}\nAnimal.prototype.speak = function () { return 1; };";
+  assert.equal(rewrite(prototype), prototype);
+
+  const expression = "const Box = function (v) { return { v }; };\nnew Box(1);";
+  assert.equal(rewrite(expression), expression);
+});
+
+test("block-level function declarations are left alone", () => {
+  const source =
+    "if (ready) {\n  function inner() { return 1; }\n  inner();\n}";
+  assert.equal(rewrite(source, { only: ["arrow-functions"] }), source);
+});
+
+test("x = x || d becomes a default parameter, unless arguments is used", () => {
+  assert.equal(
+    rewrite(
+      'export function greet(name) {\n  name = name || "Guest";\n  return name;\n}',
+      { only: ["default-parameters"] },
+    ),
+    'export function greet(name = "Guest") {\n  return name;\n}',
+  );
+
+  const withArguments =
+    'export function greet(name) {\n  name = name || "Guest";\n  return arguments[0];\n}';
+  assert.equal(
+    rewrite(withArguments, { only: ["default-parameters"] }),
+    withArguments,
+  );
+});
+
+test("string concatenation becomes a template literal", () => {
+  const only = { only: ["template-literals"] };
+  assert.equal(
+    rewrite('var s = "Hi " + name + "!";', only),
+    "var s = `Hi ${name}!`;",
+  );
+  // a $ and a { from different strings must not start a placeholder
+  assert.equal(
+    rewrite("var s = 'cost: $' + '{' + a + '}';", only),
+    "var s = `cost: \\${${a}}`;",
+  );
+  assert.equal(rewrite("var s = '$' + a;", only), "var s = `$${a}`;");
+});
+
+test("unknown rules throw", () => {
+  assert.throws(() => modernize("", { only: ["nope"] }), RangeError);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { from } from "../lib/query.js";
+
+const users = [
+  { id: 1, name: "Yash", active: true, city: "Dhaka" },
+  { id: 3, name: "Rohan", active: true, city: "Khulna" },
+  { id: 2, name: "Aisha", active: false, city: "Dhaka" },
+  { id: 4, name: "Tom", active: true, city: "Dhaka" },
+];
+
+test("orderBy after select sorts by a key that select dropped", () => {
+  const names = from(users)
+    .where({ active: true })
+    .select("name")
+    .orderBy("id", "desc")
+    .take(10)
+    .toArray();
+  assert.deepEqual(names, ["Tom", "Rohan", "Yash"]);
+});
+
+test("orderBy after select uses the selected key when it is still there", () => {
+  const rows = from(users).select(["id", "name"]).orderBy("id").toArray();
+  assert.deepEqual(
+    rows.map((row) => row.id),
+    [1, 2, 3, 4],
+  );
+  assert.deepEqual(Object.keys(rows[0]), ["id", "name"]);
+});
+
+test("orderBy throws when no item has the key", () => {
+  assert.throws(() => from(users).orderBy("age").toArray(), {
+    name: "TypeError",
+    message: 'orderBy: no item has a "age" property',
+  });
+  assert.throws(
+    () => from(users).select("name").orderBy("age").toArray(),
+    TypeError,
+  );
+  assert.deepEqual(from([]).orderBy("age").toArray(), []);
+});
+
+test("steps are lazy: take stops pulling items", () => {
+  let pulled = 0;
+  const counted = (function* () {
+    for (const user of users) {
+      pulled++;
+      yield user;
+    }
+  })();
+  assert.deepEqual(from(counted).select("id").take(2).toArray(), [1, 3]);
+  assert.equal(pulled, 2);
+});
+
+test("groupBy and countBy", () => {
+  assert.deepEqual(from(users).countBy("city"), {
+    __proto__: null,
+    Dhaka: 3,
+    Khulna: 1,
+  });
+  assert.deepEqual(Object.keys(from(users).groupBy((user) => user.active)), [
+    "true",
+    "false",
+  ]);
+});
+
+test("groupBy and countBy keep keys named like Object.prototype members", () => {
+  const words = ["constructor", "toString", "constructor"];
+  const groups = from(words).groupBy((word) => word);
+  assert.equal(Object.getPrototypeOf(groups), null);
+  assert.deepEqual(groups.constructor, ["constructor", "constructor"]);
+  assert.deepEqual(groups.toString, ["toString"]);
+  assert.deepEqual(
+    from(words).countBy((word) => word),
+    {
+      __proto__: null,
+      constructor: 2,
+      toString: 1,
+    },
+  );
+});
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AppError,
+  NotFoundError,
+  UnwrapError,
+  ok,
+  err,
+  isOk,
+  isErr,
+  to,
+  tryCatch,
+  mapResult,
+  mapError,
+  combineResults,
+  unwrap,
+  unwrapOr,
+} from "../lib/result.js";
+
+// -----------------------------------------------------------------------------
+// MAKING RESULTS
+
+test("ok and err build [data, error] tuples", () => {
+  assert.deepEqual(ok(5), [5, null]);
+
+  const [data, error] = err(new NotFoundError("no user"));
+  assert.equal(data, undefined);
+  assert.equal(error.code, "NOT_FOUND");
+});
+
+test("isOk / isErr look only at the error side", () => {
+  assert.equal(isOk(ok(undefined)), true);
+  assert.equal(isErr(ok(undefined)), false);
+  assert.equal(isErr(err(new Error("x"))), true);
+  assert.equal(isOk(err(new Error("x"))), false);
+  // null data is still a success
+  assert.equal(isErr(ok(null)), false);
+});
+
+test("err wraps values that are not errors and keeps them as cause", () => {
+  const [, error] = err("oops");
+  assert.ok(error instanceof AppError);
+  assert.equal(error.code, "NON_ERROR_THROWN");
+  assert.equal(error.cause, "oops");
+});
+
+// -----------------------------------------------------------------------------
+// WRAPPING CODE THAT THROWS
+
+test("tryCatch returns the value or the thrown error (sync)", () => {
+  assert.deepEqual(tryCatch(JSON.parse, '{"a":1}'), [{ a: 1 }, null]);
+
+  const [data, error] = tryCatch(JSON.parse, "{broken");
+  assert.equal(data, undefined);
+  assert.ok(error instanceof SyntaxError);
+});
+
+test("tryCatch gives a promise of the tuple for async functions", async () => {
+  assert.deepEqual(await tryCatch(async () => "done"), ["done", null]);
+
+  const [, error] = await tryCatch(async () => {
+    throw new Error("async failure");
+  });
+  assert.equal(error.message, "async failure");
+});
+
+test("to() never rejects", async () => {
+  assert.deepEqual(await to(Promise.resolve(3)), [3, null]);
+
+  const [data, error] = await to(Promise.reject(new Error("down")));
+  assert.equal(data, undefined);
+  assert.equal(error.message, "down");
+});
+
+test("to() wraps a rejection that is not an Error", async () => {
+  const [data, error] = await to(Promise.reject("plain string"));
+  assert.equal(data, undefined);
+  assert.ok(error instanceof AppError);
+  assert.equal(error.code, "NON_ERROR_THROWN");
+  assert.equal(error.cause, "plain string");
+
+  const [, undefinedError] = await to(Promise.reject(undefined));
+  assert.equal(undefinedError.code, "NON_ERROR_THROWN");
+  assert.equal(undefinedError.cause, undefined);
+
+  const [, objectError] = await tryCatch(async () => {
+    throw { status: 500 };
+  });
+  assert.equal(objectError.code, "NON_ERROR_THROWN");
+  assert.deepEqual(objectError.cause, { status: 500 });
+});
+
+// -----------------------------------------------------------------------------
+// CHAINING RESULTS
+
+test("mapResult changes the data and catches what fn throws", () => {
+  assert.deepEqual(
+    mapResult(ok({ name: "Yash" }), (user) => user.name),
+    ["Yash", null],
+  );
+
+  const failed = err(new Error("first"));
+  assert.equal(
+    mapResult(failed, () => "never"),
+    failed,
+  );
+
+  const [, error] = mapResult(ok(1), () => {
+    throw new Error("in fn");
+  });
+  assert.equal(error.message, "in fn");
+});
+
+test("mapError changes the error and leaves successes alone", () => {
+  const success = ok(1);
+  assert.equal(
+    mapError(success, () => new Error("never")),
+    success,
+  );
+
+  const [data, error] = mapError(
+    err(new Error("timeout")),
+    (cause) => new AppError("Loading users failed", { code: "LOAD", cause }),
+  );
+  assert.equal(data, undefined);
+  assert.equal(error.code, "LOAD");
+  assert.equal(error.cause.message, "timeout");
+
+  // a mapped value that is not an error is wrapped like any other
+  const [, wrapped] = mapError(err(new Error("x")), () => "text");
+  assert.equal(wrapped.code, "NON_ERROR_THROWN");
+});
+
+test("combineResults keeps the shape, the first error wins", () => {
+  assert.deepEqual(combineResults([ok(1), ok(2)]), [[1, 2], null]);
+  assert.deepEqual(combineResults({ a: ok(1), b: ok("x") }), [
+    { a: 1, b: "x" },
+    null,
+  ]);
+
+  const first = new Error("first");
+  const [data, error] = combineResults([
+    ok(1),
+    err(first),
+    err(new Error("second")),
+  ]);
+  assert.equal(data, undefined);
+  assert.equal(error, first);
+});
+
+// -----------------------------------------------------------------------------
+// GETTING THE DATA OUT
+
+test("unwrapOr follows the destructuring default rule", () => {
+  assert.equal(unwrapOr(ok(0), 10), 0);
+  assert.equal(unwrapOr(ok(null), 10), null);
+  assert.equal(unwrapOr(ok(undefined), 10), 10);
+  assert.deepEqual(unwrapOr(err(new Error("x")), []), []);
+});
+
+test("unwrap returns the data or throws the error", () => {
+  assert.equal(unwrap(ok("data")), "data");
+
+  const error = new NotFoundError("missing");
+  assert.throws(
+    () => unwrap(err(error)),
+    (thrown) => thrown === error,
+  );
+  assert.throws(() => unwrap(err("plain")), { code: "NON_ERROR_THROWN" });
+});
+
+test("unwrap throws UnwrapError for something that is not a tuple", () => {
+  assert.throws(() => unwrap([]), UnwrapError);
+  assert.throws(() => unwrap(["data"]), { code: "UNWRAP" });
+});
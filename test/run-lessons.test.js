@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { declaredNames } from "../tools/run-lessons.js";
+
+test("declaredNames lists every top-level name a section declares", () => {
+  const lines = [
+    "const [x, y] = pair;",
+    "let p = 1,",
+    "  q = 2;",
+    "const { a: { b }, ...rest } = options;",
+    "export function demoWallet() {",
+    "  const inner = 1;",
+    "}",
+    "class Cart {}",
+  ];
+  assert.deepEqual(declaredNames(lines), [
+    "x",
+    "y",
+    "p",
+    "q",
+    "b",
+    "rest",
+    "demoWallet",
+    "Cart",
+  ]);
+});
+
+test("declaredNames returns nothing for code that does not parse", () => {
+  assert.deepEqual(declaredNames(["const = ;"]), []);
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeScopes } from "../tools/scope.js";
+
+const findingTypes = (source) =>
+  analyzeScopes(source).findings.map(({ type, name }) => `${type} ${name}`);
+
+test("var leaks out of blocks, let does not", () => {
+  assert.deepEqual(
+    findingTypes("if (true) { var city = 'Dhaka'; } console.log(city);"),
+    ["leak city"],
+  );
+  assert.deepEqual(analyzeScopes("if (true) { let a = 1; }").globals, []);
+});
+
+test("reads in the TDZ and const assignments are found", () => {
+  assert.deepEqual(findingTypes("console.log(a); let a = 1;"), ["tdz a"]);
+  assert.deepEqual(findingTypes("const a = 1; a = 2;"), ["const-assignment a"]);
+});
+
+test("static blocks get their own scope", () => {
+  const { root, globals } = analyzeScopes(
+    "class A { static { let t = 1; init(t); } }",
+  );
+  const [staticBlock] = root.children;
+  assert.equal(staticBlock.name, "static block");
+  assert.ok(staticBlock.bindings.has("t"));
+  assert.deepEqual(globals, ["init"]);
+});
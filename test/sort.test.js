@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sortBy, asc, desc, compareBy } from "../lib/sort.js";
+
+const users = [
+  { name: "Rohan", age: 30 },
+  { name: "yash", age: 25 },
+  { name: "Aisha", age: 30 },
+  { name: "Tom", age: null },
+];
+
+test("sortBy never changes the original array", () => {
+  const prices = [30, 10, 20];
+  assert.deepEqual(sortBy(prices), [10, 20, 30]);
+  assert.deepEqual(prices, [30, 10, 20]);
+});
+
+test("sortBy sorts by several keys with their own direction", () => {
+  const sorted = sortBy(users, desc("age"), "name");
+  assert.deepEqual(
+    sorted.map((user) => user.name),
+    ["Aisha", "Rohan", "yash", "Tom"],
+  );
+});
+
+test("sortBy is stable for equal keys", () => {
+  const sorted = sortBy(users, "age");
+  assert.deepEqual(
+    sorted.map((user) => user.name),
+    ["yash", "Rohan", "Aisha", "Tom"],
+  );
+});
+
+test("sortBy compares strings with Intl.Collator", () => {
+  assert.deepEqual(sortBy(["b", "a", "B", "A"]), ["a", "A", "b", "B"]);
+  assert.deepEqual(sortBy(["item10", "item2"]), ["item2", "item10"]);
+});
+
+test("missing values go last, whatever the direction", () => {
+  assert.deepEqual(sortBy([3, null, 1, undefined]), [1, 3, null, undefined]);
+  assert.deepEqual(sortBy([3, null, 1, undefined], desc()), [
+    3,
+    1,
+    null,
+    undefined,
+  ]);
+});
+
+test('nulls: "first" also moves top-level undefined to the front', () => {
+  assert.deepEqual(sortBy([3, undefined, 1, null], { nulls: "first" }), [
+    undefined,
+    null,
+    1,
+    3,
+  ]);
+  assert.deepEqual(sortBy([2, , 1], { nulls: "first" }), [undefined, 1, 2]);
+});
+
+test("mixed types sort by type first, then by value", () => {
+  assert.deepEqual(sortBy(["b", 1, "a", 2]), [1, 2, "a", "b"]);
+  assert.deepEqual(sortBy(["b", 1, "a", 2], desc()), ["b", "a", 2, 1]);
+  assert.deepEqual(sortBy([true, "x", new Date(5), 3]), [
+    3,
+    new Date(5),
+    "x",
+    true,
+  ]);
+});
+
+test("custom comparators and key functions", () => {
+  const byLength = { by: (word) => word.length, compare: (a, b) => a - b };
+  assert.deepEqual(sortBy(["ccc", "a", "bb"], byLength), ["a", "bb", "ccc"]);
+  assert.deepEqual([3, 1, 2].sort(compareBy(asc())), [1, 2, 3]);
+});
+
+test("invalid options throw", () => {
+  assert.throws(() => sortBy("abc"), TypeError);
+  assert.throws(() => sortBy([], { order: "up" }), RangeError);
+  assert.throws(() => sortBy([], { nulls: "middle" }), RangeError);
+  assert.throws(() => sortBy([], { by: 5 }), TypeError);
+});
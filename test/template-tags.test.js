@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  html,
+  unsafeHTML,
+  SafeHtml,
+  cx,
+  url,
+  toQueryString,
+  dedent,
+} from "../lib/template-tags.js";
+
+// -----------------------------------------------------------------------------
+// html
+
+test("html escapes interpolated values", () => {
+  const comment = `<script>alert("hi")</script> & 'more'`;
+  assert.equal(
+    String(html`<p>${comment}</p>`),
+    "<p>&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; &#39;more&#39;</p>",
+  );
+});
+
+test("html escapes attribute injection attempts", () => {
+  const name = `" onmouseover="alert(1)`;
+  assert.equal(
+    String(html`<input value="${name}">`),
+    '<input value="&quot; onmouseover=&quot;alert(1)">',
+  );
+});
+
+test("html does not escape nested html results a second time", () => {
+  const items = ["<b>", "Tom & Jerry"];
+  const list = html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`;
+  assert.ok(list instanceof SafeHtml);
+  assert.equal(
+    String(list),
+    "<ul><li>&lt;b&gt;</li><li>Tom &amp; Jerry</li></ul>",
+  );
+});
+
+test("html flattens nested arrays and escapes every item", () => {
+  const values = [["<a>", ["<i>"]], html`<b>${"&"}</b>`];
+  assert.equal(
+    String(html`<div>${values}</div>`),
+    "<div>&lt;a&gt;&lt;i&gt;<b>&amp;</b></div>",
+  );
+});
+
+test("html drops null, undefined and false but keeps 0", () => {
+  assert.equal(String(html`${null}|${undefined}|${false}|${0}|${""}`), "|||0|");
+  assert.equal(String(html`${[null, 0, false]}`), "0");
+});
+
+test("unsafeHTML is inserted as it is", () => {
+  assert.equal(
+    String(html`<p>${unsafeHTML("<em>trusted</em>")}</p>`),
+    "<p><em>trusted</em></p>",
+  );
+});
+
+// -----------------------------------------------------------------------------
+// cx
+
+test("cx works as a tag and as a function", () => {
+  const isActive = true;
+  const isDisabled = false;
+  assert.equal(
+    cx`btn ${isActive && "active"} ${isDisabled && "off"}`,
+    "btn active",
+  );
+  assert.equal(
+    cx("btn", { active: isActive, disabled: isDisabled }, ["big", null, ""]),
+    "btn active big",
+  );
+  assert.equal(cx`icon-${"home"}`, "icon-home");
+  assert.equal(cx("a b", "b", ["a"]), "a b");
+});
+
+// -----------------------------------------------------------------------------
+// url
+
+test("url percent-encodes path values", () => {
+  assert.equal(url`/users/${"a b/c"}/posts`, "/users/a%20b%2Fc/posts");
+  assert.equal(url`/files/${".."}/${"."}`, "/files/%2E%2E/%2E");
+  assert.equal(url`/n/${0}`, "/n/0");
+});
+
+test("url throws a TypeError for null and undefined values", () => {
+  assert.throws(() => url`/users/${null}`, {
+    name: "TypeError",
+    message: 'url: value 1 is null (after "/users/"). Check the variable.',
+  });
+  assert.throws(() => url`/users/${1}/posts/${undefined}`, {
+    name: "TypeError",
+    message: /value 2 is undefined/,
+  });
+});
+
+test("url turns objects into query strings", () => {
+  assert.equal(
+    url`/search?${{ q: "a&b", tags: ["js", "es6"], empty: null, none: undefined }}`,
+    "/search?q=a%26b&tags=js&tags=es6",
+  );
+  assert.equal(url`/search${{ page: 2 }}`, "/search?page=2");
+  assert.equal(
+    url`/search?sort=name&${{ page: 2 }}`,
+    "/search?sort=name&page=2",
+  );
+  assert.equal(
+    url`/search?sort=name${{ page: 2 }}`,
+    "/search?sort=name&page=2",
+  );
+});
+
+test("url removes the ? or & before an empty query object", () => {
+  assert.equal(url`/users?${{}}`, "/users");
+  assert.equal(url`/users?sort=name&${{}}`, "/users?sort=name");
+  assert.equal(url`/users${{}}`, "/users");
+  assert.equal(url`/users?${{ page: null }}`, "/users");
+  assert.equal(toQueryString({}), "");
+});
+
+// -----------------------------------------------------------------------------
+// dedent
+
+test("dedent removes the blank first and last lines", () => {
+  const text = dedent`
+    Hello
+    Welcome to ES6
+  `;
+  assert.equal(text, "Hello\nWelcome to ES6");
+});
+
+// "Hello" has no indentation, so no line shares any
+test("dedent keeps the indentation when the text starts on the first line", () => {
+  assert.equal(
+    dedent`Hello
+    World`,
+    "Hello\n    World",
+  );
+  assert.equal(dedent`one line`, "one line");
+  assert.equal(dedent``, "");
+});
+
+test("dedent keeps relative indentation and ignores blank lines", () => {
+  const text = dedent`
+      list:
+
+        - item
+  `;
+  assert.equal(text, "list:\n\n  - item");
+});
+
+test("dedent counts tabs and spaces as one character each", () => {
+  assert.equal(dedent("\n\t  a\n\t    b\n"), "a\n  b");
+});
+
+test("dedent inserts multi-line values after dedenting", () => {
+  const value = "x\n  y";
+  const text = dedent`
+    list:
+      ${value}
+    end
+  `;
+  assert.equal(text, "list:\n  x\n  y\nend");
+});
+
+test("dedent as a function dedents a plain string", () => {
+  assert.equal(dedent("\n    a\n      b\n  "), "a\n  b");
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import {
+  isPlainObject,
+  isDate,
+  parseBoolean,
+  joinPath,
+} from "../lib/values.js";
+import { loadConfig } from "../lib/config.js";
+import { boolean, validate } from "../lib/schema.js";
+
+test("isPlainObject and isDate work for values from another realm", () => {
+  const [object, date] = vm.runInNewContext("[{}, new Date(0)]");
+  assert.equal(isPlainObject(object), true);
+  assert.equal(isDate(date), true);
+  assert.equal(isPlainObject([]), false);
+  assert.equal(isPlainObject(null), false);
+  assert.equal(isPlainObject(new Date()), false);
+});
+
+test("parseBoolean reads the same words for config and schema", () => {
+  assert.equal(parseBoolean(" Yes "), true);
+  assert.equal(parseBoolean("off"), false);
+  assert.equal(parseBoolean(1), true);
+  assert.equal(parseBoolean("maybe"), undefined);
+
+  for (const [text, expected] of [
+    ["on", true],
+    ["off", false],
+  ]) {
+    assert.deepEqual(validate(boolean(), text, { coerce: true }), [
+      expected,
+      null,
+    ]);
+    const config = loadConfig({
+      defaults: { debug: !expected },
+      env: { DEBUG: text },
+    });
+    assert.equal(config.debug, expected);
+  }
+});
+
+test("joinPath writes object keys with dots and array indexes in brackets", () => {
+  assert.equal(joinPath("", "user"), "user");
+  assert.equal(joinPath("user", "tags"), "user.tags");
+  assert.equal(joinPath("user.tags", 0), "user.tags[0]");
+});
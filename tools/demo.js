@@ -0,0 +1,27 @@
+/*
+
+DEMO
+
+Lessons do not print anything when they are imported.
+This tool calls runDemo() of a lesson (or of a chapter index),
+so you can read the examples' output in the terminal.
+
+How to use:
+node tools/demo.js "01. Core-Syntax/03. Arrow-Functions.js"
+node tools/demo.js "02. Destructuring/index.js"
+*/
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+const [target] = process.argv.slice(2);
+
+if (!target) {
+  console.error('Usage: node tools/demo.js "01. Core-Syntax/01. Intro.js"');
+  process.exit(1);
+}
+
+const lesson = await import(pathToFileURL(path.resolve(target)).href);
+
+// A chapter or lesson with async demos returns a promise
+await lesson.runDemo();
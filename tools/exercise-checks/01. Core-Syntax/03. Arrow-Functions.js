@@ -0,0 +1,75 @@
+/*
+
+HIDDEN CHECKS: ARROW FUNCTIONS
+
+Used by tools/grade.js for exercises/01. Core-Syntax/03. Arrow-Functions.js
+Try the exercises before reading these!
+
+Each case either calls the function with `args`,
+or uses `run(fn)` when the check needs more than a single call.
+*/
+
+export default {
+  double: {
+    hint: "An arrow function without { } returns its expression: (number) => number * 2",
+    cases: [
+      { args: [4], expected: 8 },
+      { args: [-3], expected: -6 },
+      {
+        label: "uses implicit return (no { } body)",
+        run: (double) => !/=>\s*\{/.test(double.toString()),
+        expected: true,
+      },
+    ],
+  },
+
+  createUser: {
+    hint: "{ } right after => is a function body. Wrap the object in ( ): (name) => ({ userName: name })",
+    cases: [
+      { args: ["Yash"], expected: { userName: "Yash" } },
+      { args: ["Ayesha"], expected: { userName: "Ayesha" } },
+    ],
+  },
+
+  getAdults: {
+    hint: "ages.filter((age) => age >= 18) returns a NEW array with the matching ages.",
+    cases: [
+      { args: [[12, 18, 22, 15, 30]], expected: [18, 22, 30] },
+      { args: [[]], expected: [] },
+      {
+        label: "does not change the original array",
+        run: (getAdults) => {
+          const ages = [12, 40];
+          getAdults(ages);
+          return ages;
+        },
+        expected: [12, 40],
+      },
+    ],
+  },
+
+  sumAll: {
+    hint: "Collect the arguments with (...numbers) and add them with numbers.reduce((acc, n) => acc + n, 0).",
+    cases: [
+      { args: [1, 2, 3, 4], expected: 10 },
+      { args: [5], expected: 5 },
+      { args: [], expected: 0 },
+    ],
+  },
+
+  getActiveNames: {
+    hint: "Chain them: users.filter((user) => user.active).map((user) => user.name)",
+    cases: [
+      {
+        args: [
+          [
+            { id: 1, name: "Yash", active: true },
+            { id: 2, name: "Ayesha", active: false },
+          ],
+        ],
+        expected: ["Yash"],
+      },
+      { args: [[]], expected: [] },
+    ],
+  },
+};
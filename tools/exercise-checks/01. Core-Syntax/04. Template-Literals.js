@@ -0,0 +1,52 @@
+/*
+
+HIDDEN CHECKS: TEMPLATE LITERALS
+
+Used by tools/grade.js for exercises/01. Core-Syntax/04. Template-Literals.js
+Try the exercises before reading these!
+*/
+
+export default {
+  introduce: {
+    hint: "Use backticks and ${ }: `My name is ${name} and I am ${age} years old.`",
+    cases: [
+      {
+        args: ["Yash", 21],
+        expected: "My name is Yash and I am 21 years old.",
+      },
+      {
+        args: ["Ayesha", 30],
+        expected: "My name is Ayesha and I am 30 years old.",
+      },
+    ],
+  },
+
+  sumSentence: {
+    hint: "Anything can go inside ${ }, including math: ${a + b}",
+    cases: [
+      { args: [5, 3], expected: "The sum of 5 and 3 is 8." },
+      { args: [10, -4], expected: "The sum of 10 and -4 is 6." },
+    ],
+  },
+
+  notificationText: {
+    hint: 'A ternary works inside ${ }: message${count === 1 ? "" : "s"}',
+    cases: [
+      { args: ["Yash", 3], expected: "Hello Yash, you have 3 new messages." },
+      { args: ["Yash", 1], expected: "Hello Yash, you have 1 new message." },
+      { args: ["Rohan", 0], expected: "Hello Rohan, you have 0 new messages." },
+    ],
+  },
+
+  welcomeCard: {
+    hint: "A template literal can span several lines. Start each line at column 0 so no spaces sneak in.",
+    cases: [
+      { args: [], expected: "Hello\nWelcome to ES6\nThis is easy to read" },
+      {
+        label: "does not use \\n",
+        run: (welcomeCard) => !welcomeCard.toString().includes("\\n"),
+        expected: true,
+      },
+    ],
+  },
+};
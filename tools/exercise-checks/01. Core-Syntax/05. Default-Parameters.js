@@ -0,0 +1,50 @@
+/*
+
+HIDDEN CHECKS: DEFAULT PARAMETERS
+
+Used by tools/grade.js for exercises/01. Core-Syntax/05. Default-Parameters.js
+Try the exercises before reading these!
+*/
+
+export default {
+  calculateTotal: {
+    hint: "Give the parameter its default in the ( ): function calculateTotal(price, tax = 5)",
+    cases: [
+      { args: [100], expected: 105 },
+      { args: [100, 10], expected: 110 },
+      { args: [200, 0], expected: 200 },
+    ],
+  },
+
+  makeCoffee: {
+    hint: 'Use (type = "Black", sugar = 1) and add the "s" only when sugar is not 1.',
+    cases: [
+      { args: [], expected: "Making Black coffee with 1 spoon of sugar" },
+      {
+        args: ["Latte"],
+        expected: "Making Latte coffee with 1 spoon of sugar",
+      },
+      {
+        args: ["Cappuccino", 2],
+        expected: "Making Cappuccino coffee with 2 spoons of sugar",
+      },
+    ],
+  },
+
+  createUser: {
+    hint: 'Defaults only replace undefined. Avoid name || "Guest", it also replaces "" and null.',
+    cases: [
+      { args: [], expected: { name: "Guest", role: "User" } },
+      { args: ["Yash", "Admin"], expected: { name: "Yash", role: "Admin" } },
+      { args: ["", null], expected: { name: "", role: null } },
+    ],
+  },
+
+  welcome: {
+    hint: "A default can use an earlier parameter: (name, greeting = `Hello ${name}`)",
+    cases: [
+      { args: ["Yash"], expected: "Hello Yash" },
+      { args: ["Yash", "Good Morning"], expected: "Good Morning" },
+    ],
+  },
+};
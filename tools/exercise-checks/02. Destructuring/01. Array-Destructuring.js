@@ -0,0 +1,51 @@
+/*
+
+HIDDEN CHECKS: ARRAY DESTRUCTURING
+
+Used by tools/grade.js for exercises/02. Destructuring/01. Array-Destructuring.js
+Try the exercises before reading these!
+*/
+
+export default {
+  getMinMax: {
+    hint: "Start min and max from the first number, update them in a loop, then return [min, max].",
+    cases: [
+      { args: [[3, 10, 1, 8]], expected: [1, 10] },
+      { args: [[-5]], expected: [-5, -5] },
+      { args: [[7, 7, 7]], expected: [7, 7] },
+      { args: [[-2, -9, 4]], expected: [-9, 4] },
+    ],
+  },
+
+  swap: {
+    hint: "Destructure the pair, then return it the other way round: const [left, right] = pair; return [right, left];",
+    cases: [
+      { args: [["Tea", "Coffee"]], expected: ["Coffee", "Tea"] },
+      { args: [[1, 2]], expected: [2, 1] },
+    ],
+  },
+
+  splitScores: {
+    hint: "The rest element collects what is left: const [firstScore, secondScore, ...restScores] = scores;",
+    cases: [
+      {
+        args: [[80, 90, 75, 60]],
+        expected: { firstScore: 80, secondScore: 90, restScores: [75, 60] },
+      },
+      {
+        args: [[80, 90]],
+        expected: { firstScore: 80, secondScore: 90, restScores: [] },
+      },
+    ],
+  },
+
+  firstOrDefault: {
+    hint: "Combine a safe fallback with a default value: const [first = fallback] = list || [];",
+    cases: [
+      { args: [["red"], "none"], expected: "red" },
+      { args: [[], "none"], expected: "none" },
+      { args: [undefined, "none"], expected: "none" },
+      { args: [[null], "none"], expected: null },
+    ],
+  },
+};
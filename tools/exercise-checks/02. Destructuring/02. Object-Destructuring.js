@@ -0,0 +1,64 @@
+/*
+
+HIDDEN CHECKS: OBJECT DESTRUCTURING
+
+Used by tools/grade.js for exercises/02. Destructuring/02. Object-Destructuring.js
+Try the exercises before reading these!
+*/
+
+export default {
+  describeProfile: {
+    hint: "const { fullName, city } = profile; then build the sentence with a template literal.",
+    cases: [
+      {
+        args: [{ fullName: "Rohan", city: "Dhaka", phone: "01700000000" }],
+        expected: "Rohan lives in Dhaka.",
+      },
+      {
+        args: [{ fullName: "Ayesha", city: "Khulna" }],
+        expected: "Ayesha lives in Khulna.",
+      },
+    ],
+  },
+
+  readSettings: {
+    hint: 'Defaults go inside the pattern: const { theme = "light", language = "en", layout = "grid" } = settings;',
+    cases: [
+      {
+        args: [{ theme: "dark", language: undefined, layout: null }],
+        expected: { theme: "dark", language: "en", layout: null },
+      },
+      {
+        args: [{}],
+        expected: { theme: "light", language: "en", layout: "grid" },
+      },
+    ],
+  },
+
+  getPublicProfile: {
+    hint: "Rest properties make a new object with everything else: const { id, ...publicProfile } = employee;",
+    cases: [
+      {
+        args: [{ id: 101, name: "Ayesha", role: "Developer" }],
+        expected: { name: "Ayesha", role: "Developer" },
+      },
+      {
+        label: "does not change the original object",
+        run: (getPublicProfile) => {
+          const employee = { id: 7, name: "Rohan" };
+          getPublicProfile(employee);
+          return employee;
+        },
+        expected: { id: 7, name: "Rohan" },
+      },
+    ],
+  },
+
+  greetFromApi: {
+    hint: "Rename while destructuring: const { name: userName } = apiUser;",
+    cases: [
+      { args: [{ name: "Rohan" }], expected: "Welcome, Rohan" },
+      { args: [{ name: "Yash", role: "Admin" }], expected: "Welcome, Yash" },
+    ],
+  },
+};
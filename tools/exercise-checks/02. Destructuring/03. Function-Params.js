@@ -0,0 +1,51 @@
+/*
+
+HIDDEN CHECKS: DESTRUCTURING IN FUNCTION PARAMETERS
+
+Used by tools/grade.js for exercises/02. Destructuring/03. Function-Params.js
+Try the exercises before reading these!
+*/
+
+export default {
+  safeGreet: {
+    hint: 'Calling with no argument destructures undefined. Add the fallback: ({ name = "Guest" } = {})',
+    cases: [
+      { args: [{ name: "Rohan" }], expected: "Hello Rohan" },
+      { args: [{}], expected: "Hello Guest" },
+      { args: [], expected: "Hello Guest" },
+    ],
+  },
+
+  orderSummary: {
+    hint: "Destructure in the parameter list: ({ orderId, total, paymentMethod })",
+    cases: [
+      {
+        args: [
+          { orderId: 5001, total: 1200, paymentMethod: "Cash", discount: 100 },
+        ],
+        expected: "Order 5001: 1200 BDT (Cash)",
+      },
+      {
+        args: [{ orderId: 7, total: 99, paymentMethod: "bKash" }],
+        expected: "Order 7: 99 BDT (bKash)",
+      },
+    ],
+  },
+
+  showProfile: {
+    hint: 'Rename and default at the same time: ({ name: fullName = "Unknown", role = "Student" } = {})',
+    cases: [
+      { args: [{ name: "Ayesha" }], expected: "Ayesha (Student)" },
+      { args: [{ name: "Yash", role: "Mentor" }], expected: "Yash (Mentor)" },
+      { args: [], expected: "Unknown (Student)" },
+    ],
+  },
+
+  formatLocation: {
+    hint: "Arrays can be destructured in params too: ([lat, lng])",
+    cases: [
+      { args: [[22.82, 89.55]], expected: "lat: 22.82, lng: 89.55" },
+      { args: [[0, -1]], expected: "lat: 0, lng: -1" },
+    ],
+  },
+};
@@ -0,0 +1,63 @@
+/*
+
+HIDDEN CHECKS: NESTED DESTRUCTURING
+
+Used by tools/grade.js for exercises/02. Destructuring/04. Nested-Destructuring.js
+Try the exercises before reading these!
+*/
+
+export default {
+  connectDatabase: {
+    hint: 'Each = {} guards one level: ({ db: { host = "localhost", port = 5432 } = {} } = {})',
+    cases: [
+      {
+        args: [{ db: { host: "db.local" } }],
+        expected: { host: "db.local", port: 5432 },
+      },
+      {
+        args: [{ db: { host: "db.local", port: 6543 } }],
+        expected: { host: "db.local", port: 6543 },
+      },
+      { args: [{}], expected: { host: "localhost", port: 5432 } },
+      { args: [], expected: { host: "localhost", port: 5432 } },
+    ],
+  },
+
+  getUserCity: {
+    hint: 'Guard every level with = {}: const { data: { user: { profile: { city = "Unknown" } = {} } = {} } = {} } = apiResponse;',
+    cases: [
+      {
+        args: [{ data: { user: { profile: { city: "Dhaka" } } } }],
+        expected: "Dhaka",
+      },
+      { args: [{ data: { user: {} } }], expected: "Unknown" },
+      { args: [{ data: {} }], expected: "Unknown" },
+      { args: [{}], expected: "Unknown" },
+    ],
+  },
+
+  getFirstPost: {
+    hint: "Match the shape: const [{ title, author: { name } }] = posts;",
+    cases: [
+      {
+        args: [
+          [
+            { id: 1, title: "Learn ES6", author: { name: "Yash" } },
+            { id: 2, title: "Learn React", author: { name: "Ayesha" } },
+          ],
+        ],
+        expected: { title: "Learn ES6", author: "Yash" },
+      },
+    ],
+  },
+
+  userCardTitle: {
+    hint: "Rename deep inside the pattern: const { user: { profile: { name: displayName, city } } } = props;",
+    cases: [
+      {
+        args: [{ user: { profile: { name: "Yash", city: "Khulna" } } }],
+        expected: "Yash from Khulna",
+      },
+    ],
+  },
+};
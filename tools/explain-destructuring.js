@@ -0,0 +1,769 @@
+/*
+
+DESTRUCTURING EXPLAINER
+
+What this tool does:
+02. Destructuring/04. Nested-Destructuring.js explains its hardest examples
+with a hand-written "Why this works:" note. This tool writes that note for any pattern:
+it turns the destructuring into the ES5 steps it stands for
+(one plain assignment per value, and an `=== undefined` check for every default)
+and says in plain English where every variable comes from.
+
+function connectDatabase({ db: { host, port = 5432 } = {} } = {})
+
+ES5 steps:
+  function connectDatabase(_ref) {
+    if (_ref === undefined) _ref = {};
+    var _db = _ref.db;
+    if (_db === undefined) _db = {};
+    var host = _db.host;
+    var port = _db.port;
+    if (port === undefined) port = 5432;
+    // ...the rest of the function
+  }
+
+Array patterns are read by position (colors[0], colors[1]), the way the lessons explain them.
+ES6 really walks the iterator, so a Set or a generator would need Array.from() first.
+
+How to use:
+node tools/explain-destructuring.js --code "const { user: { name } = {} } = data;"
+node tools/explain-destructuring.js --code "{ db: { host, port = 5432 } = {} }"     → a parameter pattern on its own works too
+node tools/explain-destructuring.js "02. Destructuring/04. Nested-Destructuring.js"    → every pattern in a file
+node tools/explain-destructuring.js "02. Destructuring/04. Nested-Destructuring.js" --name connectDatabase
+node tools/explain-destructuring.js "02. Destructuring/04. Nested-Destructuring.js" --line 203
+(--name picks a function by its name, or a destructuring by a variable it declares)
+
+import { explainDestructuring, formatExplanations } from "./tools/explain-destructuring.js";
+console.log(formatExplanations(explainDestructuring(source)));
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parse, walk, ParseError } from "./js-parser.js";
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const PATTERN_TYPES = new Set(["ObjectPattern", "ArrayPattern"]);
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+// -----------------------------------------------------------------------------
+// HELPERS
+
+// The source of a node, with its parentheses: (a + b)
+const textOf = (source, node) =>
+  source.slice(node.parenStart ?? node.start, node.parenEnd ?? node.end);
+
+// The code shown above an explanation, on one line
+const oneLine = (text) => text.replace(/\s+/g, " ").trim();
+
+const ordinal = (index) =>
+  ["first", "second", "third", "fourth", "fifth"][index] ?? `${index + 1}th`;
+
+// The fallback an empty pattern needs: { a } = {}, [a] = []
+const emptyOf = (pattern) => (pattern.type === "ArrayPattern" ? "[]" : "{}");
+
+// user, props.user, data.user.profile: a value that can be read again safely
+const isPath = (node) =>
+  node.type === "Identifier" ||
+  (node.type === "MemberExpression" &&
+    !node.computed &&
+    !node.optional &&
+    isPath(node.object));
+
+// Every identifier in a tree: temporary names must not clash with any of them
+function namesIn(node) {
+  const names = new Set();
+  walk(node, {
+    Identifier(identifier) {
+      names.add(identifier.name);
+    },
+  });
+  return names;
+}
+
+// The key of { name: userName } as text: "name" (null for a computed [key])
+const keyNameOf = (property) => {
+  if (property.computed) return null;
+  return property.key.type === "Identifier"
+    ? property.key.name
+    : String(property.key.value);
+};
+
+// { a, b: [c, d = 1], ...rest } → a, c, d, rest (keys and default values are not names)
+function boundNames(node) {
+  switch (node.type) {
+    case "Identifier":
+      return [node.name];
+    case "ObjectPattern":
+      return node.properties.flatMap((property) =>
+        boundNames(
+          property.type === "RestElement" ? property.argument : property.value,
+        ),
+      );
+    case "ArrayPattern":
+      return node.elements.filter(Boolean).flatMap(boundNames);
+    case "AssignmentPattern":
+      return boundNames(node.left);
+    case "RestElement":
+      return boundNames(node.argument);
+    default:
+      return [];
+  }
+}
+
+const isMethodOf = (parent) =>
+  parent?.type === "MethodDefinition" ||
+  (parent?.type === "Property" && (parent.method || parent.kind !== "init"));
+
+// function connectDatabase() {}, const greet = () => {}, show() {} → the name (or null)
+function functionNameOf(source, fn, parent) {
+  if (fn.id) return fn.id.name;
+  if (
+    parent?.type === "VariableDeclarator" &&
+    parent.id.type === "Identifier"
+  ) {
+    return parent.id.name;
+  }
+  if (isMethodOf(parent) && !parent.computed) return textOf(source, parent.key);
+  return null;
+}
+
+// -----------------------------------------------------------------------------
+// DESUGARING A PATTERN
+
+/*
+Collects the ES5 steps and the plain-English notes for one explanation.
+`value` is always a name that can be read many times (the source, or a temporary _ref),
+`label` is the same value in words: _ref.db.host, user.address.city.
+*/
+function createDesugarer(source, takenNames) {
+  const steps = [];
+  const notes = [];
+  const taken = new Set(takenNames);
+  const text = (node) => textOf(source, node);
+
+  // _db, then _db2 if _db is taken
+  const temp = (base) => {
+    const clean = String(base).replace(/[^\w$]/g, "_");
+    let name = `_${clean}`;
+    for (let count = 2; taken.has(name); count++) name = `_${clean}${count}`;
+    taken.add(name);
+    return name;
+  };
+
+  // .name, ["first-name"], [0] or [key]
+  const accessor = (property) => {
+    const name = keyNameOf(property);
+    if (name === null) return `[${text(property.key)}]`;
+    if (IDENTIFIER.test(name)) return `.${name}`;
+    return `[${property.key.raw}]`;
+  };
+
+  // name = value, plus its default
+  function bindValue(target, value, label, { declare, fallback, keyName }) {
+    const name = text(target);
+    const keyword = declare && target.type === "Identifier" ? "var " : "";
+    steps.push(`${keyword}${name} = ${value};`);
+    if (fallback !== undefined) {
+      steps.push(`if (${name} === undefined) ${name} = ${fallback};`);
+    }
+
+    const renamed =
+      target.type === "Identifier" && keyName != null && keyName !== name
+        ? ` (the property ${keyName}, under a new name)`
+        : "";
+    const missing =
+      fallback === undefined
+        ? "undefined when it is missing"
+        : `${fallback} when that is undefined`;
+    notes.push(`${name} gets ${label}${renamed}, or ${missing}`);
+  }
+
+  // One part of a pattern: a name, name = default, or a nested pattern
+  function bind(target, value, label, { declare, base, keyName }) {
+    let fallback;
+    if (target.type === "AssignmentPattern") {
+      fallback = text(target.right);
+      target = target.left;
+    }
+
+    if (!PATTERN_TYPES.has(target.type)) {
+      bindValue(target, value, label, { declare, fallback, keyName });
+      return;
+    }
+
+    // A nested level is read once into a temporary, then destructured from there
+    const holder = temp(base);
+    steps.push(`var ${holder} = ${value};`);
+    if (fallback !== undefined) {
+      steps.push(`if (${holder} === undefined) ${holder} = ${fallback};`);
+      notes.push(
+        `${label} is read into ${holder}, and falls back to ${fallback} when it is undefined`,
+      );
+    } else {
+      notes.push(
+        `${label} is read into ${holder}. It has no "= ${emptyOf(target)}" fallback: when it is undefined, the next step throws a TypeError`,
+      );
+    }
+    destructure(target, holder, label, { declare, base });
+  }
+
+  // const { a, ...others } = user → every own property except a
+  function objectRest(
+    target,
+    value,
+    label,
+    { excluded, excludedNames, declare },
+  ) {
+    const name = text(target);
+    const key = temp("key");
+    const keyword = declare && target.type === "Identifier" ? "var " : "";
+    const test =
+      excluded.length === 0
+        ? `Object.prototype.hasOwnProperty.call(${value}, ${key})`
+        : `Object.prototype.hasOwnProperty.call(${value}, ${key}) && [${excluded.join(", ")}].indexOf(${key}) === -1`;
+
+    steps.push(
+      `${keyword}${name} = {};`,
+      `for (var ${key} in ${value}) {`,
+      `  if (${test}) ${name}[${key}] = ${value}[${key}];`,
+      `}`,
+    );
+    notes.push(
+      excluded.length === 0
+        ? `${name} gets a new object with every own property of ${label}`
+        : `${name} gets a new object with the other own properties of ${label} (all except ${excludedNames.join(", ")})`,
+    );
+  }
+
+  // Reads every part of a pattern out of `value` (a name)
+  function destructure(pattern, value, label, { declare, base }) {
+    if (pattern.type === "ArrayPattern") {
+      pattern.elements.forEach((element, index) => {
+        if (element === null) {
+          notes.push(`${label}[${index}] is skipped (the empty slot)`);
+          return;
+        }
+
+        if (element.type === "RestElement") {
+          if (PATTERN_TYPES.has(element.argument.type)) {
+            bind(element.argument, `${value}.slice(${index})`, label, {
+              declare,
+              base: `${base}Rest`,
+            });
+            return;
+          }
+          const name = text(element.argument);
+          const keyword =
+            declare && element.argument.type === "Identifier" ? "var " : "";
+          steps.push(`${keyword}${name} = ${value}.slice(${index});`);
+          notes.push(
+            `${name} gets a new array with the items of ${label} from position ${index} on`,
+          );
+          return;
+        }
+
+        bind(element, `${value}[${index}]`, `${label}[${index}]`, {
+          declare,
+          base: `${base}${index}`,
+        });
+      });
+      return;
+    }
+
+    // Keys already taken, for a ...rest at the end (as code, and as words)
+    const excluded = [];
+    const excludedNames = [];
+    const hasRest = pattern.properties.some(
+      (property) => property.type === "RestElement",
+    );
+
+    for (const property of pattern.properties) {
+      if (property.type === "RestElement") {
+        objectRest(property.argument, value, label, {
+          excluded,
+          excludedNames,
+          declare,
+        });
+        continue;
+      }
+
+      const keyName = keyNameOf(property);
+      let access = accessor(property);
+      excludedNames.push(keyName ?? `[${text(property.key)}]`);
+
+      // A computed key is worked out once when ...rest needs it again
+      if (keyName === null && hasRest) {
+        const keyHolder = temp("key");
+        steps.push(`var ${keyHolder} = ${text(property.key)};`);
+        access = `[${keyHolder}]`;
+        excluded.push(`String(${keyHolder})`);
+      } else if (keyName !== null) {
+        excluded.push(JSON.stringify(keyName));
+      }
+
+      bind(
+        property.value,
+        `${value}${access}`,
+        `${label}${accessor(property)}`,
+        {
+          declare,
+          base: keyName ?? "key",
+          keyName,
+        },
+      );
+    }
+
+    if (pattern.properties.length === 0) {
+      notes.push(`${label} is destructured, but no variable is taken from it`);
+    }
+  }
+
+  return { steps, notes, temp, destructure };
+}
+
+// -----------------------------------------------------------------------------
+// WHAT EACH KIND OF CODE BECOMES
+
+// const { a } = user; / [a, b] = [b, a];
+function explainBinding(source, names, { code, pattern, init, declare }) {
+  const desugarer = createDesugarer(source, names);
+  const { steps } = desugarer;
+
+  // The source is read once: a plain name is used as it is, anything else gets a temporary
+  let value = textOf(source, init);
+  let label = value;
+  let base = "ref";
+  if (init.type === "MemberExpression" && !init.computed) {
+    base = init.property.name;
+  }
+  if (init.type !== "Identifier" || namesIn(pattern).has(init.name)) {
+    value = desugarer.temp(init.type === "Identifier" ? init.name : base);
+    steps.push(`var ${value} = ${textOf(source, init)};`);
+    if (!isPath(init) || textOf(source, init).includes("\n")) label = value;
+  } else {
+    base = init.name;
+  }
+
+  desugarer.destructure(pattern, value, label, { declare, base });
+  return { code, steps, notes: desugarer.notes };
+}
+
+// function connectDatabase({ db: { host, port = 5432 } = {} } = {}) {}
+function explainParams(source, names, fn, parent) {
+  const desugarer = createDesugarer(source, names);
+  const { steps, notes } = desugarer;
+  const text = (node) => textOf(source, node);
+
+  const isMethod = isMethodOf(parent);
+  const name = functionNameOf(source, fn, parent);
+  const call = name ? `${name}()` : "the function";
+
+  const params = fn.params.map((param, index) => {
+    const position = `the ${ordinal(index)} argument`;
+
+    if (param.type === "Identifier") return param.name;
+
+    if (
+      param.type === "AssignmentPattern" &&
+      param.left.type === "Identifier"
+    ) {
+      const fallback = text(param.right);
+      steps.push(
+        `if (${param.left.name} === undefined) ${param.left.name} = ${fallback};`,
+      );
+      notes.push(
+        `${param.left.name} (${position}) falls back to ${fallback} when ${call} is called without it`,
+      );
+      return param.left.name;
+    }
+
+    if (param.type === "RestElement") {
+      const rest = `Array.prototype.slice.call(arguments, ${index})`;
+      if (param.argument.type === "Identifier") {
+        steps.push(`var ${param.argument.name} = ${rest};`);
+        notes.push(
+          `${param.argument.name} gets a new array with every argument from ${position} on`,
+        );
+      } else {
+        const holder = desugarer.temp("rest");
+        steps.push(`var ${holder} = ${rest};`);
+        notes.push(`${holder} holds every argument from ${position} on`);
+        desugarer.destructure(param.argument, holder, holder, {
+          declare: true,
+          base: "rest",
+        });
+      }
+      return null;
+    }
+
+    // A pattern, maybe with a fallback: { db } = {}
+    const pattern = param.type === "AssignmentPattern" ? param.left : param;
+    const holder = desugarer.temp("ref");
+    if (param.type === "AssignmentPattern") {
+      const fallback = text(param.right);
+      steps.push(`if (${holder} === undefined) ${holder} = ${fallback};`);
+      notes.push(
+        `${position} (${holder}) falls back to ${fallback} when ${call} is called without it`,
+      );
+    } else {
+      notes.push(
+        `${position} (${holder}) has no "= ${emptyOf(pattern)}" fallback: calling ${call} without it throws a TypeError`,
+      );
+    }
+    desugarer.destructure(pattern, holder, holder, {
+      declare: true,
+      base: "ref",
+    });
+    return holder;
+  });
+
+  const list = params.filter((param) => param !== null).join(", ");
+  const prefix = fn.async ? "async " : "";
+  let head;
+  if (isMethod) {
+    // ES5 has no shorthand methods: show: function (_ref) {
+    const key = parent.computed ? `[${text(parent.key)}]` : text(parent.key);
+    head = `${key}: ${prefix}function (${list}) {`;
+  } else if (fn.type === "ArrowFunctionExpression") {
+    head = `${prefix}function (${list}) {`;
+  } else {
+    const star = fn.generator ? "*" : "";
+    head = `${prefix}function${star}${fn.id ? ` ${fn.id.name}` : ""}(${list}) {`;
+  }
+
+  const start = isMethod ? parent.start : fn.start;
+  return {
+    code: oneLine(source.slice(start, fn.body.start).replace(/=>\s*$/, "=>")),
+    steps: [
+      head,
+      ...steps.map((step) => `  ${step}`),
+      "  // ...the rest of the function",
+      "}",
+    ],
+    notes,
+  };
+}
+
+// for (const [key, value] of entries) {} / catch ({ message }) {}
+/*
+for (const [key, value] of entries) {} / catch ({ message }) {}
+`open(holder, temp)` returns the lines before the block, its head,
+the first lines inside it and notes about them: { before, head, first, notes }.
+*/
+function explainWrapped(
+  source,
+  names,
+  { code, pattern, declare, open, about },
+) {
+  const desugarer = createDesugarer(source, names);
+  const holder = desugarer.temp(about.base);
+  const {
+    before = [],
+    head,
+    first = [],
+    notes = [],
+  } = open(holder, desugarer.temp);
+  desugarer.notes.push(...notes, `${holder} is ${about.text}`);
+  desugarer.destructure(pattern, holder, holder, {
+    declare,
+    base: about.base,
+  });
+  return {
+    code,
+    steps: [
+      ...before,
+      head,
+      ...[...first, ...desugarer.steps].map((step) => `  ${step}`),
+      `  // ...the rest of the ${about.body}`,
+      "}",
+    ],
+    notes: desugarer.notes,
+  };
+}
+
+// x[Symbol.iterator]() can be written after these without parentheses
+const MEMBER_READY_TYPES = new Set([
+  "Identifier",
+  "MemberExpression",
+  "CallExpression",
+  "ArrayExpression",
+  "ThisExpression",
+]);
+
+/*
+for...of is ES6 too. It asks the value for an iterator and calls next() until done,
+so the same loop works for an array, a Map, a Set or a generator.
+(Symbol.iterator does not exist in ES5: compilers like Babel add a helper for it.)
+*/
+function openForOf(source, loop) {
+  return (holder, temp) => {
+    const iterable = textOf(source, loop.right);
+    const target =
+      MEMBER_READY_TYPES.has(loop.right.type) || loop.right.parenStart != null
+        ? iterable
+        : `(${iterable})`;
+    const iterator = temp("iterator");
+    const step = temp("step");
+    return {
+      before: [`var ${iterator} = ${target}[Symbol.iterator]();`],
+      head: `for (var ${step} = ${iterator}.next(); !${step}.done; ${step} = ${iterator}.next()) {`,
+      first: [`var ${holder} = ${step}.value;`],
+      notes: [
+        `${iterator} hands out the items of ${iterable} one by one (an array, a Map, a Set or a generator all work)`,
+      ],
+    };
+  };
+}
+
+// -----------------------------------------------------------------------------
+// FINDING THE PATTERNS
+
+/*
+Every destructuring in the source, in order: { line, code, steps, notes }.
+With { line }, only the ones written on that line.
+With { name }, only a function with that name, or a pattern that declares that variable.
+*/
+export function explainDestructuring(source, { line, name } = {}) {
+  const ast = parse(source);
+  const names = namesIn(ast);
+  const explanations = [];
+  const text = (node) => textOf(source, node);
+
+  // `declared`: the function's name and the variables the pattern makes, for { name }
+  const add = (node, pattern, explanation, declared) => {
+    const first = node.loc.start.line;
+    if (line !== undefined && (line < first || line > pattern.loc.end.line)) {
+      return;
+    }
+    if (name !== undefined && !declared.includes(name)) return;
+    explanations.push({ line: first, ...explanation });
+  };
+
+  const isDestructured = (node) =>
+    PATTERN_TYPES.has(node.type) ||
+    (node.type === "AssignmentPattern" && PATTERN_TYPES.has(node.left.type)) ||
+    (node.type === "RestElement" && PATTERN_TYPES.has(node.argument.type));
+
+  walk(ast, {
+    enter(node, parent) {
+      if (FUNCTION_TYPES.has(node.type) && node.params.some(isDestructured)) {
+        add(
+          node,
+          node.params.at(-1),
+          explainParams(source, names, node, parent),
+          [
+            functionNameOf(source, node, parent),
+            ...node.params.flatMap(boundNames),
+          ],
+        );
+      }
+
+      if (node.type === "VariableDeclaration") {
+        for (const declarator of node.declarations) {
+          if (!PATTERN_TYPES.has(declarator.id.type) || !declarator.init)
+            continue;
+          add(
+            node,
+            declarator.id,
+            explainBinding(source, names, {
+              code: oneLine(`${node.kind} ${text(declarator)};`),
+              pattern: declarator.id,
+              init: declarator.init,
+              declare: true,
+            }),
+            boundNames(declarator.id),
+          );
+        }
+      }
+
+      if (
+        node.type === "AssignmentExpression" &&
+        PATTERN_TYPES.has(node.left.type)
+      ) {
+        add(
+          node,
+          node.left,
+          explainBinding(source, names, {
+            code: oneLine(`${text(node)};`),
+            pattern: node.left,
+            init: node.right,
+            declare: false,
+          }),
+          boundNames(node.left),
+        );
+      }
+
+      if (node.type === "ForOfStatement" || node.type === "ForInStatement") {
+        const declared = node.left.type === "VariableDeclaration";
+        const pattern = declared ? node.left.declarations[0].id : node.left;
+        if (!PATTERN_TYPES.has(pattern.type)) return;
+        const isForOf = node.type === "ForOfStatement";
+        add(
+          node,
+          pattern,
+          explainWrapped(source, names, {
+            code: oneLine(source.slice(node.start, node.body.start)),
+            pattern,
+            declare: declared,
+            open: isForOf
+              ? openForOf(source, node)
+              : (holder) => ({
+                  head: `for (var ${holder} in ${text(node.right)}) {`,
+                }),
+            about: {
+              base: "item",
+              text: isForOf
+                ? `each item of ${text(node.right)}, one per turn of the loop`
+                : `each key of ${text(node.right)}, one per turn of the loop`,
+              body: "loop",
+            },
+          }),
+          boundNames(pattern),
+        );
+      }
+
+      if (
+        node.type === "CatchClause" &&
+        node.param &&
+        isDestructured(node.param)
+      ) {
+        add(
+          node,
+          node.param,
+          explainWrapped(source, names, {
+            code: oneLine(source.slice(node.start, node.body.start)),
+            pattern: node.param,
+            declare: true,
+            open: (holder) => ({ head: `catch (${holder}) {` }),
+            about: {
+              base: "error",
+              text: "the error that was thrown",
+              body: "catch block",
+            },
+          }),
+          boundNames(node.param),
+        );
+      }
+    },
+  });
+
+  return explanations;
+}
+
+// A snippet may be a whole statement or just a pattern: { a, b = 1 } = user
+const SNIPPET_WRAPPERS = [
+  (code) => code,
+  (code) => `const ${code};`,
+  (code) => `function explained(${code}) {}`,
+];
+
+export function explainSnippet(code) {
+  let firstError;
+  for (const wrap of SNIPPET_WRAPPERS) {
+    try {
+      const explanations = explainDestructuring(wrap(code));
+      if (explanations.length > 0) return explanations;
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      firstError ??= error;
+    }
+  }
+  if (firstError) throw firstError;
+  return [];
+}
+
+// -----------------------------------------------------------------------------
+// PRINTING
+
+export function formatExplanations(explanations, { title } = {}) {
+  const lines = [];
+  if (title) lines.push(title, "");
+
+  if (explanations.length === 0) {
+    lines.push("No destructuring found.");
+    return lines.join("\n");
+  }
+
+  explanations.forEach(({ line, code, steps, notes }, index) => {
+    if (index > 0) lines.push("");
+    lines.push(
+      `line ${line}: ${code}`,
+      "",
+      "  ES5 steps:",
+      ...steps.map((step) => `    ${step}`),
+      "",
+      "  Why this works:",
+      ...notes.map((note) => `    ${note}`),
+    );
+  });
+
+  return lines.join("\n");
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+// --line 12 / --name connectDatabase → the value after the flag
+const option = (args, flag) => {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+function main(args) {
+  const codeIndex = args.indexOf("--code");
+  const line = option(args, "--line");
+  const name = option(args, "--name");
+  const files = args.filter(
+    (arg, index) =>
+      !arg.startsWith("--") &&
+      !["--line", "--name", "--code"].includes(args[index - 1]),
+  );
+
+  if (codeIndex === -1 && files.length === 0) {
+    console.log(
+      'Usage: node tools/explain-destructuring.js <file> [--name function-or-variable] [--line N] | --code "..."',
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (codeIndex !== -1) {
+      console.log(
+        formatExplanations(explainSnippet(args[codeIndex + 1] ?? "")),
+      );
+      return;
+    }
+
+    for (const [index, file] of files.entries()) {
+      if (index > 0) console.log("");
+      const source = fs.readFileSync(path.resolve(file), "utf8");
+      console.log(
+        formatExplanations(
+          explainDestructuring(source, {
+            line: line === undefined ? undefined : Number(line),
+            name,
+          }),
+          {
+            title: `=== ${file} ===`,
+          },
+        ),
+      );
+    }
+  } catch (error) {
+    if (!(error instanceof ParseError)) throw error;
+    console.log(`Cannot read the code: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
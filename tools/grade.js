@@ -0,0 +1,227 @@
+/*
+
+EXERCISE GRADER
+
+What this tool does:
+Every lesson chapter has exercise files in exercises/ with stubbed functions.
+The grader imports your solutions, runs hidden test cases against them
+(tools/exercise-checks/), and prints pass/fail with a hint for each exercise.
+
+How to use:
+node tools/grade.js                                   → grade every exercise
+node tools/grade.js "exercises/02. Destructuring"     → grade one chapter
+node tools/grade.js path/to/exercise.js               → grade one file
+node tools/grade.js "exercises/01. Core-Syntax" --watch
+                                                      → grade again on every save
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { formatValue } from "./run-lessons.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const EXERCISES_DIR = path.join(ROOT, "exercises");
+const CHECKS_DIR = path.join(ROOT, "tools", "exercise-checks");
+
+// -----------------------------------------------------------------------------
+// FINDING EXERCISE FILES
+
+export function findExerciseFiles(targets = []) {
+  const roots = targets.length
+    ? targets.map((target) => path.resolve(target))
+    : [EXERCISES_DIR];
+
+  const files = [];
+
+  const visit = (entry) => {
+    if (fs.statSync(entry).isDirectory()) {
+      for (const child of fs.readdirSync(entry).sort()) {
+        visit(path.join(entry, child));
+      }
+    } else if (entry.endsWith(".js")) {
+      files.push(entry);
+    }
+  };
+
+  roots.forEach(visit);
+  return files;
+}
+
+// exercises/02. Destructuring/01. Array-Destructuring.js
+// → tools/exercise-checks/02. Destructuring/01. Array-Destructuring.js
+const checksFileFor = (file) =>
+  path.join(CHECKS_DIR, path.basename(path.dirname(file)), path.basename(file));
+
+// -----------------------------------------------------------------------------
+// RUNNING THE HIDDEN CASES
+
+/*
+A case is either:
+{ args: [...], expected }            → calls the function with args
+{ label, run: (fn) => ..., expected } → custom check (mutation, source code...)
+
+Arguments are cloned first, so a solution that changes its input
+cannot break the next case.
+*/
+function runCase(name, fn, { label, args = [], run, expected }) {
+  const title =
+    label ?? `${name}(${args.map((arg) => formatValue(arg, true)).join(", ")})`;
+
+  try {
+    const received = run ? run(fn) : fn(...structuredClone(args));
+
+    return {
+      title,
+      passed: isDeepStrictEqual(received, expected),
+      expected: formatValue(expected, true),
+      received: formatValue(received, true),
+    };
+  } catch (error) {
+    return {
+      title,
+      passed: false,
+      expected: formatValue(expected, true),
+      received: `threw ${error.name}: ${error.message}`,
+    };
+  }
+}
+
+export async function gradeFile(file) {
+  const checksFile = checksFileFor(file);
+
+  if (!fs.existsSync(checksFile)) {
+    return {
+      file,
+      error: `No hidden checks found at ${path.relative(ROOT, checksFile)}`,
+    };
+  }
+
+  const { default: checks } = await import(pathToFileURL(checksFile).href);
+
+  let solutions;
+
+  try {
+    // The query string forces a fresh import, so --watch sees every save
+    solutions = await import(`${pathToFileURL(file).href}?t=${Date.now()}`);
+  } catch (error) {
+    return {
+      file,
+      error: `Could not load the file: ${error.name}: ${error.message}`,
+    };
+  }
+
+  const exercises = Object.entries(checks).map(([name, { hint, cases }]) => {
+    const fn = solutions[name];
+
+    if (typeof fn !== "function") {
+      return {
+        name,
+        hint: `Keep the line "export ... ${name}" so the grader can find it.`,
+        total: cases.length,
+        results: [{ title: `${name} is not exported`, passed: false }],
+      };
+    }
+
+    const results = cases.map((testCase) => runCase(name, fn, testCase));
+
+    // The stub still has its placeholder comment
+    const notStarted = fn.toString().includes("Your code here");
+
+    return { name, hint, total: cases.length, results, notStarted };
+  });
+
+  return { file, exercises };
+}
+
+// -----------------------------------------------------------------------------
+// REPORT
+
+function printReport({ file, error, exercises = [] }) {
+  console.log(path.relative(ROOT, file));
+
+  if (error) {
+    console.log(`  ✗ ${error}\n`);
+    return { passed: 0, total: 0, broken: true };
+  }
+
+  const width = Math.max(...exercises.map(({ name }) => name.length));
+  let passed = 0;
+
+  for (const { name, hint, total, results, notStarted } of exercises) {
+    const passing = results.filter((result) => result.passed).length;
+    const done = passing === total;
+    const note = notStarted ? "  (not started yet)" : "";
+
+    if (done) passed++;
+    console.log(
+      `  ${done ? "✓" : "✗"} ${name.padEnd(width)}  ${passing}/${total}${note}`,
+    );
+
+    // Only the first failing case is shown, one problem at a time is easier to fix
+    const failure = results.find((result) => !result.passed);
+
+    if (failure && !notStarted) {
+      console.log(`      ${failure.title}`);
+      if (failure.expected !== undefined) {
+        console.log(`        expected: ${failure.expected}`);
+        console.log(`        received: ${failure.received}`);
+      }
+    }
+
+    if (!done) console.log(`      Hint: ${hint}`);
+  }
+
+  console.log(`  Score: ${passed}/${exercises.length} exercises\n`);
+  return { passed, total: exercises.length };
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+async function gradeAll(files) {
+  let passed = 0;
+  let total = 0;
+  let broken = false;
+
+  for (const file of files) {
+    const score = printReport(await gradeFile(file));
+
+    passed += score.passed;
+    total += score.total;
+    broken ||= Boolean(score.broken);
+  }
+
+  console.log(`Total: ${passed}/${total} exercises passing`);
+  return passed === total && !broken;
+}
+
+async function main(args) {
+  const watch = args.includes("--watch");
+  const files = findExerciseFiles(args.filter((arg) => arg !== "--watch"));
+
+  const allPassed = await gradeAll(files);
+  process.exitCode = allPassed ? 0 : 1;
+
+  if (!watch) return;
+
+  console.log("\nWatching for changes... (Ctrl+C to stop)");
+  let timer = null;
+
+  for (const file of files) {
+    fs.watch(file, () => {
+      // Editors often write a file in several steps, so wait for the last one
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        console.clear();
+        await gradeAll(files);
+        console.log("\nWatching for changes... (Ctrl+C to stop)");
+      }, 100);
+    });
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
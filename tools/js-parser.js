@@ -0,0 +1,2085 @@
+/*
+
+JS PARSER
+
+What this is:
+A small hand-written JavaScript parser for the code tools
+(tools/scope.js, tools/lint.js, tools/modernize.js, tools/explain-destructuring.js).
+It turns source code into a tree of nodes (an AST) in the ESTree shape
+that tools like ESLint and Babel use, so the tools can ask
+"which variables does this block declare?" instead of guessing with regular expressions.
+
+It covers the JavaScript the lessons use (modules, classes, arrow functions,
+template literals, destructuring, spread, optional chaining, async / await, generators).
+It does not check every early error, so only feed it code that runs.
+
+How to use:
+import { parse, walk } from "./tools/js-parser.js";
+
+const ast = parse(source);
+walk(ast, {
+  Identifier(node, parent) {
+    console.log(node.name, node.loc.start.line);
+  },
+});
+
+Every node has `type`, `start` / `end` (offsets into the source)
+and `loc` ({ start: { line, column }, end: { line, column } }, lines start at 1).
+ast.comments lists every comment with the same positions.
+*/
+
+// -----------------------------------------------------------------------------
+// TOKENS
+
+const KEYWORDS = new Set([
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "import",
+  "in",
+  "instanceof",
+  "new",
+  "null",
+  "return",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+]);
+
+// Longest first, so ">>>=" is not read as ">>" + ">="
+const PUNCTUATORS = [
+  ">>>=",
+  "...",
+  "===",
+  "!==",
+  "**=",
+  "<<=",
+  ">>=",
+  ">>>",
+  "&&=",
+  "||=",
+  "??=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "**",
+  "<<",
+  ">>",
+  "{",
+  "}",
+  "(",
+  ")",
+  "[",
+  "]",
+  ";",
+  ",",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "&",
+  "|",
+  "^",
+  "!",
+  "~",
+  "?",
+  ":",
+  "=",
+  ".",
+  "@",
+];
+
+// After these keywords a "/" starts a regular expression, not a division.
+// Only real keywords: "of" can also be a variable (let of = 1; of / 2)
+const REGEX_AFTER_WORDS = new Set([
+  "return",
+  "typeof",
+  "instanceof",
+  "in",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "case",
+  "do",
+  "else",
+]);
+
+// A ")" that closes the head of these ends a condition, so a "/" after it starts a regex:
+// if (x) /re/.test(s);
+const HEAD_WORDS = new Set(["if", "while", "for", "with"]);
+
+const isIdStart = (char) => /[\p{L}\p{Nl}$_]/u.test(char);
+const isIdPart = (char) =>
+  /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200c\u200d]/u.test(char);
+
+export class ParseError extends SyntaxError {
+  constructor(message, { line, column }) {
+    super(`${message} (${line}:${column + 1})`);
+    this.name = "ParseError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/*
+Splits the source into tokens: { type, value, start, end, loc, newlineBefore }.
+type is "name", "keyword", "num", "string", "template", "regex", "punct", "private" or "eof".
+Template literals come out in pieces: `a ${x} b` → template "a " (tail: false),
+the tokens of x, then template " b" (tail: true).
+*/
+export function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  // "{" or "${" for every open brace, so "}" knows if it closes a template value
+  const braces = [];
+  // true for every open "(" that starts an if / while / for / with head
+  const parens = [];
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+  let newlineBefore = false;
+
+  const position = () => ({ line, column: index - lineStart });
+
+  const fail = (message) => {
+    throw new ParseError(message, position());
+  };
+
+  const advance = (count = 1) => {
+    for (let i = 0; i < count; i++) {
+      const char = source[index++];
+      if (char === "\n" || char === "\u2028" || char === "\u2029") {
+        line++;
+        lineStart = index;
+      }
+    }
+  };
+
+  const push = (type, value, start, startLoc, extra = {}) => {
+    tokens.push({
+      type,
+      value,
+      start,
+      end: index,
+      loc: { start: startLoc, end: position() },
+      newlineBefore,
+      ...extra,
+    });
+    newlineBefore = false;
+  };
+
+  // Is the "(" about to be pushed the head of if / while / for / with (or for await)?
+  const startsHead = () => {
+    const word = tokens.at(-1);
+    const beforeWord = tokens.at(-2);
+    if (word?.type !== "keyword" && word?.type !== "name") return false;
+    // obj.if(...) is a method call
+    if (beforeWord?.value === "." || beforeWord?.value === "?.") return false;
+    if (HEAD_WORDS.has(word.value)) return true;
+    return word.value === "await" && beforeWord?.value === "for";
+  };
+
+  const regexAllowed = () => {
+    const last = tokens.at(-1);
+    if (!last) return true;
+    if (
+      last.type === "num" ||
+      last.type === "string" ||
+      last.type === "regex"
+    ) {
+      return false;
+    }
+    if (last.type === "template") return !last.tail;
+    if (last.type === "keyword") return REGEX_AFTER_WORDS.has(last.value);
+    // for (const x of /re/g.exec(s)): "of" right after the loop variable
+    if (last.value === "of" && parens.at(-1) === true) {
+      const before = tokens.at(-2);
+      return before?.type === "name" || ["]", "}"].includes(before?.value);
+    }
+    if (last.type === "name" || last.type === "private") return false;
+    if (last.value === ")") return last.closesHead;
+    // i++ / 2 divides, ++ /re/.lastIndex does not
+    if (last.value === "++" || last.value === "--") return !last.postfix;
+    return !["]", "}"].includes(last.value);
+  };
+
+  // Reads a template piece starting right after "`" or "}"
+  const readTemplate = (start, startLoc) => {
+    let raw = "";
+
+    while (true) {
+      if (index >= source.length) fail("Unterminated template literal");
+      const char = source[index];
+
+      if (char === "`") {
+        advance();
+        push("template", cook(raw), start, startLoc, { raw, tail: true });
+        return;
+      }
+      if (char === "$" && source[index + 1] === "{") {
+        advance(2);
+        braces.push("${");
+        push("template", cook(raw), start, startLoc, { raw, tail: false });
+        return;
+      }
+      if (char === "\\") {
+        raw += source.slice(index, index + 2);
+        advance(2);
+        continue;
+      }
+      raw += char;
+      advance();
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const start = index;
+    const startLoc = position();
+
+    // Whitespace and line breaks
+    if (/\s/.test(char)) {
+      if (char === "\n" || char === "\u2028" || char === "\u2029") {
+        newlineBefore = true;
+      }
+      advance();
+      continue;
+    }
+
+    // Comments
+    if (char === "/" && source[index + 1] === "/") {
+      let end = index;
+      while (end < source.length && !/[\n\u2028\u2029]/.test(source[end])) {
+        end++;
+      }
+      const value = source.slice(index + 2, end);
+      advance(end - index);
+      comments.push({
+        type: "Line",
+        value,
+        start,
+        end: index,
+        loc: { start: startLoc, end: position() },
+      });
+      continue;
+    }
+    if (char === "/" && source[index + 1] === "*") {
+      const end = source.indexOf("*/", index + 2);
+      if (end === -1) fail("Unterminated comment");
+      const value = source.slice(index + 2, end);
+      if (/[\n\u2028\u2029]/.test(value)) newlineBefore = true;
+      advance(end + 2 - index);
+      comments.push({
+        type: "Block",
+        value,
+        start,
+        end: index,
+        loc: { start: startLoc, end: position() },
+      });
+      continue;
+    }
+
+    // A "#!" line at the very top (node scripts)
+    if (index === 0 && char === "#" && source[1] === "!") {
+      while (index < source.length && source[index] !== "\n") advance();
+      continue;
+    }
+
+    // Names and keywords
+    if (isIdStart(char) || char === "\\") {
+      let end = index + 1;
+      while (end < source.length && isIdPart(source[end])) end++;
+      const value = source.slice(index, end);
+      advance(end - index);
+      // a.return / obj.delete: after a dot every word is a property name
+      const afterDot = [".", "?."].includes(tokens.at(-1)?.value);
+      const type = KEYWORDS.has(value) && !afterDot ? "keyword" : "name";
+      push(type, value, start, startLoc);
+      continue;
+    }
+
+    // Private class members: #count
+    if (char === "#") {
+      let end = index + 1;
+      while (end < source.length && isIdPart(source[end])) end++;
+      const value = source.slice(index + 1, end);
+      advance(end - index);
+      push("private", value, start, startLoc);
+      continue;
+    }
+
+    // Numbers: 12, 1.5, .5, 1e3, 0xff, 0b101, 0o17, 1_000, 10n
+    if (
+      /[0-9]/.test(char) ||
+      (char === "." && /[0-9]/.test(source[index + 1]))
+    ) {
+      const match = source
+        .slice(index)
+        .match(
+          /^(?:0[xX][0-9a-fA-F_]+n?|0[bB][01_]+n?|0[oO][0-7_]+n?|(?:[0-9][0-9_]*\.?[0-9_]*|\.[0-9][0-9_]*)(?:[eE][+-]?[0-9_]+)?n?)/,
+        );
+      advance(match[0].length);
+      push("num", match[0], start, startLoc);
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === "'") {
+      let end = index + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === "\\") end++;
+        else if (source[end] === "\n") fail("Unterminated string");
+        end++;
+      }
+      if (end >= source.length) fail("Unterminated string");
+      const raw = source.slice(index, end + 1);
+      advance(end + 1 - index);
+      push("string", cook(raw.slice(1, -1)), start, startLoc, { raw });
+      continue;
+    }
+
+    // Template literals
+    if (char === "`") {
+      advance();
+      readTemplate(start, startLoc);
+      continue;
+    }
+
+    // Regular expressions
+    if (char === "/" && regexAllowed()) {
+      let end = index + 1;
+      let inClass = false;
+      while (end < source.length) {
+        const current = source[end];
+        if (current === "\\") end++;
+        else if (current === "[") inClass = true;
+        else if (current === "]") inClass = false;
+        else if (current === "/" && !inClass) break;
+        else if (current === "\n") fail("Unterminated regular expression");
+        end++;
+      }
+      end++;
+      while (end < source.length && isIdPart(source[end])) end++;
+      const raw = source.slice(index, end);
+      advance(end - index);
+      const slash = raw.lastIndexOf("/");
+      push("regex", raw, start, startLoc, {
+        regex: { pattern: raw.slice(1, slash), flags: raw.slice(slash + 1) },
+      });
+      continue;
+    }
+
+    // "}" either closes a block or a ${...} inside a template
+    if (char === "}" && braces.at(-1) === "${") {
+      braces.pop();
+      advance();
+      readTemplate(start, startLoc);
+      continue;
+    }
+
+    const punct = PUNCTUATORS.find((candidate) =>
+      source.startsWith(candidate, index),
+    );
+    if (!punct) fail(`Unexpected character "${char}"`);
+
+    // "?." followed by a digit is "? .5" (a ternary), not optional chaining
+    if (punct === "?." && /[0-9]/.test(source[index + 2])) {
+      advance();
+      push("punct", "?", start, startLoc);
+      continue;
+    }
+
+    if (punct === "{") braces.push("{");
+    if (punct === "}") braces.pop();
+    advance(punct.length);
+
+    if (punct === "(") parens.push(startsHead());
+    if (punct === ")") {
+      push("punct", punct, start, startLoc, {
+        closesHead: parens.pop() === true,
+      });
+      continue;
+    }
+    if (punct === "++" || punct === "--") {
+      // Postfix when it follows an operand on the same line (a line break before it makes it prefix)
+      const postfix = tokens.length > 0 && !regexAllowed() && !newlineBefore;
+      push("punct", punct, start, startLoc, { postfix });
+      continue;
+    }
+    push("punct", punct, start, startLoc);
+  }
+
+  push("eof", "", index, position());
+  return { tokens, comments };
+}
+
+// Turns escape sequences into the characters they stand for
+function cook(text) {
+  return text.replace(
+    /\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r\n|[\s\S])/g,
+    (match, escape) => {
+      if (escape[0] === "u" && escape[1] === "{") {
+        return String.fromCodePoint(parseInt(escape.slice(2, -1), 16));
+      }
+      if (escape[0] === "u" || escape[0] === "x") {
+        return String.fromCharCode(parseInt(escape.slice(1), 16));
+      }
+      const simple = {
+        n: "\n",
+        t: "\t",
+        r: "\r",
+        b: "\b",
+        f: "\f",
+        v: "\v",
+        0: "\0",
+      };
+      if (escape in simple) return simple[escape];
+      if (escape === "\n" || escape === "\r\n") return "";
+      return escape;
+    },
+  );
+}
+
+// -----------------------------------------------------------------------------
+// PARSER
+
+const BINARY_PRECEDENCE = {
+  "??": 1,
+  "||": 2,
+  "&&": 3,
+  "|": 4,
+  "^": 5,
+  "&": 6,
+  "==": 7,
+  "!=": 7,
+  "===": 7,
+  "!==": 7,
+  "<": 8,
+  ">": 8,
+  "<=": 8,
+  ">=": 8,
+  instanceof: 8,
+  in: 8,
+  "<<": 9,
+  ">>": 9,
+  ">>>": 9,
+  "+": 10,
+  "-": 10,
+  "*": 11,
+  "/": 11,
+  "%": 11,
+  "**": 12,
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  "=",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "**=",
+  "<<=",
+  ">>=",
+  ">>>=",
+  "&=",
+  "|=",
+  "^=",
+  "&&=",
+  "||=",
+  "??=",
+]);
+
+export function parse(source, { sourceType = "module" } = {}) {
+  const { tokens, comments } = tokenize(source);
+  let position = 0;
+  // Are we inside a function that allows `await` / `yield`?
+  let inAsync = sourceType === "module";
+  let inGenerator = false;
+
+  const peek = (offset = 0) =>
+    tokens[Math.min(position + offset, tokens.length - 1)];
+  const current = () => tokens[position];
+  const previous = () => tokens[position - 1];
+
+  const fail = (message, token = current()) => {
+    throw new ParseError(message, token.loc.start);
+  };
+
+  const is = (value, token = current()) =>
+    (token.type === "punct" ||
+      token.type === "keyword" ||
+      token.type === "name") &&
+    token.value === value;
+
+  const eat = (value) => {
+    if (is(value)) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+
+  const expect = (value) => {
+    if (!eat(value)) {
+      const token = current();
+      fail(
+        `Expected "${value}" but found ${token.type === "eof" ? "the end of the file" : `"${token.value}"`}`,
+      );
+    }
+    return previous();
+  };
+
+  const next = () => tokens[position++];
+
+  // Starts a node at the current token; finish() closes it at the last eaten token
+  const startNode = (token = current()) => ({
+    start: token.start,
+    startLoc: token.loc.start,
+  });
+
+  const finish = (mark, type, props) => {
+    const last = previous();
+    return {
+      type,
+      ...props,
+      start: mark.start,
+      end: last.end,
+      loc: { start: mark.startLoc, end: last.loc.end },
+    };
+  };
+
+  // Same positions as another node (used when a node grows to the left)
+  const markOf = (node) => ({ start: node.start, startLoc: node.loc.start });
+
+  // A statement ends at ";", before "}", at the end of the file, or at a line break
+  const semicolon = () => {
+    if (eat(";")) return;
+    if (is("}") || current().type === "eof" || current().newlineBefore) return;
+    fail(`Expected ";" but found "${current().value}"`);
+  };
+
+  const isName = (token = current()) => token.type === "name";
+
+  // Names allowed as property keys: any name or keyword
+  const isPropertyName = (token = current()) =>
+    token.type === "name" || token.type === "keyword";
+
+  function parseIdentifier({ allowKeywords = false } = {}) {
+    const token = current();
+    if (!(isName(token) || (allowKeywords && token.type === "keyword"))) {
+      fail(`Expected a name but found "${token.value || token.type}"`);
+    }
+    const mark = startNode();
+    next();
+    return finish(mark, "Identifier", { name: token.value });
+  }
+
+  // ---------------------------------------------------------------------------
+  // STATEMENTS
+
+  function parseProgram() {
+    const body = [];
+    while (current().type !== "eof") body.push(parseStatement(true));
+    return {
+      type: "Program",
+      sourceType,
+      body,
+      start: 0,
+      end: source.length,
+      loc: {
+        start: { line: 1, column: 0 },
+        end: current().loc.end,
+      },
+    };
+  }
+
+  const isLetDeclaration = () =>
+    is("let") &&
+    (isName(peek(1)) ||
+      is("[", peek(1)) ||
+      is("{", peek(1)) ||
+      peek(1).type === "keyword") &&
+    !is("in", peek(1)) &&
+    !is("instanceof", peek(1));
+
+  const isAsyncFunction = () =>
+    is("async") && is("function", peek(1)) && !peek(1).newlineBefore;
+
+  function parseStatement(topLevel = false) {
+    const token = current();
+
+    if (token.type === "punct") {
+      if (token.value === "{") return parseBlock();
+      if (token.value === ";") {
+        const mark = startNode();
+        next();
+        return finish(mark, "EmptyStatement", {});
+      }
+    }
+
+    if (token.type === "keyword") {
+      switch (token.value) {
+        case "var":
+        case "const":
+          return parseVariableStatement();
+        case "function":
+          return parseFunction({ statement: true });
+        case "class":
+          return parseClass({ statement: true });
+        case "if":
+          return parseIf();
+        case "for":
+          return parseFor();
+        case "while":
+          return parseWhile();
+        case "do":
+          return parseDoWhile();
+        case "return":
+          return parseReturn();
+        case "break":
+        case "continue":
+          return parseBreakContinue();
+        case "throw":
+          return parseThrow();
+        case "try":
+          return parseTry();
+        case "switch":
+          return parseSwitch();
+        case "debugger": {
+          const mark = startNode();
+          next();
+          semicolon();
+          return finish(mark, "DebuggerStatement", {});
+        }
+        case "import":
+          // import(...) and import.meta are expressions
+          if (!is("(", peek(1)) && !is(".", peek(1))) {
+            if (!topLevel) fail("import is only allowed at the top level");
+            return parseImport();
+          }
+          break;
+        case "export":
+          if (!topLevel) fail("export is only allowed at the top level");
+          return parseExport();
+      }
+    }
+
+    if (isLetDeclaration()) return parseVariableStatement();
+    if (isAsyncFunction()) return parseFunction({ statement: true });
+
+    // label: statement
+    if (isName(token) && is(":", peek(1))) {
+      const mark = startNode();
+      const label = parseIdentifier();
+      expect(":");
+      const body = parseStatement();
+      return finish(mark, "LabeledStatement", { label, body });
+    }
+
+    const mark = startNode();
+    const expression = parseExpression();
+    semicolon();
+    return finish(mark, "ExpressionStatement", { expression });
+  }
+
+  function parseBlock() {
+    const mark = startNode();
+    expect("{");
+    const body = [];
+    while (!is("}")) {
+      if (current().type === "eof")
+        fail('Expected "}" before the end of the file');
+      body.push(parseStatement());
+    }
+    expect("}");
+    return finish(mark, "BlockStatement", { body });
+  }
+
+  function parseVariableDeclaration({ noIn = false } = {}) {
+    const mark = startNode();
+    const kind = next().value;
+    const declarations = [];
+
+    do {
+      const declarator = startNode();
+      const id = parseBindingTarget();
+      let init = null;
+      if (eat("=")) init = parseAssignment({ noIn });
+      declarations.push(finish(declarator, "VariableDeclarator", { id, init }));
+    } while (eat(","));
+
+    return finish(mark, "VariableDeclaration", { kind, declarations });
+  }
+
+  // The statement also covers its ";"
+  function parseVariableStatement() {
+    const { kind, declarations, ...node } = parseVariableDeclaration();
+    semicolon();
+    return finish(markOf(node), "VariableDeclaration", { kind, declarations });
+  }
+
+  function parseIf() {
+    const mark = startNode();
+    expect("if");
+    expect("(");
+    const test = parseExpression();
+    expect(")");
+    const consequent = parseStatement();
+    const alternate = eat("else") ? parseStatement() : null;
+    return finish(mark, "IfStatement", { test, consequent, alternate });
+  }
+
+  function parseFor() {
+    const mark = startNode();
+    expect("for");
+    const isAwait = eat("await");
+    expect("(");
+
+    let init = null;
+    if (is(";")) {
+      // for (; ...)
+    } else if (is("var") || is("const") || isLetDeclaration()) {
+      init = parseVariableDeclaration({ noIn: true });
+    } else {
+      init = parseExpression({ noIn: true });
+    }
+
+    if (init && (is("of") || is("in"))) {
+      const type = is("of") ? "ForOfStatement" : "ForInStatement";
+      next();
+      const left = init.type === "VariableDeclaration" ? init : toPattern(init);
+      const right =
+        type === "ForOfStatement" ? parseAssignment() : parseExpression();
+      expect(")");
+      const body = parseStatement();
+      return finish(mark, type, {
+        left,
+        right,
+        body,
+        ...(type === "ForOfStatement" ? { await: isAwait } : {}),
+      });
+    }
+
+    expect(";");
+    const test = is(";") ? null : parseExpression();
+    expect(";");
+    const update = is(")") ? null : parseExpression();
+    expect(")");
+    const body = parseStatement();
+    return finish(mark, "ForStatement", { init, test, update, body });
+  }
+
+  function parseWhile() {
+    const mark = startNode();
+    expect("while");
+    expect("(");
+    const test = parseExpression();
+    expect(")");
+    const body = parseStatement();
+    return finish(mark, "WhileStatement", { test, body });
+  }
+
+  function parseDoWhile() {
+    const mark = startNode();
+    expect("do");
+    const body = parseStatement();
+    expect("while");
+    expect("(");
+    const test = parseExpression();
+    expect(")");
+    eat(";");
+    return finish(mark, "DoWhileStatement", { body, test });
+  }
+
+  function parseReturn() {
+    const mark = startNode();
+    expect("return");
+    // "return" followed by a line break returns undefined (automatic semicolon)
+    const argument =
+      is(";") || is("}") || current().type === "eof" || current().newlineBefore
+        ? null
+        : parseExpression();
+    semicolon();
+    return finish(mark, "ReturnStatement", { argument });
+  }
+
+  function parseBreakContinue() {
+    const mark = startNode();
+    const keyword = next().value;
+    const label =
+      isName() && !current().newlineBefore ? parseIdentifier() : null;
+    semicolon();
+    return finish(
+      mark,
+      keyword === "break" ? "BreakStatement" : "ContinueStatement",
+      { label },
+    );
+  }
+
+  function parseThrow() {
+    const mark = startNode();
+    expect("throw");
+    const argument = parseExpression();
+    semicolon();
+    return finish(mark, "ThrowStatement", { argument });
+  }
+
+  function parseTry() {
+    const mark = startNode();
+    expect("try");
+    const block = parseBlock();
+    let handler = null;
+    let finalizer = null;
+
+    if (is("catch")) {
+      const catchMark = startNode();
+      next();
+      let param = null;
+      if (eat("(")) {
+        param = parseBindingTarget();
+        expect(")");
+      }
+      const body = parseBlock();
+      handler = finish(catchMark, "CatchClause", { param, body });
+    }
+    if (eat("finally")) finalizer = parseBlock();
+    if (!handler && !finalizer) fail('Expected "catch" or "finally"');
+
+    return finish(mark, "TryStatement", { block, handler, finalizer });
+  }
+
+  function parseSwitch() {
+    const mark = startNode();
+    expect("switch");
+    expect("(");
+    const discriminant = parseExpression();
+    expect(")");
+    expect("{");
+    const cases = [];
+
+    while (!eat("}")) {
+      const caseMark = startNode();
+      let test = null;
+      if (eat("case")) test = parseExpression();
+      else expect("default");
+      expect(":");
+
+      const consequent = [];
+      while (!is("case") && !is("default") && !is("}")) {
+        consequent.push(parseStatement());
+      }
+      cases.push(finish(caseMark, "SwitchCase", { test, consequent }));
+    }
+
+    return finish(mark, "SwitchStatement", { discriminant, cases });
+  }
+
+  // ---------------------------------------------------------------------------
+  // MODULES
+
+  const parseModuleName = () => {
+    const token = current();
+    if (token.type !== "string") fail("Expected a module path string");
+    const mark = startNode();
+    next();
+    return finish(mark, "Literal", { value: token.value, raw: token.raw });
+  };
+
+  // Names in import / export lists can also be strings: export { a as "b c" }
+  const parseModuleExportName = () =>
+    current().type === "string"
+      ? parseModuleName()
+      : parseIdentifier({ allowKeywords: true });
+
+  function parseImport() {
+    const mark = startNode();
+    expect("import");
+    const specifiers = [];
+
+    if (current().type !== "string") {
+      if (isName()) {
+        const specMark = startNode();
+        const local = parseIdentifier();
+        specifiers.push(finish(specMark, "ImportDefaultSpecifier", { local }));
+        eat(",");
+      }
+
+      if (is("*")) {
+        const specMark = startNode();
+        next();
+        expect("as");
+        const local = parseIdentifier();
+        specifiers.push(
+          finish(specMark, "ImportNamespaceSpecifier", { local }),
+        );
+      } else if (eat("{")) {
+        while (!eat("}")) {
+          const specMark = startNode();
+          const imported = parseModuleExportName();
+          const local = eat("as") ? parseIdentifier() : imported;
+          specifiers.push(
+            finish(specMark, "ImportSpecifier", { imported, local }),
+          );
+          if (!is("}")) expect(",");
+        }
+      }
+
+      expect("from");
+    }
+
+    const sourceNode = parseModuleName();
+    semicolon();
+    return finish(mark, "ImportDeclaration", {
+      specifiers,
+      source: sourceNode,
+    });
+  }
+
+  function parseExport() {
+    const mark = startNode();
+    expect("export");
+
+    if (eat("default")) {
+      let declaration;
+      if (is("function") || isAsyncFunction()) {
+        declaration = parseFunction({ statement: true, optionalName: true });
+      } else if (is("class")) {
+        declaration = parseClass({ statement: true, optionalName: true });
+      } else {
+        declaration = parseAssignment();
+        semicolon();
+      }
+      return finish(mark, "ExportDefaultDeclaration", { declaration });
+    }
+
+    if (eat("*")) {
+      const exported = eat("as") ? parseModuleExportName() : null;
+      expect("from");
+      const sourceNode = parseModuleName();
+      semicolon();
+      return finish(mark, "ExportAllDeclaration", {
+        exported,
+        source: sourceNode,
+      });
+    }
+
+    if (eat("{")) {
+      const specifiers = [];
+      while (!eat("}")) {
+        const specMark = startNode();
+        const local = parseModuleExportName();
+        const exported = eat("as") ? parseModuleExportName() : local;
+        specifiers.push(
+          finish(specMark, "ExportSpecifier", { local, exported }),
+        );
+        if (!is("}")) expect(",");
+      }
+      const sourceNode = eat("from") ? parseModuleName() : null;
+      semicolon();
+      return finish(mark, "ExportNamedDeclaration", {
+        declaration: null,
+        specifiers,
+        source: sourceNode,
+      });
+    }
+
+    const declaration = parseStatement();
+    if (
+      ![
+        "VariableDeclaration",
+        "FunctionDeclaration",
+        "ClassDeclaration",
+      ].includes(declaration.type)
+    ) {
+      fail("Expected a declaration after export");
+    }
+    return finish(mark, "ExportNamedDeclaration", {
+      declaration,
+      specifiers: [],
+      source: null,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // FUNCTIONS AND CLASSES
+
+  // Runs `parse` with its own await / yield rules (every function has its own)
+  function withFunctionContext({ isAsync, generator }, parseBody) {
+    const saved = [inAsync, inGenerator];
+    inAsync = isAsync;
+    inGenerator = generator;
+    try {
+      return parseBody();
+    } finally {
+      [inAsync, inGenerator] = saved;
+    }
+  }
+
+  function parseParams() {
+    expect("(");
+    const params = [];
+    while (!eat(")")) {
+      if (is("...")) {
+        const mark = startNode();
+        next();
+        const argument = parseBindingTarget();
+        params.push(finish(mark, "RestElement", { argument }));
+      } else {
+        params.push(parseBindingElement());
+      }
+      if (!is(")")) expect(",");
+    }
+    return params;
+  }
+
+  function parseFunction({ statement = false, optionalName = false } = {}) {
+    const mark = startNode();
+    const isAsync = eat("async");
+    expect("function");
+    const generator = eat("*");
+
+    let id = null;
+    if (isName() && !is("(")) id = parseIdentifier();
+    else if (statement && !optionalName)
+      fail("A function declaration needs a name");
+
+    const { params, body } = withFunctionContext(
+      { isAsync, generator },
+      () => ({
+        params: parseParams(),
+        body: parseBlock(),
+      }),
+    );
+
+    return finish(
+      mark,
+      statement ? "FunctionDeclaration" : "FunctionExpression",
+      {
+        id,
+        params,
+        body,
+        async: isAsync,
+        generator,
+        expression: false,
+      },
+    );
+  }
+
+  // A method in a class or an object literal: name(params) { body }
+  function parseMethodFunction({ isAsync, generator }) {
+    const mark = startNode();
+    const { params, body } = withFunctionContext(
+      { isAsync, generator },
+      () => ({
+        params: parseParams(),
+        body: parseBlock(),
+      }),
+    );
+    return finish(mark, "FunctionExpression", {
+      id: null,
+      params,
+      body,
+      async: isAsync,
+      generator,
+      expression: false,
+    });
+  }
+
+  // key in an object literal or a class: name, "string", 42, [computed], #private
+  function parsePropertyKey() {
+    const token = current();
+
+    if (eat("[")) {
+      const key = parseAssignment();
+      expect("]");
+      return { key, computed: true };
+    }
+    if (token.type === "string" || token.type === "num") {
+      const mark = startNode();
+      next();
+      return {
+        key: finish(mark, "Literal", {
+          value:
+            token.type === "num"
+              ? Number(token.value.replace(/_/g, "").replace(/n$/, ""))
+              : token.value,
+          raw: token.raw ?? token.value,
+        }),
+        computed: false,
+      };
+    }
+    if (token.type === "private") {
+      const mark = startNode();
+      next();
+      return {
+        key: finish(mark, "PrivateIdentifier", { name: token.value }),
+        computed: false,
+      };
+    }
+    if (isPropertyName(token)) {
+      return { key: parseIdentifier({ allowKeywords: true }), computed: false };
+    }
+    fail(`Unexpected "${token.value}" where a property name was expected`);
+  }
+
+  // get / set / async / static are only modifiers when a key follows them
+  const isModifier = (word) =>
+    is(word) &&
+    !is("(", peek(1)) &&
+    !is("=", peek(1)) &&
+    !is(":", peek(1)) &&
+    !is(",", peek(1)) &&
+    !is("}", peek(1)) &&
+    !is(";", peek(1)) &&
+    !peek(1).newlineBefore;
+
+  function parseClass({ statement = false, optionalName = false } = {}) {
+    const mark = startNode();
+    expect("class");
+
+    let id = null;
+    if (isName() && !is("extends")) id = parseIdentifier();
+    else if (statement && !optionalName)
+      fail("A class declaration needs a name");
+
+    const superClass = eat("extends") ? parseUnaryOrHigher() : null;
+
+    const bodyMark = startNode();
+    expect("{");
+    const body = [];
+
+    while (!eat("}")) {
+      if (eat(";")) continue;
+      const memberMark = startNode();
+      const isStatic = isModifier("static") && !!next();
+
+      // static { ... } initialization block
+      if (isStatic && is("{")) {
+        const block = parseBlock();
+        body.push(finish(memberMark, "StaticBlock", { body: block.body }));
+        continue;
+      }
+
+      const isAsync = isModifier("async") && !!next();
+      const generator = eat("*");
+      let kind = "method";
+      if (!isAsync && !generator && (isModifier("get") || isModifier("set"))) {
+        kind = next().value;
+      }
+
+      const { key, computed } = parsePropertyKey();
+
+      if (is("(")) {
+        const value = parseMethodFunction({ isAsync, generator });
+        const isConstructor =
+          !isStatic &&
+          !computed &&
+          key.type === "Identifier" &&
+          key.name === "constructor";
+        body.push(
+          finish(memberMark, "MethodDefinition", {
+            key,
+            computed,
+            value,
+            kind: isConstructor ? "constructor" : kind,
+            static: isStatic,
+          }),
+        );
+        continue;
+      }
+
+      // Class field: count = 0;
+      const value = eat("=")
+        ? withFunctionContext({ isAsync: false, generator: false }, () =>
+            parseAssignment(),
+          )
+        : null;
+      semicolon();
+      body.push(
+        finish(memberMark, "PropertyDefinition", {
+          key,
+          computed,
+          value,
+          static: isStatic,
+        }),
+      );
+    }
+
+    const classBody = finish(bodyMark, "ClassBody", { body });
+    return finish(mark, statement ? "ClassDeclaration" : "ClassExpression", {
+      id,
+      superClass,
+      body: classBody,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // PATTERNS (destructuring targets)
+
+  // x, [a, b], { a, b } (a declaration's left side or a parameter)
+  function parseBindingTarget() {
+    if (is("[")) return parseArrayPattern();
+    if (is("{")) return parseObjectPattern();
+    return parseIdentifier();
+  }
+
+  // A target that may have a default: x = 1, { a } = {}
+  function parseBindingElement() {
+    const mark = startNode();
+    const left = parseBindingTarget();
+    if (!eat("=")) return left;
+    const right = parseAssignment();
+    return finish(mark, "AssignmentPattern", { left, right });
+  }
+
+  function parseArrayPattern() {
+    const mark = startNode();
+    expect("[");
+    const elements = [];
+
+    while (!eat("]")) {
+      if (is(",")) {
+        next();
+        elements.push(null);
+        continue;
+      }
+      if (is("...")) {
+        const restMark = startNode();
+        next();
+        const argument = parseBindingTarget();
+        elements.push(finish(restMark, "RestElement", { argument }));
+      } else {
+        elements.push(parseBindingElement());
+      }
+      if (!is("]")) expect(",");
+    }
+
+    return finish(mark, "ArrayPattern", { elements });
+  }
+
+  function parseObjectPattern() {
+    const mark = startNode();
+    expect("{");
+    const properties = [];
+
+    while (!eat("}")) {
+      const propMark = startNode();
+
+      if (eat("...")) {
+        const argument = parseIdentifier();
+        properties.push(finish(propMark, "RestElement", { argument }));
+      } else {
+        const { key, computed } = parsePropertyKey();
+        let value;
+        let shorthand = false;
+
+        if (eat(":")) {
+          value = parseBindingElement();
+        } else {
+          // { name } or { name = "Guest" }
+          if (key.type !== "Identifier" || computed)
+            fail('Expected ":" after the key');
+          shorthand = true;
+          value = { ...key };
+          if (eat("=")) {
+            const right = parseAssignment();
+            value = finish(propMark, "AssignmentPattern", {
+              left: value,
+              right,
+            });
+          }
+        }
+
+        properties.push(
+          finish(propMark, "Property", {
+            key,
+            value,
+            computed,
+            shorthand,
+            kind: "init",
+            method: false,
+          }),
+        );
+      }
+      if (!is("}")) expect(",");
+    }
+
+    return finish(mark, "ObjectPattern", { properties });
+  }
+
+  /*
+  `[a, b] = [b, a]` and `({ a, b }) => ...` are first read as expressions,
+  because the parser only knows what they are when it sees "=" or "=>".
+  This turns the expression into the matching pattern.
+  */
+  function toPattern(node) {
+    switch (node.type) {
+      case "Identifier":
+      case "MemberExpression":
+      case "ObjectPattern":
+      case "ArrayPattern":
+      case "AssignmentPattern":
+      case "RestElement":
+        return node;
+      case "ObjectExpression":
+        return {
+          ...node,
+          type: "ObjectPattern",
+          properties: node.properties.map((property) =>
+            property.type === "SpreadElement"
+              ? {
+                  ...property,
+                  type: "RestElement",
+                  argument: toPattern(property.argument),
+                }
+              : { ...property, value: toPattern(property.value) },
+          ),
+        };
+      case "ArrayExpression":
+        return {
+          ...node,
+          type: "ArrayPattern",
+          elements: node.elements.map(
+            (element) => element && toPattern(element),
+          ),
+        };
+      case "SpreadElement":
+        return {
+          ...node,
+          type: "RestElement",
+          argument: toPattern(node.argument),
+        };
+      case "AssignmentExpression":
+        if (node.operator !== "=") break;
+        return {
+          type: "AssignmentPattern",
+          left: toPattern(node.left),
+          right: node.right,
+          start: node.start,
+          end: node.end,
+          loc: node.loc,
+        };
+    }
+    throw new ParseError(
+      `Invalid destructuring target (${node.type})`,
+      node.loc.start,
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // EXPRESSIONS
+
+  function parseExpression({ noIn = false } = {}) {
+    const mark = startNode();
+    const first = parseAssignment({ noIn });
+    if (!is(",")) return first;
+
+    const expressions = [first];
+    while (eat(",")) expressions.push(parseAssignment({ noIn }));
+    return finish(mark, "SequenceExpression", { expressions });
+  }
+
+  // Can the tokens from here on be an arrow function's parameters?
+  function isArrowAhead() {
+    const token = current();
+
+    // x => ..., async x => ...
+    if (isName(token) && is("=>", peek(1)) && !peek(1).newlineBefore)
+      return true;
+    if (is("async") && isName(peek(1)) && is("=>", peek(2))) return true;
+
+    // (...) => ..., async (...) => ...
+    let offset =
+      is("async") && is("(", peek(1)) && !peek(1).newlineBefore ? 1 : 0;
+    if (!is("(", peek(offset))) return false;
+
+    let depth = 0;
+    for (; position + offset < tokens.length; offset++) {
+      const ahead = peek(offset);
+      if (ahead.type === "eof") return false;
+      if (ahead.type === "punct") {
+        if (ahead.value === "(" || ahead.value === "[" || ahead.value === "{")
+          depth++;
+        if (ahead.value === ")" || ahead.value === "]" || ahead.value === "}")
+          depth--;
+      }
+      // `a ${ opens a value, } b ${ closes one and opens the next, } c` closes it
+      if (ahead.type === "template") {
+        if (source[ahead.start] === "}") depth--;
+        if (!ahead.tail) depth++;
+      }
+      if (depth === 0) {
+        const after = peek(offset + 1);
+        return is("=>", after) && !after.newlineBefore;
+      }
+    }
+    return false;
+  }
+
+  function parseArrow() {
+    const mark = startNode();
+    const isAsync = is("async") && !is("=>", peek(1)) ? (next(), true) : false;
+
+    let params;
+    if (isName() && !is("(")) {
+      params = [parseIdentifier()];
+    } else {
+      params = withFunctionContext({ isAsync, generator: false }, () =>
+        parseParams(),
+      );
+    }
+    expect("=>");
+
+    return withFunctionContext({ isAsync, generator: false }, () => {
+      const expression = !is("{");
+      const body = expression ? parseAssignment() : parseBlock();
+      return finish(mark, "ArrowFunctionExpression", {
+        id: null,
+        params,
+        body,
+        async: isAsync,
+        generator: false,
+        expression,
+      });
+    });
+  }
+
+  function parseAssignment({ noIn = false } = {}) {
+    if (isArrowAhead()) return parseArrow();
+
+    if (inGenerator && is("yield")) {
+      const mark = startNode();
+      next();
+      const delegate = eat("*");
+      const argument =
+        is(")") ||
+        is("]") ||
+        is("}") ||
+        is(",") ||
+        is(";") ||
+        is(":") ||
+        current().type === "eof" ||
+        current().newlineBefore
+          ? null
+          : parseAssignment({ noIn });
+      return finish(mark, "YieldExpression", { argument, delegate });
+    }
+
+    const mark = startNode();
+    const left = parseConditional({ noIn });
+    const operator = current();
+
+    if (operator.type === "punct" && ASSIGNMENT_OPERATORS.has(operator.value)) {
+      next();
+      const target = operator.value === "=" ? toPattern(left) : left;
+      const right = parseAssignment({ noIn });
+      return finish(mark, "AssignmentExpression", {
+        operator: operator.value,
+        left: target,
+        right,
+      });
+    }
+
+    return left;
+  }
+
+  function parseConditional({ noIn }) {
+    const mark = startNode();
+    const test = parseBinary(0, { noIn });
+    if (!eat("?")) return test;
+
+    const consequent = parseAssignment();
+    expect(":");
+    const alternate = parseAssignment({ noIn });
+    return finish(mark, "ConditionalExpression", {
+      test,
+      consequent,
+      alternate,
+    });
+  }
+
+  function binaryOperator({ noIn }) {
+    const token = current();
+    if (token.type !== "punct" && token.type !== "keyword") return null;
+    if (noIn && token.value === "in") return null;
+    return Object.hasOwn(BINARY_PRECEDENCE, token.value) ? token.value : null;
+  }
+
+  // Precedence climbing: a + b * c → a + (b * c)
+  function parseBinary(minPrecedence, { noIn }) {
+    const mark = startNode();
+    let left;
+
+    // #x in obj: a private name on its own is only allowed right before `in`
+    if (current().type === "private" && is("in", peek(1)) && !noIn) {
+      const { value } = next();
+      left = finish(mark, "PrivateIdentifier", { name: value });
+      if (BINARY_PRECEDENCE.in <= minPrecedence) fail('Unexpected "in"');
+    } else {
+      left = parseUnaryOrHigher();
+    }
+
+    for (
+      let operator = binaryOperator({ noIn });
+      operator;
+      operator = binaryOperator({ noIn })
+    ) {
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence <= minPrecedence) break;
+      next();
+
+      // ** is right-associative: 2 ** 3 ** 2 → 2 ** (3 ** 2)
+      const right =
+        operator === "**"
+          ? parseBinary(precedence - 1, { noIn })
+          : parseBinary(precedence, { noIn });
+      const logical =
+        operator === "&&" || operator === "||" || operator === "??";
+      left = finish(mark, logical ? "LogicalExpression" : "BinaryExpression", {
+        operator,
+        left,
+        right,
+      });
+    }
+
+    return left;
+  }
+
+  function parseUnaryOrHigher() {
+    const token = current();
+    const mark = startNode();
+
+    if (
+      (token.type === "punct" && ["!", "~", "+", "-"].includes(token.value)) ||
+      (token.type === "keyword" &&
+        ["typeof", "void", "delete"].includes(token.value))
+    ) {
+      next();
+      const argument = parseUnaryOrHigher();
+      return finish(mark, "UnaryExpression", {
+        operator: token.value,
+        prefix: true,
+        argument,
+      });
+    }
+
+    if (is("++") || is("--")) {
+      next();
+      const argument = parseUnaryOrHigher();
+      return finish(mark, "UpdateExpression", {
+        operator: token.value,
+        prefix: true,
+        argument,
+      });
+    }
+
+    if (inAsync && is("await")) {
+      next();
+      const argument = parseUnaryOrHigher();
+      return finish(mark, "AwaitExpression", { argument });
+    }
+
+    const expression = parseCallOrMember();
+
+    if ((is("++") || is("--")) && !current().newlineBefore) {
+      const operator = next().value;
+      return finish(mark, "UpdateExpression", {
+        operator,
+        prefix: false,
+        argument: expression,
+      });
+    }
+
+    return expression;
+  }
+
+  function parseArguments() {
+    expect("(");
+    const args = [];
+    while (!eat(")")) {
+      if (is("...")) {
+        const mark = startNode();
+        next();
+        const argument = parseAssignment();
+        args.push(finish(mark, "SpreadElement", { argument }));
+      } else {
+        args.push(parseAssignment());
+      }
+      if (!is(")")) expect(",");
+    }
+    return args;
+  }
+
+  function parseNew() {
+    const mark = startNode();
+    expect("new");
+    const meta = finish(mark, "Identifier", { name: "new" });
+
+    // new.target
+    if (eat(".")) {
+      const property = parseIdentifier({ allowKeywords: true });
+      return finish(mark, "MetaProperty", { meta, property });
+    }
+
+    // new Foo.Bar(...) → the callee is Foo.Bar, without calls
+    let callee = is("new") ? parseNew() : parsePrimary();
+    while (is(".") || is("[")) {
+      if (eat(".")) {
+        const property = parsePropertyAfterDot();
+        callee = finish(markOf(callee), "MemberExpression", {
+          object: callee,
+          property,
+          computed: false,
+          optional: false,
+        });
+      } else {
+        next();
+        const property = parseExpression();
+        expect("]");
+        callee = finish(markOf(callee), "MemberExpression", {
+          object: callee,
+          property,
+          computed: true,
+          optional: false,
+        });
+      }
+    }
+
+    const args = is("(") ? parseArguments() : [];
+    return finish(mark, "NewExpression", { callee, arguments: args });
+  }
+
+  // A new template literal (tag`...`), not the "} ..." rest of one we are inside
+  const isTemplateStart = () =>
+    current().type === "template" && source[current().start] === "`";
+
+  const parsePropertyAfterDot = () => {
+    if (current().type === "private") {
+      const mark = startNode();
+      const { value } = next();
+      return finish(mark, "PrivateIdentifier", { name: value });
+    }
+    return parseIdentifier({ allowKeywords: true });
+  };
+
+  function parseCallOrMember() {
+    const mark = startNode();
+    let expression = is("new") ? parseNew() : parsePrimary();
+    let chained = false;
+
+    while (true) {
+      if (is(".")) {
+        next();
+        const property = parsePropertyAfterDot();
+        expression = finish(mark, "MemberExpression", {
+          object: expression,
+          property,
+          computed: false,
+          optional: false,
+        });
+      } else if (is("?.")) {
+        next();
+        chained = true;
+        if (is("(")) {
+          const args = parseArguments();
+          expression = finish(mark, "CallExpression", {
+            callee: expression,
+            arguments: args,
+            optional: true,
+          });
+        } else if (eat("[")) {
+          const property = parseExpression();
+          expect("]");
+          expression = finish(mark, "MemberExpression", {
+            object: expression,
+            property,
+            computed: true,
+            optional: true,
+          });
+        } else {
+          const property = parsePropertyAfterDot();
+          expression = finish(mark, "MemberExpression", {
+            object: expression,
+            property,
+            computed: false,
+            optional: true,
+          });
+        }
+      } else if (is("[")) {
+        next();
+        const property = parseExpression();
+        expect("]");
+        expression = finish(mark, "MemberExpression", {
+          object: expression,
+          property,
+          computed: true,
+          optional: false,
+        });
+      } else if (is("(")) {
+        const args = parseArguments();
+        expression = finish(mark, "CallExpression", {
+          callee: expression,
+          arguments: args,
+          optional: false,
+        });
+      } else if (isTemplateStart()) {
+        const quasi = parseTemplate();
+        expression = finish(mark, "TaggedTemplateExpression", {
+          tag: expression,
+          quasi,
+        });
+      } else {
+        break;
+      }
+    }
+
+    // a?.b.c is one ChainExpression: if a is nullish, the whole chain is undefined
+    return chained
+      ? finish(mark, "ChainExpression", { expression })
+      : expression;
+  }
+
+  function parseTemplate() {
+    const mark = startNode();
+    const quasis = [];
+    const expressions = [];
+
+    while (true) {
+      const token = current();
+      if (token.type !== "template")
+        fail("Expected the rest of the template literal");
+      next();
+      quasis.push({
+        type: "TemplateElement",
+        value: { raw: token.raw, cooked: token.value },
+        tail: token.tail,
+        start: token.start,
+        end: token.end,
+        loc: token.loc,
+      });
+      if (token.tail) break;
+      expressions.push(parseExpression());
+    }
+
+    return finish(mark, "TemplateLiteral", { quasis, expressions });
+  }
+
+  function parsePrimary() {
+    const token = current();
+    const mark = startNode();
+
+    switch (token.type) {
+      case "num": {
+        next();
+        const clean = token.value.replace(/_/g, "");
+        const value = clean.endsWith("n")
+          ? BigInt(clean.slice(0, -1))
+          : Number(clean);
+        return finish(mark, "Literal", { value, raw: token.value });
+      }
+      case "string":
+        next();
+        return finish(mark, "Literal", { value: token.value, raw: token.raw });
+      case "template":
+        if (isTemplateStart()) return parseTemplate();
+        break;
+      case "regex": {
+        next();
+        let value = null;
+        try {
+          value = new RegExp(token.regex.pattern, token.regex.flags);
+        } catch {}
+        return finish(mark, "Literal", {
+          value,
+          raw: token.value,
+          regex: token.regex,
+        });
+      }
+      case "name":
+        if (isAsyncFunction()) return parseFunction();
+        return parseIdentifier();
+      case "keyword":
+        switch (token.value) {
+          case "true":
+          case "false":
+            next();
+            return finish(mark, "Literal", {
+              value: token.value === "true",
+              raw: token.value,
+            });
+          case "null":
+            next();
+            return finish(mark, "Literal", { value: null, raw: "null" });
+          case "this":
+            next();
+            return finish(mark, "ThisExpression", {});
+          case "super":
+            next();
+            return finish(mark, "Super", {});
+          case "function":
+            return parseFunction();
+          case "class":
+            return parseClass();
+          case "new":
+            return parseNew();
+          case "import": {
+            next();
+            const meta = finish(mark, "Identifier", { name: "import" });
+            if (eat(".")) {
+              const property = parseIdentifier({ allowKeywords: true });
+              return finish(mark, "MetaProperty", { meta, property });
+            }
+            expect("(");
+            const sourceNode = parseAssignment();
+            // import(path, { with: ... }): the options are read and ignored
+            if (eat(",") && !is(")")) parseAssignment();
+            eat(",");
+            expect(")");
+            return finish(mark, "ImportExpression", { source: sourceNode });
+          }
+        }
+        break;
+      case "punct":
+        if (token.value === "(") {
+          next();
+          const expression = parseExpression();
+          expect(")");
+          // Parentheses are kept as a flag, tools that print code need them
+          return {
+            ...expression,
+            parenthesized: true,
+            parenStart: token.start,
+            parenEnd: previous().end,
+          };
+        }
+        if (token.value === "[") return parseArrayLiteral();
+        if (token.value === "{") return parseObjectLiteral();
+        break;
+    }
+
+    fail(
+      token.type === "eof"
+        ? "Unexpected end of the file"
+        : `Unexpected "${token.value}"`,
+    );
+  }
+
+  function parseArrayLiteral() {
+    const mark = startNode();
+    expect("[");
+    const elements = [];
+
+    while (!eat("]")) {
+      if (is(",")) {
+        next();
+        elements.push(null);
+        continue;
+      }
+      if (is("...")) {
+        const spreadMark = startNode();
+        next();
+        const argument = parseAssignment();
+        elements.push(finish(spreadMark, "SpreadElement", { argument }));
+      } else {
+        elements.push(parseAssignment());
+      }
+      if (!is("]")) expect(",");
+    }
+
+    return finish(mark, "ArrayExpression", { elements });
+  }
+
+  function parseObjectLiteral() {
+    const mark = startNode();
+    expect("{");
+    const properties = [];
+
+    while (!eat("}")) {
+      const propMark = startNode();
+
+      if (eat("...")) {
+        const argument = parseAssignment();
+        properties.push(finish(propMark, "SpreadElement", { argument }));
+        if (!is("}")) expect(",");
+        continue;
+      }
+
+      const isAsync = isModifier("async") && !!next();
+      const generator = eat("*");
+      let kind = "init";
+      if (!isAsync && !generator && (isModifier("get") || isModifier("set"))) {
+        kind = next().value;
+      }
+
+      const { key, computed } = parsePropertyKey();
+      let value;
+      let method = false;
+      let shorthand = false;
+
+      if (is("(")) {
+        value = parseMethodFunction({ isAsync, generator });
+        method = kind === "init";
+      } else if (eat(":")) {
+        value = parseAssignment();
+      } else {
+        // { name } or, only valid as a pattern later, { name = "Guest" }
+        if (key.type !== "Identifier" || computed)
+          fail('Expected ":" after the key');
+        shorthand = true;
+        value = { ...key };
+        if (is("=")) {
+          next();
+          const right = parseAssignment();
+          value = finish(propMark, "AssignmentExpression", {
+            operator: "=",
+            left: value,
+            right,
+          });
+        }
+      }
+
+      properties.push(
+        finish(propMark, "Property", {
+          key,
+          value,
+          computed,
+          shorthand,
+          kind,
+          method,
+        }),
+      );
+      if (!is("}")) expect(",");
+    }
+
+    return finish(mark, "ObjectExpression", { properties });
+  }
+
+  const program = parseProgram();
+  program.comments = comments;
+  return program;
+}
+
+// -----------------------------------------------------------------------------
+// WALKING THE TREE
+
+// Keys that hold positions or plain values, not child nodes
+const NOT_CHILDREN = new Set([
+  "type",
+  "start",
+  "end",
+  "loc",
+  "parenStart",
+  "parenEnd",
+  "regex",
+  "value",
+  "raw",
+]);
+
+const isNode = (value) =>
+  value !== null && typeof value === "object" && typeof value.type === "string";
+
+// The child nodes of a node, in source order
+export function childrenOf(node) {
+  const children = [];
+
+  for (const [key, value] of Object.entries(node)) {
+    if (NOT_CHILDREN.has(key) && !(key === "value" && isNode(value))) continue;
+    if (Array.isArray(value)) {
+      for (const item of value) if (isNode(item)) children.push(item);
+    } else if (isNode(value)) {
+      children.push(value);
+    }
+  }
+
+  return children.sort((a, b) => a.start - b.start);
+}
+
+/*
+Calls visitors[node.type](node, parent, ancestors) for every node, depth first.
+visitors.enter / visitors.leave run for every node.
+Returning false from a visitor skips that node's children.
+*/
+export function walk(node, visitors, parent = null, ancestors = []) {
+  const enter = visitors[node.type] ?? visitors.enter;
+  const result = enter?.(node, parent, ancestors);
+  if (visitors[node.type] && visitors.enter)
+    visitors.enter(node, parent, ancestors);
+
+  if (result !== false) {
+    const path = [...ancestors, node];
+    for (const child of childrenOf(node)) walk(child, visitors, node, path);
+  }
+
+  visitors.leave?.(node, parent, ancestors);
+}
+
+// Every name a pattern declares: { a, b: [c, d = 1], ...rest } → a, c, d, rest
+export function patternNames(pattern, names = []) {
+  switch (pattern?.type) {
+    case "Identifier":
+      names.push(pattern);
+      break;
+    case "ObjectPattern":
+      for (const property of pattern.properties) {
+        patternNames(
+          property.type === "RestElement" ? property.argument : property.value,
+          names,
+        );
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) patternNames(element, names);
+      break;
+    case "RestElement":
+      patternNames(pattern.argument, names);
+      break;
+    case "AssignmentPattern":
+      patternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
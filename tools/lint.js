@@ -0,0 +1,426 @@
+/*
+
+COMMON MISTAKES CHECKER
+
+What this tool does:
+The lessons show mistakes that are easy to make and hard to spot,
+because the code runs without an error and just prints the wrong thing:
+"Hello ${firstName}" in normal quotes, an arrow method that needs `this`,
+an arrow function that forgets to return, and more.
+This tool looks for the same mistakes in any JavaScript file and prints
+file:line:column for each one, with a link to the lesson section that explains it.
+
+How to use:
+node tools/lint.js                     → every .js file in the project
+node tools/lint.js lib tools           → some folders
+node tools/lint.js path/to/file.js     → one file
+
+import { lintSource } from "./tools/lint.js";
+lintSource(source);   → [{ rule, line, column, message, lesson }, ...]
+
+The exit code is 1 when a mistake was found, so it can run before a commit.
+
+Rules:
+template-in-quotes             "Hello ${name}" in normal quotes prints ${name} as text
+template-missing-dollar        `Hello {name}` forgot the $
+arrow-method-this              an arrow function used as an object method that reads `this`
+arrow-object-body              => { userName: name } is a function body, not an object
+arrow-block-no-return          => { a + b; } computes a value and throws it away
+destructured-param-no-default  function greet({ name }) crashes when called without an argument
+var-redeclaration              var score = 10; var score = 20; silently overwrites
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parse, walk, childrenOf } from "./js-parser.js";
+import { analyzeScopes } from "./scope.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SKIPPED_FOLDERS = new Set(["node_modules"]);
+
+// rule → the lesson section that explains it ([file, heading])
+export const RULES = Object.freeze({
+  "template-in-quotes": [
+    "01. Core-Syntax/04. Template-Literals.js",
+    "COMMON MISTAKES",
+  ],
+  "template-missing-dollar": [
+    "01. Core-Syntax/04. Template-Literals.js",
+    "COMMON MISTAKES",
+  ],
+  "arrow-method-this": [
+    "01. Core-Syntax/03. Arrow-Functions.js",
+    "ARROW FUNCTIONS AND `this`",
+  ],
+  "arrow-object-body": [
+    "01. Core-Syntax/03. Arrow-Functions.js",
+    "RETURNING OBJECT",
+  ],
+  "arrow-block-no-return": [
+    "01. Core-Syntax/03. Arrow-Functions.js",
+    "IMPORTANT BEGINNER MISTAKE",
+  ],
+  "destructured-param-no-default": [
+    "02. Destructuring/03. Function-Params.js",
+    "IMPORTANT SAFETY: = {} FALLBACK",
+  ],
+  "var-redeclaration": [
+    "01. Core-Syntax/02. Variables.js",
+    "VAR (OLD WAY - NOT RECOMMENDED)",
+  ],
+});
+
+// "01. Core-Syntax/04. Template-Literals.js:180 (COMMON MISTAKES)"
+// The line is looked up every time, so links stay right when a lesson grows
+const lessonLinks = new Map();
+
+function lessonLink(rule) {
+  if (!lessonLinks.has(rule)) {
+    const [file, heading] = RULES[rule];
+    let line = null;
+    try {
+      const lines = fs.readFileSync(path.join(ROOT, file), "utf8").split("\n");
+      const index = lines.findIndex((text) =>
+        text.replace(/^\s*\/\/\s*/, "").startsWith(heading),
+      );
+      if (index !== -1) line = index + 1;
+    } catch {
+      // The lesson was moved: the link still names the file
+    }
+    lessonLinks.set(
+      rule,
+      `${file}${line ? `:${line}` : ""} (${heading.replace(/:$/, "")})`,
+    );
+  }
+  return lessonLinks.get(rule);
+}
+
+// -----------------------------------------------------------------------------
+// THE RULES
+
+// Short source text for messages: `a + b`, or the start of a longer expression
+const excerpt = (source, node, max = 40) => {
+  const text = source.slice(node.start, node.end).replace(/\s+/g, " ");
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+};
+
+// The name a function is stored under: const add = () => ..., { greet: () => ... }
+function nameOf(node, parent) {
+  if (node.id) return node.id.name;
+  if (
+    parent?.type === "VariableDeclarator" &&
+    parent.id.type === "Identifier"
+  ) {
+    return parent.id.name;
+  }
+  if (
+    (parent?.type === "Property" || parent?.type === "PropertyDefinition") &&
+    !parent.computed
+  ) {
+    return parent.key.name ?? String(parent.key.value);
+  }
+  return null;
+}
+
+// Does this code use `this`? Normal functions (and classes) have their own, so they are skipped
+function usesThis(node) {
+  if (node.type === "ThisExpression") return true;
+  if (
+    node.type === "FunctionExpression" ||
+    node.type === "FunctionDeclaration" ||
+    node.type === "ClassBody"
+  ) {
+    return false;
+  }
+  return childrenOf(node).some(usesThis);
+}
+
+// Expressions that do nothing as a statement: `a + b;`, `name;`, `user.name;`
+const USELESS_EXPRESSIONS = new Set([
+  "BinaryExpression",
+  "Identifier",
+  "Literal",
+  "MemberExpression",
+  "TemplateLiteral",
+  "ObjectExpression",
+  "ArrayExpression",
+  "ArrowFunctionExpression",
+  "ConditionalExpression",
+  "UnaryExpression",
+]);
+
+const hasReturnValue = (node) => {
+  if (node.type === "ReturnStatement") return node.argument !== null;
+  if (
+    node.type === "FunctionExpression" ||
+    node.type === "FunctionDeclaration" ||
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "ClassBody"
+  ) {
+    return false;
+  }
+  return childrenOf(node).some(hasReturnValue);
+};
+
+// { name = "Guest" } or [first = 0]: somewhere inside the pattern is a default value
+const hasDefaults = (pattern) =>
+  pattern.type === "AssignmentPattern" || childrenOf(pattern).some(hasDefaults);
+
+// export function f() {}, export const f = () => {}, export default function () {}
+const isExported = (ancestors) =>
+  ancestors
+    .slice(-3)
+    .some(
+      (node) =>
+        node.type === "ExportNamedDeclaration" ||
+        node.type === "ExportDefaultDeclaration",
+    );
+
+// Each check gets (node, parent, { source, report }) and calls report(rule, node, message)
+const CHECKS = {
+  Literal(node, parent, { source, report }) {
+    // Strings with backticks or an empty ${ } are explaining the syntax, not using it
+    if (typeof node.value !== "string" || /`|\$\{\s*\}/.test(node.value)) {
+      return;
+    }
+    const match = node.raw.match(/\$\{\s*[A-Za-z_$][^}]*\}/);
+    if (!match) return;
+    report(
+      "template-in-quotes",
+      node,
+      `"${match[0]}" is inside normal quotes, so it is printed as text. Use backticks: \`...${match[0]}...\``,
+    );
+  },
+
+  TemplateLiteral(node, parent, { source, report }) {
+    for (const quasi of node.quasis) {
+      // {name} or {user.name} that is not ${...} (and not an escaped \{).
+      // "{ percent }" with spaces reads as an object in a message, so it is allowed
+      const match = quasi.value.raw.match(
+        /(^|[^$\\])(\{[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\})/,
+      );
+      if (!match) continue;
+      report(
+        "template-missing-dollar",
+        quasi,
+        `${match[2]} in a template literal is printed as text. Did you mean $${match[2]}?`,
+      );
+    }
+  },
+
+  ArrowFunctionExpression(node, parent, { source, report }) {
+    const name = nameOf(node, parent);
+    const label = name ? `${name}: ` : "";
+
+    if (
+      parent?.type === "Property" &&
+      parent.value === node &&
+      !parent.computed &&
+      usesThis(node.body)
+    ) {
+      report(
+        "arrow-method-this",
+        parent,
+        `${name} is an arrow function that uses \`this\`, but arrow functions have no \`this\` of their own. Use a method: ${name}() { ... }`,
+      );
+    }
+
+    if (node.body.type !== "BlockStatement") return;
+    const statements = node.body.body;
+
+    // () => { userName: name } reads as a block with the label "userName"
+    const labels = statements.filter(
+      (statement) => statement.type === "LabeledStatement",
+    );
+    if (
+      labels.length > 0 &&
+      labels.every((label) => label.body.type === "ExpressionStatement")
+    ) {
+      const [first] = labels;
+      report(
+        "arrow-object-body",
+        first,
+        `${label}{ ${excerpt(source, first)} } is a function body with a label, not an object, so the function returns undefined. Wrap the object in ( ): => ({ ... })`,
+      );
+      return;
+    }
+
+    const last = statements.at(-1);
+    if (
+      last?.type === "ExpressionStatement" &&
+      USELESS_EXPRESSIONS.has(last.expression.type) &&
+      !hasReturnValue(node.body)
+    ) {
+      report(
+        "arrow-block-no-return",
+        last,
+        `${label}the arrow function has { } but no return, so the value of \`${excerpt(source, last.expression)}\` is thrown away and it returns undefined. Add return, or drop the { }`,
+      );
+    }
+  },
+
+  /*
+  function greet({ name }) crashes on greet(), with "Cannot destructure undefined".
+  Reported when the file calls it without that argument, or when the pattern
+  has defaults (the author expects missing values) in an exported function.
+  */
+  enter(node, parent, { source, report, calls }, ancestors) {
+    if (
+      node.type !== "FunctionDeclaration" &&
+      node.type !== "FunctionExpression" &&
+      node.type !== "ArrowFunctionExpression"
+    ) {
+      return;
+    }
+
+    // Callbacks always get an argument: users.map(({ name }) => name) is fine
+    const isCallback =
+      (parent?.type === "CallExpression" || parent?.type === "NewExpression") &&
+      parent.arguments.includes(node);
+    if (isCallback) return;
+
+    const name =
+      nameOf(node, parent) ??
+      (parent?.type === "MethodDefinition" ? parent.key.name : null);
+
+    node.params.forEach((param, index) => {
+      if (param.type !== "ObjectPattern" && param.type !== "ArrayPattern") {
+        return;
+      }
+
+      const calledWithout =
+        name !== null && (calls.get(name) ?? Infinity) <= index;
+      if (!calledWithout && !(hasDefaults(param) && isExported(ancestors))) {
+        return;
+      }
+
+      const pattern = excerpt(source, param);
+      const fallback = param.type === "ObjectPattern" ? "{}" : "[]";
+      report(
+        "destructured-param-no-default",
+        param,
+        `${name ?? "function"}(${pattern}) crashes when called without this argument (Cannot destructure undefined). Add a fallback: ${pattern} = ${fallback}`,
+      );
+    });
+  },
+};
+
+// -----------------------------------------------------------------------------
+// CHECKING A FILE
+
+export function lintSource(source) {
+  const problems = [];
+
+  const report = (rule, node, message) =>
+    problems.push({
+      rule,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      message,
+      lesson: lessonLink(rule),
+    });
+
+  let ast;
+  try {
+    ast = parse(source);
+  } catch (error) {
+    return [
+      {
+        rule: "parse-error",
+        line: error.line ?? 1,
+        column: (error.column ?? 0) + 1,
+        message: error.message,
+        lesson: null,
+      },
+    ];
+  }
+
+  // name → the fewest arguments it is called with: greet() → 0
+  const calls = new Map();
+  walk(ast, {
+    CallExpression(node) {
+      if (node.callee.type !== "Identifier") return;
+      const { name } = node.callee;
+      calls.set(
+        name,
+        Math.min(calls.get(name) ?? Infinity, node.arguments.length),
+      );
+    },
+  });
+
+  const context = { source, report, calls };
+  walk(ast, {
+    enter(node, parent, ancestors) {
+      CHECKS[node.type]?.(node, parent, context, ancestors);
+      CHECKS.enter(node, parent, context, ancestors);
+    },
+  });
+
+  for (const finding of analyzeScopes(source).findings) {
+    if (finding.type !== "redeclaration") continue;
+    problems.push({
+      rule: "var-redeclaration",
+      line: finding.line,
+      column: finding.column + 1,
+      message: `${finding.name} is declared again with var (first on line ${finding.firstLine}). There is no error, the old value is silently overwritten. Use let or const`,
+      lesson: lessonLink("var-redeclaration"),
+    });
+  }
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+// Every .js file in the targets (folders are searched recursively)
+export function findSourceFiles(targets = []) {
+  const roots = targets.length
+    ? targets.map((target) => path.resolve(target))
+    : [ROOT];
+
+  const files = [];
+
+  const visit = (entry) => {
+    if (fs.statSync(entry).isDirectory()) {
+      for (const child of fs.readdirSync(entry).sort()) {
+        if (child.startsWith(".") || SKIPPED_FOLDERS.has(child)) continue;
+        visit(path.join(entry, child));
+      }
+    } else if (entry.endsWith(".js")) {
+      files.push(entry);
+    }
+  };
+
+  roots.forEach(visit);
+  return files;
+}
+
+function main(args) {
+  const files = findSourceFiles(args);
+  let total = 0;
+
+  for (const file of files) {
+    const problems = lintSource(fs.readFileSync(file, "utf8"));
+    const name = path.relative(process.cwd(), file);
+
+    for (const { rule, line, column, message, lesson } of problems) {
+      console.log(`${name}:${line}:${column}  ${rule}`);
+      console.log(`    ${message}`);
+      if (lesson) console.log(`    see ${lesson}`);
+    }
+    total += problems.length;
+  }
+
+  console.log(
+    total === 0
+      ? `No common mistakes found in ${files.length} file(s).`
+      : `${total} problem(s) in ${files.length} file(s).`,
+  );
+  process.exitCode = total === 0 ? 0 : 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
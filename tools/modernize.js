@@ -0,0 +1,1163 @@
+/*
+
+ES5 → ES6 MODERNIZER
+
+What this tool does:
+Almost every lesson puts an OLD WAY next to the NEW WAY.
+This tool rewrites old code into the new way, using the same pairs:
+
+template-literals     "My name is " + name + "."       → `My name is ${name}.`
+arrow-functions       function add(a, b) { return a + b; }
+                                                       → const add = (a, b) => a + b;
+array-destructuring   const first = colors[0];
+                      const second = colors[1];        → const [first, second] = colors;
+object-destructuring  const city = user.address.city;  → const { address: { city } } = user;
+let-const             var count = 0; (never changed)   → const count = 0;
+default-parameters    name = name || "Guest";          → function greet(name = "Guest")
+
+It only rewrites code when the meaning stays the same, and skips the rest:
+a function that uses `this` or `arguments` stays a function,
+a `var` that leaks out of its block or is read before its line stays a `var`.
+One exception is printed with the change: `name || "Guest"` also replaced 0, "" and false,
+a default parameter only replaces undefined (see 01. Core-Syntax/05. Default-Parameters.js).
+
+How to use:
+node tools/modernize.js old-script.js                 → show the changes as a diff (nothing is written)
+node tools/modernize.js scripts/ --write              → rewrite the files
+node tools/modernize.js old.js --skip arrow-functions → every rule except one
+node tools/modernize.js old.js --only let-const,template-literals
+
+import { modernize } from "./tools/modernize.js";
+const { code, changes } = modernize(source, { skip: ["arrow-functions"] });
+
+The output is not formatted, run Prettier on the files afterwards.
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parse, walk, childrenOf } from "./js-parser.js";
+import { analyzeScopes, varScopeOf } from "./scope.js";
+import { findSourceFiles } from "./lint.js";
+
+// Passes run in this order, each one on the result of the one before
+export const RULES = Object.freeze([
+  "default-parameters",
+  "template-literals",
+  "arrow-functions",
+  "let-const",
+  "array-destructuring",
+  "object-destructuring",
+]);
+
+// -----------------------------------------------------------------------------
+// HELPERS
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+const LOOP_TYPES = new Set([
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+]);
+
+const isInside = (node, outer) =>
+  node.start >= outer.start && node.end <= outer.end;
+
+// Comments would be lost when code is rebuilt, so code with comments is left alone
+const hasCommentsIn = (ast, start, end) =>
+  ast.comments.some((comment) => comment.start >= start && comment.end <= end);
+
+// The source of a node, with its parentheses: (a + b)
+const textOf = (source, node) =>
+  source.slice(node.parenStart ?? node.start, node.parenEnd ?? node.end);
+
+const indentOf = (source, node) => {
+  const lineStart = source.lastIndexOf("\n", node.start - 1) + 1;
+  return source.slice(lineStart, node.start).match(/^[ \t]*/)[0];
+};
+
+// Every statement list in the tree (program, blocks, switch cases)
+function statementLists(ast) {
+  const lists = [ast.body];
+  walk(ast, {
+    enter(node) {
+      if (node.type === "BlockStatement" || node.type === "StaticBlock") {
+        lists.push(node.body);
+      }
+      if (node.type === "SwitchCase") lists.push(node.consequent);
+    },
+  });
+  return lists;
+}
+
+/*
+Does a function body use its own `this`, `arguments`, `super` or `new.target`?
+Then it cannot become an arrow function. Nested normal functions have their own,
+so they are not searched (nested arrow functions are).
+*/
+function usesOwnContext(node) {
+  if (node.type === "ThisExpression" || node.type === "Super") return true;
+  if (node.type === "Identifier" && node.name === "arguments") return true;
+  if (node.type === "MetaProperty" && node.meta.name === "new") return true;
+  if (
+    node.type === "FunctionExpression" ||
+    node.type === "FunctionDeclaration" ||
+    node.type === "ClassBody"
+  ) {
+    return false;
+  }
+  return childrenOf(node).some(usesOwnContext);
+}
+
+// Does a function body use its own `arguments`? (nested normal functions have their own)
+const usesArguments = (node) =>
+  (node.type === "Identifier" && node.name === "arguments") ||
+  (node.type !== "FunctionExpression" &&
+    node.type !== "FunctionDeclaration" &&
+    childrenOf(node).some(usesArguments));
+
+// Names used as a constructor: new Person(), Animal.prototype.speak = ...
+function constructorNames(ast) {
+  const names = new Set();
+  walk(ast, {
+    NewExpression(node) {
+      if (node.callee.type === "Identifier") names.add(node.callee.name);
+    },
+    MemberExpression(node) {
+      if (
+        node.object.type === "Identifier" &&
+        !node.computed &&
+        node.property.name === "prototype"
+      ) {
+        names.add(node.object.name);
+      }
+    },
+  });
+  return names;
+}
+
+// Names an expression refers to: user.name → user (keys and properties are not names)
+function namesUsedBy(node, names = new Set()) {
+  if (node.type === "Identifier") names.add(node.name);
+  for (const child of childrenOf(node)) {
+    const isKey =
+      (node.type === "MemberExpression" &&
+        child === node.property &&
+        !node.computed) ||
+      (node.type === "Property" && child === node.key && !node.computed);
+    if (!isKey) namesUsedBy(child, names);
+  }
+  return names;
+}
+
+// The names a function body declares with var / let / const / function / class
+function declaredInBody(body) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.type === "VariableDeclarator") {
+      for (const name of namesUsedBy(node.id)) names.add(name);
+    }
+    if (
+      (node.type === "FunctionDeclaration" ||
+        node.type === "ClassDeclaration") &&
+      node.id
+    ) {
+      names.add(node.id.name);
+    }
+    if (node !== body && FUNCTION_TYPES.has(node.type)) return;
+    childrenOf(node).forEach(visit);
+  };
+  visit(body);
+  return names;
+}
+
+// -----------------------------------------------------------------------------
+// RULE: default-parameters
+
+/*
+The first statements of a function that only fill in a missing parameter:
+name = name || "Guest";
+if (name === undefined) name = "Guest";
+name = name !== undefined ? name : "Guest";
+Returns { name, value, operator } or null.
+*/
+function readDefault(statement) {
+  const isUndefined = (node) =>
+    node.type === "Identifier" && node.name === "undefined";
+  const isTypeofUndefined = (node) =>
+    node.type === "Literal" && node.value === "undefined";
+
+  // `name === undefined` / `typeof name === "undefined"` → "name"
+  const testedName = (test, operator) => {
+    if (test?.type !== "BinaryExpression" || test.operator !== operator) {
+      return null;
+    }
+    const [a, b] = [test.left, test.right];
+    for (const [side, other] of [
+      [a, b],
+      [b, a],
+    ]) {
+      if (side.type === "Identifier" && isUndefined(other)) return side.name;
+      if (
+        side.type === "UnaryExpression" &&
+        side.operator === "typeof" &&
+        side.argument.type === "Identifier" &&
+        isTypeofUndefined(other)
+      ) {
+        return side.argument.name;
+      }
+    }
+    return null;
+  };
+
+  const assignment = (node) =>
+    node?.type === "ExpressionStatement" &&
+    node.expression.type === "AssignmentExpression" &&
+    node.expression.operator === "=" &&
+    node.expression.left.type === "Identifier"
+      ? node.expression
+      : null;
+
+  // if (name === undefined) name = "Guest";
+  if (statement.type === "IfStatement" && !statement.alternate) {
+    const name = testedName(statement.test, "===");
+    const body =
+      statement.consequent.type === "BlockStatement" &&
+      statement.consequent.body.length === 1
+        ? statement.consequent.body[0]
+        : statement.consequent;
+    const set = assignment(body);
+    if (name && set && set.left.name === name) {
+      return { name, value: set.right, operator: "undefined" };
+    }
+    return null;
+  }
+
+  const set = assignment(statement);
+  if (!set) return null;
+  const { name } = set.left;
+  const { right } = set;
+
+  // name = name || "Guest" / name = name ?? "Guest"
+  if (
+    right.type === "LogicalExpression" &&
+    (right.operator === "||" || right.operator === "??") &&
+    right.left.type === "Identifier" &&
+    right.left.name === name
+  ) {
+    return { name, value: right.right, operator: right.operator };
+  }
+
+  // name = name !== undefined ? name : "Guest"
+  if (
+    right.type === "ConditionalExpression" &&
+    testedName(right.test, "!==") === name &&
+    right.consequent.type === "Identifier" &&
+    right.consequent.name === name
+  ) {
+    return { name, value: right.alternate, operator: "undefined" };
+  }
+
+  return null;
+}
+
+const DEFAULT_NOTES = {
+  "||": ' (note: || also replaced 0, "" and false, a default parameter only replaces undefined)',
+  "??": " (note: ?? also replaced null, a default parameter only replaces undefined)",
+  undefined: "",
+};
+
+// Removes a statement together with its line, when it is alone on that line
+function removeStatement(source, statement) {
+  const lineStart = source.lastIndexOf("\n", statement.start - 1) + 1;
+  const lineEnd = source.indexOf("\n", statement.end);
+  const before = source.slice(lineStart, statement.start);
+  const after = source.slice(
+    statement.end,
+    lineEnd === -1 ? undefined : lineEnd,
+  );
+
+  if (/^[ \t]*$/.test(before) && /^\s*$/.test(after)) {
+    return {
+      start: lineStart,
+      end: lineEnd === -1 ? source.length : lineEnd + 1,
+      text: "",
+    };
+  }
+  return { start: statement.start, end: statement.end, text: "" };
+}
+
+function defaultParameters({ source, ast }) {
+  const edits = [];
+
+  walk(ast, {
+    enter(node) {
+      if (
+        !FUNCTION_TYPES.has(node.type) ||
+        node.body.type !== "BlockStatement"
+      ) {
+        return;
+      }
+      /*
+      Without a default, `name = "Guest"` also changes arguments[0] (in sloppy mode),
+      and a default parameter changes how arguments maps to the parameters
+      */
+      if (usesArguments(node.body)) return;
+
+      const declared = declaredInBody(node.body);
+      const done = new Set();
+
+      for (const statement of node.body.body) {
+        const found = readDefault(statement);
+        if (!found || done.has(found.name)) break;
+
+        const index = node.params.findIndex(
+          (param) => param.type === "Identifier" && param.name === found.name,
+        );
+        if (index === -1) break;
+
+        // A default runs before the body: it can only use earlier parameters and outer names
+        const later = node.params
+          .slice(index)
+          .flatMap((param) => [...namesUsedBy(param)]);
+        const used = namesUsedBy(found.value);
+        if (
+          [...used].some((name) => declared.has(name) || later.includes(name))
+        ) {
+          break;
+        }
+        if (hasCommentsIn(ast, statement.start, statement.end)) break;
+
+        const param = node.params[index];
+        // name => { ... } needs parentheses once the parameter has a default
+        const bare =
+          node.type === "ArrowFunctionExpression" &&
+          !source.slice(node.start, param.start).includes("(");
+        const withDefault = `${found.name} = ${textOf(source, found.value)}`;
+        done.add(found.name);
+        edits.push({
+          start: param.start,
+          end: param.end,
+          text: bare ? `(${withDefault})` : withDefault,
+        });
+        edits.push({
+          ...removeStatement(source, statement),
+          change: {
+            start: statement.start,
+            message: `${found.name} gets a default parameter = ${textOf(source, found.value)}${DEFAULT_NOTES[found.operator]}`,
+          },
+        });
+      }
+    },
+  });
+
+  return edits;
+}
+
+// -----------------------------------------------------------------------------
+// RULE: template-literals
+
+// "a" + b + "c" → ["a", b, "c"] (only the + chain at this level)
+function concatParts(node) {
+  if (
+    node.type === "BinaryExpression" &&
+    node.operator === "+" &&
+    !node.parenthesized
+  ) {
+    return [...concatParts(node.left), node.right];
+  }
+  return [node];
+}
+
+const isString = (node) =>
+  node?.type === "Literal" && typeof node.value === "string";
+
+// The text of a "..." string inside backticks: ` and ${ need a backslash there
+const escapeForTemplate = (raw) =>
+  raw.slice(1, -1).replace(/`/g, "\\`").replace(/\$\{/g, "\\${");
+
+/*
+"cost: $" + "{" + a + "}" would join into `cost: ${${a}}`:
+a $ that ends one piece and meets a { is escaped too.
+(An even number of backslashes before it means the $ itself is not escaped yet.)
+*/
+const joinTemplateText = (text, piece) =>
+  piece.startsWith("{") && /(^|[^\\])(\\\\)*\$$/.test(text)
+    ? `${text.slice(0, -1)}\\$${piece}`
+    : text + piece;
+
+function templateLiterals({ source, ast }) {
+  const edits = [];
+
+  walk(ast, {
+    BinaryExpression(node) {
+      if (node.operator !== "+") return;
+      const parts = concatParts(node);
+
+      /*
+      Only real string building: one of the first two parts is a string.
+      (a + b + " items" adds a and b as numbers first, so it is left alone.)
+      */
+      if (!isString(parts[0]) && !isString(parts[1])) return;
+      if (parts.every(isString)) return false;
+      if (hasCommentsIn(ast, node.start, node.end)) return false;
+
+      const text = parts
+        .map((part) => {
+          if (isString(part)) return escapeForTemplate(part.raw);
+          if (part.type === "TemplateLiteral" && !part.parenthesized) {
+            return source.slice(part.start + 1, part.end - 1);
+          }
+          return `\${${source.slice(part.start, part.end)}}`;
+        })
+        .reduce(joinTemplateText, "");
+
+      edits.push({
+        start: node.start,
+        end: node.end,
+        text: `\`${text}\``,
+        change: {
+          start: node.start,
+          message: "string concatenation → template literal",
+        },
+      });
+      // Parts inside ${ } are handled on the next pass
+      return false;
+    },
+  });
+
+  return edits;
+}
+
+// -----------------------------------------------------------------------------
+// RULE: arrow-functions
+
+// Where an arrow function can stand without extra parentheses
+function needsParentheses(node, parent) {
+  if (node.parenthesized || !parent) return false;
+  switch (parent.type) {
+    case "CallExpression":
+    case "NewExpression":
+      return parent.callee === node;
+    case "VariableDeclarator":
+    case "AssignmentExpression":
+    case "Property":
+    case "ArrayExpression":
+    case "ReturnStatement":
+    case "ArrowFunctionExpression":
+    case "ExportDefaultDeclaration":
+    case "SpreadElement":
+    case "AssignmentPattern":
+    case "PropertyDefinition":
+      return false;
+    case "ConditionalExpression":
+      return parent.test === node;
+    default:
+      return true;
+  }
+}
+
+/*
+The edits that turn a function into an arrow function, with `before` / `after`
+around it ("const add = " and ";" for a declaration).
+A body with only `return value;` becomes (a, b) => value.
+Other bodies are not touched: only the head and the end change,
+so functions inside them can be changed in the same pass.
+*/
+function arrowEdits(source, ast, node, { before = "", after = "", change }) {
+  const openParen = node.params.length
+    ? source.lastIndexOf("(", node.params[0].start)
+    : source.lastIndexOf("(", source.lastIndexOf(")", node.body.start));
+  const closeParen = source.lastIndexOf(")", node.body.start);
+  const head = `${before}${node.async ? "async " : ""}${source.slice(openParen, closeParen + 1)} =>`;
+
+  const [only] = node.body.body;
+  const canBeShort =
+    node.body.body.length === 1 &&
+    only.type === "ReturnStatement" &&
+    only.argument &&
+    !hasCommentsIn(ast, node.body.start, node.body.end);
+
+  if (!canBeShort) {
+    return [
+      { start: node.start, end: node.body.start, text: `${head} `, change },
+      { start: node.end, end: node.end, text: after },
+    ];
+  }
+
+  // An object (or a comma list) needs ( ) after =>, see RETURNING OBJECT in 03. Arrow-Functions.js
+  const value = only.argument;
+  const valueText = textOf(source, value);
+  const wrap =
+    !value.parenthesized &&
+    (value.type === "ObjectExpression" || value.type === "SequenceExpression");
+  return [
+    {
+      start: node.start,
+      end: node.end,
+      text: `${head} ${wrap ? `(${valueText})` : valueText}${after}`,
+      change,
+    },
+  ];
+}
+
+function arrowFunctions({ source, ast, scopes }) {
+  const edits = [];
+  const bindingsByNode = new Map(
+    scopes.bindings.map((binding) => [binding.node.start, binding]),
+  );
+  // An arrow function cannot be called with `new` and has no .prototype
+  const constructors = constructorNames(ast);
+
+  walk(ast, {
+    enter(node, parent, ancestors) {
+      if (
+        node.type !== "FunctionDeclaration" &&
+        node.type !== "FunctionExpression"
+      ) {
+        return;
+      }
+      if (node.generator || usesOwnContext(node.body)) return;
+      for (const param of node.params) if (usesOwnContext(param)) return;
+
+      const assignedTo =
+        parent?.type === "VariableDeclarator" && parent.init === node
+          ? parent.id
+          : parent?.type === "AssignmentExpression" && parent.right === node
+            ? parent.left
+            : null;
+      if (
+        (node.id && constructors.has(node.id.name)) ||
+        (assignedTo?.type === "Identifier" && constructors.has(assignedTo.name))
+      ) {
+        return;
+      }
+
+      if (node.type === "FunctionExpression") {
+        // Methods stay methods: an arrow function has no `this` (COMMON MISTAKES in lint.js)
+        const isPrototypeMethod =
+          assignedTo?.type === "MemberExpression" &&
+          assignedTo.object.type === "MemberExpression" &&
+          !assignedTo.object.computed &&
+          assignedTo.object.property.name === "prototype";
+        if (
+          isPrototypeMethod ||
+          parent?.type === "Property" ||
+          parent?.type === "MethodDefinition" ||
+          (parent?.type === "NewExpression" && parent.callee === node)
+        ) {
+          return;
+        }
+        // A named function expression that calls itself by its name keeps it
+        if (node.id && namesUsedBy(node.body).has(node.id.name)) return;
+
+        const wrap = needsParentheses(node, parent);
+        edits.push(
+          ...arrowEdits(source, ast, node, {
+            before: wrap ? "(" : "",
+            after: wrap ? ")" : "",
+            change: {
+              start: node.start,
+              message: "function expression → arrow function",
+            },
+          }),
+        );
+        return;
+      }
+
+      /*
+      A function declaration is hoisted, a const is not.
+      It is only changed when every use comes after it, in the same function
+      (a use inside another function might run before the const exists).
+      Only declarations at the top of a file or a function body are changed:
+      inside an if / loop block, a function declaration has its own hoisting rules.
+      */
+      const grandparent = ancestors.at(-2);
+      const topLevel =
+        parent?.type === "Program" ||
+        parent?.type === "ExportNamedDeclaration" ||
+        (parent?.type === "BlockStatement" &&
+          FUNCTION_TYPES.has(grandparent?.type));
+      if (!topLevel) return;
+
+      const binding = bindingsByNode.get(node.id.start);
+      if (!binding || binding.declarations.length > 1) return;
+      const safe = binding.references.every(
+        (ref) =>
+          ref.node.start > node.end &&
+          varScopeOf(ref.scope) === varScopeOf(binding.scope) &&
+          !ref.write,
+      );
+      if (!safe) return;
+      if (parent?.type === "ExportDefaultDeclaration") return;
+
+      edits.push(
+        ...arrowEdits(source, ast, node, {
+          before: `const ${node.id.name} = `,
+          after: ";",
+          change: {
+            start: node.start,
+            message: `function ${node.id.name} → const ${node.id.name} = arrow function`,
+          },
+        }),
+      );
+    },
+  });
+
+  return edits;
+}
+
+// -----------------------------------------------------------------------------
+// RULE: let-const
+
+function letConst({ ast, scopes }) {
+  const edits = [];
+  const bindingsByNode = new Map(
+    scopes.bindings.map((binding) => [binding.node.start, binding]),
+  );
+
+  const loops = [];
+  walk(ast, {
+    enter(node) {
+      if (LOOP_TYPES.has(node.type)) loops.push(node);
+    },
+  });
+
+  /*
+  "const", "let", or null when the var has to stay:
+  - it is declared twice, or read before its line (hoisting)
+  - it is used outside the block it was written in (the var leaks)
+  - it is inside a loop and a function uses it (let makes one copy per turn)
+  */
+  function kindFor(identifier, declaration, declarator, parent) {
+    const binding = bindingsByNode.get(identifier.start);
+    if (!binding || binding.kind !== "var") return null;
+    if (binding.declarations.length > 1) return null;
+
+    // var x = x + 1 reads the hoisted undefined, with let it would throw
+    const { references } = binding;
+    if (
+      references.some(
+        (ref) =>
+          ref.node.start < identifier.start ||
+          (declarator.init && isInside(ref.node, declarator.init)),
+      )
+    ) {
+      return null;
+    }
+
+    const [block] = binding.blocks ?? [];
+    if (block && references.some((ref) => !isInside(ref.node, block.node))) {
+      return null;
+    }
+
+    const functionScope = varScopeOf(binding.scope);
+    const inLoop = loops.some(
+      (loop) =>
+        isInside(declaration, loop) && isInside(loop, functionScope.node),
+    );
+    const usedByFunction = references.some(
+      (ref) => varScopeOf(ref.scope) !== functionScope,
+    );
+    if (inLoop && usedByFunction) return null;
+
+    const isLoopHead =
+      (parent?.type === "ForInStatement" ||
+        parent?.type === "ForOfStatement") &&
+      parent.left === declaration;
+    const hasValue = declarator.init !== null || isLoopHead;
+    return hasValue && !references.some((ref) => ref.write) ? "const" : "let";
+  }
+
+  walk(ast, {
+    VariableDeclaration(node, parent) {
+      if (node.kind !== "var") return;
+
+      const kinds = node.declarations.flatMap((declarator) =>
+        patternIdentifiers(declarator.id).map((identifier) =>
+          kindFor(identifier, node, declarator, parent),
+        ),
+      );
+
+      if (kinds.length === 0 || kinds.includes(null)) return;
+      // A `for (var i = 0; ...)` head can never be const: i++ changes it
+      const kind = kinds.every((each) => each === "const") ? "const" : "let";
+
+      edits.push({
+        start: node.start,
+        end: node.start + 3,
+        text: kind,
+        change: {
+          start: node.start,
+          message: `var → ${kind} (${node.declarations.map((each) => textOfPattern(each.id)).join(", ")})`,
+        },
+      });
+    },
+  });
+
+  return edits;
+}
+
+// The names a pattern declares: { a, b: [c] } → a, c
+function patternIdentifiers(pattern) {
+  switch (pattern?.type) {
+    case "Identifier":
+      return [pattern];
+    case "ObjectPattern":
+      return pattern.properties.flatMap((property) =>
+        patternIdentifiers(
+          property.type === "RestElement" ? property.argument : property.value,
+        ),
+      );
+    case "ArrayPattern":
+      return pattern.elements.flatMap(patternIdentifiers);
+    case "RestElement":
+      return patternIdentifiers(pattern.argument);
+    case "AssignmentPattern":
+      return patternIdentifiers(pattern.left);
+    default:
+      return [];
+  }
+}
+
+const textOfPattern = (pattern) =>
+  pattern.type === "Identifier" ? pattern.name : "destructuring";
+
+// -----------------------------------------------------------------------------
+// RULES: array-destructuring AND object-destructuring
+
+/*
+Finds runs of declarations next to each other, like
+const first = colors[0];
+const second = colors[1];
+read(declarator) returns { object, key } for a declarator that fits, or null.
+Each run has the same kind (const / let / var) and reads from the same object.
+*/
+function declarationRuns({ ast, source }, read) {
+  const runs = [];
+
+  for (const list of statementLists(ast)) {
+    let run = null;
+
+    const close = () => {
+      if (run) runs.push(run);
+      run = null;
+    };
+
+    for (const statement of list) {
+      const items =
+        statement.type === "VariableDeclaration"
+          ? statement.declarations.map((declarator) => ({
+              declarator,
+              ...read(declarator),
+            }))
+          : [];
+      const fits =
+        items.length > 0 &&
+        items.every((item) => item.object) &&
+        items.every((item) => item.object === items[0].object);
+
+      if (!fits) {
+        close();
+        continue;
+      }
+
+      const [{ object }] = items;
+      const names = items.map((item) => item.declarator.id.name);
+      if (
+        run &&
+        run.object === object &&
+        run.kind === statement.kind &&
+        !hasCommentsIn(ast, run.end, statement.start) &&
+        !names.includes(object)
+      ) {
+        run.items.push(...items);
+        run.end = statement.end;
+        continue;
+      }
+
+      close();
+      if (names.includes(object)) continue;
+      run = {
+        object,
+        kind: statement.kind,
+        items,
+        start: statement.start,
+        end: statement.end,
+        indent: indentOf(source, statement),
+      };
+    }
+    close();
+  }
+
+  return runs.filter((run) => !hasCommentsIn(ast, run.start, run.end));
+}
+
+function arrayDestructuring(context) {
+  // const first = colors[0] → { object: "colors", key: 0 }
+  const read = ({ id, init }) =>
+    id.type === "Identifier" &&
+    init?.type === "MemberExpression" &&
+    init.computed &&
+    !init.optional &&
+    init.object.type === "Identifier" &&
+    init.property.type === "Literal" &&
+    Number.isInteger(init.property.value) &&
+    init.property.value < 5
+      ? { object: init.object.name, key: init.property.value }
+      : {};
+
+  return declarationRuns(context, read).flatMap((run) => {
+    // const third = colors[2] is clearer than const [, , third] = colors
+    if (run.items.length === 1 && run.items[0].key !== 0) return [];
+
+    const slots = [];
+    for (const { declarator, key } of run.items) {
+      if (slots[key] !== undefined) return [];
+      slots[key] = declarator.id.name;
+    }
+
+    // [first, , third]: an empty slot skips a position
+    const pattern = Array.from(slots, (name) => name ?? "").join(", ");
+    return [
+      {
+        start: run.start,
+        end: run.end,
+        text: `${run.kind} [${pattern}] = ${run.object};`,
+        change: {
+          start: run.start,
+          message: `${run.object}[index] → ${run.kind} [${pattern}] = ${run.object}`,
+        },
+      },
+    ];
+  });
+}
+
+function objectDestructuring(context) {
+  // const city = user.address.city → { object: "user", key: ["address", "city"] }
+  const read = ({ id, init }) => {
+    if (id.type !== "Identifier") return {};
+    const path = [];
+    let node = init;
+    while (node?.type === "MemberExpression") {
+      if (
+        node.computed ||
+        node.optional ||
+        node.property.type !== "Identifier"
+      ) {
+        return {};
+      }
+      path.unshift(node.property.name);
+      node = node.object;
+    }
+    return node?.type === "Identifier" && path.length > 0
+      ? { object: node.name, key: path }
+      : {};
+  };
+
+  return declarationRuns(context, read).flatMap((run) => {
+    // const total = cart.length is clearer than const { length: total } = cart
+    const [first] = run.items;
+    if (
+      run.items.length === 1 &&
+      first.key.length === 1 &&
+      first.key[0] !== first.declarator.id.name
+    ) {
+      return [];
+    }
+
+    // { address: { city: "city" }, name: "nameOld" }: a path is either a leaf or a branch
+    const tree = {};
+    for (const { declarator, key } of run.items) {
+      let branch = tree;
+      for (const part of key.slice(0, -1)) {
+        if (typeof branch[part] === "string") return [];
+        branch = branch[part] ??= {};
+      }
+      const leaf = key.at(-1);
+      if (leaf in branch) return [];
+      branch[leaf] = declarator.id.name;
+    }
+
+    const patternOf = (branch) =>
+      `{ ${Object.entries(branch)
+        .map(([key, value]) =>
+          typeof value === "string"
+            ? key === value
+              ? key
+              : `${key}: ${value}`
+            : `${key}: ${patternOf(value)}`,
+        )
+        .join(", ")} }`;
+
+    const pattern = patternOf(tree);
+    return [
+      {
+        start: run.start,
+        end: run.end,
+        text: `${run.kind} ${pattern} = ${run.object};`,
+        change: {
+          start: run.start,
+          message: `${run.object}.${run.items[0].key.join(".")}, ... → ${run.kind} ${pattern} = ${run.object}`,
+        },
+      },
+    ];
+  });
+}
+
+// -----------------------------------------------------------------------------
+// APPLYING THE RULES
+
+const RULE_FUNCTIONS = {
+  "default-parameters": defaultParameters,
+  "template-literals": templateLiterals,
+  "arrow-functions": arrowFunctions,
+  "let-const": letConst,
+  "array-destructuring": arrayDestructuring,
+  "object-destructuring": objectDestructuring,
+};
+
+// Applies edits that do not overlap (the first one wins, the others wait for the next pass)
+function applyEdits(source, edits) {
+  const applied = [];
+  let end = -1;
+
+  for (const edit of [...edits].sort(
+    (a, b) => a.start - b.start || b.end - a.end,
+  )) {
+    if (edit.start < end) continue;
+    applied.push(edit);
+    end = Math.max(end, edit.end);
+  }
+
+  let code = source;
+  for (const edit of [...applied].reverse()) {
+    code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+  }
+  return { code, applied };
+}
+
+// An offset in the code after some edits → the offset before them
+function offsetBefore(offset, edits) {
+  let delta = 0;
+  for (const edit of edits) {
+    const start = edit.start + delta;
+    if (offset < start) break;
+    if (offset < start + edit.text.length) return edit.start;
+    delta += edit.text.length - (edit.end - edit.start);
+  }
+  return offset - delta;
+}
+
+const lineAt = (source, offset) => source.slice(0, offset).split("\n").length;
+
+const MAX_PASSES = 10;
+
+function checkRules(names) {
+  for (const name of names) {
+    if (!RULES.includes(name)) {
+      throw new RangeError(
+        `Unknown rule "${name}" (rules: ${RULES.join(", ")})`,
+      );
+    }
+  }
+  return names;
+}
+
+export function modernize(source, { only = RULES, skip = [] } = {}) {
+  checkRules([...only, ...skip]);
+  const rules = RULES.filter(
+    (rule) => only.includes(rule) && !skip.includes(rule),
+  );
+
+  let code = source;
+  // Every pass's applied edits, to map a change back to a line of the original
+  const history = [];
+  const changes = [];
+
+  for (const rule of rules) {
+    // Nested code (a + inside ${ }, a function inside a function) needs another pass
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const ast = parse(code);
+      const scopes =
+        rule === "arrow-functions" || rule === "let-const"
+          ? analyzeScopes(code)
+          : null;
+      const edits = RULE_FUNCTIONS[rule]({ source: code, ast, scopes });
+      if (edits.length === 0) break;
+
+      const result = applyEdits(code, edits);
+      for (const { change } of result.applied) {
+        if (!change) continue;
+        const offset = history.reduceRight(
+          (position, applied) => offsetBefore(position, applied),
+          change.start,
+        );
+        changes.push({
+          rule,
+          line: lineAt(source, offset),
+          message: change.message,
+        });
+      }
+
+      history.push(result.applied);
+      code = result.code;
+    }
+  }
+
+  return {
+    code,
+    changes: changes.sort((a, b) => a.line - b.line),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// DIFF
+
+/*
+A line diff (longest common subsequence) in the unified format of `git diff`,
+with `context` unchanged lines around every change.
+*/
+export function diffLines(before, after, { context = 2 } = {}) {
+  const a = before.replace(/\r\n/g, "\n").split("\n");
+  const b = after.replace(/\r\n/g, "\n").split("\n");
+
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  // [" " | "-" | "+", text, old line, new line]
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      rows.push([" ", a[i], i++, j++]);
+    } else if (
+      i < a.length &&
+      (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      rows.push(["-", a[i], i++, j]);
+    } else {
+      rows.push(["+", b[j], i, j++]);
+    }
+  }
+
+  // Group the changed rows (and their context) into hunks
+  const output = [];
+  let index = 0;
+  while (index < rows.length) {
+    if (rows[index][0] === " ") {
+      index++;
+      continue;
+    }
+
+    let start = Math.max(0, index - context);
+    let end = index;
+    while (end < rows.length) {
+      const nextChange = rows.findIndex(
+        (row, position) => position >= end && row[0] !== " ",
+      );
+      if (nextChange === -1 || nextChange > end + context * 2) break;
+      end = nextChange + 1;
+    }
+    end = Math.min(rows.length, end + context);
+
+    const hunk = rows.slice(start, end);
+    const oldCount = hunk.filter((row) => row[0] !== "+").length;
+    const newCount = hunk.filter((row) => row[0] !== "-").length;
+    output.push(
+      `@@ -${hunk[0][2] + 1},${oldCount} +${hunk[0][3] + 1},${newCount} @@`,
+    );
+    for (const [mark, text] of hunk) output.push(`${mark}${text}`);
+    index = end;
+    start = end;
+  }
+
+  return output.join("\n");
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+// --only a,b / --skip a,b → ["a", "b"]
+const listOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1
+    ? null
+    : (args[index + 1] ?? "").split(",").filter(Boolean);
+};
+
+function main(args) {
+  const write = args.includes("--write");
+  const only = listOption(args, "--only") ?? RULES;
+  const skip = listOption(args, "--skip") ?? [];
+  const targets = args.filter(
+    (arg, index) =>
+      !arg.startsWith("--") &&
+      args[index - 1] !== "--only" &&
+      args[index - 1] !== "--skip",
+  );
+
+  if (targets.length === 0) {
+    console.log(
+      "Usage: node tools/modernize.js <files or folders> [--write] [--only rule,...] [--skip rule,...]",
+    );
+    console.log(`Rules: ${RULES.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let changed = 0;
+  const files = findSourceFiles(targets);
+
+  for (const file of files) {
+    const source = fs.readFileSync(file, "utf8");
+    const { code, changes } = modernize(source, { only, skip });
+    if (changes.length === 0) continue;
+
+    changed++;
+    const name = path.relative(process.cwd(), file);
+    console.log(`${name}: ${changes.length} change(s)`);
+    for (const { rule, line, message } of changes) {
+      console.log(`  line ${line}  ${rule}: ${message}`);
+    }
+
+    if (write) {
+      fs.writeFileSync(file, code);
+    } else {
+      console.log(`--- ${name}\n+++ ${name} (modernized)`);
+      console.log(diffLines(source, code));
+    }
+    console.log("");
+  }
+
+  console.log(
+    changed === 0
+      ? `Nothing to modernize in ${files.length} file(s).`
+      : write
+        ? `Rewrote ${changed} of ${files.length} file(s).`
+        : `${changed} of ${files.length} file(s) would change. Run again with --write to apply.`,
+  );
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
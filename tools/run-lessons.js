@@ -0,0 +1,656 @@
+/*
+
+LESSON RUNNER
+
+What this tool does:
+Every lesson documents its results with `// Output: ...` comments.
+This runner executes each lesson with a captured `console`,
+pairs every console.log (and console.warn) call with the nearest `// Output:` annotation,
+and reports the annotations that do not match what really got printed.
+
+How a lesson is executed:
+- The file is split on its `// ----` separator lines
+- Every section runs in its own vm context (a sandbox)
+- Declarations from earlier sections are carried into later ones
+- The section's demo functions (demoRestElement, demoWallet...) are called
+  (an async demo is awaited before the next one starts)
+- Timers run on a virtual clock (lib/scheduler.js): a demo's setTimeout
+  callbacks fire right after the demo, in order, without really waiting
+- A section that throws is reported with its error, and the next one still runs
+
+How to use:
+node tools/run-lessons.js                         → check every chapter
+node tools/run-lessons.js "02. Destructuring"     → check one chapter
+node tools/run-lessons.js path/to/lesson.js       → check one file
+
+Annotation forms it understands:
+console.log(age); // Output: 21          ← trailing on the same line
+
+console.log(skills);
+// Output: ["HTML", "CSS"]               ← on the line right after
+
+team.printMembers();
+// Output:                               ← multi-line block, one line per log
+// Yash is in Dev Team
+// Ayesha is in Dev Team
+
+A logged string with line breaks fills one block line per line.
+
+Text in parentheses after the value is treated as a note:
+// Output: Dhaka (var leaks outside the block) matches "Dhaka".
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createClock } from "../lib/scheduler.js";
+import { parse, patternNames, ParseError } from "./js-parser.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Chapter folders look like "01. Core-Syntax", lessons like "03. Arrow-Functions.js"
+// (so a chapter's index.js is not treated as a lesson)
+const NUMBERED_PATTERN = /^\d+\. /;
+
+// How long a demo may wait with no timer left to run before it counts as stuck
+const STUCK_AFTER_MS = 2000;
+
+// A demo that awaits a promise nothing will ever settle
+class StuckError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StuckError";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// FINDING LESSON FILES
+
+export function findLessonFiles(targets = []) {
+  const roots = targets.length
+    ? targets.map((target) => path.resolve(target))
+    : fs
+        .readdirSync(ROOT)
+        .filter((entry) => NUMBERED_PATTERN.test(entry))
+        .map((entry) => path.join(ROOT, entry));
+
+  const files = [];
+
+  for (const root of roots) {
+    if (fs.statSync(root).isDirectory()) {
+      const lessons = fs
+        .readdirSync(root)
+        .filter(
+          (entry) => NUMBERED_PATTERN.test(entry) && entry.endsWith(".js"),
+        )
+        .sort()
+        .map((entry) => path.join(root, entry));
+
+      files.push(...lessons);
+    } else {
+      files.push(root);
+    }
+  }
+
+  return files;
+}
+
+// -----------------------------------------------------------------------------
+// READING `// Output:` ANNOTATIONS
+
+const OUTPUT_HEADER = /^\/\/\s*Output(?: in console)?:\s*(.*)$/;
+
+// Splits a line into its code part and its trailing `//` comment.
+// Quotes are tracked so "http://..." inside a string is not a comment.
+function splitComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (char === "/" && line[i + 1] === "/") {
+      return { code: line.slice(0, i).trim(), comment: line.slice(i).trim() };
+    }
+  }
+
+  return { code: line.trim(), comment: "" };
+}
+
+/*
+Returns a Map: owner line number → annotation.
+
+The "owner" is the code line the annotation talks about:
+- a trailing annotation belongs to its own line
+- a comment annotation belongs to the code line right above it
+*/
+export function parseAnnotations(source) {
+  const lines = source.split("\n").map(splitComment);
+  const annotations = new Map();
+
+  lines.forEach(({ code, comment }, index) => {
+    const header = comment.match(OUTPUT_HEADER);
+    if (!header) return;
+
+    const lineNumber = index + 1;
+    let ownerLine = lineNumber;
+
+    if (!code) {
+      const previous = lines[index - 1];
+      if (!previous || !previous.code) return;
+      ownerLine = lineNumber - 1;
+    }
+
+    const expected = [];
+
+    if (header[1]) {
+      expected.push(header[1]);
+    } else {
+      // Empty header → the following comment lines are the expected output
+      for (let next = index + 1; next < lines.length; next++) {
+        if (lines[next].code || !lines[next].comment) break;
+        expected.push(lines[next].comment.replace(/^\/\/\s?/, ""));
+      }
+    }
+
+    annotations.set(ownerLine, { line: lineNumber, expected, received: [] });
+  });
+
+  return { lines, annotations };
+}
+
+// A call can span several lines: console.log(\n  `...`,\n);
+// The annotation then sits after the line that closes the statement.
+function statementLines(lines, start) {
+  const owned = [];
+
+  for (let line = start; line <= lines.length && owned.length < 20; line++) {
+    owned.push(line);
+    if (/[;{}]$/.test(lines[line - 1].code)) break;
+  }
+
+  return owned;
+}
+
+export function findAnnotation({ lines, annotations }, callerLines) {
+  for (const callerLine of callerLines) {
+    for (const line of statementLines(lines, callerLine)) {
+      if (annotations.has(line)) return annotations.get(line);
+    }
+  }
+
+  return null;
+}
+
+// -----------------------------------------------------------------------------
+// FORMATTING WHAT WAS PRINTED
+
+/*
+The annotations use JavaScript-like notation:
+["a", "b"] and { id: 1, name: "Rohan" }
+So values are formatted the same way before comparing.
+*/
+export function formatValue(value, nested = false) {
+  if (typeof value === "string") return nested ? JSON.stringify(value) : value;
+  if (typeof value === "function")
+    return `[Function: ${value.name || "anonymous"}]`;
+  if (value === null || typeof value !== "object") return String(value);
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => formatValue(item, true)).join(", ")}]`;
+  }
+
+  const entries = Object.entries(value).map(([key, item]) => {
+    const label = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    return `${label}: ${formatValue(item, true)}`;
+  });
+
+  const body = entries.length ? `{ ${entries.join(", ")} }` : "{}";
+
+  // Node prints the `arguments` object as: [Arguments] { '0': 'a' }
+  const isArguments =
+    Object.prototype.toString.call(value) === "[object Arguments]";
+
+  return isArguments ? `[Arguments] ${body}` : body;
+}
+
+const normalize = (text) => text.replace(/'/g, '"').replace(/\s+/g, " ").trim();
+
+// "Dhaka (var leaks outside the block)" still matches "Dhaka"
+export function matchesExpected(expected, received) {
+  const want = normalize(expected);
+  const got = normalize(received);
+
+  return want === got || want.startsWith(`${got} (`);
+}
+
+// -----------------------------------------------------------------------------
+// SPLITTING A LESSON INTO SECTIONS
+
+/*
+Lessons are divided by separator lines: // ------------------------------
+Each section runs on its own, so one broken example
+(like an undeclared variable) does not hide the results of the rest.
+*/
+
+const SEPARATOR = /^\/\/ -{4,}\s*$/;
+
+export function splitSections(source) {
+  const lines = source.split("\n");
+  const sections = [];
+  let start = 0;
+
+  const close = (end) => {
+    // The title is the comment right under the separator: // TITLE or /* TITLE
+    const title = lines[start + 1]?.match(/^(?:\/\/|\/\*)\s*(.+?)\s*$/);
+
+    sections.push({
+      title: start === 0 ? "(top of file)" : (title?.[1] ?? "(untitled)"),
+      startLine: start + 1,
+      endLine: end,
+      lines: lines.slice(start, end),
+    });
+  };
+
+  lines.forEach((line, index) => {
+    // Only column-0 separators split; indented ones live inside a demo
+    if (index > 0 && SEPARATOR.test(line)) {
+      close(index);
+      start = index;
+    }
+  });
+
+  close(lines.length);
+  return sections;
+}
+
+// -----------------------------------------------------------------------------
+// TURNING A MODULE SECTION INTO A SCRIPT
+
+/*
+Lessons are ES modules, but a vm context runs plain scripts.
+So before running a section:
+- `export` is dropped from declarations (export function x → function x)
+- import statements are blanked out (their bindings are given to the context)
+- "use strict" is added, because module code is always strict
+
+Removed code is replaced with blank lines,
+so line numbers in errors and stack traces still match the lesson file.
+*/
+
+const IMPORT_STATEMENT = /^import\s+([\s\S]*?)\s+from\s+["']([^"']+)["'];?/gm;
+
+const blankOut = (text) => text.replace(/[^\n]/g, " ");
+
+export function toScript(code) {
+  const script = code
+    .replace(IMPORT_STATEMENT, blankOut)
+    .replace(/^export\s+(?:\*|\{)[^;]*;?/gm, blankOut)
+    .replace(/^export\s+(?:default\s+)?/gm, "");
+
+  return `"use strict"; ${script}`;
+}
+
+// Every top-level name a section declares: const [x, y] = a; let p = 1, q = 2 → x, y, p, q
+export function declaredNames(lines) {
+  let program;
+  try {
+    program = parse(lines.join("\n"));
+  } catch (error) {
+    // The section throws the same SyntaxError when it runs
+    if (error instanceof ParseError) return [];
+    throw error;
+  }
+
+  return program.body.flatMap((statement) => {
+    const declaration =
+      statement.type === "ExportNamedDeclaration" ||
+      statement.type === "ExportDefaultDeclaration"
+        ? statement.declaration
+        : statement;
+    if (declaration?.type === "VariableDeclaration") {
+      return declaration.declarations.flatMap((declarator) =>
+        patternNames(declarator.id).map((identifier) => identifier.name),
+      );
+    }
+    if (
+      declaration?.type === "FunctionDeclaration" ||
+      declaration?.type === "ClassDeclaration"
+    ) {
+      return declaration.id ? [declaration.id.name] : [];
+    }
+    return [];
+  });
+}
+
+// Demo functions (demoRestElement, demoWallet...) are called by the section that declares them
+const isDemo = (name) => /^demo[A-Z0-9]/.test(name);
+
+// import { a, b as c } from "x"   import * as ns from "x"   import def from "x"
+async function loadImports(file, source) {
+  const bindings = {};
+
+  for (const [, clause, specifier] of source.matchAll(IMPORT_STATEMENT)) {
+    const target = specifier.startsWith(".")
+      ? new URL(specifier, pathToFileURL(file)).href
+      : specifier;
+    const imported = await import(target);
+
+    const namespace = clause.match(/\*\s+as\s+([\w$]+)/);
+    const named = clause.match(/\{([^}]*)\}/);
+    const defaultName = clause.match(/^([\w$]+)/);
+
+    if (namespace) bindings[namespace[1]] = imported;
+    if (defaultName) bindings[defaultName[1]] = imported.default;
+
+    for (const part of named ? named[1].split(",") : []) {
+      const [name, alias = name] = part.trim().split(/\s+as\s+/);
+      if (name) bindings[alias] = imported[name];
+    }
+  }
+
+  return bindings;
+}
+
+// -----------------------------------------------------------------------------
+// RUNNING ONE LESSON
+
+// Lines of `file` on the current call stack, innermost first
+function callerLinesIn(file, stack = new Error().stack) {
+  const callerLines = [];
+
+  for (const frame of stack.split("\n")) {
+    // "at fn (/path/file.js:12:5)" or "at /path/file.js:12:5"
+    const match =
+      frame.match(/\((.+):(\d+):\d+\)$/) || frame.match(/at (.+):(\d+):\d+$/);
+    if (match && match[1] === file) callerLines.push(Number(match[2]));
+  }
+
+  return callerLines;
+}
+
+function stackOf() {
+  const previousLimit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const { stack } = new Error();
+  Error.stackTraceLimit = previousLimit;
+  return stack;
+}
+
+/*
+Lessons get the timers of a virtual clock (lib/scheduler.js),
+so student.delayedHello() prints right away instead of a second later,
+and its output is checked together with the rest of its section.
+A timer remembers which section started it,
+so an error inside its callback is reported against that section.
+*/
+function createTimers(onError) {
+  const clock = createClock();
+
+  const guarded =
+    (schedule) =>
+    (callback, delay, ...args) => {
+      const owner = timers.currentSection;
+      return schedule(() => {
+        try {
+          callback(...args);
+        } catch (error) {
+          onError(owner, error);
+        }
+      }, delay);
+    };
+
+  /*
+  Runs a demo's result to the end.
+  An async demo may be waiting for a virtual timer, so whenever nothing else
+  is left to do (the event loop went round once), the clock moves to the next timer.
+  With no timer left, real work (like reading a file) gets STUCK_AFTER_MS to finish,
+  after that the demo is reported as stuck instead of hanging the runner.
+  */
+  const settle = async (result) => {
+    let outcome = null;
+    Promise.resolve(result).then(
+      (value) => (outcome = { value }),
+      (error) => (outcome = { error }),
+    );
+
+    let idleSince = Date.now();
+    while (!outcome) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (outcome) break;
+
+      if (clock.pending > 0) {
+        clock.runNext();
+        idleSince = Date.now();
+      } else if (Date.now() - idleSince > STUCK_AFTER_MS) {
+        throw new StuckError(
+          `still waiting after ${STUCK_AFTER_MS} ms with no timers left: it awaits a promise that never settles`,
+        );
+      }
+    }
+
+    clock.runAll();
+    if ("error" in outcome) throw outcome.error;
+    return outcome.value;
+  };
+
+  const timers = {
+    setTimeout: guarded(clock.setTimeout),
+    setInterval: guarded(clock.setInterval),
+    clearTimeout: clock.clearTimeout,
+    clearInterval: clock.clearInterval,
+    settle,
+    currentSection: null,
+  };
+  return timers;
+}
+
+// Line where an error was thrown, if it was thrown inside the lesson
+const errorLine = (file, error) =>
+  typeof error?.stack === "string"
+    ? callerLinesIn(file, error.stack)[0]
+    : undefined;
+
+/*
+Every section gets a fresh vm context.
+Names declared by earlier sections are copied into it,
+so a section can still use helpers and data declared above it.
+*/
+export async function runLesson(file) {
+  const source = fs.readFileSync(file, "utf8");
+  const parsed = parseAnnotations(source);
+  const sections = splitSections(source);
+  const imports = await loadImports(file, source);
+  const carried = {};
+  const unannotated = [];
+
+  const log = (...args) => {
+    const text = args.map((arg) => formatValue(arg)).join(" ");
+    const annotation = findAnnotation(parsed, callerLinesIn(file, stackOf()));
+
+    // A multi-line value prints as several lines, so it fills several block lines
+    if (annotation) annotation.received.push(...text.split("\n"));
+    else unannotated.push(text);
+  };
+
+  const fail = (section, error) => {
+    section.errors.push({ error, line: errorLine(file, error) });
+  };
+
+  const timers = createTimers(fail);
+  const results = [];
+
+  // Modules from lib/ print through the real console, so it is captured too
+  const realConsole = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+  };
+  Object.assign(console, { log, info: log, warn: log });
+
+  try {
+    for (const { title, startLine, endLine, lines } of sections) {
+      const names = declaredNames(lines);
+      const hasCode = lines
+        .join("\n")
+        .replace(/\/\*[\s\S]*?\*\//g, "")
+        .split("\n")
+        .some((line) => splitComment(line).code);
+      const section = { title, startLine, endLine, hasCode, errors: [] };
+
+      results.push(section);
+      if (!hasCode) continue;
+
+      timers.currentSection = section;
+
+      const context = vm.createContext({
+        ...carried,
+        ...imports,
+        console: { ...console, log, info: log, warn: log },
+        setTimeout: timers.setTimeout,
+        clearTimeout: timers.clearTimeout,
+        setInterval: timers.setInterval,
+        clearInterval: timers.clearInterval,
+      });
+
+      try {
+        new vm.Script(toScript(lines.join("\n")), {
+          filename: file,
+          lineOffset: startLine - 1,
+        }).runInContext(context);
+
+        for (const name of names.filter(isDemo)) {
+          // Settling keeps a demo's logs, timers and errors inside its own section
+          await timers.settle(vm.runInContext(`${name}()`, context));
+        }
+      } catch (error) {
+        fail(section, error);
+      }
+
+      // A declaration that never ran (still in its TDZ) is simply not carried
+      for (const name of names) {
+        try {
+          carried[name] = vm.runInContext(name, context);
+        } catch {}
+      }
+    }
+
+    timers.currentSection = null;
+  } finally {
+    Object.assign(console, realConsole);
+  }
+
+  for (const section of results) {
+    const inSection = [...parsed.annotations.values()].filter(
+      ({ line }) => line >= section.startLine && line <= section.endLine,
+    );
+
+    section.problems = checkAnnotations(inSection);
+    section.status = section.errors.some(
+      ({ error }) => error instanceof StuckError,
+    )
+      ? "stuck"
+      : section.errors.length
+        ? "threw"
+        : section.problems.length
+          ? "mismatch"
+          : "passed";
+  }
+
+  return {
+    file,
+    sections: results,
+    annotations: [...parsed.annotations.values()],
+    unannotated,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// COMPARING EXPECTED vs RECEIVED
+
+export function checkAnnotations(annotations) {
+  const problems = [];
+
+  for (const { line, expected, received } of annotations) {
+    const count = Math.max(expected.length, received.length);
+
+    for (let i = 0; i < count; i++) {
+      const want = expected[i];
+      const got = received[i];
+
+      if (got === undefined) {
+        problems.push({ line, expected: want, received: null });
+      } else if (want === undefined) {
+        problems.push({ line, expected: null, received: got });
+      } else if (!matchesExpected(want, got)) {
+        problems.push({ line, expected: want, received: got });
+      }
+    }
+  }
+
+  return problems;
+}
+
+// -----------------------------------------------------------------------------
+// REPORT
+
+const STATUS_ICON = { passed: "✓", mismatch: "✗", threw: "💥", stuck: "⏳" };
+
+function printReport({ file, sections, annotations }) {
+  const ran = sections.filter(({ hasCode }) => hasCode);
+  const failed = ran.filter(({ status }) => status !== "passed");
+  const threw = ran.filter(({ status }) => status === "threw");
+  const stuck = ran.filter(({ status }) => status === "stuck");
+  const problems = ran.flatMap((section) => section.problems);
+
+  console.log(`${failed.length ? "✗" : "✓"} ${path.relative(ROOT, file)}`);
+
+  for (const { title, startLine, status, errors, problems } of ran) {
+    console.log(`    ${STATUS_ICON[status]} line ${startLine}: ${title}`);
+
+    for (const { error, line } of errors) {
+      const where = line ? ` (line ${line})` : "";
+      console.log(
+        error instanceof StuckError
+          ? `        stuck: ${error.message}`
+          : `        threw ${error?.name}: ${error?.message}${where}`,
+      );
+    }
+
+    for (const { line, expected, received } of problems) {
+      console.log(`        line ${line}`);
+      console.log(`          expected: ${expected ?? "(no output)"}`);
+      console.log(`          received: ${received ?? "(nothing was logged)"}`);
+    }
+  }
+
+  console.log(
+    `    ${ran.length} sections: ${ran.length - failed.length} passed, ` +
+      `${threw.length} threw${stuck.length ? `, ${stuck.length} stuck` : ""} · ` +
+      `${annotations.length} annotations, ${problems.length} mismatches`,
+  );
+
+  return failed.length > 0;
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+async function main(targets) {
+  let failed = false;
+
+  for (const file of findLessonFiles(targets)) {
+    if (printReport(await runLesson(file))) failed = true;
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
@@ -0,0 +1,734 @@
+/*
+
+SCOPE AND HOISTING VISUALIZER
+
+What this tool does:
+01. Core-Syntax/02. Variables.js explains the scope rules in words:
+`var city` leaks out of its block, `var score` can be declared twice,
+and `testLet` cannot be used before its line (the Temporal Dead Zone).
+This tool reads a file (or a snippet), builds its tree of scopes
+(module, function, block) and prints, for every variable:
+- which scope declared it, and how it is hoisted
+- the lines where a let / const / class is in the TDZ
+- every redeclaration, var leaking out of a block, and read before the declaration
+
+How to use:
+node tools/scope.js "01. Core-Syntax/02. Variables.js"
+node tools/scope.js "02. Destructuring"                → every file in a folder
+node tools/scope.js --code "if (true) { var a = 1 } console.log(a)"
+
+import { analyzeScopes, formatScopeReport } from "./tools/scope.js";
+console.log(formatScopeReport(analyzeScopes(source)));
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parse, childrenOf, patternNames, ParseError } from "./js-parser.js";
+
+const LEXICAL_KINDS = new Set(["let", "const", "class"]);
+
+// -----------------------------------------------------------------------------
+// BUILDING THE SCOPE TREE
+
+function createScope(kind, name, node, parent) {
+  const scope = {
+    kind,
+    name,
+    node,
+    parent,
+    children: [],
+    // name → binding
+    bindings: new Map(),
+    // var declarations that were written inside this block (but belong to the function)
+    varsDeclaredHere: [],
+  };
+  parent?.children.push(scope);
+  return scope;
+}
+
+// The function (or the module) a scope belongs to: where `var` ends up
+export const varScopeOf = (scope) => {
+  let current = scope;
+  while (current.kind !== "function" && current.kind !== "module") {
+    current = current.parent;
+  }
+  return current;
+};
+
+// The parts of a pattern that are real expressions: defaults and computed keys
+function patternExpressions(pattern, expressions = []) {
+  switch (pattern?.type) {
+    case "ObjectPattern":
+      for (const property of pattern.properties) {
+        if (property.type === "RestElement") {
+          patternExpressions(property.argument, expressions);
+          continue;
+        }
+        if (property.computed) expressions.push(property.key);
+        patternExpressions(property.value, expressions);
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) {
+        patternExpressions(element, expressions);
+      }
+      break;
+    case "RestElement":
+      patternExpressions(pattern.argument, expressions);
+      break;
+    case "AssignmentPattern":
+      patternExpressions(pattern.left, expressions);
+      expressions.push(pattern.right);
+      break;
+    case "MemberExpression":
+      // [user.name] = ["Yash"] writes to a property, the object is read
+      expressions.push(pattern);
+      break;
+  }
+  return expressions;
+}
+
+// A readable name for a function: its own name, or the variable / key it is stored in
+function functionName(node, hint) {
+  if (node.id) return `${node.id.name}()`;
+  if (hint) return `${hint}()`;
+  return node.type === "ArrowFunctionExpression"
+    ? "arrow function"
+    : "anonymous function";
+}
+
+const keyName = (key) =>
+  key.type === "Identifier"
+    ? key.name
+    : key.type === "PrivateIdentifier"
+      ? `#${key.name}`
+      : key.type === "Literal"
+        ? String(key.value)
+        : null;
+
+/*
+Walks the tree once: creates scopes, declares bindings, and collects every
+reference (a name that is read or written). References are resolved afterwards,
+once every declaration is known, because hoisting makes later declarations
+visible earlier.
+*/
+export function analyzeScopes(source) {
+  const ast = parse(source);
+  const root = createScope("module", "module", ast, null);
+  const references = [];
+  const findings = [];
+  const bindings = [];
+
+  function declare(scope, identifier, kind, declaration) {
+    const { name } = identifier;
+    const line = identifier.loc.start.line;
+    const existing = scope.bindings.get(name);
+
+    if (existing) {
+      existing.declarations.push({ line, kind, node: identifier });
+      const both = [existing.kind, kind];
+      const allowed =
+        both.every((each) => each === "var" || each === "param") ||
+        (scope.kind === "function" &&
+          both.every((each) => ["var", "function", "param"].includes(each)));
+
+      findings.push(
+        allowed
+          ? {
+              type: "redeclaration",
+              name,
+              line,
+              firstLine: existing.line,
+              column: identifier.loc.start.column,
+              message: `declared again with ${kind} (first on line ${existing.line}). No error: it is the same variable, the new value overwrites the old one`,
+            }
+          : {
+              type: "syntax-error",
+              name,
+              line,
+              message: `SyntaxError: "${name}" is already declared with ${existing.kind} on line ${existing.line} in the same scope`,
+            },
+      );
+      return existing;
+    }
+
+    const binding = {
+      name,
+      kind,
+      scope,
+      line,
+      node: identifier,
+      /*
+      The TDZ ends once the name is bound: after its value is evaluated,
+      so `let x = x` fails but `const [name, alias = name] = parts` works
+      */
+      readyAt:
+        declaration.type === "VariableDeclarator"
+          ? identifier.end
+          : declaration.end,
+      initializer:
+        declaration.type === "VariableDeclarator" ? declaration.init : null,
+      declarations: [{ line, kind, node: identifier }],
+      references: [],
+    };
+    scope.bindings.set(name, binding);
+    bindings.push(binding);
+    return binding;
+  }
+
+  function declareVar(scope, identifier, declaration) {
+    const target = varScopeOf(scope);
+
+    // `{ let a; { var a; } }`: the var would be hoisted through the let
+    for (let current = scope; current !== target; current = current.parent) {
+      const blocking = current.bindings.get(identifier.name);
+      if (blocking && LEXICAL_KINDS.has(blocking.kind)) {
+        findings.push({
+          type: "syntax-error",
+          name: identifier.name,
+          line: identifier.loc.start.line,
+          message: `SyntaxError: var "${identifier.name}" is hoisted past the ${blocking.kind} on line ${blocking.line}`,
+        });
+      }
+    }
+
+    const binding = declare(target, identifier, "var", declaration);
+    if (scope !== target) {
+      binding.blocks ??= [];
+      binding.blocks.push(scope);
+      scope.varsDeclaredHere.push(identifier.name);
+    }
+  }
+
+  function declarePattern(scope, pattern, kind, declaration) {
+    for (const identifier of patternNames(pattern)) {
+      if (kind === "var") declareVar(scope, identifier, declaration);
+      else declare(scope, identifier, kind, declaration);
+    }
+    for (const expression of patternExpressions(pattern)) {
+      visit(expression, scope);
+    }
+  }
+
+  const reference = (identifier, scope, { write = false, read = true } = {}) =>
+    references.push({ node: identifier, scope, write, read });
+
+  // x = 1, [a, b] = [b, a], ({ a } = user): the names are written, not read
+  function assignTo(pattern, scope, { read = false } = {}) {
+    for (const identifier of patternNames(pattern)) {
+      reference(identifier, scope, { write: true, read });
+    }
+    for (const expression of patternExpressions(pattern)) {
+      visit(expression, scope);
+    }
+  }
+
+  // Function declarations are hoisted with their body, so they are declared first
+  function hoistFunctions(statements, scope) {
+    for (const statement of statements) {
+      const declaration =
+        statement.type === "ExportNamedDeclaration" ||
+        statement.type === "ExportDefaultDeclaration"
+          ? statement.declaration
+          : statement;
+      if (declaration?.type === "FunctionDeclaration" && declaration.id) {
+        declare(scope, declaration.id, "function", declaration);
+      }
+    }
+  }
+
+  function visitStatements(statements, scope) {
+    hoistFunctions(statements, scope);
+    for (const statement of statements) visit(statement, scope);
+  }
+
+  function visitFunction(node, scope, hint) {
+    const functionScope = createScope(
+      "function",
+      functionName(node, hint),
+      node,
+      scope,
+    );
+
+    // A named function expression can call itself by its name
+    if (node.type === "FunctionExpression" && node.id) {
+      declare(functionScope, node.id, "function", node);
+    }
+    for (const param of node.params) {
+      declarePattern(functionScope, param, "param", node);
+    }
+
+    if (node.body.type === "BlockStatement") {
+      visitStatements(node.body.body, functionScope);
+    } else {
+      visit(node.body, functionScope);
+    }
+  }
+
+  function visitClass(node, scope) {
+    if (node.superClass) visit(node.superClass, scope);
+
+    let classScope = scope;
+    if (node.type === "ClassExpression" && node.id) {
+      classScope = createScope("block", `class ${node.id.name}`, node, scope);
+      declare(classScope, node.id, "class", node);
+    }
+
+    for (const member of node.body.body) {
+      // static { ... } has no key
+      if (member.type === "StaticBlock") {
+        const blockScope = createScope(
+          "function",
+          "static block",
+          member,
+          classScope,
+        );
+        visitStatements(member.body, blockScope);
+        continue;
+      }
+
+      if (member.computed) visit(member.key, classScope);
+      const name = keyName(member.key);
+
+      if (member.type === "MethodDefinition") {
+        visitFunction(member.value, classScope, name);
+      } else if (member.type === "PropertyDefinition" && member.value) {
+        // Field values run later, once per `new`, like a small function
+        const fieldScope = createScope(
+          "function",
+          `field ${name}`,
+          member,
+          classScope,
+        );
+        visit(member.value, fieldScope);
+      }
+    }
+  }
+
+  function visit(node, scope, hint) {
+    if (!node) return;
+
+    switch (node.type) {
+      case "Identifier":
+        reference(node, scope);
+        return;
+
+      case "VariableDeclaration":
+        for (const declarator of node.declarations) {
+          // The value is evaluated before the name is ready: let x = x → TDZ
+          declarePattern(scope, declarator.id, node.kind, declarator);
+          const name =
+            declarator.id.type === "Identifier" ? declarator.id.name : null;
+          visit(declarator.init, scope, name);
+        }
+        return;
+
+      case "FunctionDeclaration":
+        // Already declared by hoistFunctions
+        visitFunction(node, scope);
+        return;
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        visitFunction(node, scope, hint);
+        return;
+
+      case "ClassDeclaration":
+        declare(scope, node.id, "class", node);
+        visitClass(node, scope);
+        return;
+      case "ClassExpression":
+        visitClass(node, scope);
+        return;
+
+      case "BlockStatement": {
+        const block = createScope("block", hint ?? "block", node, scope);
+        visitStatements(node.body, block);
+        return;
+      }
+      case "StaticBlock":
+        visitStatements(node.body, scope);
+        return;
+
+      case "ForStatement":
+      case "ForInStatement":
+      case "ForOfStatement": {
+        const head = node.init ?? node.left;
+        const isLexical =
+          head?.type === "VariableDeclaration" && head.kind !== "var";
+        const loopScope = isLexical
+          ? createScope("block", "for loop", node, scope)
+          : scope;
+
+        if (node.type === "ForStatement") {
+          visit(node.init, loopScope);
+          visit(node.test, loopScope);
+          visit(node.update, loopScope);
+        } else {
+          if (head.type === "VariableDeclaration") {
+            declarePattern(loopScope, head.declarations[0].id, head.kind, head);
+          } else {
+            assignTo(head, loopScope);
+          }
+          visit(node.right, loopScope);
+        }
+        visit(node.body, loopScope, "loop body");
+        return;
+      }
+
+      // Blocks are named after their statement: "the if block on lines 35-37"
+      case "IfStatement":
+        visit(node.test, scope);
+        visit(node.consequent, scope, "if block");
+        visit(node.alternate, scope, "else block");
+        return;
+      case "WhileStatement":
+      case "DoWhileStatement":
+        visit(node.test, scope);
+        visit(node.body, scope, "loop body");
+        return;
+      case "TryStatement":
+        visit(node.block, scope, "try block");
+        visit(node.handler, scope);
+        visit(node.finalizer, scope, "finally block");
+        return;
+
+      case "SwitchStatement": {
+        visit(node.discriminant, scope);
+        const block = createScope("block", "switch", node, scope);
+        const statements = node.cases.flatMap((each) => each.consequent);
+        hoistFunctions(statements, block);
+        for (const each of node.cases) {
+          visit(each.test, block);
+          for (const statement of each.consequent) visit(statement, block);
+        }
+        return;
+      }
+
+      case "CatchClause": {
+        const catchScope = createScope("block", "catch", node, scope);
+        if (node.param) declarePattern(catchScope, node.param, "catch", node);
+        visitStatements(node.body.body, catchScope);
+        return;
+      }
+
+      case "ImportDeclaration":
+        for (const specifier of node.specifiers) {
+          declare(scope, specifier.local, "import", node);
+        }
+        return;
+      case "ExportNamedDeclaration":
+        if (node.declaration) visit(node.declaration, scope);
+        else if (!node.source) {
+          for (const specifier of node.specifiers)
+            visit(specifier.local, scope);
+        }
+        return;
+      case "ExportDefaultDeclaration":
+        visit(node.declaration, scope);
+        return;
+      case "ExportAllDeclaration":
+        return;
+
+      case "AssignmentExpression":
+        if (node.operator === "=") {
+          assignTo(node.left, scope);
+        } else if (node.left.type === "Identifier") {
+          // a += 1 reads a, then writes it
+          reference(node.left, scope, { write: true, read: true });
+        } else {
+          visit(node.left, scope);
+        }
+        visit(
+          node.right,
+          scope,
+          node.left.type === "Identifier" ? node.left.name : undefined,
+        );
+        return;
+      case "UpdateExpression":
+        if (node.argument.type === "Identifier") {
+          reference(node.argument, scope, { write: true, read: true });
+        } else {
+          visit(node.argument, scope);
+        }
+        return;
+
+      case "MemberExpression":
+        visit(node.object, scope);
+        if (node.computed) visit(node.property, scope);
+        return;
+      case "Property":
+        if (node.computed) visit(node.key, scope);
+        visit(node.value, scope, keyName(node.key) ?? undefined);
+        return;
+      case "LabeledStatement":
+        visit(node.body, scope);
+        return;
+      case "BreakStatement":
+      case "ContinueStatement":
+      case "MetaProperty":
+      case "PrivateIdentifier":
+        return;
+    }
+
+    for (const child of childrenOf(node)) visit(child, scope);
+  }
+
+  visitStatements(ast.body, root);
+  resolveReferences(references, findings);
+
+  return {
+    root,
+    bindings,
+    findings: findings.sort((a, b) => a.line - b.line),
+    globals: [
+      ...new Set(
+        references
+          .filter((each) => !each.binding)
+          .map((each) => each.node.name),
+      ),
+    ].sort(),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// RESOLVING NAMES
+
+// Is `node` between the start and the end of `outer`?
+const isInside = (node, outer) =>
+  node.start >= outer.start && node.end <= outer.end;
+
+function resolveReferences(references, findings) {
+  for (const ref of references) {
+    const { name } = ref.node;
+    let scope = ref.scope;
+    while (scope && !scope.bindings.has(name)) scope = scope.parent;
+    if (!scope) continue;
+
+    const binding = scope.bindings.get(name);
+    ref.binding = binding;
+    binding.references.push(ref);
+
+    const line = ref.node.loc.start.line;
+    // A use inside a nested function only runs when that function is called
+    const sameFunction = varScopeOf(ref.scope) === varScopeOf(binding.scope);
+    const isDeclarationItself = binding.declarations.some(
+      (declaration) => declaration.node.start === ref.node.start,
+    );
+    if (isDeclarationItself) continue;
+
+    if (
+      LEXICAL_KINDS.has(binding.kind) &&
+      sameFunction &&
+      (ref.node.start < binding.readyAt ||
+        (binding.initializer && isInside(ref.node, binding.initializer)))
+    ) {
+      findings.push({
+        type: "tdz",
+        name,
+        line,
+        message: `ReferenceError: used before its declaration on line ${binding.line} (Temporal Dead Zone)`,
+      });
+    } else if (
+      binding.kind === "var" &&
+      sameFunction &&
+      ref.read &&
+      !ref.write &&
+      ref.node.start < binding.node.start
+    ) {
+      findings.push({
+        type: "hoisted-read",
+        name,
+        line,
+        message: `read before its declaration on line ${binding.line}, gives undefined (var is hoisted, its value is not)`,
+      });
+    }
+
+    if (binding.kind === "const" && ref.write) {
+      findings.push({
+        type: "const-assignment",
+        name,
+        line,
+        message: `TypeError: assignment to a const (declared on line ${binding.line})`,
+      });
+    }
+
+    // var declared inside a block, used outside of it
+    const blocks = binding.blocks ?? [];
+    if (
+      blocks.length > 0 &&
+      !blocks.some((block) => isInside(ref.node, block.node))
+    ) {
+      const block = blocks[0];
+      const alreadyReported = findings.some(
+        (finding) =>
+          finding.type === "leak" &&
+          finding.name === name &&
+          finding.line === line,
+      );
+      if (!alreadyReported) {
+        findings.push({
+          type: "leak",
+          name,
+          line,
+          message: `var leaks out of the ${block.name} (${linesOf(block.node)}, declared on line ${binding.line}), used here outside of it`,
+        });
+      }
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// PRINTING
+
+const linesOf = (node) => {
+  const { start, end } = node.loc;
+  return start.line === end.line
+    ? `line ${start.line}`
+    : `lines ${start.line}-${end.line}`;
+};
+
+const ownerName = (scope) => {
+  const owner = varScopeOf(scope);
+  return owner.kind === "module" ? "the module" : owner.name;
+};
+
+// One line about how a binding is hoisted
+function describeBinding(binding) {
+  const { kind, scope } = binding;
+  const scopeStart = scope.node.loc.start.line;
+  switch (kind) {
+    case "var":
+      return `hoisted to the top of ${ownerName(scope)}, undefined until line ${binding.line}`;
+    case "function":
+      return `hoisted with its body, callable anywhere in this scope`;
+    case "let":
+    case "const":
+    case "class":
+      return binding.line > scopeStart
+        ? `hoisted but in the TDZ from line ${scopeStart} until line ${binding.line}`
+        : `hoisted but in the TDZ until its declaration`;
+    case "param":
+      return `parameter, set when ${scope.name} is called`;
+    case "catch":
+      return `the caught error, only inside this catch`;
+    case "import":
+      return `imported, ready before any code of the module runs`;
+  }
+}
+
+// Block scopes without their own variables (and without var leaking from them) are skipped
+function isWorthPrinting(scope) {
+  return (
+    scope.kind !== "block" ||
+    scope.bindings.size > 0 ||
+    scope.varsDeclaredHere.length > 0 ||
+    scope.children.some(isWorthPrinting)
+  );
+}
+
+function printScope(scope, depth, lines) {
+  const indent = "  ".repeat(depth);
+  lines.push(`${indent}${scope.name} (${linesOf(scope.node)})`);
+
+  const bindings = [...scope.bindings.values()];
+  const width = Math.max(
+    0,
+    ...bindings.map((each) => each.kind.length + each.name.length + 1),
+  );
+
+  for (const binding of bindings) {
+    const label = `${binding.kind} ${binding.name}`.padEnd(width);
+    const declaredOn = binding.declarations.map((each) => each.line).join(", ");
+    const lineLabel = binding.declarations.length > 1 ? "lines" : "line";
+    lines.push(
+      `${indent}  ${label}  ${lineLabel} ${declaredOn}: ${describeBinding(binding)}`,
+    );
+  }
+
+  if (scope.varsDeclaredHere.length > 0) {
+    const names = [...new Set(scope.varsDeclaredHere)].join(", ");
+    lines.push(
+      `${indent}  (var ${names} written here, but belongs to ${ownerName(scope)})`,
+    );
+  }
+
+  for (const child of scope.children) {
+    if (isWorthPrinting(child)) printScope(child, depth + 1, lines);
+  }
+}
+
+export function formatScopeReport({ root, findings, globals }, { title } = {}) {
+  const lines = [];
+  if (title) lines.push(title, "");
+
+  printScope(root, 0, lines);
+
+  lines.push("");
+  if (findings.length === 0) {
+    lines.push("No redeclarations, leaks or reads before a declaration.");
+  } else {
+    lines.push("Scope rules in action:");
+    for (const { line, name, message } of findings) {
+      lines.push(`  line ${line}  ${name}: ${message}`);
+    }
+  }
+
+  if (globals.length > 0) {
+    lines.push("", `Globals used: ${globals.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+// -----------------------------------------------------------------------------
+// COMMAND LINE
+
+function findFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs
+    .readdirSync(target)
+    .sort()
+    .filter((entry) => entry.endsWith(".js"))
+    .map((entry) => path.join(target, entry));
+}
+
+// A file that does not parse gets one line instead of a stack trace
+function report(source, options) {
+  try {
+    return formatScopeReport(analyzeScopes(source), options);
+  } catch (error) {
+    if (!(error instanceof ParseError)) throw error;
+    process.exitCode = 1;
+    const title = options?.title ? `${options.title}\n\n` : "";
+    return `${title}Cannot read the code: ${error.message}`;
+  }
+}
+
+async function main(args) {
+  const codeIndex = args.indexOf("--code");
+  if (codeIndex !== -1) {
+    console.log(report(args[codeIndex + 1] ?? ""));
+    return;
+  }
+
+  if (args.length === 0) {
+    console.log('Usage: node tools/scope.js <file or folder> | --code "..."');
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = args.flatMap((target) => findFiles(path.resolve(target)));
+  for (const [index, file] of files.entries()) {
+    if (index > 0) console.log("");
+    console.log(
+      report(fs.readFileSync(file, "utf8"), {
+        title: `=== ${path.relative(process.cwd(), file)} ===`,
+      }),
+    );
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}